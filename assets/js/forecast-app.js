@@ -11,8 +11,31 @@
 (function (global) {
   'use strict';
 
-  const { CCF_CONFIG, ForecastStorage } = global;
-  const { ajaxUrl, nonce, strings } = CCF_CONFIG;
+  const { CCF_CONFIG, ForecastStorage, ForecastScore, ForecastMap, ForecastAstro, ForecastBackup } = global;
+  const { ajaxUrl, nonce, strings, mapTileUrl, mapAttribution } = CCF_CONFIG;
+  const {
+    HOUR_MS,
+    DEFAULT_SCORE_WEIGHTS,
+    SCORE_PROFILE_WEIGHTS,
+    BEST_WINDOWS_LIMIT,
+    parseTimeToTimestamp,
+    getSunlightClass,
+    calculateDarkSkyScore,
+    findRuleMatches,
+    copyAlertRules,
+    updateAlertRule,
+    getSunEventTimes,
+    getSunlightClasses,
+    findHourRange,
+    getAstroDarkTimes,
+  } = ForecastScore;
+  const {
+    HORIZON_ALTITUDE,
+    getHorizontalPosition,
+    getSunPosition,
+    getMoonPosition,
+  } = ForecastAstro;
+  const { BACKUP_PREFERENCES, readBackup } = ForecastBackup;
 
   // ============================================================
   // APP STATE
@@ -31,6 +54,7 @@
     isSearching: false,
     theme: localStorage.getItem('ccf-theme') || 'auto',
     fontSize: localStorage.getItem('ccf-font-size') || 'medium',
+    palette: localStorage.getItem('ccf-palette') || 'default',
     // PWA Install state
     deferredInstallPrompt: null,
     showInstallInstructions: false,
@@ -38,6 +62,57 @@
     editingLocation: null,
     // Shared location from URL parameters
     sharedLocation: null,
+    // Photo score profiles
+    scoreProfiles: [],
+    activeProfileId: 'landscape',
+    editingProfile: null,
+    // Background refresh notifications
+    notificationSettings: { enabled: false, threshold: 80 },
+    // Alert rule matches by location ID
+    alertMatches: {},
+    // Compare tab
+    compareLocationIds: [],
+    compareMetric: 'score',
+    // Trips tab
+    trips: [],
+    activeTripId: null,
+    editingTrip: null,
+    // Moon calendar modal
+    moonCalendar: null,
+    // Points read from an import file, waiting for the user to pick
+    importPreview: null,
+    // Backup being imported, with its merge plan
+    backupImport: null,
+    // Forecast export menu and minimum score of exported calendar events
+    showForecastExport: false,
+    calendarThreshold: 60,
+    // Forecast accuracy review
+    forecastReview: null,
+    // Sky observations by location ID
+    observations: {},
+    loggingObservation: null,
+    observationLogLocationId: null,
+    // Display units
+    units: null,
+    // Custom colour bands (null = defaults)
+    colorThresholds: null,
+    showThresholdEditor: false,
+    // Keyboard focus in the forecast grid
+    gridFocus: { index: null, row: 0, active: false },
+    // Hour index shown in the detail drawer
+    hourDetail: null,
+    // Locations tab map
+    locationsView: 'list',
+    mapView: null,
+    pendingPin: null,
+    // Saved locations search, tag filter and sort order
+    locationTags: [],
+    locationFilter: { query: '', tags: [] },
+    locationSort: 'name',
+    sortOrigin: null,
+    tonightScores: {},
+    // Forecast shown as the numeric grid or as charts
+    forecastView: 'grid',
   };
 
   // Debug mode - enable with ?debug=1 in URL
@@ -249,10 +324,12 @@
   function formatDateTime(isoString, format = 'time', timezone = undefined) {
     const date = new Date(isoString);
     const tzOption = timezone ? { timeZone: timezone } : {};
+    const hour12 = getUnits().clock === '12h';
+    const hourOption = hour12 ? 'numeric' : '2-digit';
 
     switch (format) {
       case 'time':
-        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false, ...tzOption });
+        return date.toLocaleTimeString([], { hour: hourOption, minute: '2-digit', hour12, ...tzOption });
       case 'date':
         return date.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short', ...tzOption });
       case 'datetime':
@@ -260,20 +337,33 @@
           weekday: 'short',
           day: 'numeric',
           month: 'short',
-          hour: '2-digit',
+          hour: hourOption,
           minute: '2-digit',
-          hour12: false,
+          hour12,
           ...tzOption,
         });
       case 'day':
         return date.toLocaleDateString([], { weekday: 'short', ...tzOption });
       case 'hour':
-        return date.toLocaleTimeString([], { hour: '2-digit', hour12: false, ...tzOption });
+        return date.toLocaleTimeString([], { hour: hourOption, hour12, ...tzOption });
       default:
         return isoString;
     }
   }
 
+  /**
+   * Format an "HH:MM" clock time from the API in the selected clock format.
+   * @param {string} timeStr - Time string (HH:MM).
+   * @returns {string} e.g. "18:05" or "6:05 PM".
+   */
+  function formatClockTime(timeStr) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(timeStr || '');
+    if (!match || getUnits().clock !== '12h') return timeStr || '';
+
+    const hours = parseInt(match[1], 10);
+    return `${hours % 12 || 12}:${match[2]} ${hours < 12 ? 'AM' : 'PM'}`;
+  }
+
   /**
    * Get wind direction arrow and label.
    * @param {number} degrees - Wind direction in degrees.
@@ -348,24 +438,12 @@
    * Toggle between themes: auto -> light -> dark -> auto.
    */
   function toggleTheme() {
-    // Save scroll position before re-render
-    const gridData = document.getElementById('grid-data');
-    const scrollLeft = gridData ? gridData.scrollLeft : 0;
-
     const themes = ['auto', 'light', 'dark'];
     const currentIndex = themes.indexOf(state.theme);
     state.theme = themes[(currentIndex + 1) % themes.length];
     localStorage.setItem('ccf-theme', state.theme);
     applyTheme();
-    renderApp();
-
-    // Restore scroll position after re-render
-    requestAnimationFrame(() => {
-      const newGridData = document.getElementById('grid-data');
-      if (newGridData && scrollLeft > 0) {
-        newGridData.scrollLeft = scrollLeft;
-      }
-    });
+    renderAppKeepingScroll();
   }
 
   /**
@@ -397,25 +475,13 @@
    * Toggle between font sizes: small -> medium -> large -> xlarge -> xxlarge -> small.
    */
   function toggleFontSize() {
-    // Save scroll position before re-render
-    const gridData = document.getElementById('grid-data');
-    const scrollLeft = gridData ? gridData.scrollLeft : 0;
-
     const sizes = ['small', 'medium', 'large', 'xlarge', 'xxlarge'];
     let currentIndex = sizes.indexOf(state.fontSize);
     if (currentIndex === -1) currentIndex = 1; // Default to medium if not found
     state.fontSize = sizes[(currentIndex + 1) % sizes.length];
     localStorage.setItem('ccf-font-size', state.fontSize);
     applyFontSize();
-    renderApp();
-
-    // Restore scroll position after re-render
-    requestAnimationFrame(() => {
-      const newGridData = document.getElementById('grid-data');
-      if (newGridData && scrollLeft > 0) {
-        newGridData.scrollLeft = scrollLeft;
-      }
-    });
+    renderAppKeepingScroll();
   }
 
   /**
@@ -448,6 +514,10 @@
   // COLOR SCHEMES
   // ============================================================
 
+  /**
+   * Colour bands in the forecast's own units (%, km/h, metres). Values are
+   * classified before unit conversion, so colours match in every unit system.
+   */
   const COLOR_THRESHOLDS = {
     cloud: [[25, 'excellent'], [50, 'good'], [75, 'fair'], [100, 'poor']],
     rain: [[10, 'excellent'], [30, 'good'], [60, 'fair'], [100, 'poor']],
@@ -456,1311 +526,5988 @@
     visibility: [[1000, 'poor'], [5000, 'fair'], [10000, 'good'], [Infinity, 'excellent']],
   };
 
-  // ============================================================
-  // PHOTOGRAPHY SCORE CALCULATION
-  // ============================================================
-
   /**
-   * Calculate photography score for an hour (0-100).
-   * Higher scores indicate better conditions for photography.
-   * @param {Object} hour - Hourly weather data.
-   * @param {string} sunlightClass - Current sunlight class (day, golden, blue, night).
-   * @returns {number} Score from 0-100.
+   * Metrics with editable bands. `kind` converts to display units,
+   * `scale` divides the raw value first, `max` bounds the preview strip.
    */
-  function calculatePhotoScore(hour, sunlightClass) {
-    let score = 100;
-
-    // Cloud penalty - low clouds are worst, high thin clouds can be good
-    const cloudLow = hour.cloud_low || 0;
-    const cloudMid = hour.cloud_mid || 0;
-    const cloudHigh = hour.cloud_high || 0;
-    const cloudTotal = hour.cloud_total || 0;
-
-    // Low clouds heavily penalized (block light, featureless)
-    score -= cloudLow * 0.8;
-    // Mid clouds moderately penalized
-    score -= cloudMid * 0.4;
-    // High clouds less penalized (can create drama during golden hour)
-    if (sunlightClass === 'sunlight-golden' || sunlightClass === 'sunlight-blue') {
-      // High clouds during golden/blue hour can be beneficial
-      score -= Math.max(0, cloudHigh - 40) * 0.2;
-    } else {
-      score -= cloudHigh * 0.3;
-    }
-
-    // Rain penalty
-    const rainChance = hour.rain_chance || 0;
-    score -= rainChance * 0.5;
+  const THRESHOLD_METRICS = [
+    { key: 'cloud', label: strings.clouds || 'Clouds', unit: '%', max: 100 },
+    { key: 'rain', label: strings.rainChance || 'Rain chance', unit: '%', max: 100 },
+    { key: 'humidity', label: strings.humidity || 'Humidity', unit: '%', max: 100 },
+    { key: 'wind', label: strings.wind || 'Wind', kind: 'wind', max: 80 },
+    { key: 'visibility', label: strings.visibility || 'Visibility', kind: 'distance', scale: 1000, max: 20000 },
+  ];
+
+  /** Band labels for the threshold editor. */
+  const BAND_LABELS = {
+    excellent: strings.bandExcellent || 'Excellent',
+    good: strings.bandGood || 'Good',
+    fair: strings.bandFair || 'Fair',
+    poor: strings.bandPoor || 'Poor',
+  };
 
-    // Visibility penalty (poor visibility is bad)
-    const visibility = hour.visibility || 10000;
-    if (visibility < 5000) {
-      score -= (5000 - visibility) / 100;
-    }
+  /** Status colour palettes, applied as a palette-* class on <html>. */
+  const PALETTE_OPTIONS = [
+    { value: 'default', label: strings.paletteDefault || 'Red-green (default)' },
+    { value: 'viridis', label: strings.paletteViridis || 'Viridis' },
+    { value: 'okabe-ito', label: strings.paletteOkabeIto || 'Blue-orange (deuteranopia/protanopia safe)' },
+    { value: 'cividis', label: strings.paletteCividis || 'Cividis (colour-blind safe)' },
+  ];
 
-    // Wind penalty (affects long exposures and stability)
-    const windSpeed = hour.wind_speed || 0;
-    if (windSpeed > 30) {
-      score -= (windSpeed - 30) * 0.3;
+  /**
+   * Apply the current colour palette to the document.
+   */
+  function applyPalette() {
+    const html = document.documentElement;
+    PALETTE_OPTIONS.forEach((option) => html.classList.remove(`palette-${option.value}`));
+    if (state.palette !== 'default') {
+      html.classList.add(`palette-${state.palette}`);
     }
+  }
 
-    // Bonus for golden/blue hour
-    if (sunlightClass === 'sunlight-golden') {
-      score += 15;
-    } else if (sunlightClass === 'sunlight-blue') {
-      score += 10;
-    }
+  /**
+   * Switch the colour palette.
+   * @param {string} palette - Palette value.
+   */
+  function setPalette(palette) {
+    if (!PALETTE_OPTIONS.some((option) => option.value === palette)) return;
+    state.palette = palette;
+    localStorage.setItem('ccf-palette', palette);
+    applyPalette();
+  }
 
-    // Ensure score stays in range
-    return Math.max(0, Math.min(100, Math.round(score)));
+  /**
+   * Get the colour bands for a metric, custom or default.
+   * @param {string} metric - Key in COLOR_THRESHOLDS.
+   * @returns {Array} Array of [max, class] pairs.
+   */
+  function getThresholds(metric) {
+    return (state.colorThresholds && state.colorThresholds[metric]) || COLOR_THRESHOLDS[metric];
   }
 
   /**
-   * Get score class for photography score.
-   * @param {number} score - Score from 0-100.
-   * @returns {string} CSS class.
+   * Convert a raw band boundary to display units.
+   * @param {Object} metric - Entry from THRESHOLD_METRICS.
+   * @param {number} value - Raw value.
+   * @returns {number} Display value.
    */
-  function getScoreClass(score) {
-    if (score >= 80) return 'score-excellent';
-    if (score >= 60) return 'score-good';
-    if (score >= 40) return 'score-fair';
-    return 'score-poor';
+  function thresholdToDisplay(metric, value) {
+    if (!metric.kind) return value;
+    return parseFloat(convertUnit(metric.kind, value / (metric.scale || 1)).toFixed(1));
   }
 
   /**
-   * Get score label for photography score.
-   * @param {number} score - Score from 0-100.
-   * @returns {string} Label string.
+   * Convert a display value back to a raw band boundary.
+   * @param {Object} metric - Entry from THRESHOLD_METRICS.
+   * @param {number} value - Display value.
+   * @returns {number} Raw value.
    */
-  function getScoreLabel(score) {
-    if (score >= 80) return 'excellent';
-    if (score >= 60) return 'good';
-    if (score >= 40) return 'fair';
-    return 'poor';
+  function thresholdFromDisplay(metric, value) {
+    if (!metric.kind) return value;
+    return convertUnitBack(metric.kind, value) * (metric.scale || 1);
   }
 
   /**
-   * Get star rating string.
-   * @param {number} score - Score from 0-100.
-   * @returns {string} Star characters.
+   * Load custom colour bands from storage.
    */
-  function getStarRating(score) {
-    const stars = Math.round(score / 20);
-    return '\u2605'.repeat(stars) + '\u2606'.repeat(5 - stars);
+  async function loadColorThresholds() {
+    const saved = await ForecastStorage.getSetting('colorThresholds', null);
+    if (!saved) return;
+
+    // Keep only well-formed band lists for known metrics.
+    const valid = {};
+    Object.keys(COLOR_THRESHOLDS).forEach((metric) => {
+      const bands = saved[metric];
+      if (Array.isArray(bands) && bands.length === COLOR_THRESHOLDS[metric].length) {
+        valid[metric] = bands;
+      }
+    });
+    state.colorThresholds = Object.keys(valid).length ? valid : null;
   }
 
   /**
-   * Calculate average photo score for a time window.
-   * @param {Array} hourly - Array of hourly data.
-   * @param {number} startIndex - Start index.
-   * @param {number} endIndex - End index.
-   * @param {Object} dayData - Daily data for sunlight calculation.
-   * @param {string} timezone - Timezone identifier.
-   * @returns {number} Average score.
+   * Move one band boundary, keeping the bands in ascending order.
+   * @param {string} key - Metric key.
+   * @param {number} index - Boundary index (0 to bands - 2).
+   * @param {string} value - New display value.
+   * @returns {boolean} True if the value was accepted.
    */
-  function calculateWindowScore(hourly, startIndex, endIndex, dayData, timezone) {
-    if (startIndex < 0 || endIndex > hourly.length || startIndex >= endIndex) {
-      return 0;
-    }
+  function updateThreshold(key, index, value) {
+    const metric = THRESHOLD_METRICS.find((m) => m.key === key);
+    const number = parseFloat(value);
+    if (!metric || isNaN(number)) return false;
 
-    let totalScore = 0;
-    let count = 0;
+    const bands = getThresholds(key).map(([max, cls]) => [max, cls]);
+    bands[index][0] = thresholdFromDisplay(metric, number);
 
-    for (let i = startIndex; i < endIndex; i++) {
-      const hour = hourly[i];
-      const hourDate = new Date(hour.time);
-      const sunlightClass = getSunlightClass(hour, hourDate, dayData, timezone);
-      totalScore += calculatePhotoScore(hour, sunlightClass);
-      count++;
+    for (let i = 1; i < bands.length; i++) {
+      if (!(bands[i][0] > bands[i - 1][0])) return false;
     }
+    if (bands[0][0] < 0) return false;
 
-    return count > 0 ? Math.round(totalScore / count) : 0;
+    state.colorThresholds = { ...state.colorThresholds, [key]: bands };
+    return true;
   }
 
   /**
-   * Get cloud description text.
-   * @param {number} cloudTotal - Total cloud coverage percentage.
-   * @returns {string} Description.
+   * Save the custom colour bands.
    */
-  function getCloudDescription(cloudTotal) {
-    if (cloudTotal <= 10) return 'Clear';
-    if (cloudTotal <= 25) return 'Mostly clear';
-    if (cloudTotal <= 50) return 'Partly cloudy';
-    if (cloudTotal <= 75) return 'Mostly cloudy';
-    return 'Overcast';
+  function saveColorThresholds() {
+    ForecastStorage.setSetting('colorThresholds', state.colorThresholds).catch((e) => {
+      console.error('Error saving colour thresholds:', e);
+    });
+  }
+
+  /**
+   * Restore the default colour bands.
+   */
+  function resetColorThresholds() {
+    state.colorThresholds = null;
+    saveColorThresholds();
+    renderApp();
   }
 
   // ============================================================
-  // API FUNCTIONS
+  // UNITS
   // ============================================================
 
+  /** Upper wind limits (km/h, exclusive) of Beaufort forces 0-11. */
+  const BEAUFORT_LIMITS = [1, 6, 12, 20, 29, 39, 50, 62, 75, 89, 103, 118];
+
   /**
-   * Fetch extended forecast for a location.
-   * @param {Object} location - Location with lat, lon, name.
-   * @returns {Promise<Object>} Forecast data.
+   * Display units per kind. Forecast values arrive in the first unit of each
+   * kind; `factor`/`offset` convert from it, `decimals` is the display precision.
    */
-  async function fetchForecast(location) {
-    // Check cache first.
-    if (location.id) {
-      const cached = await ForecastStorage.getCachedForecast(location.id);
-      if (cached) {
-        return cached;
-      }
+  const UNIT_OPTIONS = {
+    temperature: [
+      { value: 'c', label: '\u00B0C', factor: 1, offset: 0, decimals: 0 },
+      { value: 'f', label: '\u00B0F', factor: 1.8, offset: 32, decimals: 0 },
+    ],
+    wind: [
+      { value: 'kmh', label: 'km/h', factor: 1, offset: 0, decimals: 0 },
+      { value: 'mph', label: 'mph', factor: 1 / 1.609344, offset: 0, decimals: 0 },
+      { value: 'ms', label: 'm/s', factor: 1 / 3.6, offset: 0, decimals: 1 },
+      { value: 'kn', label: 'kn', factor: 1 / 1.852, offset: 0, decimals: 0 },
+      { value: 'bft', label: 'Bft', decimals: 0 },
+    ],
+    distance: [
+      { value: 'km', label: 'km', factor: 1, offset: 0, decimals: 1 },
+      { value: 'mi', label: 'mi', factor: 1 / 1.609344, offset: 0, decimals: 1 },
+    ],
+    precipitation: [
+      { value: 'mm', label: 'mm', factor: 1, offset: 0, decimals: 1 },
+      { value: 'in', label: 'in', factor: 1 / 25.4, offset: 0, decimals: 2 },
+    ],
+    clock: [
+      { value: '24h', label: strings.clock24 || '24-hour' },
+      { value: '12h', label: strings.clock12 || '12-hour' },
+    ],
+  };
+
+  /** Labels for the unit settings panel. */
+  const UNIT_FIELDS = [
+    { key: 'temperature', label: strings.temperature || 'Temperature' },
+    { key: 'wind', label: strings.wind || 'Wind' },
+    { key: 'distance', label: strings.distance || 'Distance' },
+    { key: 'precipitation', label: strings.precipitation || 'Precipitation' },
+    { key: 'clock', label: strings.clock || 'Clock' },
+  ];
+
+  /**
+   * Guess default units from the browser locale (imperial for the US).
+   * @returns {Object} Units keyed by kind.
+   */
+  function getDefaultUnits() {
+    const locale = navigator.language || '';
+    if (/-(US|LR|MM)$/i.test(locale)) {
+      return { temperature: 'f', wind: 'mph', distance: 'mi', precipitation: 'in', clock: '12h' };
     }
+    return { temperature: 'c', wind: 'kmh', distance: 'km', precipitation: 'mm', clock: '24h' };
+  }
 
-    const data = await ajax('ccf_pwa_forecast', {
-      lat: location.lat,
-      lon: location.lon,
-      name: location.name || '',
-    });
+  /**
+   * Get the active display units.
+   * @returns {Object} Units keyed by kind.
+   */
+  function getUnits() {
+    return state.units || getDefaultUnits();
+  }
 
-    // Cache the result.
-    if (location.id) {
-      await ForecastStorage.cacheForecast(location.id, data);
+  /**
+   * Get the selected unit option for a kind.
+   * @param {string} kind - 'temperature', 'wind', 'distance' or 'precipitation'.
+   * @returns {Object} Unit option.
+   */
+  function getUnitOption(kind) {
+    const options = UNIT_OPTIONS[kind];
+    return options.find((option) => option.value === getUnits()[kind]) || options[0];
+  }
+
+  /**
+   * Get the short label of the selected unit for a kind.
+   * @param {string} kind - Unit kind.
+   * @returns {string} e.g. "mph".
+   */
+  function getUnitLabel(kind) {
+    return getUnitOption(kind).label;
+  }
+
+  /**
+   * Convert a forecast value to the selected unit.
+   * @param {string} kind - Unit kind.
+   * @param {number|null} value - Value in the forecast's unit.
+   * @returns {number|null} Converted value.
+   */
+  function convertUnit(kind, value) {
+    if (value == null) return null;
+    const option = getUnitOption(kind);
+    if (option.value === 'bft') {
+      const force = BEAUFORT_LIMITS.findIndex((limit) => value < limit);
+      return force === -1 ? BEAUFORT_LIMITS.length : force;
     }
+    return value * option.factor + option.offset;
+  }
 
-    return data;
+  /**
+   * Convert a value in the selected unit back to the forecast's unit.
+   * @param {string} kind - Unit kind.
+   * @param {number} value - Value in the selected unit.
+   * @returns {number} Value in the forecast's unit.
+   */
+  function convertUnitBack(kind, value) {
+    const option = getUnitOption(kind);
+    if (option.value === 'bft') {
+      // Lower wind limit of the force, so "below 4" means forces 0-3.
+      const force = Math.max(0, Math.min(BEAUFORT_LIMITS.length, Math.round(value)));
+      return force === 0 ? 0 : BEAUFORT_LIMITS[force - 1];
+    }
+    return (value - option.offset) / option.factor;
   }
 
   /**
-   * Search for locations.
-   * @param {string} query - Search query.
-   * @returns {Promise<Array>} Array of location results.
+   * Convert and format a forecast value in the selected unit.
+   * @param {string} kind - Unit kind.
+   * @param {number|null} value - Value in the forecast's unit.
+   * @param {string} suffix - Suffix to append.
+   * @returns {string} Formatted value.
    */
-  async function searchLocations(query) {
-    const data = await ajax('ccf_pwa_geocode', { query });
-    // Normalize to array.
-    return Array.isArray(data) ? data : [data];
+  function formatUnit(kind, value, suffix = '') {
+    return formatValue(convertUnit(kind, value), suffix, getUnitOption(kind).decimals);
+  }
+
+  /**
+   * Load the unit preferences from storage.
+   */
+  async function loadUnits() {
+    const saved = await ForecastStorage.getSetting('units', null);
+    state.units = saved ? { ...getDefaultUnits(), ...saved } : null;
+  }
+
+  /**
+   * Change one unit preference and re-render.
+   * @param {string} kind - Unit kind.
+   * @param {string} value - Unit option value.
+   */
+  function setUnit(kind, value) {
+    if (!UNIT_OPTIONS[kind] || !UNIT_OPTIONS[kind].some((option) => option.value === value)) return;
+
+    state.units = { ...getUnits(), [kind]: value };
+    ForecastStorage.setSetting('units', state.units).catch((e) => {
+      console.error('Error saving units:', e);
+    });
+    renderAppKeepingScroll();
   }
 
   // ============================================================
-  // GEOLOCATION
+  // SCORE PROFILES
   // ============================================================
 
+  /** Built-in score profiles. Users can tune these or save copies. */
+  const BUILT_IN_SCORE_PROFILES = [
+    { id: 'landscape', builtIn: true, name: strings.profileLandscape || 'Landscape' },
+    { id: 'astro', builtIn: true, name: strings.profileAstro || 'Astro' },
+    { id: 'milky-way', builtIn: true, name: strings.profileMilkyWay || 'Milky Way' },
+    { id: 'storm', builtIn: true, name: strings.profileStorm || 'Storm chasing' },
+  ].map((profile) => ({ ...profile, weights: { ...SCORE_PROFILE_WEIGHTS[profile.id] } }));
+
+  /** Editable score weights, in display order. */
+  const SCORE_WEIGHT_FIELDS = [
+    { key: 'cloudLow', label: strings.weightCloudLow || 'Low cloud penalty (per %)', step: 0.1 },
+    { key: 'cloudMid', label: strings.weightCloudMid || 'Mid cloud penalty (per %)', step: 0.1 },
+    { key: 'cloudHigh', label: strings.weightCloudHigh || 'High cloud penalty (per %)', step: 0.1 },
+    { key: 'cloudHighGolden', label: strings.weightCloudHighGolden || 'High cloud penalty at golden/blue hour (per %)', step: 0.1 },
+    { key: 'cloudHighGoldenThreshold', label: strings.weightCloudHighGoldenThreshold || 'High cloud allowed at golden/blue hour (%)', step: 5 },
+    { key: 'rain', label: strings.weightRain || 'Rain chance penalty (per %)', step: 0.1 },
+    { key: 'visibility', label: strings.weightVisibility || 'Visibility penalty (per 100 m below 5 km)', step: 0.1 },
+    { key: 'wind', label: strings.weightWind || 'Wind penalty (per km/h)', step: 0.1 },
+    { key: 'windThreshold', label: strings.weightWindThreshold || 'Wind allowed before penalty (km/h)', step: 5 },
+    { key: 'goldenBonus', label: strings.weightGoldenBonus || 'Golden hour bonus', step: 1 },
+    { key: 'blueBonus', label: strings.weightBlueBonus || 'Blue hour bonus', step: 1 },
+    { key: 'nightBonus', label: strings.weightNightBonus || 'Night bonus', step: 1 },
+  ];
+
   /**
-   * Get current GPS position.
-   * @returns {Promise<Object>} Position with lat, lon.
+   * Get the score profile currently selected in the header.
+   * @returns {Object} Score profile.
    */
-  function getCurrentPosition() {
-    return new Promise((resolve, reject) => {
-      if (!navigator.geolocation) {
-        reject(new Error('Geolocation not supported'));
-        return;
-      }
+  function getActiveScoreProfile() {
+    return state.scoreProfiles.find((profile) => profile.id === state.activeProfileId)
+      || state.scoreProfiles[0]
+      || BUILT_IN_SCORE_PROFILES[0];
+  }
 
-      navigator.geolocation.getCurrentPosition(
-        (position) => {
-          resolve({
-            lat: position.coords.latitude,
-            lon: position.coords.longitude,
-          });
-        },
-        (error) => {
-          reject(error);
-        },
-        { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
-      );
-    });
+  /**
+   * Get the weights used for photo scores.
+   * While a profile is being edited, its unsaved weights are used so the grid previews them.
+   * @returns {Object} Score weights.
+   */
+  function getScoreWeights() {
+    if (state.editingProfile) {
+      return state.editingProfile.weights;
+    }
+    return getActiveScoreProfile().weights;
   }
 
   /**
-   * Reverse geocode coordinates to location object.
-   * @param {number} lat - Latitude.
-   * @param {number} lon - Longitude.
-   * @returns {Promise<Object>} Location object with name, admin1, country, timezone.
+   * Load score profiles from storage, adding any missing built-in profiles or weights.
    */
-  async function reverseGeocode(lat, lon) {
+  async function loadScoreProfiles() {
+    let stored = [];
     try {
-      const result = await ajax('ccf_pwa_reverse_geocode', { lat, lon });
-      if (result && result.name) {
-        return result;
-      }
+      stored = await ForecastStorage.getSetting('scoreProfiles', []);
+      state.activeProfileId = await ForecastStorage.getSetting('activeScoreProfile', 'landscape');
     } catch (e) {
-      // Fallback to coordinates.
+      console.error('Error loading score profiles:', e);
     }
-    return {
-      lat,
-      lon,
-      name: `${lat.toFixed(4)}, ${lon.toFixed(4)}`,
-    };
+
+    const profiles = (Array.isArray(stored) ? stored : []).map((profile) => ({
+      ...profile,
+      weights: { ...DEFAULT_SCORE_WEIGHTS, ...profile.weights },
+    }));
+    BUILT_IN_SCORE_PROFILES.forEach((builtIn) => {
+      if (!profiles.some((profile) => profile.id === builtIn.id)) {
+        profiles.push({ ...builtIn, weights: { ...builtIn.weights } });
+      }
+    });
+
+    state.scoreProfiles = profiles;
   }
 
   /**
-   * Check if a location is already saved (by coordinates proximity).
-   * @param {number} lat - Latitude.
-   * @param {number} lon - Longitude.
-   * @returns {boolean} True if location is already saved.
+   * Persist all score profiles to storage.
+   * @returns {Promise}
    */
-  function isLocationSaved(lat, lon) {
-    const threshold = 0.01; // ~1km tolerance
-    return state.savedLocations.some(
-      (loc) => Math.abs(loc.lat - lat) < threshold && Math.abs(loc.lon - lon) < threshold
-    );
+  function saveScoreProfiles() {
+    return ForecastStorage.setSetting('scoreProfiles', state.scoreProfiles);
   }
 
-  // ============================================================
-  // UI RENDERING
-  // ============================================================
+  /**
+   * Select the active score profile.
+   * @param {string} id - Profile ID.
+   */
+  async function setActiveScoreProfile(id) {
+    if (!state.scoreProfiles.some((profile) => profile.id === id)) return;
 
-  const app = document.getElementById('app');
+    state.activeProfileId = id;
+    try {
+      await ForecastStorage.setSetting('activeScoreProfile', id);
+      await loadAlertMatches();
+    } catch (e) {
+      console.error('Error saving active score profile:', e);
+    }
+    renderAppKeepingScroll();
+  }
 
   /**
-   * Render the main app structure.
+   * Open the profile editor for the active score profile.
    */
-  function renderApp() {
-    app.innerHTML = `
-      <header class="app-header">
-        <div class="app-header-content">
-          <h1 class="app-title">${escapeHtml(strings.appTitle)}</h1>
-          <div class="app-status">
-            ${!state.isOnline ? `<span class="offline-badge">${escapeHtml(strings.offline)}</span>` : ''}
-            ${shouldShowInstallButton() ? `<button class="install-btn" data-action="install" title="${escapeHtml(strings.installApp || 'Install App')}">&#8681;</button>` : ''}
-            <button class="font-size-toggle ${getFontSizeClass()}" data-action="toggle-font-size" title="${escapeHtml(strings.fontSize || 'Font size')}">${getFontSizeLabel()}</button>
-            <button class="theme-toggle" data-action="toggle-theme" title="Toggle theme">${getThemeIcon()}</button>
-          </div>
-        </div>
-        <nav class="app-tabs">
-          <button class="tab-btn ${state.activeTab === 'home' ? 'active' : ''}" data-tab="home">
-            ${escapeHtml(strings.home)}
-          </button>
-          <button class="tab-btn ${state.activeTab === 'current' ? 'active' : ''}" data-tab="current">
-            ${escapeHtml(strings.current)}
-          </button>
-          <button class="tab-btn ${state.activeTab === 'locations' ? 'active' : ''}" data-tab="locations">
-            ${escapeHtml(strings.locations)}
-          </button>
-        </nav>
-      </header>
-      <main class="app-content" id="app-content">
-        ${renderTabContent()}
-      </main>
-      ${state.showInstallInstructions ? renderInstallInstructions() : ''}
-      ${state.editingLocation ? renderEditModal() : ''}
-    `;
+  function openProfileEditor() {
+    const profile = getActiveScoreProfile();
+    state.editingProfile = { ...profile, weights: { ...profile.weights } };
+    renderAppKeepingScroll();
+  }
 
-    attachEventListeners();
+  /**
+   * Close the profile editor, discarding unsaved weights.
+   */
+  function closeProfileEditor() {
+    state.editingProfile = null;
+    renderAppKeepingScroll();
   }
 
   /**
-   * Render install instructions modal for Safari/Firefox.
-   * @returns {string} HTML string.
+   * Update a weight in the profile being edited and refresh the grid preview.
+   * @param {string} key - Weight key.
+   * @param {string} value - Raw input value.
    */
-  function renderInstallInstructions() {
-    const browser = getBrowserType();
-    const isIOSDevice = isIOS();
+  function updateEditingWeight(key, value) {
+    if (!state.editingProfile || !(key in DEFAULT_SCORE_WEIGHTS)) return;
 
-    let instructions = '';
-    let icon = '';
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return;
 
-    if (isIOSDevice) {
-      if (browser === 'safari') {
-        icon = '&#61512;'; // Share icon approximation
-        instructions = `
-          <ol class="install-steps">
-            <li>${escapeHtml(strings.installStep1Safari || 'Tap the Share button')} <span class="install-icon">&#61512;</span></li>
-            <li>${escapeHtml(strings.installStep2Safari || 'Scroll down and tap "Add to Home Screen"')}</li>
-            <li>${escapeHtml(strings.installStep3Safari || 'Tap "Add" in the top right')}</li>
-          </ol>
-        `;
-      } else if (browser === 'chrome-ios') {
-        instructions = `
-          <ol class="install-steps">
-            <li>${escapeHtml(strings.installStep1ChromeIOS || 'Tap the Share button')} <span class="install-icon">&#61512;</span></li>
-            <li>${escapeHtml(strings.installStep2ChromeIOS || 'Tap "Add to Home Screen"')}</li>
-            <li>${escapeHtml(strings.installStep3ChromeIOS || 'Tap "Add" to confirm')}</li>
-          </ol>
-        `;
-      } else if (browser === 'firefox') {
-        instructions = `
-          <ol class="install-steps">
-            <li>${escapeHtml(strings.installStep1FirefoxIOS || 'Tap the menu button')} <span class="install-icon">&#8943;</span></li>
-            <li>${escapeHtml(strings.installStep2FirefoxIOS || 'Tap "Share"')}</li>
-            <li>${escapeHtml(strings.installStep3FirefoxIOS || 'Tap "Add to Home Screen"')}</li>
-          </ol>
-        `;
-      } else {
-        instructions = `
-          <ol class="install-steps">
-            <li>${escapeHtml(strings.installStepGenericIOS || 'Open this page in Safari, then tap Share and "Add to Home Screen"')}</li>
-          </ol>
-        `;
+    state.editingProfile.weights[key] = number;
+    refreshForecastGrid();
+  }
+
+  /**
+   * Save the profile being edited.
+   * @param {boolean} asNew - Save as a new custom profile instead of overwriting.
+   */
+  async function saveProfileEdit(asNew = false) {
+    if (!state.editingProfile) return;
+
+    const nameInput = document.getElementById('profile-name');
+    let name = nameInput ? nameInput.value.trim() : '';
+    if (!name) name = state.editingProfile.name;
+
+    if (asNew) {
+      if (name === state.editingProfile.name) {
+        name = `${name} ${strings.copySuffix || '(copy)'}`;
       }
+      const profile = {
+        id: `custom-${Date.now()}`,
+        name,
+        weights: { ...state.editingProfile.weights },
+      };
+      state.scoreProfiles.push(profile);
+      state.activeProfileId = profile.id;
     } else {
-      // Android Firefox or other browsers
-      if (browser === 'firefox') {
-        instructions = `
-          <ol class="install-steps">
-            <li>${escapeHtml(strings.installStep1Firefox || 'Tap the menu button')} <span class="install-icon">&#8942;</span></li>
-            <li>${escapeHtml(strings.installStep2Firefox || 'Tap "Install"')}</li>
-          </ol>
-        `;
-      } else {
-        instructions = `
-          <ol class="install-steps">
-            <li>${escapeHtml(strings.installStep1Generic || 'Tap the browser menu')} <span class="install-icon">&#8942;</span></li>
-            <li>${escapeHtml(strings.installStep2Generic || 'Look for "Install app" or "Add to Home Screen"')}</li>
-          </ol>
-        `;
-      }
+      state.scoreProfiles = state.scoreProfiles.map((profile) => (
+        profile.id === state.editingProfile.id
+          ? { ...profile, name, weights: { ...state.editingProfile.weights } }
+          : profile
+      ));
     }
 
-    return `
-      <div class="install-modal-overlay" data-action="close-install">
-        <div class="install-modal">
-          <button class="install-modal-close" data-action="close-install">&times;</button>
-          <h2>${escapeHtml(strings.installTitle || 'Install App')}</h2>
-          <p class="install-description">${escapeHtml(strings.installDescription || 'Install this app on your device for quick access.')}</p>
-          ${instructions}
-        </div>
-      </div>
-    `;
+    state.editingProfile = null;
+    try {
+      await saveScoreProfiles();
+      await ForecastStorage.setSetting('activeScoreProfile', state.activeProfileId);
+    } catch (e) {
+      console.error('Error saving score profile:', e);
+    }
+    renderAppKeepingScroll();
   }
 
   /**
-   * Render edit location modal.
-   * @returns {string} HTML string.
+   * Reset the built-in profile being edited to its default weights.
    */
-  function renderEditModal() {
-    const location = state.editingLocation;
-    if (!location) return '';
+  function resetProfileEdit() {
+    if (!state.editingProfile) return;
 
-    const name = location.name || '';
-    const admin1 = location.admin1 || '';
-    const notes = location.notes || '';
+    const builtIn = BUILT_IN_SCORE_PROFILES.find((profile) => profile.id === state.editingProfile.id);
+    if (!builtIn) return;
 
-    return `
-      <div class="edit-modal-overlay" data-action="cancel-edit">
-        <div class="edit-modal">
-          <button class="edit-modal-close" data-action="cancel-edit">&times;</button>
-          <h2>${escapeHtml(strings.editLocation || 'Edit Location')}</h2>
-          <form class="edit-form" id="edit-location-form">
-            <div class="form-group">
-              <label for="edit-name">${escapeHtml(strings.name || 'Name')}</label>
-              <input type="text" id="edit-name" class="form-input" value="${escapeHtml(name)}" required>
-            </div>
-            <div class="form-group">
-              <label for="edit-admin1">${escapeHtml(strings.region || 'Region')} <span class="optional">(${escapeHtml(strings.optional || 'optional')})</span></label>
-              <input type="text" id="edit-admin1" class="form-input" value="${escapeHtml(admin1)}" placeholder="${escapeHtml(strings.regionPlaceholder || 'State, province, or region')}">
-            </div>
-            <div class="form-group">
-              <label for="edit-notes">${escapeHtml(strings.notes || 'Notes')} <span class="optional">(${escapeHtml(strings.optional || 'optional')})</span></label>
-              <textarea id="edit-notes" class="form-textarea" rows="3" placeholder="${escapeHtml(strings.notesPlaceholder || 'Add notes about this location...')}">${escapeHtml(notes)}</textarea>
-            </div>
-            <div class="form-actions">
-              <button type="button" class="btn" data-action="cancel-edit">${escapeHtml(strings.cancel || 'Cancel')}</button>
-              <button type="submit" class="btn btn-primary" data-action="save-location-edit">${escapeHtml(strings.save || 'Save')}</button>
-            </div>
-          </form>
-        </div>
-      </div>
-    `;
+    state.editingProfile = { ...state.editingProfile, name: builtIn.name, weights: { ...builtIn.weights } };
+    renderAppKeepingScroll();
   }
 
   /**
-   * Handle install button click.
+   * Delete the custom profile being edited.
    */
-  async function handleInstallClick() {
-    // If we have a deferred prompt (Chrome/Edge), use it
-    if (state.deferredInstallPrompt) {
-      try {
-        state.deferredInstallPrompt.prompt();
-        const result = await state.deferredInstallPrompt.userChoice;
-        if (result.outcome === 'accepted') {
-          state.deferredInstallPrompt = null;
-        }
-      } catch (e) {
-        console.error('Install prompt error:', e);
-      }
-      return;
+  async function deleteProfileEdit() {
+    if (!state.editingProfile || state.editingProfile.builtIn) return;
+
+    const id = state.editingProfile.id;
+    state.scoreProfiles = state.scoreProfiles.filter((profile) => profile.id !== id);
+    if (state.activeProfileId === id) {
+      state.activeProfileId = BUILT_IN_SCORE_PROFILES[0].id;
     }
+    state.editingProfile = null;
 
-    // Otherwise, show manual instructions
-    state.showInstallInstructions = true;
-    renderApp();
+    try {
+      await saveScoreProfiles();
+      await ForecastStorage.setSetting('activeScoreProfile', state.activeProfileId);
+    } catch (e) {
+      console.error('Error deleting score profile:', e);
+    }
+    renderAppKeepingScroll();
   }
 
+  // ============================================================
+  // ALERT RULES
+  // ============================================================
+
+  /** Alert rule metrics, with fixed units or a unit kind converted like the grid. */
+  const ALERT_METRIC_OPTIONS = [
+    { value: 'cloud_total', label: strings.cloudTotal || 'Total cloud', unit: '%' },
+    { value: 'cloud_low', label: strings.cloudLow || 'Low cloud', unit: '%' },
+    { value: 'cloud_mid', label: strings.cloudMid || 'Mid cloud', unit: '%' },
+    { value: 'cloud_high', label: strings.cloudHigh || 'High cloud', unit: '%' },
+    { value: 'rain_chance', label: strings.rainChance || 'Rain chance', unit: '%' },
+    { value: 'wind_speed', label: strings.wind || 'Wind', kind: 'wind' },
+    { value: 'visibility', label: strings.visibility || 'Visibility', kind: 'distance' },
+    { value: 'temperature', label: strings.temperature || 'Temperature', kind: 'temperature' },
+    { value: 'humidity', label: strings.humidity || 'Humidity', unit: '%' },
+    { value: 'photo_score', label: strings.alertPhotoScore || 'Photo score', unit: '' },
+    { value: 'frost', label: strings.noFrost || 'No frost', unit: '' },
+  ];
+
+  /** Alert rule periods. */
+  const ALERT_PERIOD_OPTIONS = [
+    { value: 'any', label: strings.periodAny || 'Any time' },
+    { value: 'day', label: strings.periodDay || 'Daylight' },
+    { value: 'sunrise', label: strings.periodSunrise || 'Sunrise' },
+    { value: 'sunset', label: strings.periodSunset || 'Sunset' },
+    { value: 'night', label: strings.periodNight || 'After dark' },
+    { value: 'astro-dark', label: strings.periodAstroDark || 'Astro dusk to dawn' },
+  ];
+
   /**
-   * Close install instructions modal.
+   * Create a new alert rule with sensible defaults.
+   * @returns {Object} Alert rule.
    */
-  function closeInstallInstructions() {
-    state.showInstallInstructions = false;
-    renderApp();
+  function createAlertRule() {
+    return { metric: 'cloud_total', op: 'below', value: 20, period: 'astro-dark', minHours: 3 };
   }
 
   /**
-   * Render the current tab content.
-   * @returns {string} HTML string.
+   * Evaluate a saved location's alert rules against a forecast.
+   * @param {Object} location - Saved location.
+   * @param {Object} forecast - Forecast data.
    */
-  function renderTabContent() {
-    switch (state.activeTab) {
-      case 'home':
-        return renderHomeTab();
-      case 'current':
-        return renderCurrentTab();
-      case 'locations':
-        return renderLocationsTab();
-      default:
-        return '';
-    }
+  function updateAlertMatches(location, forecast) {
+    if (!location.id || !location.alertRules) return;
+    state.alertMatches[location.id] = findRuleMatches(forecast, location.alertRules, getScoreWeights());
   }
 
   /**
-   * Render the home tab.
-   * @returns {string} HTML string.
+   * Evaluate alert rules for every saved location with a known forecast.
    */
-  function renderHomeTab() {
-    if (state.isLoading) {
-      return renderLoading();
-    }
-
-    if (state.error) {
-      return renderError(state.error);
+  async function loadAlertMatches() {
+    state.alertMatches = {};
+    for (const location of state.savedLocations) {
+      if (!location.alertRules || location.alertRules.length === 0) continue;
+
+      const forecast = state.forecastData[location.id]
+        || await ForecastStorage.getCachedForecast(location.id, FORECAST_RETENTION);
+      if (forecast) {
+        updateAlertMatches(location, forecast);
+      }
     }
+  }
 
-    // Shared location from URL takes precedence
-    if (state.sharedLocation) {
-      const forecast = state.forecastData['shared'];
-      if (!forecast) {
-        return renderLoading();
+  /**
+   * Get the grid hour indexes covered by a location's alert matches.
+   * @param {number|null} locationId - Saved location ID.
+   * @returns {Set<number>} Hour indexes.
+   */
+  function getAlertHours(locationId) {
+    const hours = new Set();
+    (state.alertMatches[locationId] || []).forEach((match) => {
+      for (let i = match.startIndex; i < match.endIndex; i++) {
+        hours.add(i);
       }
-      return renderForecastView(state.sharedLocation, forecast, 'shared');
-    }
+    });
+    return hours;
+  }
 
-    if (!state.homeLocation) {
-      return `
-        <div class="empty-state">
-          <div class="empty-icon">&#127968;</div>
-          <h2>${escapeHtml(strings.noHomeLocation)}</h2>
-          <p>${escapeHtml(strings.addFirstLocation)}</p>
-          <button class="btn btn-primary" data-action="go-to-locations">
-            ${escapeHtml(strings.goToLocations)}
-          </button>
-        </div>
-      `;
-    }
+  /**
+   * Copy the edit form's text fields into state before a re-render.
+   */
+  function syncEditForm() {
+    if (!state.editingLocation) return;
 
-    const forecast = state.forecastData[state.homeLocation.id];
-    if (!forecast) {
-      return renderLoading();
-    }
+    const nameInput = document.getElementById('edit-name');
+    const admin1Input = document.getElementById('edit-admin1');
+    const notesInput = document.getElementById('edit-notes');
+    const tagsInput = document.getElementById('edit-tags');
+    if (nameInput) state.editingLocation.name = nameInput.value;
+    if (admin1Input) state.editingLocation.admin1 = admin1Input.value;
+    if (notesInput) state.editingLocation.notes = notesInput.value;
+    if (tagsInput) state.editingLocation.tags = tagsInput.value;
+
+    const bearingInput = document.getElementById('edit-bearing');
+    const viewWidthInput = document.getElementById('edit-view-width');
+    const horizonInput = document.getElementById('edit-horizon');
+    if (bearingInput) state.editingLocation.bearing = bearingInput.value === '' ? null : bearingInput.value;
+    if (viewWidthInput) state.editingLocation.viewWidth = viewWidthInput.value;
+    if (horizonInput) state.editingLocation.horizon = horizonInput.value;
+  }
 
-    return renderForecastView(state.homeLocation, forecast, 'home');
+  /**
+   * Add an alert rule to the location being edited.
+   */
+  function addAlertRule() {
+    if (!state.editingLocation) return;
+
+    syncEditForm();
+    state.editingLocation.alertRules = [...(state.editingLocation.alertRules || []), createAlertRule()];
+    renderApp();
   }
 
   /**
-   * Render the current location tab.
-   * @returns {string} HTML string.
+   * Remove an alert rule from the location being edited.
+   * @param {number} index - Rule index.
    */
-  function renderCurrentTab() {
-    if (state.isLoading) {
-      return `
-        <div class="loading-state">
-          <div class="loading-spinner"></div>
-          <p>${escapeHtml(strings.gettingLocation)}</p>
-        </div>
-      `;
-    }
+  function removeAlertRule(index) {
+    if (!state.editingLocation) return;
 
-    if (state.error) {
-      if (state.error.includes('denied') || state.error.includes('permission')) {
-        return `
-          <div class="empty-state">
-            <div class="empty-icon">&#128205;</div>
-            <h2>${escapeHtml(strings.locationDenied)}</h2>
-            <p>${escapeHtml(strings.enableLocation)}</p>
-            <button class="btn btn-primary" data-action="retry-location">
-              ${escapeHtml(strings.retry)}
-            </button>
-          </div>
-        `;
+    syncEditForm();
+    state.editingLocation.alertRules = (state.editingLocation.alertRules || []).filter((_, i) => i !== index);
+    renderApp();
+  }
+
+  /**
+   * Update one field of an alert rule being edited.
+   * @param {number} index - Rule index.
+   * @param {string} field - Rule field.
+   * @param {string} value - Raw input value.
+   */
+  function updateAlertRuleField(index, field, value) {
+    const rules = state.editingLocation?.alertRules;
+    if (!rules || !rules[index]) return;
+
+    if (field === 'value' || field === 'minHours') {
+      let number = parseFloat(value);
+      if (isNaN(number)) return;
+
+      // Rule values are stored in the forecast's units.
+      const metric = ALERT_METRIC_OPTIONS.find((option) => option.value === rules[index].metric);
+      if (field === 'value' && metric && metric.kind) {
+        number = convertUnitBack(metric.kind, number);
       }
-      return renderError(state.error);
+      state.editingLocation.alertRules = updateAlertRule(rules, index, { [field]: number });
+    } else {
+      state.editingLocation.alertRules = updateAlertRule(rules, index, { [field]: value });
     }
 
-    if (!state.currentLocation) {
-      return `
-        <div class="loading-state">
-          <div class="loading-spinner"></div>
-          <p>${escapeHtml(strings.gettingLocation)}</p>
-        </div>
-      `;
+    // Frost rules have no comparison, so the row changes shape.
+    if (field === 'metric') {
+      syncEditForm();
+      renderApp();
     }
+  }
 
-    const forecast = state.forecastData['current'];
-    if (!forecast) {
-      return renderLoading();
-    }
+  // ============================================================
+  // COMPARE
+  // ============================================================
 
-    return renderForecastView(state.currentLocation, forecast, 'current');
+  const COMPARE_MIN_LOCATIONS = 2;
+  const COMPARE_MAX_LOCATIONS = 6;
+
+  /** Hours shown in the comparison matrix. */
+  const COMPARE_HOURS = 48;
+
+  /**
+   * Get the compared location IDs that still exist.
+   * @returns {Array<number>} Location IDs.
+   */
+  function getCompareLocationIds() {
+    return state.compareLocationIds.filter((id) => state.savedLocations.some((loc) => loc.id === id));
   }
 
   /**
-   * Render the locations tab.
-   * @returns {string} HTML string.
+   * Load the compared locations, defaulting to the first two saved ones.
    */
-  function renderLocationsTab() {
-    return `
-      <div class="locations-panel">
-        <div class="search-box">
-          <input
-            type="text"
-            class="search-input"
-            id="location-search"
-            placeholder="${escapeHtml(strings.searchLocation)}"
-            autocomplete="off"
-          >
-          <button class="search-btn" id="search-btn" ${state.isSearching ? 'disabled' : ''}>
-            ${state.isSearching ? escapeHtml(strings.loading) : 'Search'}
-          </button>
-        </div>
-        ${state.searchResults.length > 0 ? renderSearchResults() : ''}
-        <div class="saved-locations">
-          <div class="locations-header">
-            <h2>${escapeHtml(strings.locations)}</h2>
-            <div class="locations-actions">
-              <button class="btn btn-sm" data-action="export-locations" title="${escapeHtml(strings.exportLocations || 'Export')}">
-                &#8599; ${escapeHtml(strings.export || 'Export')}
-              </button>
-              <button class="btn btn-sm" data-action="import-locations" title="${escapeHtml(strings.importLocations || 'Import')}">
-                &#8601; ${escapeHtml(strings.import || 'Import')}
-              </button>
-              <input type="file" id="import-file" accept=".json" style="display: none;">
-            </div>
-          </div>
-          ${state.savedLocations.length === 0 ? `
-            <div class="empty-state small">
-              <p>${escapeHtml(strings.noLocations)}</p>
-              <p class="hint">${escapeHtml(strings.addFirstLocation)}</p>
-            </div>
-          ` : `
-            <ul class="location-list">
-              ${state.savedLocations.map(renderLocationItem).join('')}
-            </ul>
-          `}
-        </div>
-      </div>
-    `;
+  async function loadCompareSelection() {
+    const saved = await ForecastStorage.getSetting('compareLocationIds', null);
+    state.compareLocationIds = Array.isArray(saved)
+      ? saved
+      : state.savedLocations.slice(0, COMPARE_MIN_LOCATIONS).map((loc) => loc.id);
+    state.compareMetric = await ForecastStorage.getSetting('compareMetric', 'score');
   }
 
   /**
-   * Render search results.
-   * @returns {string} HTML string.
+   * Add or remove a location from the comparison.
+   * @param {number} id - Location ID.
+   * @param {boolean} selected - Whether it should be compared.
    */
-  function renderSearchResults() {
-    return `
-      <div class="search-results">
-        ${state.searchResults.map((result, index) => `
-          <button class="search-result" data-action="add-location" data-index="${index}">
-            <span class="result-name">${escapeHtml(result.name)}</span>
-            <span class="result-detail">${escapeHtml([result.admin1, result.country].filter(Boolean).join(', '))}</span>
-          </button>
-        `).join('')}
-      </div>
-    `;
+  async function toggleCompareLocation(id, selected) {
+    const ids = getCompareLocationIds().filter((existing) => existing !== id);
+    if (selected && ids.length < COMPARE_MAX_LOCATIONS) {
+      ids.push(id);
+    }
+    state.compareLocationIds = ids;
+
+    try {
+      await ForecastStorage.setSetting('compareLocationIds', ids);
+    } catch (e) {
+      console.error('Error saving compared locations:', e);
+    }
+    loadCompareTab();
   }
 
   /**
-   * Render a location list item.
-   * @param {Object} location - Location object.
-   * @returns {string} HTML string.
+   * Switch the value the comparison matrix is coloured by.
+   * @param {string} metric - 'score' or 'cloud'.
    */
-  function renderLocationItem(location) {
-    const displayName = location.admin1
-      ? `${location.name}, ${location.admin1}`
-      : location.name;
-    const mapsUrl = getGoogleMapsUrl(location.lat, location.lon);
-
-    return `
-      <li class="location-item ${location.isHome ? 'is-home' : ''}" data-id="${location.id}">
-        <button class="location-info" data-action="view-location" data-id="${location.id}">
-          <span class="location-name">
-            ${location.isHome ? '<span class="home-badge">&#127968;</span>' : ''}
-            ${escapeHtml(displayName)}
-          </span>
-          ${location.notes ? `<span class="location-notes">${escapeHtml(location.notes)}</span>` : ''}
-          <span class="location-coords">${location.lat.toFixed(2)}, ${location.lon.toFixed(2)}</span>
-        </button>
-        <div class="location-actions">
-          <button class="btn btn-icon" data-action="edit-location" data-id="${location.id}" title="${escapeHtml(strings.edit || 'Edit')}">
-            &#9998;
-          </button>
-          <a href="${mapsUrl}" target="_blank" rel="noopener" class="btn btn-icon" title="View on Google Maps">
-            &#128205;
-          </a>
-          <button class="btn btn-icon" data-action="share-location" data-id="${location.id}" title="${escapeHtml(strings.share || 'Share')}">
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/><line x1="8.59" y1="13.51" x2="15.42" y2="17.49"/><line x1="15.41" y1="6.51" x2="8.59" y2="10.49"/></svg>
-          </button>
-          ${!location.isHome ? `
-            <button class="btn btn-icon" data-action="set-home" data-id="${location.id}" title="${escapeHtml(strings.setAsHome)}">
-              &#127968;
-            </button>
-          ` : ''}
-          <button class="btn btn-icon btn-danger" data-action="delete-location" data-id="${location.id}" title="${escapeHtml(strings.delete)}">
-            &#128465;
-          </button>
-        </div>
-      </li>
-    `;
+  function setCompareMetric(metric) {
+    state.compareMetric = metric === 'cloud' ? 'cloud' : 'score';
+    ForecastStorage.setSetting('compareMetric', state.compareMetric).catch((e) => {
+      console.error('Error saving compare metric:', e);
+    });
+    renderApp();
   }
 
   /**
-   * Render jump buttons for quick navigation.
-   * @returns {string} HTML string.
+   * Fetch forecasts for every compared location in parallel.
    */
-  function renderJumpButtons() {
-    return `
-      <div class="jump-buttons">
-        <span class="current-day-display" id="current-day-display"></span>
-        <div class="jump-buttons-nav">
-          <button class="jump-btn" data-action="jump-to" data-target="prev-day" title="${escapeHtml(strings.previousDay || 'Previous day')}">
-            <span class="jump-btn-icon">&#9664;</span>
-          </button>
-          <button class="jump-btn" data-action="jump-to" data-target="now" title="${escapeHtml(strings.jumpToNow || 'Jump to now')}">
-            <span class="jump-btn-icon">&#9201;</span>
-            <span>${escapeHtml(strings.now || 'Now')}</span>
-          </button>
-          <button class="jump-btn" data-action="jump-to" data-target="next-day" title="${escapeHtml(strings.nextDay || 'Next day')}">
-            <span class="jump-btn-icon">&#9654;</span>
-          </button>
-        </div>
-      </div>
-    `;
+  function loadCompareTab() {
+    return loadLocationForecasts(getCompareLocationIds(), 'compare');
   }
 
   /**
-   * Render the forecast view.
-   * @param {Object} location - Location object.
-   * @param {Object} forecast - Forecast data.
-   * @param {string} source - Source identifier ('home', 'current', 'shared').
-   * @returns {string} HTML string.
+   * Fetch any missing forecasts for a set of saved locations in parallel,
+   * then revalidate the stale ones.
+   * @param {Array<number>} ids - Saved location IDs.
+   * @param {string} tab - Tab to re-render once they have loaded.
    */
-  function renderForecastView(location, forecast, source) {
-    const displayName = location.admin1
-      ? `${location.name}, ${location.admin1}`
-      : location.name || `${location.lat.toFixed(2)}, ${location.lon.toFixed(2)}`;
-    const mapsUrl = getGoogleMapsUrl(location.lat, location.lon);
-    const canSave = !location.id && !isLocationSaved(location.lat, location.lon);
-    const alreadySaved = !location.id && isLocationSaved(location.lat, location.lon);
+  async function loadLocationForecasts(ids, tab) {
+    const locations = ids
+      .map((id) => state.savedLocations.find((loc) => loc.id === id))
+      .filter((loc) => !state.forecastData[loc.id]);
 
-    // Get today's sunrise/sunset times
-    const today = forecast.daily?.[0];
-    const twilight = today?.twilight || {};
-    const timezone = forecast.location?.timezone;
-    const sunrise = twilight.sunrise || (today?.sunrise ? formatDateTime(today.sunrise, 'time', timezone) : '');
-    const sunset = twilight.sunset || (today?.sunset ? formatDateTime(today.sunset, 'time', timezone) : '');
+    if (locations.length === 0) {
+      renderApp();
+      ids.forEach(revalidateIfStale);
+      return;
+    }
 
-    return `
-      <div class="forecast-view">
-        <div class="forecast-header">
-          <div class="forecast-header-main">
-            <h2 class="forecast-location">
-              ${escapeHtml(displayName)}
-              <a href="${mapsUrl}" target="_blank" rel="noopener" class="maps-link" title="View on Google Maps">&#128205;</a>
-            </h2>
-            ${sunrise && sunset ? `
-              <div class="forecast-sun-times">
-                <span class="sun-time sunrise">&#9728;&#xFE0E; ${escapeHtml(sunrise)}</span>
-                <span class="sun-time sunset">&#9790; ${escapeHtml(sunset)}</span>
-              </div>
-            ` : ''}
-          </div>
-          <div class="forecast-header-actions">
-            ${forecast.location?.timezone_abbr ? `
-              <span class="forecast-timezone">${escapeHtml(forecast.location.timezone_abbr)}</span>
-            ` : ''}
-            <button class="btn btn-icon" data-action="share-location" data-source="${source}" title="${escapeHtml(strings.share || 'Share')}">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/><line x1="8.59" y1="13.51" x2="15.42" y2="17.49"/><line x1="15.41" y1="6.51" x2="8.59" y2="10.49"/></svg>
-            </button>
-            ${canSave ? `
-              <button class="btn btn-save-location" data-action="save-current-location" title="${escapeHtml(strings.saveLocation || 'Save Location')}">
-                &#128190; ${escapeHtml(strings.saveLocation || 'Save')}
-              </button>
-            ` : ''}
-            ${alreadySaved ? `
-              <span class="saved-badge" title="${escapeHtml(strings.locationSaved || 'Location saved')}">&#10003; ${escapeHtml(strings.saved || 'Saved')}</span>
-            ` : ''}
-          </div>
-        </div>
-        ${renderJumpButtons()}
-        ${renderForecastGrid(forecast)}
-      </div>
-    `;
+    state.isLoading = true;
+    state.error = null;
+    renderApp();
+
+    const results = await Promise.allSettled(locations.map((location) => fetchForecast(location)));
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        state.forecastData[locations[i].id] = result.value;
+      } else {
+        state.error = result.reason?.message || null;
+      }
+    });
+
+    state.isLoading = false;
+    if (state.activeTab === tab) {
+      renderApp();
+    }
+    ids.forEach(revalidateIfStale);
   }
 
   /**
-   * Render solar information panel.
-   * @param {Object} forecast - Forecast data.
-   * @returns {string} HTML string.
+   * Get the value shown in a comparison cell for the selected metric.
+   * @param {Object} hour - Hourly weather data.
+   * @param {string} sunlightClass - Sunlight CSS class for the hour.
+   * @returns {number|null}
    */
-  function renderSolarInfo(forecast) {
-    const today = forecast.daily?.[0];
-    if (!today) return '';
-
-    const twilight = today.twilight || {};
-    const sunrise = twilight.sunrise || formatDateTime(today.sunrise, 'time');
-    const sunset = twilight.sunset || formatDateTime(today.sunset, 'time');
+  function getCompareValue(hour, sunlightClass) {
+    if (state.compareMetric === 'cloud') {
+      return hour.cloud_total != null ? Math.round(hour.cloud_total) : null;
+    }
+    return calculatePhotoScore(hour, sunlightClass);
+  }
 
-    return `
-      <div class="info-panel-compact solar-panel-compact">
-        <span class="solar-times">${escapeHtml(sunrise)} - ${escapeHtml(sunset)}</span>
-      </div>
-    `;
+  /**
+   * Get the colour class for a comparison value.
+   * @param {number} value - Photo score or cloud total.
+   * @returns {string} CSS class.
+   */
+  function getCompareClass(value) {
+    if (state.compareMetric === 'cloud') {
+      return getColorClass(value, getThresholds('cloud'));
+    }
+    return getScoreClass(value).replace('score-', '');
   }
 
   /**
-   * Render lunar information panel.
+   * Get the instant each forecast hour starts. Hour times are wall-clock
+   * times at the location, not in the browser's time zone.
    * @param {Object} forecast - Forecast data.
-   * @returns {string} HTML string.
+   * @returns {Array<number|null>} Timestamps, by hour index.
    */
-  function renderLunarInfo(forecast) {
-    const todayDate = forecast.daily?.[0]?.date;
-    const moon = todayDate ? forecast.moon?.[todayDate] : null;
-    if (!moon || moon.moon_illumination == null) return '';
-
-    return `
-      <div class="info-panel lunar-panel">
-        <h3>${escapeHtml(strings.moon)}</h3>
-        <div class="info-grid">
-          <div class="info-item">
-            <span class="info-icon">${getMoonPhaseEmoji(moon.moon_illumination)}</span>
-            <span class="info-label">${escapeHtml(strings.phase)}</span>
-            <span class="info-value">${escapeHtml(moon.moon_phase_name)}</span>
-          </div>
-          <div class="info-item">
-            <span class="info-icon">&#128161;</span>
-            <span class="info-label">${escapeHtml(strings.illumination)}</span>
-            <span class="info-value">${moon.moon_illumination}%</span>
-          </div>
-          ${moon.moonrise ? `
-            <div class="info-item">
-              <span class="info-icon">&#8593;</span>
-              <span class="info-label">${escapeHtml(strings.moonrise)}</span>
-              <span class="info-value">${escapeHtml(moon.moonrise)}</span>
-            </div>
-          ` : ''}
-          ${moon.moonset ? `
-            <div class="info-item">
-              <span class="info-icon">&#8595;</span>
-              <span class="info-label">${escapeHtml(strings.moonset)}</span>
-              <span class="info-value">${escapeHtml(moon.moonset)}</span>
-            </div>
-          ` : ''}
-        </div>
-      </div>
-    `;
+  function getHourTimestamps(forecast) {
+    const timezone = forecast.location?.timezone;
+    return (forecast.hourly || []).map((hour) => {
+      const [date, clock] = hour.time.split('T');
+      return parseTimeToTimestamp(date, clock, timezone);
+    });
   }
 
   /**
-   * Get moon phase emoji based on illumination.
-   * @param {number} illumination - Moon illumination percentage.
-   * @returns {string} Emoji.
+   * Find tonight's hours in a forecast: today's civil dusk to tomorrow's civil dawn.
+   * @param {Object} forecast - Forecast data.
+   * @param {Array<number|null>} [hourTimestamps] - From getHourTimestamps(), if already known.
+   * @returns {Object|null} {startIndex, endIndex} or null.
    */
-  function getMoonPhaseEmoji(illumination) {
-    if (illumination < 5) return '&#127761;'; // New moon
-    if (illumination < 35) return '&#127762;'; // Waxing crescent
-    if (illumination < 65) return '&#127763;'; // First quarter
-    if (illumination < 95) return '&#127764;'; // Waxing gibbous
-    return '&#127765;'; // Full moon
+  function getTonightRange(forecast, hourTimestamps = getHourTimestamps(forecast)) {
+    const timezone = forecast.location?.timezone;
+    const todayStr = new Date().toLocaleDateString('en-CA', timezone ? { timeZone: timezone } : {});
+    const daily = forecast.daily || [];
+    const dayIndex = Math.max(0, daily.findIndex((day) => day.date === todayStr));
+    const dusk = daily[dayIndex] && getSunEventTimes(daily[dayIndex], timezone);
+    const dawn = daily[dayIndex + 1] && getSunEventTimes(daily[dayIndex + 1], timezone);
+    if (!dusk || !dawn) return null;
+
+    let startIndex = -1;
+    let endIndex = -1;
+    hourTimestamps.forEach((ts, index) => {
+      if (ts !== null && ts >= dusk.civilDuskTs && ts < dawn.civilDawnTs) {
+        if (startIndex === -1) startIndex = index;
+        endIndex = index + 1;
+      }
+    });
+    return startIndex === -1 ? null : { startIndex, endIndex };
   }
 
   /**
-   * Render the forecast grid.
+   * Work out what a comparison row needs from a forecast: where "now" is,
+   * a lookup by the instant each hour starts, sunlight classes and
+   * tonight's average value.
    * @param {Object} forecast - Forecast data.
-   * @returns {string} HTML string.
+   * @returns {Object} {firstIndex, hourTimestamps, indexByTime, sunlightClasses, tonight}.
    */
-  function renderForecastGrid(forecast) {
+  function getCompareRowData(forecast) {
     const hourly = forecast.hourly || [];
-    if (hourly.length === 0) return '';
-
-    const timezone = forecast.location?.timezone;
-    const now = new Date();
+    const now = Date.now();
 
-    // Get current hour in the location's timezone
-    const nowInTz = timezone
-      ? new Date(now.toLocaleString('en-US', { timeZone: timezone }))
-      : now;
-    const currentHour = nowInTz.getHours();
-    const todayStr = nowInTz.toISOString().split('T')[0];
+    // Rows in different time zones line up by timestamp rather than by time string.
+    const hourTimestamps = getHourTimestamps(forecast);
+    const indexByTime = {};
+    hourTimestamps.forEach((ts, index) => {
+      indexByTime[ts] = index;
+    });
 
-    // Find current hour index for auto-scroll.
-    let currentHourIndex = -1;
-    hourly.forEach((hour, index) => {
-      // Parse hour time in location timezone
-      const hourDate = new Date(hour.time);
-      const hourInTz = timezone
-        ? new Date(hourDate.toLocaleString('en-US', { timeZone: timezone }))
-        : hourDate;
-      const hourDateStr = hourInTz.toISOString().split('T')[0];
-      if (hourDateStr === todayStr && hourInTz.getHours() === currentHour) {
-        currentHourIndex = index;
+    let firstIndex = hourTimestamps.findIndex((ts) => ts + HOUR_MS > now);
+    if (firstIndex === -1) firstIndex = 0;
+
+    const sunlightClasses = getSunlightClasses(forecast);
+
+    let tonight = null;
+    const range = getTonightRange(forecast, hourTimestamps);
+    if (range) {
+      let total = 0;
+      let count = 0;
+      for (let i = range.startIndex; i < range.endIndex; i++) {
+        const value = getCompareValue(hourly[i], sunlightClasses[i]);
+        if (value != null) {
+          total += value;
+          count++;
+        }
       }
-    });
+      tonight = count > 0 ? Math.round(total / count) : null;
+    }
 
-    return `
-      <div class="forecast-grid-container" id="forecast-grid">
-        <div class="forecast-grid">
-          ${renderGridHeader()}
-          ${renderGridBody(hourly, forecast, currentHourIndex, timezone)}
-        </div>
-      </div>
-    `;
+    return { firstIndex, hourTimestamps, indexByTime, sunlightClasses, tonight };
   }
 
+  // ============================================================
+  // TRIPS
+  // ============================================================
+
+  /** Longest trip that can be planned, in nights. */
+  const TRIP_MAX_NIGHTS = 21;
+
+  /** Score points a swap has to gain across its two nights to be suggested. */
+  const TRIP_SWAP_MIN_GAIN = 10;
+
+  /** Shooting windows shown for each night of a trip. */
+  const TRIP_WINDOWS = [
+    { key: 'evening', label: strings.tripEvening || 'Evening' },
+    { key: 'night', label: strings.night || 'Night' },
+    { key: 'morning', label: strings.tripMorning || 'Morning' },
+  ];
+
   /**
-   * Render the grid header (row labels).
-   * @returns {string} HTML string.
+   * Shift a date by a number of days.
+   * @param {string} date - Date (YYYY-MM-DD).
+   * @param {number} days - Days to add.
+   * @returns {string} Date (YYYY-MM-DD).
    */
-  function renderGridHeader() {
-    return `
-      <div class="grid-row-labels">
-        <div class="grid-label header-label">Time</div>
-        <div class="grid-label photo-score-label">${escapeHtml(strings.photoScore || 'Photo')}</div>
-        <div class="grid-label section-header">${escapeHtml(strings.clouds)}</div>
-        <div class="grid-label">${escapeHtml(strings.total)}</div>
-        <div class="grid-label">${escapeHtml(strings.low)}</div>
-        <div class="grid-label">${escapeHtml(strings.mid)}</div>
-        <div class="grid-label">${escapeHtml(strings.high)}</div>
-        <div class="grid-label section-header">${escapeHtml(strings.sun)}</div>
-        <div class="grid-label section-header">${escapeHtml(strings.moon)}</div>
-        <div class="grid-label section-header">${escapeHtml(strings.rain)}</div>
-        <div class="grid-label">${escapeHtml(strings.chance)}</div>
-        <div class="grid-label">${escapeHtml(strings.amount)}</div>
-        <div class="grid-label section-header">${escapeHtml(strings.wind)}</div>
-        <div class="grid-label">${escapeHtml(strings.visibility)}</div>
-        <div class="grid-label section-header">${escapeHtml(strings.temp)}</div>
-        <div class="grid-label">${escapeHtml(strings.actual)}</div>
-        <div class="grid-label">${escapeHtml(strings.feelsLike)}</div>
-        <div class="grid-label">${escapeHtml(strings.dewPoint)}</div>
-        <div class="grid-label">${escapeHtml(strings.humidity)}</div>
-        <div class="grid-label">${escapeHtml(strings.frost)}</div>
-      </div>
-    `;
+  function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
   }
 
   /**
-   * Render the grid body (data columns).
-   * @param {Array} hourly - Hourly data array.
-   * @param {Object} forecast - Full forecast object.
-   * @param {string} todayStr - Today's date string.
-   * @param {number} currentHourIndex - Index of current hour.
-   * @returns {string} HTML string.
+   * List the nights from a first to a last night, capped at TRIP_MAX_NIGHTS.
+   * @param {string} startDate - First night (YYYY-MM-DD).
+   * @param {string} endDate - Last night (YYYY-MM-DD).
+   * @returns {Array<string>} Dates.
    */
-  function renderGridBody(hourly, forecast, currentHourIndex, timezone) {
-    let lastDate = '';
-
-    // Build a map of daily data by date for quick lookup
-    const dailyByDate = {};
-    if (forecast.daily) {
-      forecast.daily.forEach(day => {
-        dailyByDate[day.date] = day;
-      });
+  function getTripDates(startDate, endDate) {
+    const dates = [];
+    for (let date = startDate; date <= endDate && dates.length < TRIP_MAX_NIGHTS; date = addDays(date, 1)) {
+      dates.push(date);
     }
+    return dates;
+  }
 
-    return `
-      <div class="grid-data" id="grid-data">
-        ${hourly.map((hour, index) => {
-          const hourDate = new Date(hour.time);
-          // Get date string in location timezone
-          const dateStr = timezone
-            ? hourDate.toLocaleDateString('en-CA', { timeZone: timezone })
-            : hourDate.toISOString().split('T')[0];
-          const isNewDay = dateStr !== lastDate;
-          lastDate = dateStr;
-          const isCurrent = index === currentHourIndex;
-          const isPast = currentHourIndex >= 0 && index < currentHourIndex;
-          const dayMoon = forecast.moon?.[dateStr];
-          const dayData = dailyByDate[dateStr];
+  /**
+   * Get the trip shown in the Trips tab.
+   * @returns {Object|null} Trip.
+   */
+  function getActiveTrip() {
+    return state.trips.find((trip) => trip.id === state.activeTripId) || state.trips[0] || null;
+  }
 
-          return renderHourColumn(hour, index, isNewDay, isCurrent, isPast, dayMoon, dayData, timezone, dateStr);
-        }).join('')}
-      </div>
-    `;
+  /**
+   * Get the saved locations planned for a night, skipping deleted ones.
+   * @param {Object} night - Trip night with date and locationIds.
+   * @returns {Array<Object>} Locations.
+   */
+  function getNightLocations(night) {
+    return night.locationIds
+      .map((id) => state.savedLocations.find((loc) => loc.id === id))
+      .filter(Boolean);
   }
 
   /**
-   * Render a single hour column.
-   * @param {Object} hour - Hour data.
-   * @param {number} index - Column index.
-   * @param {boolean} isNewDay - Whether this is the first hour of a new day.
-   * @param {boolean} isCurrent - Whether this is the current hour.
-   * @param {boolean} isPast - Whether this hour is in the past.
-   * @param {Object} moon - Moon data for this day.
-   * @param {Object} dayData - Daily data for this day (sunrise, sunset, twilight).
-   * @param {string} timezone - Timezone identifier.
-   * @param {string} dateStr - Date string (YYYY-MM-DD) for this hour.
-   * @returns {string} HTML string.
+   * Get every saved location a trip visits.
+   * @param {Object|null} trip - Trip.
+   * @returns {Array<number>} Location IDs.
    */
-  function renderHourColumn(hour, index, isNewDay, isCurrent, isPast, moon, dayData, timezone, dateStr) {
-    const hourDate = new Date(hour.time);
-    const timeStr = formatDateTime(hour.time, 'hour', timezone);
-    const dayLabel = isNewDay ? formatDateTime(hour.time, 'day', timezone) : '';
-    const wind = getWindDirection(hour.wind_direction);
-    const visKm = hour.visibility != null ? (hour.visibility / 1000).toFixed(1) : '-';
+  function getTripLocationIds(trip) {
+    const ids = new Set();
+    (trip ? trip.nights : []).forEach((night) => {
+      getNightLocations(night).forEach((location) => ids.add(location.id));
+    });
+    return [...ids];
+  }
 
-    const sunlightClass = getSunlightClass(hour, hourDate, dayData, timezone);
-    const moonVisible = isMoonVisible(hourDate, moon, timezone);
-    const moonIllumination = moon ? moon.moon_illumination : 0;
+  /**
+   * Load saved trips and the one last shown.
+   */
+  async function loadTrips() {
+    state.trips = await ForecastStorage.getTrips();
+    state.activeTripId = await ForecastStorage.getSetting('activeTripId', null);
+  }
 
-    // Calculate photography score
-    const photoScore = calculatePhotoScore(hour, sunlightClass);
-    const scoreClass = getScoreClass(photoScore);
+  /**
+   * Fetch forecasts for every location in the shown trip.
+   */
+  function loadTripsTab() {
+    return loadLocationForecasts(getTripLocationIds(getActiveTrip()), 'trips');
+  }
 
-    return `
-      <div class="grid-column ${isCurrent ? 'current-hour' : ''} ${isPast ? 'past-hour' : ''} ${isNewDay ? 'day-boundary' : ''}" data-index="${index}" data-date="${dateStr}">
-        <div class="grid-cell time-cell ${isNewDay ? 'new-day' : ''}">
-          ${dayLabel ? `<span class="day-label">${escapeHtml(dayLabel)}</span>` : ''}
-          <span class="hour-label">${escapeHtml(timeStr)}</span>
-          ${isCurrent ? `<span class="now-badge">${escapeHtml(strings.now)}</span>` : ''}
-        </div>
-        <div class="grid-cell photo-score-cell ${scoreClass}">
-          ${photoScore}
-          <div class="score-bar"><div class="score-fill" style="width: ${photoScore}%"></div></div>
-        </div>
-        <div class="grid-cell section-spacer"></div>
-        <div class="grid-cell cloud-cell ${getColorClass(hour.cloud_total, COLOR_THRESHOLDS.cloud)}">${formatValue(hour.cloud_total, '%')}</div>
-        <div class="grid-cell cloud-cell ${getColorClass(hour.cloud_low, COLOR_THRESHOLDS.cloud)}">${formatValue(hour.cloud_low, '%')}</div>
-        <div class="grid-cell cloud-cell ${getColorClass(hour.cloud_mid, COLOR_THRESHOLDS.cloud)}">${formatValue(hour.cloud_mid, '%')}</div>
-        <div class="grid-cell cloud-cell ${getColorClass(hour.cloud_high, COLOR_THRESHOLDS.cloud)}">${formatValue(hour.cloud_high, '%')}</div>
-        <div class="grid-cell sunlight-cell ${sunlightClass}"></div>
-        <div class="grid-cell moon-cell ${moonVisible ? 'moon-visible' : 'moon-hidden'}" style="--moon-illumination: ${moonIllumination / 100}"></div>
-        <div class="grid-cell section-spacer"></div>
-        <div class="grid-cell rain-cell ${getColorClass(hour.rain_chance, COLOR_THRESHOLDS.rain)}">${formatValue(hour.rain_chance, '%')}</div>
-        <div class="grid-cell">${formatValue(hour.rain_amount, 'mm', 1)}</div>
-        <div class="grid-cell wind-cell ${getColorClass(hour.wind_speed, COLOR_THRESHOLDS.wind)}">
-          <span class="wind-arrow">${wind.arrow}</span>
-          <span class="wind-speed">${formatValue(hour.wind_speed, '', 0)}</span>
-        </div>
-        <div class="grid-cell vis-cell ${getColorClass(hour.visibility, COLOR_THRESHOLDS.visibility)}">${visKm}</div>
-        <div class="grid-cell section-spacer"></div>
-        <div class="grid-cell temp-cell">${formatValue(hour.temperature, '\u00B0', 0)}</div>
-        <div class="grid-cell">${formatValue(hour.feels_like, '\u00B0', 0)}</div>
-        <div class="grid-cell">${formatValue(hour.dew_point, '\u00B0', 0)}</div>
-        <div class="grid-cell humidity-cell ${getColorClass(hour.humidity, COLOR_THRESHOLDS.humidity)}">${formatValue(hour.humidity, '%')}</div>
-        <div class="grid-cell frost-cell">${hour.frost ? '&#10052;' : ''}</div>
-      </div>
-    `;
+  /**
+   * Show a different trip.
+   * @param {number} id - Trip ID.
+   */
+  function setActiveTrip(id) {
+    state.activeTripId = id;
+    ForecastStorage.setSetting('activeTripId', id).catch((e) => {
+      console.error('Error saving active trip:', e);
+    });
+    loadTripsTab();
   }
 
   /**
-   * Parse a time string to timestamp for a given date.
-   * @param {string} dateStr - Date string (YYYY-MM-DD).
-   * @param {string} timeStr - Time string (HH:MM).
-   * @param {string} timezone - Optional timezone identifier.
-   * @returns {number|null} Timestamp or null if invalid.
-   */
-  function parseTimeToTimestamp(dateStr, timeStr, timezone) {
-    if (!timeStr) return null;
-    // If timezone provided, create date in that timezone
-    if (timezone) {
-      // Parse the time components
-      const [hours, minutes] = timeStr.split(':').map(Number);
-      // Create a date string and use the timezone to get correct UTC time
-      const localDateStr = `${dateStr}T${timeStr}:00`;
-      // Create date object and get its representation in the target timezone
-      // We need to find what UTC time corresponds to this local time in the given timezone
-      const tempDate = new Date(localDateStr);
-      const utcDate = new Date(tempDate.toLocaleString('en-US', { timeZone: 'UTC' }));
-      const tzDate = new Date(tempDate.toLocaleString('en-US', { timeZone: timezone }));
-      const offset = utcDate.getTime() - tzDate.getTime();
-      const ts = tempDate.getTime() + offset;
-      return isNaN(ts) ? null : ts;
-    }
-    const ts = new Date(`${dateStr}T${timeStr}`).getTime();
-    return isNaN(ts) ? null : ts;
-  }
-
-  /**
-   * Get sunlight class based on is_day fallback.
-   * @param {Object} hour - Hour data.
-   * @returns {string} CSS class.
+   * Open the trip editor.
+   * @param {number|null} id - Trip ID, or null for a new trip.
    */
-  function getSunlightFallback(hour) {
-    if (hour.is_day === 1) return 'sunlight-day';
-    if (hour.is_day === 0) return 'sunlight-night';
-    return '';
+  function openTripEditor(id) {
+    const trip = id ? state.trips.find((t) => t.id === id) : null;
+    const today = new Date().toLocaleDateString('en-CA');
+    state.editingTrip = trip
+      ? { ...trip }
+      : { name: '', startDate: today, endDate: addDays(today, 2), nights: [] };
+    renderApp();
   }
 
   /**
-   * Get sunlight class for an hour (including blue hour and golden hour).
-   * @param {Object} hour - Hour data.
-   * @param {Date} hourDate - Date object for this hour.
-   * @param {Object} dayData - Daily data with sunrise/sunset/twilight info.
-   * @returns {string} CSS class.
+   * Close the trip editor without saving.
    */
-  function getSunlightClass(hour, hourDate, dayData, timezone) {
-    if (!dayData) {
-      return getSunlightFallback(hour);
-    }
+  function closeTripEditor() {
+    state.editingTrip = null;
+    renderApp();
+  }
 
-    const twilight = dayData.twilight || {};
-    const sunriseStr = twilight.sunrise || dayData.sunrise;
-    const sunsetStr = twilight.sunset || dayData.sunset;
+  /**
+   * Lay out a trip's nights for its dates, keeping the locations already
+   * planned for each date. A new night carries on from the night before,
+   * or starts at the home location.
+   * @param {Array<string>} dates - Dates of the nights.
+   * @param {Array<Object>} nights - Current nights.
+   * @returns {Array<Object>} Nights with date and locationIds.
+   */
+  function buildTripNights(dates, nights) {
+    const planned = new Map(nights.map((night) => [night.date, night.locationIds]));
+    let previous = state.homeLocation ? [state.homeLocation.id] : [];
+    return dates.map((date) => {
+      const locationIds = planned.get(date) || [...previous];
+      previous = locationIds;
+      return { date, locationIds };
+    });
+  }
 
-    if (!sunriseStr || !sunsetStr) {
-      return getSunlightFallback(hour);
+  /**
+   * Save the trip editor form.
+   */
+  async function saveTripEdit() {
+    if (!state.editingTrip) return;
+
+    const name = (document.getElementById('trip-name')?.value || '').trim();
+    const startDate = document.getElementById('trip-start')?.value || '';
+    const endInput = document.getElementById('trip-end');
+    const endDate = endInput?.value || '';
+    if (!name || !startDate) return;
+    if (endDate < startDate) {
+      endInput.classList.add('invalid');
+      endInput.focus();
+      return;
     }
 
-    const dateStr = dayData.date;
-    const hourTs = hourDate.getTime();
-    const sunriseTs = parseTimeToTimestamp(dateStr, sunriseStr, timezone);
-    const sunsetTs = parseTimeToTimestamp(dateStr, sunsetStr, timezone);
+    const dates = getTripDates(startDate, endDate);
+    const trip = {
+      ...state.editingTrip,
+      name,
+      startDate,
+      endDate: dates[dates.length - 1],
+      nights: buildTripNights(dates, state.editingTrip.nights),
+    };
 
-    if (!sunriseTs || !sunsetTs) {
-      return getSunlightFallback(hour);
+    try {
+      const id = await ForecastStorage.saveTrip(trip);
+      state.trips = await ForecastStorage.getTrips();
+      state.editingTrip = null;
+      setActiveTrip(id);
+    } catch (e) {
+      console.error('Error saving trip:', e);
     }
+  }
 
-    // Duration constants
-    const HOUR_MS = 60 * 60 * 1000;
-    const BLUE_HOUR_MS = 60 * 60 * 1000; // 1 hour fallback for blue hour
+  /**
+   * Delete a trip.
+   * @param {number} id - Trip ID.
+   */
+  async function removeTrip(id) {
+    if (!id || !confirm(strings.confirmDeleteTrip || 'Delete this trip?')) return;
 
-    // Golden hour boundaries
-    const goldenMorningEnd = sunriseTs + HOUR_MS;
-    const goldenEveningStart = sunsetTs - HOUR_MS;
+    try {
+      await ForecastStorage.deleteTrip(id);
+      state.trips = await ForecastStorage.getTrips();
+      state.editingTrip = null;
+      renderApp();
+      loadTripsTab();
+    } catch (e) {
+      console.error('Error deleting trip:', e);
+    }
+  }
 
-    // Blue hour boundaries - ensure at least 1 hour window so it's visible in hourly grid
-    const parsedCivilDawn = parseTimeToTimestamp(dateStr, twilight.civil_dawn, timezone);
-    const parsedCivilDusk = parseTimeToTimestamp(dateStr, twilight.civil_dusk, timezone);
-    // Use earlier of parsed civil dawn or 1 hour before sunrise
-    const civilDawnTs = parsedCivilDawn ? Math.min(parsedCivilDawn, sunriseTs - BLUE_HOUR_MS) : (sunriseTs - BLUE_HOUR_MS);
-    // Use later of parsed civil dusk or 1 hour after sunset (ensures blue hour shows in at least one column)
-    const civilDuskTs = Math.max(parsedCivilDusk || 0, sunsetTs + BLUE_HOUR_MS);
+  /**
+   * Replace the shown trip's nights, save it and reload its forecasts.
+   * @param {Function} transform - Receives a night; returns the updated night.
+   */
+  async function updateTripNights(transform) {
+    const trip = getActiveTrip();
+    if (!trip) return;
 
-    // Determine sunlight class based on time of day
-    // Morning blue hour (before sunrise)
-    if (civilDawnTs && hourTs >= civilDawnTs && hourTs < sunriseTs) return 'sunlight-blue';
-    // Morning golden hour
-    if (hourTs >= sunriseTs && hourTs < goldenMorningEnd) return 'sunlight-golden';
-    // Daytime
-    if (hourTs >= goldenMorningEnd && hourTs < goldenEveningStart) return 'sunlight-day';
-    // Evening golden hour
-    if (hourTs >= goldenEveningStart && hourTs < sunsetTs) return 'sunlight-golden';
-    // Evening blue hour (after sunset)
-    if (civilDuskTs && hourTs >= sunsetTs && hourTs < civilDuskTs) return 'sunlight-blue';
+    const updated = { ...trip, nights: trip.nights.map(transform) };
+    state.trips = state.trips.map((t) => (t.id === trip.id ? updated : t));
+    try {
+      await ForecastStorage.saveTrip(updated);
+    } catch (e) {
+      console.error('Error saving trip:', e);
+    }
+    loadTripsTab();
+  }
 
-    return 'sunlight-night';
+  /**
+   * Add a saved location to a night of the shown trip.
+   * @param {string} date - Night (YYYY-MM-DD).
+   * @param {number} locationId - Location ID.
+   */
+  function addTripStop(date, locationId) {
+    updateTripNights((night) => (
+      night.date === date && !night.locationIds.includes(locationId)
+        ? { ...night, locationIds: [...night.locationIds, locationId] }
+        : night
+    ));
   }
 
   /**
-   * Determine if the moon is visible during a given hour.
-   * @param {Date} hourDate - Date object for this hour.
-   * @param {Object} moon - Moon data for this day.
-   * @returns {boolean} True if moon is visible.
+   * Remove a location from a night of the shown trip.
+   * @param {string} date - Night (YYYY-MM-DD).
+   * @param {number} locationId - Location ID.
    */
-  function isMoonVisible(hourDate, moon, timezone) {
-    if (!moon) return false;
+  function removeTripStop(date, locationId) {
+    updateTripNights((night) => (
+      night.date === date
+        ? { ...night, locationIds: night.locationIds.filter((id) => id !== locationId) }
+        : night
+    ));
+  }
 
-    const hourTs = hourDate.getTime();
-    const dateStr = timezone
-      ? hourDate.toLocaleDateString('en-CA', { timeZone: timezone })
-      : hourDate.toISOString().split('T')[0];
-    const moonriseTs = parseTimeToTimestamp(dateStr, moon.moonrise, timezone);
-    const moonsetTs = parseTimeToTimestamp(dateStr, moon.moonset, timezone);
+  /**
+   * Swap the locations planned for two nights of the shown trip.
+   * @param {string} date - One night (YYYY-MM-DD).
+   * @param {string} otherDate - The other night.
+   */
+  function swapTripNights(date, otherDate) {
+    const trip = getActiveTrip();
+    const first = trip?.nights.find((night) => night.date === date);
+    const second = trip?.nights.find((night) => night.date === otherDate);
+    if (!first || !second) return;
+
+    updateTripNights((night) => {
+      if (night.date === date) return { ...night, locationIds: second.locationIds };
+      if (night.date === otherDate) return { ...night, locationIds: first.locationIds };
+      return night;
+    });
+  }
 
-    // Both times available
-    if (moonriseTs && moonsetTs) {
-      // Normal case: moonrise before moonset
-      if (moonsetTs > moonriseTs) {
-        return hourTs >= moonriseTs && hourTs < moonsetTs;
+  /**
+   * Average the photo score and total cloud over a range of hours.
+   * @param {Array} hourly - Hourly data.
+   * @param {Array<string>} sunlightClasses - Sunlight class of each hour.
+   * @param {Object} range - {startIndex, endIndex}.
+   * @returns {Object} {score, cloud}.
+   */
+  function getRangeAverages(hourly, sunlightClasses, range) {
+    let score = 0;
+    let cloud = 0;
+    let cloudHours = 0;
+    for (let i = range.startIndex; i < range.endIndex; i++) {
+      score += calculatePhotoScore(hourly[i], sunlightClasses[i]);
+      if (hourly[i].cloud_total != null) {
+        cloud += hourly[i].cloud_total;
+        cloudHours++;
       }
-      // Inverted case: moon was up at start of day, sets, then rises again
-      return hourTs >= moonriseTs || hourTs < moonsetTs;
     }
+    return {
+      score: Math.round(score / (range.endIndex - range.startIndex)),
+      cloud: cloudHours > 0 ? Math.round(cloud / cloudHours) : null,
+    };
+  }
 
-    // Only one time available
-    if (moonriseTs) return hourTs >= moonriseTs;
-    if (moonsetTs) return hourTs < moonsetTs;
+  /**
+   * Work out one night's shooting windows at a location: the evening (golden
+   * hour to the end of civil dusk), the night (civil dusk to civil dawn) and
+   * the next morning (civil dawn to the end of golden hour).
+   * @param {Object} forecast - Forecast data.
+   * @param {Array<string>} sunlightClasses - Sunlight class of each hour.
+   * @param {string} date - Date of the evening (YYYY-MM-DD).
+   * @returns {Object|null} Windows by key, each {startTs, endTs, score, cloud}
+   *   or null if it falls outside the forecast; null if the forecast doesn't reach the date.
+   */
+  function getTripNightWindows(forecast, sunlightClasses, date) {
+    const hourly = forecast.hourly || [];
+    const daily = forecast.daily || [];
+    const timezone = forecast.location?.timezone;
+    const dayIndex = daily.findIndex((day) => day.date === date);
+    if (dayIndex === -1) return null;
+
+    const evening = getSunEventTimes(daily[dayIndex], timezone);
+    const morning = getSunEventTimes(daily[dayIndex + 1], timezone);
+    const spans = {
+      evening: evening && [evening.goldenEveningStart, evening.civilDuskTs],
+      night: evening && morning && [evening.civilDuskTs, morning.civilDawnTs],
+      morning: morning && [morning.civilDawnTs, morning.goldenMorningEnd],
+    };
 
-    return false;
+    const windows = {};
+    Object.entries(spans).forEach(([key, span]) => {
+      const range = span && findHourRange(hourly, span[0], span[1]);
+      windows[key] = range
+        ? { startTs: span[0], endTs: span[1], ...getRangeAverages(hourly, sunlightClasses, range) }
+        : null;
+    });
+    return windows;
   }
 
   /**
-   * Format a value with optional suffix.
-   * @param {number} value - Value to format.
-   * @param {string} suffix - Suffix to append.
-   * @param {number} decimals - Decimal places.
-   * @returns {string} Formatted value.
+   * Score every night of a trip from the forecasts held in state, and find
+   * pairs of nights that would do better the other way round: a later
+   * location that looks better on an earlier night. Swaps are ranked by the
+   * combined gain of their best windows and never share a night.
+   * @param {Object} trip - Trip.
+   * @returns {Object} {nights: [{date, stops: [{location, windows}]}], swaps: [{first, second, gain}]}.
    */
-  function formatValue(value, suffix = '', decimals = 0) {
-    if (value == null) return '-';
-    const formatted = decimals > 0 ? value.toFixed(decimals) : Math.round(value);
-    return formatted + suffix;
+  function getTripPlan(trip) {
+    const sunlightClasses = new Map();
+    const getWindows = (location, date) => {
+      const forecast = state.forecastData[location.id];
+      if (!forecast) return null;
+      if (!sunlightClasses.has(location.id)) {
+        sunlightClasses.set(location.id, getSunlightClasses(forecast));
+      }
+      return getTripNightWindows(forecast, sunlightClasses.get(location.id), date);
+    };
+
+    // A night scores its best window at its best location.
+    const getNightScore = (locations, date) => {
+      const scores = locations.map((location) => {
+        const windows = Object.values(getWindows(location, date) || {}).filter(Boolean);
+        return windows.length > 0 ? Math.max(...windows.map((w) => w.score)) : null;
+      });
+      return scores.length > 0 && !scores.includes(null) ? Math.max(...scores) : null;
+    };
+
+    const nights = trip.nights.map((night) => {
+      const locations = getNightLocations(night);
+      return {
+        date: night.date,
+        locations,
+        score: getNightScore(locations, night.date),
+        stops: locations.map((location) => ({ location, windows: getWindows(location, night.date) })),
+      };
+    });
+
+    const today = new Date().toLocaleDateString('en-CA');
+    const candidates = [];
+    nights.forEach((first, i) => {
+      if (first.date < today || first.score == null) return;
+      nights.slice(i + 1).forEach((second) => {
+        if (second.score == null) return;
+        if (first.locations.map((loc) => loc.id).join() === second.locations.map((loc) => loc.id).join()) return;
+
+        const secondFirst = getNightScore(second.locations, first.date);
+        const firstSecond = getNightScore(first.locations, second.date);
+        if (secondFirst == null || firstSecond == null) return;
+
+        const gain = secondFirst + firstSecond - first.score - second.score;
+        if (gain >= TRIP_SWAP_MIN_GAIN) {
+          candidates.push({ first, second, secondFirst, firstSecond, gain });
+        }
+      });
+    });
+
+    const swapped = new Set();
+    const swaps = candidates
+      .sort((a, b) => b.gain - a.gain)
+      .filter((swap) => {
+        if (swapped.has(swap.first.date) || swapped.has(swap.second.date)) return false;
+        swapped.add(swap.first.date);
+        swapped.add(swap.second.date);
+        return true;
+      });
+
+    return { nights, swaps };
   }
 
+  // ============================================================
+  // MOON CALENDAR
+  // ============================================================
+
+  /** Months ahead the moon calendar can cover. */
+  const MOON_CALENDAR_MONTHS = [3, 6, 12];
+
+  /** Nights lit less than this count as new-moon nights: about three days either side of new moon. */
+  const NEW_MOON_MAX_ILLUMINATION = 0.1;
+
+  /** Moon phase symbols, by ForecastAstro.MOON_PHASES key. */
+  const MOON_PHASE_EMOJI = {
+    new: '&#127761;',
+    waxingCrescent: '&#127762;',
+    firstQuarter: '&#127763;',
+    waxingGibbous: '&#127764;',
+    full: '&#127765;',
+    waningGibbous: '&#127766;',
+    lastQuarter: '&#127767;',
+    waningCrescent: '&#127768;',
+  };
+
   /**
-   * Render loading state.
-   * @returns {string} HTML string.
+   * Split the coming months into calendar spans, one per month from today.
+   * @param {string} timezone - Timezone identifier.
+   * @param {number} months - Months ahead.
+   * @returns {Array<Object>} Spans {startDate, endDate}, end exclusive (YYYY-MM-DD).
    */
-  function renderLoading() {
-    return `
-      <div class="loading-state">
-        <div class="loading-spinner"></div>
-        <p>${escapeHtml(strings.loading)}</p>
-      </div>
-    `;
+  function getMoonCalendarSpans(timezone, months) {
+    const today = new Date().toLocaleDateString('en-CA', timezone ? { timeZone: timezone } : {});
+    const [year, month, day] = today.split('-').map(Number);
+    const spans = [];
+    for (let i = 0; i < months; i++) {
+      spans.push({
+        startDate: new Date(Date.UTC(year, month - 1 + i, day)).toISOString().split('T')[0],
+        endDate: new Date(Date.UTC(year, month + i, day)).toISOString().split('T')[0],
+      });
+    }
+    return spans;
   }
 
   /**
-   * Render error state.
-   * @param {string} message - Error message.
-   * @returns {string} HTML string.
+   * Work out a location's nights over a span of dates: moon phase and
+   * illumination at midnight, moonrise and moonset, and how much of the
+   * astronomical darkness is moonless.
+   * @param {Object} location - Location with lat and lon.
+   * @param {string} timezone - Timezone identifier.
+   * @param {Object} span - {startDate, endDate}, end exclusive (YYYY-MM-DD).
+   * @returns {Array<Object>} Nights, in date order.
    */
-  function renderError(message) {
-    return `
-      <div class="error-state">
-        <div class="error-icon">&#9888;</div>
-        <h2>${escapeHtml(strings.error)}</h2>
-        <p>${escapeHtml(message)}</p>
-        <button class="btn btn-primary" data-action="retry">
-          ${escapeHtml(strings.retry)}
-        </button>
-      </div>
-    `;
+  function getMoonCalendarNights(location, timezone, { startDate, endDate }) {
+    const nights = [];
+    for (let date = startDate; date < endDate; date = addDays(date, 1)) {
+      const midnightTs = parseTimeToTimestamp(addDays(date, 1), '00:00', timezone);
+      const illumination = ForecastAstro.getMoonIllumination(midnightTs);
+      const weekday = new Date(`${date}T12:00:00Z`).getUTCDay();
+
+      nights.push({
+        date,
+        ...ForecastAstro.getMoonTimes(date, location.lat, location.lon, timezone),
+        ...ForecastAstro.getDarkNight(date, location.lat, location.lon, timezone),
+        illumination: Math.round(illumination.fraction * 100),
+        phaseKey: illumination.phaseKey,
+        isNewMoon: illumination.fraction < NEW_MOON_MAX_ILLUMINATION,
+        // Friday and Saturday nights.
+        isWeekend: weekday === 5 || weekday === 6,
+      });
+    }
+    return nights;
   }
 
-  // ============================================================
-  // EVENT HANDLING
-  // ============================================================
+  /**
+   * Open the moon calendar for a location.
+   * @param {Object} location - Location with lat and lon.
+   */
+  function openMoonCalendar(location) {
+    const timezone = state.forecastData[getForecastCacheKey(location)]?.location?.timezone || location.timezone || undefined;
+    state.moonCalendar = { location, timezone, months: MOON_CALENDAR_MONTHS[0], nights: null };
+    loadMoonCalendar();
+  }
 
   /**
-   * Attach event listeners.
+   * Change how many months the moon calendar covers.
+   * @param {number} months - Months ahead.
    */
-  function attachEventListeners() {
-    // Tab navigation.
-    app.querySelectorAll('.tab-btn').forEach((btn) => {
-      btn.addEventListener('click', () => switchTab(btn.dataset.tab));
-    });
+  function setMoonCalendarMonths(months) {
+    if (!state.moonCalendar || !MOON_CALENDAR_MONTHS.includes(months)) return;
+    state.moonCalendar = { ...state.moonCalendar, months, nights: null };
+    loadMoonCalendar();
+  }
 
-    // Action buttons.
-    app.addEventListener('click', handleActionClick);
+  /**
+   * Show the moon calendar loading, then work out its nights a month at a
+   * time. A year of nights takes seconds on a slow phone, so the page gets
+   * a turn between months, and the work stops if the calendar is closed or
+   * changed meanwhile.
+   */
+  async function loadMoonCalendar() {
+    const calendar = state.moonCalendar;
+    renderApp();
 
-    // Search input and button.
-    const searchInput = app.querySelector('#location-search');
-    const searchBtn = app.querySelector('#search-btn');
-    if (searchInput) {
-      searchInput.addEventListener('keydown', handleSearchKeydown);
+    const nights = [];
+    for (const span of getMoonCalendarSpans(calendar.timezone, calendar.months)) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      if (state.moonCalendar !== calendar) return;
+      nights.push(...getMoonCalendarNights(calendar.location, calendar.timezone, span));
     }
-    if (searchBtn) {
-      searchBtn.addEventListener('click', handleSearchClick);
+
+    state.moonCalendar = { ...calendar, nights };
+    renderApp();
+  }
+
+  /**
+   * Close the moon calendar.
+   */
+  function closeMoonCalendar() {
+    state.moonCalendar = null;
+    renderAppKeepingScroll();
+  }
+
+  /**
+   * Format a duration as hours and minutes.
+   * @param {number} ms - Duration in milliseconds.
+   * @returns {string} e.g. "7h 05m".
+   */
+  function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+  }
+
+  // ============================================================
+  // FORECAST HISTORY
+  // ============================================================
+
+  /** Forecast snapshots are kept this long. */
+  const HISTORY_RETENTION = 14 * 24 * HOUR_MS;
+
+  /** Lead times (hours before the event) compared in the review. */
+  const HISTORY_LEAD_TIMES = [72, 48, 24, 12, 6, 3, 1];
+
+  /** A forecast this close to the hour counts as what actually happened. */
+  const HISTORY_FINAL_LEAD = 2 * HOUR_MS;
+
+  /** Mean cloud error (percentage points) still considered trustworthy. */
+  const HISTORY_TRUST_ERROR = 15;
+
+  /** Colour bands for mean cloud error. */
+  const HISTORY_ERROR_THRESHOLDS = [[10, 'excellent'], [HISTORY_TRUST_ERROR, 'good'], [25, 'fair'], [100, 'poor']];
+
+  /** Evening hours shown in the review table. */
+  const REVIEW_EVENING_HOURS = ['18:00', '19:00', '20:00', '21:00', '22:00', '23:00'];
+
+  /**
+   * Index forecast snapshots and sky observations for lookups by hour.
+   * @param {Array} snapshots - Snapshots from ForecastStorage.getForecastHistory().
+   * @param {Array} [observations] - The location's sky observations.
+   * @returns {Object} {snapshots: [{fetchedAt, byTime}], hourTs: Map<time, timestamp>,
+   *   observed: Map<time, cloud>}.
+   */
+  function indexForecastHistory(snapshots, observations = []) {
+    const hourTs = new Map();
+    const indexed = snapshots.map((snapshot) => {
+      const byTime = new Map(snapshot.hours);
+      byTime.forEach((_, time) => {
+        if (!hourTs.has(time)) {
+          const [date, clock] = time.split('T');
+          hourTs.set(time, parseTimeToTimestamp(date, clock, snapshot.timezone));
+        }
+      });
+      return { fetchedAt: snapshot.fetchedAt, byTime };
+    });
+    const observed = new Map(observations
+      .filter((observation) => observation.cloud != null)
+      .map((observation) => [observation.time, observation.cloud]));
+    return { snapshots: indexed, hourTs, observed };
+  }
+
+  /**
+   * Get the cloud cover predicted for an hour roughly leadHours in advance.
+   * @param {Object} history - Indexed history.
+   * @param {string} time - Hour time string.
+   * @param {number} leadHours - Lead time in hours.
+   * @param {Object|null} [excluded] - Snapshot to leave out. Defaults to the
+   *   final one, which stands in for what happened and can't also be a prediction.
+   * @returns {number|null} Predicted cloud total.
+   */
+  function getPredictionAtLead(history, time, leadHours, excluded = getFinalSnapshot(history, time)) {
+    const ts = history.hourTs.get(time);
+    const target = leadHours * HOUR_MS;
+    const tolerance = Math.max(1, leadHours * 0.25) * HOUR_MS;
+    let best = null;
+    let bestDiff = Infinity;
+
+    history.snapshots.forEach((snapshot) => {
+      const value = snapshot.byTime.get(time);
+      const lead = ts - snapshot.fetchedAt;
+      if (snapshot === excluded || value == null || lead < 0) return;
+
+      const diff = Math.abs(lead - target);
+      if (diff <= tolerance && diff < bestDiff) {
+        best = value;
+        bestDiff = diff;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Get the last snapshot taken within HISTORY_FINAL_LEAD of an hour.
+   * @param {Object} history - Indexed history.
+   * @param {string} time - Hour time string.
+   * @returns {Object|null} Snapshot, or null if none was close enough.
+   */
+  function getFinalSnapshot(history, time) {
+    const ts = history.hourTs.get(time);
+    let best = null;
+    let bestLead = Infinity;
+
+    history.snapshots.forEach((snapshot) => {
+      const value = snapshot.byTime.get(time);
+      const lead = ts - snapshot.fetchedAt;
+      if (value != null && lead >= 0 && lead <= HISTORY_FINAL_LEAD && lead < bestLead) {
+        best = snapshot;
+        bestLead = lead;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Get the last forecast made for an hour, used in place of an observation.
+   * @param {Object} history - Indexed history.
+   * @param {string} time - Hour time string.
+   * @returns {number|null} Final cloud total, or null if none was close enough.
+   */
+  function getFinalPrediction(history, time) {
+    const snapshot = getFinalSnapshot(history, time);
+    return snapshot ? snapshot.byTime.get(time) : null;
+  }
+
+  /**
+   * Summarise forecast skill: mean absolute cloud error per lead time,
+   * measured against the cloud observed at each past hour, or else the
+   * final forecast for it.
+   * @param {Object} history - Indexed history.
+   * @returns {Object} {errors: [{leadHours, error, samples}], trustedLead}.
+   */
+  function getForecastSkill(history) {
+    const now = Date.now();
+    const totals = HISTORY_LEAD_TIMES.map((leadHours) => ({ leadHours, sum: 0, samples: 0 }));
+
+    history.hourTs.forEach((ts, time) => {
+      if (ts > now) return;
+
+      // Without an observation the final snapshot is the truth, so it can't
+      // also count as a prediction.
+      const observed = history.observed.get(time);
+      const finalSnapshot = observed == null ? getFinalSnapshot(history, time) : null;
+      const actual = observed != null ? observed : finalSnapshot?.byTime.get(time);
+      if (actual == null) return;
+
+      totals.forEach((total) => {
+        const predicted = getPredictionAtLead(history, time, total.leadHours, finalSnapshot);
+        if (predicted != null) {
+          total.sum += Math.abs(predicted - actual);
+          total.samples++;
+        }
+      });
+    });
+
+    const errors = totals.map(({ leadHours, sum, samples }) => ({
+      leadHours,
+      samples,
+      error: samples > 0 ? Math.round(sum / samples) : null,
+    }));
+    const trusted = errors.find((entry) => entry.error != null && entry.error <= HISTORY_TRUST_ERROR);
+
+    return { errors, trustedLead: trusted ? trusted.leadHours : null };
+  }
+
+  /**
+   * Open the forecast accuracy review for a saved location.
+   * @param {number} id - Location ID.
+   */
+  async function openForecastReview(id) {
+    const location = state.savedLocations.find((loc) => loc.id === id);
+    if (!location) return;
+
+    try {
+      const history = indexForecastHistory(await ForecastStorage.getForecastHistory(id), state.observations[id]);
+      const dates = getReviewDates(history);
+      state.forecastReview = { location, history, date: dates[0] || null };
+    } catch (e) {
+      console.error('Error loading forecast history:', e);
+      return;
     }
+    renderApp();
+  }
 
-    // Import file input.
-    const importInput = app.querySelector('#import-file');
-    if (importInput) {
-      importInput.addEventListener('change', handleImportFile);
+  /**
+   * Close the forecast accuracy review.
+   */
+  function closeForecastReview() {
+    state.forecastReview = null;
+    renderApp();
+  }
+
+  /**
+   * Get the dates, newest first, whose evening has started and that have
+   * at least one snapshot.
+   * @param {Object} history - Indexed history.
+   * @returns {Array<string>} Dates (YYYY-MM-DD).
+   */
+  function getReviewDates(history) {
+    const now = Date.now();
+    const dates = new Set();
+    history.hourTs.forEach((ts, time) => {
+      const [date, clock] = time.split('T');
+      if (clock === REVIEW_EVENING_HOURS[0] && ts <= now) {
+        dates.add(date);
+      }
+    });
+    return [...dates].sort().reverse();
+  }
+
+  // ============================================================
+  // OBSERVATIONS
+  // ============================================================
+
+  /** Ratings used for seeing/transparency and for the photo outcome. */
+  const OBSERVATION_RATINGS = [
+    { value: 1, label: strings.ratingVeryPoor || 'Very poor' },
+    { value: 2, label: strings.ratingPoor || 'Poor' },
+    { value: 3, label: strings.ratingAverage || 'Average' },
+    { value: 4, label: strings.ratingGood || 'Good' },
+    { value: 5, label: strings.ratingExcellent || 'Excellent' },
+  ];
+
+  /**
+   * Load all sky observations, grouped by location.
+   */
+  async function loadObservations() {
+    const observations = await ForecastStorage.getObservations();
+    state.observations = {};
+    observations.forEach((observation) => {
+      (state.observations[observation.locationId] = state.observations[observation.locationId] || []).push(observation);
+    });
+  }
+
+  /**
+   * Get the overlays drawn on top of a location's forecast grid.
+   * @param {number|string|null} key - Forecast key (saved location ID for saved locations).
+   * @returns {Object} {alertHours, observations: Map<time, observation>, canLog}.
+   */
+  function getGridOverlays(key) {
+    const isSaved = typeof key === 'number';
+    return {
+      alertHours: getAlertHours(key),
+      observations: new Map((isSaved && state.observations[key] || []).map((obs) => [obs.time, obs])),
+      canLog: isSaved,
+    };
+  }
+
+  /**
+   * Open the observation form for an hour of the active forecast.
+   * @param {number} index - Hour index in the forecast.
+   */
+  function openObservationForm(index) {
+    const key = getActiveForecastKey();
+    const forecast = getActiveForecast();
+    const hour = forecast?.hourly?.[index];
+    if (typeof key !== 'number' || !hour) return;
+
+    const existing = (state.observations[key] || []).find((obs) => obs.time === hour.time);
+    if (existing) {
+      state.loggingObservation = { ...existing };
+    } else {
+      // Keep the forecast as it stood when the sky was observed.
+      const sunlightClass = getSunlightClasses(forecast)[index];
+      state.loggingObservation = {
+        locationId: key,
+        time: hour.time,
+        cloud: null,
+        seeing: 3,
+        photoRating: 3,
+        note: '',
+        forecast: {
+          cloud_total: hour.cloud_total,
+          cloud_low: hour.cloud_low,
+          cloud_mid: hour.cloud_mid,
+          cloud_high: hour.cloud_high,
+          photo_score: calculatePhotoScore(hour, sunlightClass),
+          fetchedAt: forecastMeta.get(forecast)?.timestamp || null,
+        },
+      };
     }
+    renderAppKeepingScroll();
+  }
 
-    // Edit form submission.
-    const editForm = app.querySelector('#edit-location-form');
-    if (editForm) {
-      editForm.addEventListener('submit', (e) => {
-        e.preventDefault();
-        saveLocationEdit();
-      });
+  /**
+   * Close the observation form without saving.
+   */
+  function closeObservationForm() {
+    state.loggingObservation = null;
+    renderAppKeepingScroll();
+  }
+
+  /**
+   * Save the observation form.
+   */
+  async function saveObservationForm() {
+    if (!state.loggingObservation) return;
+
+    const cloud = parseInt(document.getElementById('obs-cloud')?.value, 10);
+    if (isNaN(cloud)) return;
+
+    const observation = {
+      ...state.loggingObservation,
+      cloud: Math.min(100, Math.max(0, cloud)),
+      seeing: parseInt(document.getElementById('obs-seeing')?.value, 10) || 3,
+      photoRating: parseInt(document.getElementById('obs-photo')?.value, 10) || 3,
+      note: (document.getElementById('obs-note')?.value || '').trim(),
+    };
+
+    try {
+      await ForecastStorage.saveObservation(observation);
+      await loadObservations();
+      state.loggingObservation = null;
+      renderAppKeepingScroll();
+    } catch (e) {
+      console.error('Error saving observation:', e);
     }
   }
 
   /**
-   * Handle action button clicks.
-   * @param {Event} event - Click event.
+   * Delete an observation.
+   * @param {number} id - Observation ID.
    */
-  async function handleActionClick(event) {
-    const btn = event.target.closest('[data-action]');
-    if (!btn) return;
+  async function removeObservation(id) {
+    if (!id || !confirm(strings.confirmDeleteObservation || 'Delete this observation?')) return;
 
-    const action = btn.dataset.action;
-    const id = btn.dataset.id ? parseInt(btn.dataset.id, 10) : null;
-    const index = btn.dataset.index ? parseInt(btn.dataset.index, 10) : null;
+    try {
+      await ForecastStorage.deleteObservation(id);
+      await loadObservations();
+      state.loggingObservation = null;
+      renderAppKeepingScroll();
+    } catch (e) {
+      console.error('Error deleting observation:', e);
+    }
+  }
 
-    switch (action) {
-      case 'toggle-theme':
-        toggleTheme();
-        break;
+  // ============================================================
+  // HOUR DETAILS
+  // ============================================================
 
-      case 'toggle-font-size':
-        toggleFontSize();
-        break;
+  /** Labels for the fields of an hourly forecast entry. */
+  const HOUR_FIELD_LABELS = {
+    time: strings.time || 'Time',
+    temperature: strings.temperature || 'Temperature',
+    feels_like: strings.feelsLike || 'Feels like',
+    dew_point: strings.dewPoint || 'Dew point',
+    humidity: strings.humidity || 'Humidity',
+    precipitation: strings.precipitation || 'Precipitation',
+    rain_chance: strings.rainChance || 'Rain chance',
+    rain_amount: strings.rainAmount || 'Rain amount',
+    weather_code: strings.weatherCode || 'Weather code',
+    cloud_total: strings.cloudTotal || 'Total cloud',
+    cloud_low: strings.cloudLow || 'Low cloud',
+    cloud_mid: strings.cloudMid || 'Mid cloud',
+    cloud_high: strings.cloudHigh || 'High cloud',
+    visibility: strings.visibility || 'Visibility',
+    wind_speed: strings.windSpeed || 'Wind speed',
+    wind_direction: strings.windDirection || 'Wind direction',
+    is_day: strings.isDay || 'Daytime',
+    frost: strings.frost || 'Frost',
+  };
 
-      case 'install':
-        handleInstallClick();
-        break;
+  /**
+   * Open the detail drawer for an hour of the active forecast.
+   * @param {number} index - Hour index in the forecast.
+   */
+  function openHourDetail(index) {
+    const forecast = getActiveForecast();
+    if (!forecast?.hourly?.[index]) return;
 
-      case 'close-install':
-        // Only close if clicking X button or directly on overlay (not modal content)
-        if (btn.classList.contains('install-modal-close') || event.target.classList.contains('install-modal-overlay')) {
-          closeInstallInstructions();
-        }
-        break;
+    state.hourDetail = index;
+    renderAppKeepingScroll();
+    app.querySelector('.hour-detail-close')?.focus();
+  }
 
-      case 'go-to-locations':
-        switchTab('locations');
-        break;
+  /**
+   * Close the hour detail drawer and return focus to the grid.
+   */
+  function closeHourDetail() {
+    const index = state.hourDetail;
+    state.hourDetail = null;
+    renderAppKeepingScroll();
+
+    const cell = getGridCell(index, state.gridFocus.index === index ? state.gridFocus.row : 0);
+    if (cell) {
+      focusGridCell(cell);
+    }
+  }
 
-      case 'retry':
-      case 'retry-location':
-        state.error = null;
-        if (state.activeTab === 'home') {
-          loadHomeTab();
-        } else if (state.activeTab === 'current') {
-          loadCurrentTab();
-        }
-        break;
+  // ============================================================
+  // LOCATION MAP
+  // ============================================================
 
-      case 'view-location':
-        await viewLocation(id);
-        break;
+  /** Zoom used when centring the map on a single location. */
+  const MAP_LOCATION_ZOOM = 12;
 
-      case 'add-location':
-        if (index != null && state.searchResults[index]) {
-          await addLocation(state.searchResults[index]);
-        }
-        break;
+  /** Decimal places kept for coordinates picked on the map (~1 m). */
+  const MAP_COORD_DECIMALS = 5;
 
-      case 'save-current-location':
-        if (state.currentLocation && !isLocationSaved(state.currentLocation.lat, state.currentLocation.lon)) {
-          await addLocation(state.currentLocation);
-        }
-        break;
+  /** Map instance mounted in the Locations tab, rebuilt on every render. */
+  let locationMap = null;
 
-      case 'set-home':
-        await setHomeLocation(id);
-        break;
+  /**
+   * Load whether the Locations tab shows the list or the map.
+   */
+  async function loadLocationsView() {
+    const saved = await ForecastStorage.getSetting('locationsView', 'list');
+    state.locationsView = saved === 'map' ? 'map' : 'list';
+  }
 
-      case 'delete-location':
-        await deleteLocation(id);
-        break;
+  /**
+   * Switch the Locations tab between the list and the map.
+   * @param {string} view - 'list' or 'map'.
+   */
+  function setLocationsView(view) {
+    state.locationsView = view === 'map' ? 'map' : 'list';
+    ForecastStorage.setSetting('locationsView', state.locationsView).catch((e) => {
+      console.error('Error saving locations view:', e);
+    });
+    renderApp();
+  }
 
-      case 'edit-location':
-        openEditModal(id);
-        break;
+  /**
+   * Round a coordinate picked on the map.
+   * @param {number} value - Latitude or longitude.
+   * @returns {number} Rounded value.
+   */
+  function roundMapCoord(value) {
+    return parseFloat(value.toFixed(MAP_COORD_DECIMALS));
+  }
 
-      case 'save-location-edit':
-        event.preventDefault();
-        await saveLocationEdit();
-        break;
+  /**
+   * Build the pins for the saved locations (and a pin being added).
+   * @returns {Array} Pins for ForecastMap.
+   */
+  function getMapMarkers() {
+    const markers = getFilteredLocations().map((location) => ({
+      id: location.id,
+      lat: location.lat,
+      lon: location.lon,
+      label: location.admin1 ? `${location.name}, ${location.admin1}` : location.name,
+      className: location.isHome ? 'is-home' : '',
+      draggable: true,
+    }));
+    if (state.pendingPin) {
+      markers.push({
+        id: 'pending',
+        lat: state.pendingPin.lat,
+        lon: state.pendingPin.lon,
+        label: strings.addingLocation || 'Adding location...',
+        className: 'is-pending',
+        draggable: false,
+      });
+    }
+    return markers;
+  }
 
-      case 'cancel-edit':
-        // Only close if clicking X button, Cancel button, or directly on overlay (not modal content)
-        if (btn.classList.contains('edit-modal-close') ||
-            btn.classList.contains('btn') ||
-            event.target.classList.contains('edit-modal-overlay')) {
-          closeEditModal();
-        }
-        break;
+  /**
+   * Mount the map into the Locations tab after a render, keeping the last view.
+   */
+  function mountLocationMap() {
+    if (locationMap) {
+      locationMap.destroy();
+      locationMap = null;
+    }
 
-      case 'export-locations':
-        exportLocations();
-        break;
+    const container = app.querySelector('#location-map');
+    if (!container || !ForecastMap) return;
+
+    locationMap = ForecastMap.create(container, {
+      tileUrl: mapTileUrl,
+      attribution: mapAttribution,
+      view: state.mapView,
+      labels: {
+        zoomIn: strings.zoomIn || 'Zoom in',
+        zoomOut: strings.zoomOut || 'Zoom out',
+      },
+      onLongPress: dropMapPin,
+      onMarkerClick: (id) => {
+        if (id !== 'pending') viewLocation(id);
+      },
+      onMarkerDrag: moveLocation,
+      onViewChange: (view) => {
+        state.mapView = view;
+      },
+    });
+    locationMap.setMarkers(getMapMarkers());
 
-      case 'import-locations':
-        triggerImport();
-        break;
+    if (!state.mapView && state.savedLocations.length > 0) {
+      locationMap.fitBounds(state.savedLocations, MAP_LOCATION_ZOOM);
+      state.mapView = locationMap.getView();
+    }
+  }
 
-      case 'share-location':
-        // Share can come from location list (with id) or forecast view (with source)
-        if (id) {
-          const location = state.savedLocations.find((loc) => loc.id === id);
-          if (location) {
-            await shareLocation(location, btn);
+  /**
+   * Add a location where the map was long-pressed. Spots without a
+   * geocodable name keep their coordinates as the name.
+   * @param {number} lat - Latitude.
+   * @param {number} lon - Longitude.
+   */
+  async function dropMapPin(lat, lon) {
+    if (state.pendingPin) return;
+
+    const coords = { lat: roundMapCoord(lat), lon: roundMapCoord(lon) };
+    state.pendingPin = coords;
+    if (locationMap) {
+      locationMap.setMarkers(getMapMarkers());
+    }
+
+    try {
+      const place = await reverseGeocode(coords.lat, coords.lon);
+      await addLocation({ ...place, ...coords });
+    } catch (e) {
+      console.error('Error dropping map pin:', e);
+    } finally {
+      // Take the pin down whether or not the location was added.
+      state.pendingPin = null;
+      if (locationMap) {
+        locationMap.setMarkers(getMapMarkers());
+      }
+    }
+  }
+
+  /**
+   * Save a dragged pin's new coordinates and drop the forecast for the old spot.
+   * @param {number} id - Location ID.
+   * @param {number} lat - New latitude.
+   * @param {number} lon - New longitude.
+   */
+  async function moveLocation(id, lat, lon) {
+    try {
+      await ForecastStorage.updateLocation(id, { lat: roundMapCoord(lat), lon: roundMapCoord(lon) });
+      await ForecastStorage.deleteCachedForecast(id);
+      delete state.forecastData[id];
+      delete state.alertMatches[id];
+      await loadSavedLocations();
+    } catch (e) {
+      console.error('Error moving location:', e);
+    }
+    renderApp();
+  }
+
+  // ============================================================
+  // LOCATION FILTERS
+  // ============================================================
+
+  /** Orders the saved locations can be listed in. */
+  const LOCATION_SORTS = ['name', 'distance', 'tonight'];
+
+  /** Mean Earth radius in km, for distances between locations. */
+  const EARTH_RADIUS_KM = 6371;
+
+  /** Settings key holding the last position the locations were sorted from. */
+  const SORT_ORIGIN_KEY = 'sortOrigin';
+
+  /**
+   * Load the saved locations sort order.
+   */
+  async function loadLocationSort() {
+    const saved = await ForecastStorage.getSetting('locationSort', 'name');
+    state.locationSort = LOCATION_SORTS.includes(saved) ? saved : 'name';
+    await loadSortData();
+  }
+
+  /**
+   * Change the saved locations sort order.
+   * @param {string} sort - One of LOCATION_SORTS.
+   */
+  async function setLocationSort(sort) {
+    state.locationSort = LOCATION_SORTS.includes(sort) ? sort : 'name';
+    ForecastStorage.setSetting('locationSort', state.locationSort).catch((e) => {
+      console.error('Error saving location sort:', e);
+    });
+    // Picking the distance sort measures from where the user is now.
+    if (state.locationSort === 'distance') {
+      state.sortOrigin = null;
+    }
+    await loadSortData(true);
+    renderApp();
+  }
+
+  /**
+   * Fetch what the current sort order needs: the position to measure
+   * distances from, or tonight's score for every location.
+   * @param {boolean} [askForPosition] - Whether the position may be requested,
+   *   which can prompt for permission. Otherwise the last known position is
+   *   used, and without one the locations stay in name order.
+   */
+  async function loadSortData(askForPosition = false) {
+    if (state.locationSort === 'distance' && !state.sortOrigin) {
+      if (state.currentLocation) {
+        state.sortOrigin = state.currentLocation;
+      } else if (askForPosition) {
+        try {
+          state.sortOrigin = await getCurrentPosition();
+          ForecastStorage.setSetting(SORT_ORIGIN_KEY, state.sortOrigin).catch((e) => {
+            console.error('Error saving sort position:', e);
+          });
+        } catch (e) {
+          // Without a fix, measure from the last position, or else from home.
+          state.sortOrigin = await ForecastStorage.getSetting(SORT_ORIGIN_KEY, null) || state.homeLocation;
+        }
+      } else {
+        state.sortOrigin = await ForecastStorage.getSetting(SORT_ORIGIN_KEY, null);
+      }
+    }
+    if (state.locationSort === 'tonight') {
+      await loadTonightScores();
+    }
+  }
+
+  /**
+   * Score tonight for every saved location with a known forecast.
+   */
+  async function loadTonightScores() {
+    state.tonightScores = {};
+    for (const location of state.savedLocations) {
+      const forecast = state.forecastData[location.id]
+        || await ForecastStorage.getCachedForecast(location.id, FORECAST_RETENTION);
+      if (forecast) {
+        updateTonightScore(location, forecast);
+      }
+    }
+  }
+
+  /**
+   * Update a saved location's score for tonight from a new forecast.
+   * @param {Object} location - Location object.
+   * @param {Object} forecast - Forecast data.
+   */
+  function updateTonightScore(location, forecast) {
+    if (!location.id) return;
+    const score = getTonightScore(forecast);
+    if (score === null) {
+      delete state.tonightScores[location.id];
+    } else {
+      state.tonightScores[location.id] = score;
+    }
+  }
+
+  /**
+   * Get a forecast's average photo score tonight, as ranked in the Compare tab.
+   * @param {Object} forecast - Forecast data.
+   * @returns {number|null} Score, or null when the forecast doesn't cover tonight.
+   */
+  function getTonightScore(forecast) {
+    const range = getTonightRange(forecast);
+    if (!range) return null;
+
+    const hourly = forecast.hourly || [];
+    const sunlightClasses = getSunlightClasses(forecast);
+    let total = 0;
+    for (let i = range.startIndex; i < range.endIndex; i++) {
+      total += calculatePhotoScore(hourly[i], sunlightClasses[i]);
+    }
+    return Math.round(total / (range.endIndex - range.startIndex));
+  }
+
+  /**
+   * Get the great-circle distance between two points.
+   * @param {Object} from - Point with lat and lon.
+   * @param {Object} to - Point with lat and lon.
+   * @returns {number} Distance in km.
+   */
+  function getDistanceKm(from, to) {
+    const rad = Math.PI / 180;
+    const dLat = (to.lat - from.lat) * rad;
+    const dLon = (to.lon - from.lon) * rad;
+    const a = Math.sin(dLat / 2) ** 2
+      + Math.cos(from.lat * rad) * Math.cos(to.lat * rad) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  /**
+   * Check whether the saved locations list is being filtered.
+   * @returns {boolean}
+   */
+  function isLocationFilterActive() {
+    return state.locationFilter.query.trim() !== '' || state.locationFilter.tags.length > 0;
+  }
+
+  /**
+   * Get the saved locations matching the search and tag filters, in the
+   * chosen sort order. Every selected tag must be present.
+   * @returns {Array} Locations.
+   */
+  function getFilteredLocations() {
+    const words = state.locationFilter.query.toLowerCase().split(/\s+/).filter(Boolean);
+    const { tags } = state.locationFilter;
+
+    const matches = state.savedLocations.filter((location) => {
+      const locationTags = location.tags || [];
+      if (!tags.every((tag) => locationTags.includes(tag))) return false;
+
+      const text = [location.name, location.admin1, location.country, location.notes, ...locationTags]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      return words.every((word) => text.includes(word));
+    });
+
+    // Saved locations are already home first, then by name.
+    if (state.locationSort === 'distance' && state.sortOrigin) {
+      const distances = new Map(matches.map((location) => [location.id, getDistanceKm(state.sortOrigin, location)]));
+      return matches.sort((a, b) => distances.get(a.id) - distances.get(b.id));
+    }
+    if (state.locationSort === 'tonight') {
+      // Locations without a forecast go last.
+      const score = (location) => state.tonightScores[location.id] ?? -1;
+      return matches.sort((a, b) => score(b) - score(a));
+    }
+    return matches;
+  }
+
+  /**
+   * Toggle a tag in the saved locations filter.
+   * @param {string} tag - Tag.
+   */
+  function toggleTagFilter(tag) {
+    const { tags } = state.locationFilter;
+    state.locationFilter.tags = tags.includes(tag) ? tags.filter((t) => t !== tag) : [...tags, tag];
+    renderApp();
+  }
+
+  /**
+   * Clear the saved locations search and tag filters.
+   */
+  function clearLocationFilter() {
+    state.locationFilter = { query: '', tags: [] };
+    renderApp();
+  }
+
+  /**
+   * Re-render the saved locations list and map pins without touching the
+   * filter bar, so the search box keeps focus while typing.
+   */
+  function refreshLocationList() {
+    const results = app.querySelector('#location-results');
+    if (results) {
+      results.innerHTML = renderLocationResults();
+    }
+    const clearBtn = app.querySelector('[data-action="clear-location-filter"]');
+    if (clearBtn) {
+      clearBtn.hidden = !isLocationFilterActive();
+    }
+    if (locationMap) {
+      locationMap.setMarkers(getMapMarkers());
+    }
+  }
+
+  // ============================================================
+  // NOTIFICATIONS
+  // ============================================================
+
+  /** Periodic sync tag handled by the service worker. */
+  const REFRESH_TAG = 'ccf-forecast-refresh';
+
+  /**
+   * Load notification settings from storage.
+   */
+  async function loadNotificationSettings() {
+    const saved = await ForecastStorage.getSetting('notificationSettings', null);
+    if (saved) {
+      state.notificationSettings = { ...state.notificationSettings, ...saved };
+    }
+  }
+
+  /**
+   * Persist notification settings and update the background refresh.
+   */
+  async function saveNotificationSettings() {
+    try {
+      await ForecastStorage.setSetting('notificationSettings', state.notificationSettings);
+    } catch (e) {
+      console.error('Error saving notification settings:', e);
+    }
+    registerBackgroundRefresh();
+  }
+
+  /**
+   * Turn good-conditions notifications on or off.
+   * @param {boolean} enabled - Whether notifications are wanted.
+   */
+  async function setNotificationsEnabled(enabled) {
+    if (enabled) {
+      if (!('Notification' in window)) {
+        alert(strings.notificationsUnsupported || 'Notifications are not supported in this browser.');
+        enabled = false;
+      } else if (await Notification.requestPermission() !== 'granted') {
+        alert(strings.notificationsDenied || 'Notification permission was denied.');
+        enabled = false;
+      }
+    }
+
+    state.notificationSettings = { ...state.notificationSettings, enabled };
+    await saveNotificationSettings();
+    renderApp();
+  }
+
+  /**
+   * Set the minimum score that triggers a notification.
+   * @param {string|number} value - Score threshold (0-100).
+   */
+  function setNotificationThreshold(value) {
+    const threshold = parseInt(value, 10);
+    if (isNaN(threshold)) return;
+
+    state.notificationSettings = {
+      ...state.notificationSettings,
+      threshold: Math.min(100, Math.max(0, threshold)),
+    };
+    saveNotificationSettings();
+  }
+
+  /**
+   * Register (or remove) the periodic background refresh. Browsers without
+   * periodic sync get a refresh each time the app is opened instead.
+   */
+  async function registerBackgroundRefresh() {
+    if (!('serviceWorker' in navigator)) return;
+
+    const registration = await navigator.serviceWorker.ready;
+    const { enabled } = state.notificationSettings;
+
+    if ('periodicSync' in registration) {
+      try {
+        if (enabled) {
+          await registration.periodicSync.register(REFRESH_TAG, { minInterval: 6 * HOUR_MS });
+        } else {
+          await registration.periodicSync.unregister(REFRESH_TAG);
+        }
+      } catch (e) {
+        addDebug(`Periodic sync unavailable: ${e.message}`);
+      }
+    }
+
+    if (enabled && registration.active) {
+      registration.active.postMessage({ type: 'REFRESH_FORECASTS' });
+    }
+  }
+
+  // ============================================================
+  // PHOTOGRAPHY SCORE CALCULATION
+  // ============================================================
+
+  /**
+   * Calculate photography score for an hour (0-100) with the active score profile.
+   * @param {Object} hour - Hourly weather data.
+   * @param {string} sunlightClass - Current sunlight class (day, golden, blue, night).
+   * @param {Object} weights - Score weights (defaults to the active score profile).
+   * @returns {number} Score from 0-100.
+   */
+  function calculatePhotoScore(hour, sunlightClass, weights = getScoreWeights()) {
+    return ForecastScore.calculatePhotoScore(hour, sunlightClass, weights);
+  }
+
+  /** Names of the sunlight classes. */
+  const SUNLIGHT_LABELS = {
+    'sunlight-day': strings.periodDay || 'Daylight',
+    'sunlight-golden': strings.goldenHour || 'Golden hour',
+    'sunlight-blue': strings.blueHour || 'Blue hour',
+    'sunlight-night': strings.night || 'Night',
+    'sunlight-astro-dark': strings.astroDark || 'Astro dark',
+  };
+
+  /** Names of the photo score factors, as used in the score breakdown. */
+  const SCORE_FACTOR_LABELS = {
+    cloudLow: strings.factorCloudLow || 'low cloud',
+    cloudMid: strings.factorCloudMid || 'mid cloud',
+    cloudHigh: strings.factorCloudHigh || 'high cloud',
+    rain: strings.factorRain || 'rain chance',
+    visibility: strings.factorVisibility || 'visibility',
+    wind: strings.factorWind || 'wind',
+    golden: strings.factorGolden || 'golden hour',
+    blue: strings.factorBlue || 'blue hour',
+    night: strings.factorNight || 'night',
+  };
+
+  /**
+   * Break an hour's photography score down by factor with the active score profile.
+   * @param {Object} hour - Hourly weather data.
+   * @param {string} sunlightClass - Current sunlight class (day, golden, blue, night).
+   * @returns {Array<Object>} Factors with key and points.
+   */
+  function getPhotoScoreBreakdown(hour, sunlightClass) {
+    return ForecastScore.getPhotoScoreBreakdown(hour, sunlightClass, getScoreWeights());
+  }
+
+  /**
+   * Find the best shooting windows in a forecast with the active score profile.
+   * @param {Object} forecast - Forecast data.
+   * @returns {Array} Windows sorted by score (best first).
+   */
+  function findBestWindows(forecast) {
+    return ForecastScore.findBestWindows(forecast, BEST_WINDOWS_LIMIT, getScoreWeights());
+  }
+
+  /**
+   * Calculate the average photo score for a range of hours with the active score profile.
+   * @param {Array} hourly - Array of hourly data.
+   * @param {number} startIndex - Start index.
+   * @param {number} endIndex - End index (exclusive).
+   * @param {Object} dayData - Daily data for sunlight calculation.
+   * @param {string} timezone - Timezone identifier.
+   * @returns {number} Average score.
+   */
+  function calculateWindowScore(hourly, startIndex, endIndex, dayData, timezone) {
+    return ForecastScore.calculateWindowScore(hourly, startIndex, endIndex, dayData, timezone, getScoreWeights());
+  }
+
+  /**
+   * Get score class for photography score.
+   * @param {number} score - Score from 0-100.
+   * @returns {string} CSS class.
+   */
+  function getScoreClass(score) {
+    if (score >= 80) return 'score-excellent';
+    if (score >= 60) return 'score-good';
+    if (score >= 40) return 'score-fair';
+    return 'score-poor';
+  }
+
+  /**
+   * Get score label for photography score.
+   * @param {number} score - Score from 0-100.
+   * @returns {string} Label string.
+   */
+  function getScoreLabel(score) {
+    if (score >= 80) return 'excellent';
+    if (score >= 60) return 'good';
+    if (score >= 40) return 'fair';
+    return 'poor';
+  }
+
+  /**
+   * Get star rating string.
+   * @param {number} score - Score from 0-100.
+   * @returns {string} Star characters.
+   */
+  function getStarRating(score) {
+    const stars = Math.round(score / 20);
+    return '\u2605'.repeat(stars) + '\u2606'.repeat(5 - stars);
+  }
+
+  /**
+   * Get cloud description text.
+   * @param {number} cloudTotal - Total cloud coverage percentage.
+   * @returns {string} Description.
+   */
+  function getCloudDescription(cloudTotal) {
+    if (cloudTotal <= 10) return 'Clear';
+    if (cloudTotal <= 25) return 'Mostly clear';
+    if (cloudTotal <= 50) return 'Partly cloudy';
+    if (cloudTotal <= 75) return 'Mostly cloudy';
+    return 'Overcast';
+  }
+
+  // ============================================================
+  // API FUNCTIONS
+  // ============================================================
+
+  /** Cached forecasts younger than this are shown without revalidating. */
+  const FORECAST_FRESH_AGE = 15 * 60 * 1000;
+
+  /** Cached forecasts are kept this long so the app still works offline. */
+  const FORECAST_RETENTION = 7 * 24 * HOUR_MS;
+
+  /** Fetch time and location of each forecast object the app holds. */
+  const forecastMeta = new WeakMap();
+
+  /** Names for moon phases computed in the app, by ForecastAstro.MOON_PHASES key. */
+  const MOON_PHASE_NAMES = {
+    new: strings.newMoon,
+    waxingCrescent: strings.waxingCrescent,
+    firstQuarter: strings.firstQuarter,
+    waxingGibbous: strings.waxingGibbous,
+    full: strings.fullMoon,
+    waningGibbous: strings.waningGibbous,
+    lastQuarter: strings.lastQuarter,
+    waningCrescent: strings.waningCrescent,
+  };
+
+  /**
+   * Get the forecast cache key for a location.
+   * @param {Object} location - Location with lat, lon and optional id.
+   * @returns {number|string} Saved location ID, or a rounded-coordinates key.
+   */
+  function getForecastCacheKey(location) {
+    return location.id || ForecastStorage.getCoordsCacheKey(location.lat, location.lon);
+  }
+
+  /**
+   * Fetch a forecast from the server and cache it.
+   * @param {Object} location - Location with lat, lon, name.
+   * @returns {Promise<Object>} Forecast data.
+   */
+  async function fetchForecastFromNetwork(location) {
+    const data = await ajax('ccf_pwa_forecast', {
+      lat: location.lat,
+      lon: location.lon,
+      name: location.name || '',
+    });
+
+    // Work out any twilight or moon data the server didn't send, then cache
+    // the result and check it against the location's alert rules.
+    ForecastAstro.fillMissingAstronomy(data, MOON_PHASE_NAMES);
+    await ForecastStorage.cacheForecast(getForecastCacheKey(location), data);
+    forecastMeta.set(data, { timestamp: Date.now(), location, revalidating: false });
+    updateAlertMatches(location, data);
+    if (state.locationSort === 'tonight') {
+      updateTonightScore(location, data);
+    }
+
+    // Keep a snapshot of saved locations for the accuracy review.
+    if (location.id) {
+      ForecastStorage.addForecastSnapshot(location.id, data).catch((e) => {
+        console.error('Error saving forecast snapshot:', e);
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Fetch extended forecast for a location, offline-first: the last cached
+   * forecast is returned straight away however old it is. Callers refresh
+   * stale copies with revalidateIfStale().
+   * @param {Object} location - Location with lat, lon, name.
+   * @returns {Promise<Object>} Forecast data.
+   */
+  async function fetchForecast(location) {
+    const cached = await ForecastStorage.getCachedForecastEntry(getForecastCacheKey(location));
+    if (!cached) {
+      return fetchForecastFromNetwork(location);
+    }
+
+    ForecastAstro.fillMissingAstronomy(cached.data, MOON_PHASE_NAMES);
+    forecastMeta.set(cached.data, { timestamp: cached.timestamp, location, revalidating: false });
+    updateAlertMatches(location, cached.data);
+    return cached.data;
+  }
+
+  /**
+   * Re-fetch a held forecast in the background if it is stale, then swap
+   * the fresh copy in (and re-render if it is on screen).
+   * @param {number|string} key - Key in state.forecastData.
+   */
+  function revalidateIfStale(key) {
+    const stale = state.forecastData[key];
+    const meta = stale && forecastMeta.get(stale);
+    if (!meta || meta.revalidating || !state.isOnline) return;
+    if (Date.now() - meta.timestamp < FORECAST_FRESH_AGE) return;
+
+    meta.revalidating = true;
+    fetchForecastFromNetwork(meta.location)
+      .then((fresh) => {
+        // Another load may have replaced it in the meantime.
+        if (state.forecastData[key] !== stale) return;
+
+        const isShown = getActiveForecast() === stale
+          || (state.activeTab === 'compare' && getCompareLocationIds().includes(key))
+          || (state.activeTab === 'trips' && getTripLocationIds(getActiveTrip()).includes(key));
+        state.forecastData[key] = fresh;
+        if (isShown && !state.isLoading && !state.editingLocation && !state.editingTrip) {
+          renderAppKeepingScroll();
+        }
+      })
+      .catch((e) => {
+        addDebug(`Revalidate failed: ${e.message}`);
+      })
+      .finally(() => {
+        meta.revalidating = false;
+      });
+  }
+
+  /**
+   * Format how long ago a forecast was fetched.
+   * @param {number} ms - Age in milliseconds.
+   * @returns {string} e.g. "40 min ago", "3h ago", "2d ago".
+   */
+  function formatAge(ms) {
+    const minutes = Math.round(ms / 60000);
+    const ago = strings.ago || 'ago';
+    if (minutes < 60) return `${minutes} min ${ago}`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours}h ${ago}`;
+    return `${Math.round(hours / 24)}d ${ago}`;
+  }
+
+  /**
+   * Search for locations.
+   * @param {string} query - Search query.
+   * @returns {Promise<Array>} Array of location results.
+   */
+  async function searchLocations(query) {
+    const data = await ajax('ccf_pwa_geocode', { query });
+    // Normalize to array.
+    return Array.isArray(data) ? data : [data];
+  }
+
+  // ============================================================
+  // SHOOTING DIRECTION
+  // ============================================================
+
+  /** Field of view assumed around a location's bearing, in degrees. */
+  const DEFAULT_VIEW_WIDTH = 90;
+
+  /** The sun counts as behind the horizon profile when hidden this long. */
+  const OBSTRUCTION_MIN_MINUTES = 5;
+
+  /** Step and limit for finding when the sun clears the horizon profile. */
+  const OBSTRUCTION_STEP_MS = 2 * 60 * 1000;
+  const OBSTRUCTION_MAX_MS = 3 * HOUR_MS;
+
+  /** Sixteen-point compass names, clockwise from north. */
+  const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+  /**
+   * Format a compass bearing with its compass point, e.g. "262° W".
+   * @param {number} bearing - Degrees clockwise from north.
+   * @returns {string} Formatted bearing.
+   */
+  function formatBearing(bearing) {
+    const point = COMPASS_POINTS[Math.round(bearing / 22.5) % COMPASS_POINTS.length];
+    return `${Math.round(bearing) % 360}° ${point}`;
+  }
+
+  /**
+   * Get the angle between two compass bearings.
+   * @param {number} a - Bearing in degrees.
+   * @param {number} b - Bearing in degrees.
+   * @returns {number} Difference in degrees, 0-180.
+   */
+  function getBearingOffset(a, b) {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+  }
+
+  /**
+   * Parse a horizon profile typed as "azimuth:altitude" pairs, e.g. "240:5, 270:12".
+   * @param {string} text - Profile text.
+   * @returns {Array|null} Points sorted by azimuth, or null if an entry is not valid.
+   */
+  function parseHorizonProfile(text) {
+    const points = [];
+    const entries = String(text || '').split(/[,;\n]/).map((entry) => entry.trim()).filter(Boolean);
+
+    for (const entry of entries) {
+      const match = entry.match(/^(\d+(?:\.\d+)?)\s*[:=]\s*(\d+(?:\.\d+)?)$/);
+      if (!match) return null;
+      const azimuth = parseFloat(match[1]);
+      const altitude = parseFloat(match[2]);
+      if (azimuth >= 360 || altitude > 90) return null;
+      points.push({ azimuth, altitude });
+    }
+
+    return points.sort((a, b) => a.azimuth - b.azimuth);
+  }
+
+  /**
+   * Format a horizon profile for the edit form.
+   * @param {Array} profile - Points with azimuth and altitude.
+   * @returns {string} Profile text.
+   */
+  function formatHorizonProfile(profile) {
+    return (profile || []).map((point) => `${point.azimuth}:${point.altitude}`).join(', ');
+  }
+
+  /**
+   * Clean up a location's shooting direction fields from the edit form or an import.
+   * @param {Object} fields - bearing, viewWidth and horizon (points or profile text).
+   * @returns {Object|null} Clean fields, or null if the horizon profile is not valid.
+   */
+  function normalizeShootingDirection({ bearing, viewWidth, horizon }) {
+    const points = parseHorizonProfile(Array.isArray(horizon) ? formatHorizonProfile(horizon) : horizon);
+    if (!points) return null;
+
+    const bearingValue = parseFloat(bearing);
+    const widthValue = parseFloat(viewWidth);
+    return {
+      bearing: isFinite(bearingValue) ? ((Math.round(bearingValue) % 360) + 360) % 360 : null,
+      viewWidth: isFinite(widthValue) ? Math.min(360, Math.max(10, Math.round(widthValue))) : DEFAULT_VIEW_WIDTH,
+      horizon: points,
+    };
+  }
+
+  /**
+   * Get the horizon altitude toward an azimuth, interpolating between the
+   * profile's points (and across north). A single point applies all round.
+   * @param {Array} profile - Points sorted by azimuth.
+   * @param {number} azimuth - Degrees clockwise from north.
+   * @returns {number} Altitude in degrees.
+   */
+  function getHorizonAltitude(profile, azimuth) {
+    if (!profile || profile.length === 0) return 0;
+    if (profile.length === 1) return profile[0].altitude;
+
+    let nextIndex = profile.findIndex((point) => point.azimuth >= azimuth);
+    if (nextIndex === -1) nextIndex = 0;
+    const next = profile[nextIndex];
+    const prev = profile[(nextIndex + profile.length - 1) % profile.length];
+
+    const span = (next.azimuth - prev.azimuth + 360) % 360 || 360;
+    const offset = (azimuth - prev.azimuth + 360) % 360;
+    return prev.altitude + (next.altitude - prev.altitude) * (offset / span);
+  }
+
+  /**
+   * Check whether a location has a shooting direction or horizon profile.
+   * @param {Object} location - Location object.
+   * @returns {boolean}
+   */
+  function hasShootingDirection(location) {
+    return location != null && (location.bearing != null || (location.horizon || []).length > 0);
+  }
+
+  /**
+   * Work out where the sun rises and sets on a day, and whether that is
+   * behind the location's horizon profile or outside its view.
+   * @param {Object} location - Location with lat, lon and optional bearing, viewWidth and horizon.
+   * @param {Object} dayData - Daily data with sunrise/sunset.
+   * @param {string} timezone - Timezone identifier.
+   * @returns {Object|null} {sunrise, sunset}, each with azimuth, outsideView
+   *   and obstructedMinutes, or null without sun times.
+   */
+  function getSunAlignment(location, dayData, timezone) {
+    const sun = getSunEventTimes(dayData, timezone);
+    if (!sun || !location) return null;
+
+    const viewWidth = location.viewWidth || DEFAULT_VIEW_WIDTH;
+    const horizon = location.horizon || [];
+
+    // Minutes from the event until the sun is above the profile, stepping
+    // forward after sunrise and back before sunset.
+    const obstructedMinutes = (ts, direction) => {
+      if (horizon.length === 0) return 0;
+      for (let offset = 0; offset <= OBSTRUCTION_MAX_MS; offset += OBSTRUCTION_STEP_MS) {
+        const position = getSunPosition(new Date(ts + direction * offset), location.lat, location.lon);
+        if (position.altitude - HORIZON_ALTITUDE > getHorizonAltitude(horizon, position.azimuth)) {
+          return Math.round(offset / 60000);
+        }
+      }
+      return Math.round(OBSTRUCTION_MAX_MS / 60000);
+    };
+
+    const event = (ts, direction) => {
+      const { azimuth } = getSunPosition(new Date(ts), location.lat, location.lon);
+      return {
+        azimuth,
+        outsideView: location.bearing != null && getBearingOffset(azimuth, location.bearing) > viewWidth / 2,
+        obstructedMinutes: obstructedMinutes(ts, direction),
+      };
+    };
+
+    return {
+      sunrise: event(sun.sunriseTs, 1),
+      sunset: event(sun.sunsetTs, -1),
+    };
+  }
+
+  /**
+   * Describe why a sunrise or sunset is flagged for a location.
+   * @param {Object} event - Sunrise or sunset from getSunAlignment.
+   * @param {string} type - 'sunrise' or 'sunset'.
+   * @returns {Array<string>} Warnings, empty when the view is clear.
+   */
+  function getSunAlignmentWarnings(event, type) {
+    const warnings = [];
+    if (event.obstructedMinutes >= OBSTRUCTION_MIN_MINUTES) {
+      warnings.push(type === 'sunrise'
+        ? `${strings.risesBehindHorizon || 'Rises behind the horizon profile'} (+${event.obstructedMinutes} min)`
+        : `${strings.setsBehindHorizon || 'Sets behind the horizon profile'} (−${event.obstructedMinutes} min)`);
+    }
+    if (event.outsideView) {
+      warnings.push(strings.outsideView || 'Outside the view');
+    }
+    return warnings;
+  }
+
+  /**
+   * Render a sunrise or sunset azimuth with any warnings for a location.
+   * @param {Object|null} event - Sunrise or sunset from getSunAlignment.
+   * @param {string} type - 'sunrise' or 'sunset'.
+   * @returns {string} HTML string.
+   */
+  function renderSunAzimuth(event, type) {
+    if (!event) return '';
+    const warnings = getSunAlignmentWarnings(event, type);
+
+    return `
+      <span class="sun-azimuth ${warnings.length > 0 ? 'is-flagged' : ''}" title="${escapeHtml([strings.sunAzimuth || 'Sun azimuth', ...warnings].join(' · '))}">
+        ${escapeHtml(formatBearing(event.azimuth))}${warnings.length > 0 ? ' &#9888;&#xFE0E;' : ''}
+      </span>
+    `;
+  }
+
+  /**
+   * Render a saved location's shooting direction and today's sunset check
+   * for the forecast header.
+   * @param {Object} location - Location object.
+   * @param {Object} forecast - Forecast data.
+   * @returns {string} HTML string.
+   */
+  function renderShootingDirection(location, forecast) {
+    if (!hasShootingDirection(location)) return '';
+
+    const alignment = getSunAlignment(location, forecast.daily?.[0], forecast.location?.timezone);
+    const warnings = alignment
+      ? [
+        ...getSunAlignmentWarnings(alignment.sunrise, 'sunrise').map((warning) => `${strings.sunrise || 'Sunrise'}: ${warning}`),
+        ...getSunAlignmentWarnings(alignment.sunset, 'sunset').map((warning) => `${strings.sunset || 'Sunset'}: ${warning}`),
+      ]
+      : [];
+
+    return `
+      <div class="shooting-direction">
+        ${location.bearing != null ? `
+          <span>&#129517; ${escapeHtml(strings.faces || 'Faces')} ${escapeHtml(formatBearing(location.bearing))} (&plusmn;${Math.round((location.viewWidth || DEFAULT_VIEW_WIDTH) / 2)}&deg;)</span>
+        ` : ''}
+        ${alignment ? `
+          <span>&#9728;&#xFE0E; ${escapeHtml(formatBearing(alignment.sunrise.azimuth))}</span>
+          <span>&#9790; ${escapeHtml(formatBearing(alignment.sunset.azimuth))}</span>
+        ` : ''}
+        ${warnings.map((warning) => `<span class="shooting-direction-warning">&#9888;&#xFE0E; ${escapeHtml(warning)}</span>`).join('')}
+      </div>
+    `;
+  }
+
+  // ============================================================
+  // DAILY SUMMARIES
+  // ============================================================
+
+  /** Local hours (inclusive start, exclusive end) of the parts of a day used in headlines. */
+  const DAY_PARTS = {
+    evening: [18, 24],
+    overnight: [0, 6],
+  };
+
+  /**
+   * Describe average cloud cover in a word or two.
+   * @param {number} cloud - Average total cloud percentage.
+   * @returns {string} Description.
+   */
+  function getSkyWord(cloud) {
+    if (cloud <= 25) return strings.skyClear || 'clear';
+    if (cloud <= 60) return strings.skyPartlyCloudy || 'partly cloudy';
+    return strings.skyCloudy || 'cloudy';
+  }
+
+  /**
+   * Build a one-line headline for a day's evening and the night after it,
+   * e.g. "Clear evening, cloudy after midnight".
+   * @param {Array} eveningHours - Hours of the evening.
+   * @param {Array} overnightHours - Hours after midnight.
+   * @returns {string} Headline, or an empty string without evening hours.
+   */
+  function getDayHeadline(eveningHours, overnightHours) {
+    const averageCloud = (hours) => hours.reduce((sum, hour) => sum + (hour.cloud_total || 0), 0) / hours.length;
+    if (eveningHours.length === 0) return '';
+
+    const evening = getSkyWord(averageCloud(eveningHours));
+    const overnight = overnightHours.length > 0 ? getSkyWord(averageCloud(overnightHours)) : null;
+    const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+    if (!overnight) {
+      return `${capitalize(evening)} ${strings.evening || 'evening'}`;
+    }
+    if (overnight === evening) {
+      return `${capitalize(evening)} ${strings.eveningAndNight || 'evening and night'}`;
+    }
+    return `${capitalize(evening)} ${strings.evening || 'evening'}, ${overnight} ${strings.afterMidnight || 'after midnight'}`;
+  }
+
+  /**
+   * Summarise each day of a forecast: sun windows, overnight dark sky,
+   * temperature range, rain and a headline.
+   * @param {Object} forecast - Forecast data.
+   * @returns {Array<Object>} One summary per entry in forecast.daily.
+   */
+  function getDailySummaries(forecast) {
+    const hourly = forecast.hourly || [];
+    const daily = forecast.daily || [];
+    const timezone = forecast.location?.timezone;
+    const sunlightClasses = getSunlightClasses(forecast);
+
+    // Hours grouped by date, with their clock hour, in the location's timezone
+    const hoursByDate = {};
+    const dates = hourly.map((hour, index) => {
+      const hourDate = new Date(hour.time);
+      const dateStr = timezone
+        ? hourDate.toLocaleDateString('en-CA', { timeZone: timezone })
+        : hourDate.toISOString().split('T')[0];
+      const clockHour = timezone
+        ? new Date(hourDate.toLocaleString('en-US', { timeZone: timezone })).getHours()
+        : hourDate.getHours();
+      (hoursByDate[dateStr] = hoursByDate[dateStr] || []).push({ index, clockHour, hour });
+      return dateStr;
+    });
+    const inPart = (entries, part) => (entries || [])
+      .filter((entry) => entry.clockHour >= DAY_PARTS[part][0] && entry.clockHour < DAY_PARTS[part][1])
+      .map((entry) => entry.hour);
+
+    return daily.map((day, dayIndex) => {
+      const entries = hoursByDate[day.date] || [];
+      const nextDay = daily[dayIndex + 1];
+      const sun = getSunEventTimes(day, timezone);
+      const nextSun = nextDay ? getSunEventTimes(nextDay, timezone) : null;
+
+      const windowScore = (startTs, endTs) => {
+        const range = findHourRange(hourly, startTs, endTs);
+        return range ? calculateWindowScore(hourly, range.startIndex, range.endIndex, day, timezone) : null;
+      };
+
+      // Average dark sky score from dusk to the next dawn
+      let darkSky = null;
+      const night = sun && nextSun ? findHourRange(hourly, sun.civilDuskTs, nextSun.civilDawnTs) : null;
+      if (night) {
+        const scores = [];
+        for (let i = night.startIndex; i < night.endIndex; i++) {
+          const moon = forecast.moon?.[dates[i]];
+          const moonVisible = isMoonVisible(new Date(hourly[i].time), moon, timezone);
+          const score = calculateDarkSkyScore(hourly[i], sunlightClasses[i], moonVisible, moon ? moon.moon_illumination : 0);
+          if (score != null) scores.push(score);
+        }
+        darkSky = scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null;
+      }
+
+      const temperatures = entries.map((entry) => entry.hour.temperature).filter((value) => value != null);
+      const rainAmounts = entries.map((entry) => entry.hour.rain_amount).filter((value) => value != null);
+
+      return {
+        date: day.date,
+        firstIndex: entries.length > 0 ? entries[0].index : null,
+        twilight: day.twilight || {},
+        moon: forecast.moon?.[day.date] || null,
+        sunriseScore: sun ? windowScore(sun.civilDawnTs, sun.goldenMorningEnd) : null,
+        sunsetScore: sun ? windowScore(sun.goldenEveningStart, sun.civilDuskTs) : null,
+        darkSky,
+        tempMin: temperatures.length > 0 ? Math.min(...temperatures) : null,
+        tempMax: temperatures.length > 0 ? Math.max(...temperatures) : null,
+        rain: rainAmounts.length > 0 ? rainAmounts.reduce((sum, value) => sum + value, 0) : null,
+        headline: getDayHeadline(inPart(entries, 'evening'), nextDay ? inPart(hoursByDate[nextDay.date], 'overnight') : []),
+      };
+    });
+  }
+
+  // ============================================================
+  // GEOLOCATION
+  // ============================================================
+
+  /**
+   * Get current GPS position.
+   * @returns {Promise<Object>} Position with lat, lon.
+   */
+  function getCurrentPosition() {
+    return new Promise((resolve, reject) => {
+      if (!navigator.geolocation) {
+        reject(new Error('Geolocation not supported'));
+        return;
+      }
+
+      navigator.geolocation.getCurrentPosition(
+        (position) => {
+          resolve({
+            lat: position.coords.latitude,
+            lon: position.coords.longitude,
+          });
+        },
+        (error) => {
+          reject(error);
+        },
+        { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+      );
+    });
+  }
+
+  /**
+   * Reverse geocode coordinates to location object.
+   * @param {number} lat - Latitude.
+   * @param {number} lon - Longitude.
+   * @returns {Promise<Object>} Location object with name, admin1, country, timezone.
+   */
+  async function reverseGeocode(lat, lon) {
+    try {
+      const result = await ajax('ccf_pwa_reverse_geocode', { lat, lon });
+      if (result && result.name) {
+        return result;
+      }
+    } catch (e) {
+      // Fallback to coordinates.
+    }
+    return {
+      lat,
+      lon,
+      name: `${lat.toFixed(4)}, ${lon.toFixed(4)}`,
+    };
+  }
+
+  /**
+   * Find a saved location at about the given coordinates.
+   * @param {number} lat - Latitude.
+   * @param {number} lon - Longitude.
+   * @returns {Object|undefined} Saved location, if any.
+   */
+  function findSavedLocation(lat, lon) {
+    return state.savedLocations.find((loc) => isSameSpot(loc, { lat, lon }));
+  }
+
+  /**
+   * Check whether two points are at about the same spot (~1km tolerance).
+   * @param {Object} a - Point with lat and lon.
+   * @param {Object} b - Point with lat and lon.
+   * @returns {boolean}
+   */
+  function isSameSpot(a, b) {
+    const threshold = 0.01;
+    return Math.abs(a.lat - b.lat) < threshold && Math.abs(a.lon - b.lon) < threshold;
+  }
+
+  /**
+   * Check if a location is already saved (by coordinates proximity).
+   * @param {number} lat - Latitude.
+   * @param {number} lon - Longitude.
+   * @returns {boolean} True if location is already saved.
+   */
+  function isLocationSaved(lat, lon) {
+    return findSavedLocation(lat, lon) !== undefined;
+  }
+
+  // ============================================================
+  // UI RENDERING
+  // ============================================================
+
+  const app = document.getElementById('app');
+
+  /**
+   * Render the main app structure.
+   */
+  function renderApp() {
+    app.innerHTML = `
+      <header class="app-header">
+        <div class="app-header-content">
+          <h1 class="app-title">${escapeHtml(strings.appTitle)}</h1>
+          <div class="app-status">
+            ${!state.isOnline ? `<span class="offline-badge">${escapeHtml(strings.offline)}</span>` : ''}
+            ${shouldShowInstallButton() ? `<button class="install-btn" data-action="install" title="${escapeHtml(strings.installApp || 'Install App')}">&#8681;</button>` : ''}
+            <button class="font-size-toggle ${getFontSizeClass()}" data-action="toggle-font-size" title="${escapeHtml(strings.fontSize || 'Font size')}">${getFontSizeLabel()}</button>
+            <button class="theme-toggle" data-action="toggle-theme" title="Toggle theme">${getThemeIcon()}</button>
+          </div>
+        </div>
+        <nav class="app-tabs">
+          <button class="tab-btn ${state.activeTab === 'home' ? 'active' : ''}" data-tab="home" aria-keyshortcuts="1">
+            ${escapeHtml(strings.home)}
+          </button>
+          <button class="tab-btn ${state.activeTab === 'current' ? 'active' : ''}" data-tab="current" aria-keyshortcuts="2">
+            ${escapeHtml(strings.current)}
+          </button>
+          <button class="tab-btn ${state.activeTab === 'compare' ? 'active' : ''}" data-tab="compare" aria-keyshortcuts="3">
+            ${escapeHtml(strings.compare || 'Compare')}
+          </button>
+          <button class="tab-btn ${state.activeTab === 'locations' ? 'active' : ''}" data-tab="locations" aria-keyshortcuts="4">
+            ${escapeHtml(strings.locations)}
+          </button>
+          <button class="tab-btn ${state.activeTab === 'trips' ? 'active' : ''}" data-tab="trips" aria-keyshortcuts="5">
+            ${escapeHtml(strings.trips || 'Trips')}
+          </button>
+        </nav>
+      </header>
+      <main class="app-content" id="app-content">
+        ${renderTabContent()}
+      </main>
+      ${state.showInstallInstructions ? renderInstallInstructions() : ''}
+      ${state.editingLocation ? renderEditModal() : ''}
+      ${state.editingTrip ? renderTripEditor() : ''}
+      ${state.forecastReview ? renderForecastReview() : ''}
+      ${state.moonCalendar ? renderMoonCalendar() : ''}
+      ${state.importPreview ? renderImportPreview() : ''}
+      ${state.backupImport ? renderBackupImport() : ''}
+      ${state.loggingObservation ? renderObservationForm() : ''}
+      ${state.observationLogLocationId ? renderObservationLog() : ''}
+      ${state.hourDetail != null ? renderHourDetail() : ''}
+    `;
+
+    attachEventListeners();
+  }
+
+  /**
+   * Re-render the app, keeping the forecast grid's (or chart's) horizontal scroll position.
+   */
+  function renderAppKeepingScroll() {
+    // Save scroll position before re-render
+    const gridData = getTimeline();
+    const scrollLeft = gridData ? gridData.scrollLeft : 0;
+
+    renderApp();
+
+    // Restore scroll position after re-render
+    requestAnimationFrame(() => {
+      const newGridData = getTimeline();
+      if (newGridData && scrollLeft > 0) {
+        newGridData.scrollLeft = scrollLeft;
+      }
+      setupGridScrollListener();
+      updateCurrentDayDisplay();
+    });
+  }
+
+  /**
+   * Get the state.forecastData key of the forecast shown in the active tab.
+   * @returns {number|string|null} Forecast key or null.
+   */
+  function getActiveForecastKey() {
+    if (state.activeTab === 'home') {
+      if (state.sharedLocation) {
+        return 'shared';
+      }
+      return state.homeLocation ? state.homeLocation.id : null;
+    }
+    if (state.activeTab === 'current') {
+      return 'current';
+    }
+    return null;
+  }
+
+  /**
+   * Get the location whose forecast is shown in the active tab.
+   * @returns {Object|null} Location or null.
+   */
+  function getActiveLocation() {
+    if (state.activeTab === 'home') {
+      return state.sharedLocation || state.homeLocation;
+    }
+    if (state.activeTab === 'current') {
+      return state.currentLocation;
+    }
+    return null;
+  }
+
+  /**
+   * Get the forecast shown in the active tab.
+   * @returns {Object|null} Forecast data or null.
+   */
+  function getActiveForecast() {
+    const key = getActiveForecastKey();
+    return key != null ? state.forecastData[key] || null : null;
+  }
+
+
+  /**
+   * Re-render only the forecast grid (or chart), best windows and daily cards (keeps form focus intact).
+   */
+  function refreshForecastGrid() {
+    const forecast = getActiveForecast();
+    const gridContainer = document.getElementById('forecast-grid') || document.getElementById('forecast-chart');
+    if (!forecast || !gridContainer) return;
+
+    const gridData = getTimeline();
+    const scrollLeft = gridData ? gridData.scrollLeft : 0;
+
+    gridContainer.outerHTML = renderForecastTimeline(forecast, getGridOverlays(getActiveForecastKey()));
+    const bestWindows = app.querySelector('.best-windows');
+    if (bestWindows) {
+      bestWindows.outerHTML = renderBestWindows(forecast);
+    }
+    const dailyCards = app.querySelector('.daily-cards');
+    if (dailyCards) {
+      dailyCards.outerHTML = renderDailyCards(forecast, getActiveLocation());
+    }
+
+    const newGridData = getTimeline();
+    if (newGridData) {
+      newGridData.scrollLeft = scrollLeft;
+    }
+    setupGridScrollListener();
+    setupChartBrush();
+    updateCurrentDayDisplay();
+    initGridFocus();
+  }
+
+  /**
+   * Render install instructions modal for Safari/Firefox.
+   * @returns {string} HTML string.
+   */
+  function renderInstallInstructions() {
+    const browser = getBrowserType();
+    const isIOSDevice = isIOS();
+
+    let instructions = '';
+    let icon = '';
+
+    if (isIOSDevice) {
+      if (browser === 'safari') {
+        icon = '&#61512;'; // Share icon approximation
+        instructions = `
+          <ol class="install-steps">
+            <li>${escapeHtml(strings.installStep1Safari || 'Tap the Share button')} <span class="install-icon">&#61512;</span></li>
+            <li>${escapeHtml(strings.installStep2Safari || 'Scroll down and tap "Add to Home Screen"')}</li>
+            <li>${escapeHtml(strings.installStep3Safari || 'Tap "Add" in the top right')}</li>
+          </ol>
+        `;
+      } else if (browser === 'chrome-ios') {
+        instructions = `
+          <ol class="install-steps">
+            <li>${escapeHtml(strings.installStep1ChromeIOS || 'Tap the Share button')} <span class="install-icon">&#61512;</span></li>
+            <li>${escapeHtml(strings.installStep2ChromeIOS || 'Tap "Add to Home Screen"')}</li>
+            <li>${escapeHtml(strings.installStep3ChromeIOS || 'Tap "Add" to confirm')}</li>
+          </ol>
+        `;
+      } else if (browser === 'firefox') {
+        instructions = `
+          <ol class="install-steps">
+            <li>${escapeHtml(strings.installStep1FirefoxIOS || 'Tap the menu button')} <span class="install-icon">&#8943;</span></li>
+            <li>${escapeHtml(strings.installStep2FirefoxIOS || 'Tap "Share"')}</li>
+            <li>${escapeHtml(strings.installStep3FirefoxIOS || 'Tap "Add to Home Screen"')}</li>
+          </ol>
+        `;
+      } else {
+        instructions = `
+          <ol class="install-steps">
+            <li>${escapeHtml(strings.installStepGenericIOS || 'Open this page in Safari, then tap Share and "Add to Home Screen"')}</li>
+          </ol>
+        `;
+      }
+    } else {
+      // Android Firefox or other browsers
+      if (browser === 'firefox') {
+        instructions = `
+          <ol class="install-steps">
+            <li>${escapeHtml(strings.installStep1Firefox || 'Tap the menu button')} <span class="install-icon">&#8942;</span></li>
+            <li>${escapeHtml(strings.installStep2Firefox || 'Tap "Install"')}</li>
+          </ol>
+        `;
+      } else {
+        instructions = `
+          <ol class="install-steps">
+            <li>${escapeHtml(strings.installStep1Generic || 'Tap the browser menu')} <span class="install-icon">&#8942;</span></li>
+            <li>${escapeHtml(strings.installStep2Generic || 'Look for "Install app" or "Add to Home Screen"')}</li>
+          </ol>
+        `;
+      }
+    }
+
+    return `
+      <div class="install-modal-overlay" data-action="close-install">
+        <div class="install-modal">
+          <button class="install-modal-close" data-action="close-install">&times;</button>
+          <h2>${escapeHtml(strings.installTitle || 'Install App')}</h2>
+          <p class="install-description">${escapeHtml(strings.installDescription || 'Install this app on your device for quick access.')}</p>
+          ${instructions}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render edit location modal.
+   * @returns {string} HTML string.
+   */
+  function renderEditModal() {
+    const location = state.editingLocation;
+    if (!location) return '';
+
+    const name = location.name || '';
+    const admin1 = location.admin1 || '';
+    const notes = location.notes || '';
+    const tags = Array.isArray(location.tags) ? location.tags.join(', ') : (location.tags || '');
+    const bearing = location.bearing ?? '';
+    const viewWidth = location.viewWidth || DEFAULT_VIEW_WIDTH;
+    const horizon = Array.isArray(location.horizon) ? formatHorizonProfile(location.horizon) : (location.horizon || '');
+    const rules = location.alertRules || [];
+
+    return `
+      <div class="edit-modal-overlay" data-action="cancel-edit">
+        <div class="edit-modal">
+          <button class="edit-modal-close" data-action="cancel-edit">&times;</button>
+          <h2>${escapeHtml(strings.editLocation || 'Edit Location')}</h2>
+          <form class="edit-form" id="edit-location-form">
+            <div class="form-group">
+              <label for="edit-name">${escapeHtml(strings.name || 'Name')}</label>
+              <input type="text" id="edit-name" class="form-input" value="${escapeHtml(name)}" required>
+            </div>
+            <div class="form-group">
+              <label for="edit-admin1">${escapeHtml(strings.region || 'Region')} <span class="optional">(${escapeHtml(strings.optional || 'optional')})</span></label>
+              <input type="text" id="edit-admin1" class="form-input" value="${escapeHtml(admin1)}" placeholder="${escapeHtml(strings.regionPlaceholder || 'State, province, or region')}">
+            </div>
+            <div class="form-group">
+              <label for="edit-notes">${escapeHtml(strings.notes || 'Notes')} <span class="optional">(${escapeHtml(strings.optional || 'optional')})</span></label>
+              <textarea id="edit-notes" class="form-textarea" rows="3" placeholder="${escapeHtml(strings.notesPlaceholder || 'Add notes about this location...')}">${escapeHtml(notes)}</textarea>
+            </div>
+            <div class="form-group">
+              <label for="edit-tags">${escapeHtml(strings.tags || 'Tags')} <span class="optional">(${escapeHtml(strings.optional || 'optional')})</span></label>
+              <input type="text" id="edit-tags" class="form-input" value="${escapeHtml(tags)}" placeholder="${escapeHtml(strings.tagsPlaceholder || 'Comma-separated, e.g. coast, dark site')}" autocomplete="off">
+            </div>
+            <fieldset class="shooting-direction-fields">
+              <legend>${escapeHtml(strings.shootingDirection || 'Shooting direction')}</legend>
+              <div class="shooting-direction-row">
+                <div class="form-group">
+                  <label for="edit-bearing">${escapeHtml(strings.bearing || 'Bearing (°)')}</label>
+                  <input type="number" id="edit-bearing" class="form-input" min="0" max="359" step="1" value="${escapeHtml(String(bearing))}" placeholder="${escapeHtml(strings.bearingPlaceholder || '270 = west')}">
+                </div>
+                <div class="form-group">
+                  <label for="edit-view-width">${escapeHtml(strings.viewWidth || 'View width (°)')}</label>
+                  <input type="number" id="edit-view-width" class="form-input" min="10" max="360" step="1" value="${viewWidth}">
+                </div>
+              </div>
+              <div class="form-group">
+                <label for="edit-horizon">${escapeHtml(strings.horizonProfile || 'Horizon profile')} <span class="optional">(${escapeHtml(strings.optional || 'optional')})</span></label>
+                <input type="text" id="edit-horizon" class="form-input" value="${escapeHtml(horizon)}" placeholder="${escapeHtml(strings.horizonPlaceholder || 'azimuth:altitude, e.g. 240:2, 270:8, 300:3')}" autocomplete="off">
+                <p class="form-hint">${escapeHtml(strings.horizonHint || 'Height of hills or buildings in degrees at each compass bearing. Heights in between are interpolated.')}</p>
+              </div>
+            </fieldset>
+            <fieldset class="alert-rules" id="alert-rules">
+              <legend>${escapeHtml(strings.alertRules || 'Alert rules')}</legend>
+              ${rules.length === 0 ? `
+                <p class="alert-rules-empty">${escapeHtml(strings.noAlertRules || 'No alert rules. Add one to highlight matching hours.')}</p>
+              ` : rules.map(renderAlertRuleRow).join('')}
+              <button type="button" class="btn btn-sm" data-action="add-alert-rule">+ ${escapeHtml(strings.addAlertRule || 'Add rule')}</button>
+            </fieldset>
+            <div class="form-actions">
+              <button type="button" class="btn" data-action="cancel-edit">${escapeHtml(strings.cancel || 'Cancel')}</button>
+              <button type="submit" class="btn btn-primary" data-action="save-location-edit">${escapeHtml(strings.save || 'Save')}</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Handle install button click.
+   */
+  async function handleInstallClick() {
+    // If we have a deferred prompt (Chrome/Edge), use it
+    if (state.deferredInstallPrompt) {
+      try {
+        state.deferredInstallPrompt.prompt();
+        const result = await state.deferredInstallPrompt.userChoice;
+        if (result.outcome === 'accepted') {
+          state.deferredInstallPrompt = null;
+        }
+      } catch (e) {
+        console.error('Install prompt error:', e);
+      }
+      return;
+    }
+
+    // Otherwise, show manual instructions
+    state.showInstallInstructions = true;
+    renderApp();
+  }
+
+  /**
+   * Close install instructions modal.
+   */
+  function closeInstallInstructions() {
+    state.showInstallInstructions = false;
+    renderApp();
+  }
+
+  /**
+   * Render the current tab content.
+   * @returns {string} HTML string.
+   */
+  function renderTabContent() {
+    switch (state.activeTab) {
+      case 'home':
+        return renderHomeTab();
+      case 'current':
+        return renderCurrentTab();
+      case 'compare':
+        return renderCompareTab();
+      case 'locations':
+        return renderLocationsTab();
+      case 'trips':
+        return renderTripsTab();
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Render the home tab.
+   * @returns {string} HTML string.
+   */
+  function renderHomeTab() {
+    if (state.isLoading) {
+      return renderLoading();
+    }
+
+    if (state.error) {
+      return renderError(state.error);
+    }
+
+    // Shared location from URL takes precedence
+    if (state.sharedLocation) {
+      const forecast = state.forecastData['shared'];
+      if (!forecast) {
+        return renderLoading();
+      }
+      return renderForecastView(state.sharedLocation, forecast, 'shared');
+    }
+
+    if (!state.homeLocation) {
+      return `
+        <div class="empty-state">
+          <div class="empty-icon">&#127968;</div>
+          <h2>${escapeHtml(strings.noHomeLocation)}</h2>
+          <p>${escapeHtml(strings.addFirstLocation)}</p>
+          <button class="btn btn-primary" data-action="go-to-locations">
+            ${escapeHtml(strings.goToLocations)}
+          </button>
+        </div>
+      `;
+    }
+
+    const forecast = state.forecastData[state.homeLocation.id];
+    if (!forecast) {
+      return renderLoading();
+    }
+
+    return renderForecastView(state.homeLocation, forecast, 'home');
+  }
+
+  /**
+   * Render the current location tab.
+   * @returns {string} HTML string.
+   */
+  function renderCurrentTab() {
+    if (state.isLoading) {
+      return `
+        <div class="loading-state">
+          <div class="loading-spinner"></div>
+          <p>${escapeHtml(strings.gettingLocation)}</p>
+        </div>
+      `;
+    }
+
+    if (state.error) {
+      if (state.error.includes('denied') || state.error.includes('permission')) {
+        return `
+          <div class="empty-state">
+            <div class="empty-icon">&#128205;</div>
+            <h2>${escapeHtml(strings.locationDenied)}</h2>
+            <p>${escapeHtml(strings.enableLocation)}</p>
+            <button class="btn btn-primary" data-action="retry-location">
+              ${escapeHtml(strings.retry)}
+            </button>
+          </div>
+        `;
+      }
+      return renderError(state.error);
+    }
+
+    if (!state.currentLocation) {
+      return `
+        <div class="loading-state">
+          <div class="loading-spinner"></div>
+          <p>${escapeHtml(strings.gettingLocation)}</p>
+        </div>
+      `;
+    }
+
+    const forecast = state.forecastData['current'];
+    if (!forecast) {
+      return renderLoading();
+    }
+
+    return renderForecastView(state.currentLocation, forecast, 'current');
+  }
+
+  /**
+   * Render the locations tab.
+   * @returns {string} HTML string.
+   */
+  function renderLocationsTab() {
+    return `
+      <div class="locations-panel">
+        <div class="search-box">
+          <input
+            type="text"
+            class="search-input"
+            id="location-search"
+            placeholder="${escapeHtml(strings.searchLocation)}"
+            autocomplete="off"
+          >
+          <button class="search-btn" id="search-btn" ${state.isSearching ? 'disabled' : ''}>
+            ${state.isSearching ? escapeHtml(strings.loading) : 'Search'}
+          </button>
+        </div>
+        ${state.searchResults.length > 0 ? renderSearchResults() : ''}
+        <div class="saved-locations">
+          <div class="locations-header">
+            <h2>${escapeHtml(strings.locations)}</h2>
+            <div class="locations-actions">
+              <button class="btn btn-sm" data-action="toggle-locations-view" data-view="${state.locationsView === 'map' ? 'list' : 'map'}">
+                ${state.locationsView === 'map'
+                  ? `&#9776; ${escapeHtml(strings.listView || 'List')}`
+                  : `&#128506; ${escapeHtml(strings.mapView || 'Map')}`}
+              </button>
+              <details class="export-menu">
+                <summary class="btn btn-sm" title="${escapeHtml(strings.exportLocations || 'Export')}">
+                  &#8599; ${escapeHtml(strings.export || 'Export')}
+                </summary>
+                <div class="export-menu-items">
+                  <button class="btn btn-sm" data-action="export-locations" data-format="json">${escapeHtml(strings.exportBackup || 'Full backup (JSON)')}</button>
+                  <button class="btn btn-sm" data-action="export-locations" data-format="gpx">GPX</button>
+                  <button class="btn btn-sm" data-action="export-locations" data-format="kml">KML</button>
+                  <button class="btn btn-sm" data-action="export-locations" data-format="geojson">GeoJSON</button>
+                </div>
+              </details>
+              <button class="btn btn-sm" data-action="import-locations" title="${escapeHtml(strings.importLocations || 'Import')}">
+                &#8601; ${escapeHtml(strings.import || 'Import')}
+              </button>
+              <input type="file" id="import-file" accept=".json,.geojson,.gpx,.kml,application/json,application/geo+json,application/gpx+xml,application/vnd.google-earth.kml+xml" style="display: none;">
+            </div>
+          </div>
+          ${state.savedLocations.length > 0 ? renderLocationFilterBar() : ''}
+          ${state.locationsView === 'map' ? `
+            <div class="location-map" id="location-map"></div>
+            <p class="location-map-hint">${escapeHtml(strings.mapHint || 'Long-press the map to add a location. Drag a pin to fine-tune it, tap it to view the forecast.')}</p>
+          ` : state.savedLocations.length === 0 ? `
+            <div class="empty-state small">
+              <p>${escapeHtml(strings.noLocations)}</p>
+              <p class="hint">${escapeHtml(strings.addFirstLocation)}</p>
+            </div>
+          ` : `
+            <div id="location-results">${renderLocationResults()}</div>
+          `}
+        </div>
+        ${renderUnitSettings()}
+        ${renderColorSettings()}
+        ${renderNotificationSettings()}
+      </div>
+    `;
+  }
+
+  /**
+   * Render one editable alert rule row.
+   * @param {Object} rule - Alert rule.
+   * @param {number} index - Rule index.
+   * @returns {string} HTML string.
+   */
+  function renderAlertRuleRow(rule, index) {
+    const metric = ALERT_METRIC_OPTIONS.find((option) => option.value === rule.metric) || ALERT_METRIC_OPTIONS[0];
+    const unit = metric.kind ? getUnitLabel(metric.kind) : metric.unit;
+    const value = metric.kind ? parseFloat(convertUnit(metric.kind, rule.value).toFixed(2)) : rule.value;
+    const renderOptions = (options, selected) => options.map((option) => `
+      <option value="${option.value}" ${option.value === selected ? 'selected' : ''}>${escapeHtml(option.label)}</option>
+    `).join('');
+
+    return `
+      <div class="alert-rule" data-rule-index="${index}">
+        <select class="form-input" data-rule-field="metric" aria-label="${escapeHtml(strings.alertMetric || 'Condition')}">
+          ${renderOptions(ALERT_METRIC_OPTIONS, metric.value)}
+        </select>
+        ${metric.value !== 'frost' ? `
+          <select class="form-input alert-rule-op" data-rule-field="op" aria-label="${escapeHtml(strings.alertComparison || 'Comparison')}">
+            <option value="below" ${rule.op !== 'above' ? 'selected' : ''}>&lt;</option>
+            <option value="above" ${rule.op === 'above' ? 'selected' : ''}>&gt;</option>
+          </select>
+          <input type="number" class="form-input alert-rule-value" data-rule-field="value" step="any" value="${value}" aria-label="${escapeHtml(strings.alertValue || 'Value')}">
+          ${unit ? `<span class="alert-rule-unit">${escapeHtml(unit)}</span>` : ''}
+        ` : ''}
+        <select class="form-input" data-rule-field="period" aria-label="${escapeHtml(strings.alertPeriod || 'When')}">
+          ${renderOptions(ALERT_PERIOD_OPTIONS, rule.period || 'any')}
+        </select>
+        <label class="alert-rule-hours">
+          ${escapeHtml(strings.alertFor || 'for')}
+          <input type="number" class="form-input" data-rule-field="minHours" min="1" max="24" value="${rule.minHours || 1}">
+          ${escapeHtml(strings.alertHoursPlus || 'h+')}
+        </label>
+        <button type="button" class="btn btn-icon btn-danger" data-action="remove-alert-rule" data-index="${index}" title="${escapeHtml(strings.removeAlertRule || 'Remove rule')}">&times;</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the unit preferences panel.
+   * @returns {string} HTML string.
+   */
+  function renderUnitSettings() {
+    const units = getUnits();
+
+    return `
+      <div class="unit-settings">
+        <h2>${escapeHtml(strings.settings || 'Settings')}</h2>
+        <div class="unit-settings-grid">
+          ${UNIT_FIELDS.map((field) => `
+            <div class="form-group">
+              <label for="unit-${field.key}">${escapeHtml(field.label)}</label>
+              <select class="form-input" id="unit-${field.key}" data-unit="${field.key}">
+                ${UNIT_OPTIONS[field.key].map((option) => `
+                  <option value="${option.value}" ${option.value === units[field.key] ? 'selected' : ''}>${escapeHtml(option.label)}</option>
+                `).join('')}
+              </select>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the palette picker and colour band editor.
+   * @returns {string} HTML string.
+   */
+  function renderColorSettings() {
+    return `
+      <div class="color-settings">
+        <h2>${escapeHtml(strings.colours || 'Colours')}</h2>
+        <div class="form-group">
+          <label for="palette-select">${escapeHtml(strings.palette || 'Palette')}</label>
+          <select class="form-input" id="palette-select">
+            ${PALETTE_OPTIONS.map((option) => `
+              <option value="${option.value}" ${option.value === state.palette ? 'selected' : ''}>${escapeHtml(option.label)}</option>
+            `).join('')}
+          </select>
+        </div>
+        <details class="threshold-editor" id="threshold-editor" ${state.showThresholdEditor ? 'open' : ''}>
+          <summary>${escapeHtml(strings.colourBands || 'Colour bands')}</summary>
+          ${THRESHOLD_METRICS.map(renderThresholdRow).join('')}
+          <button type="button" class="btn btn-sm" data-action="reset-thresholds">${escapeHtml(strings.resetToDefaults || 'Reset to defaults')}</button>
+        </details>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the band boundary inputs and preview strip for one metric.
+   * @param {Object} metric - Entry from THRESHOLD_METRICS.
+   * @returns {string} HTML string.
+   */
+  function renderThresholdRow(metric) {
+    const bands = getThresholds(metric.key);
+    const unit = metric.kind ? getUnitLabel(metric.kind) : metric.unit;
+
+    return `
+      <div class="threshold-row">
+        <div class="threshold-label">${escapeHtml(metric.label)} <span class="threshold-unit">(${escapeHtml(unit)})</span></div>
+        <div class="threshold-inputs">
+          ${bands.map(([max, cls], index) => `
+            <span class="threshold-chip ${cls}">${escapeHtml(BAND_LABELS[cls])}</span>
+            ${index < bands.length - 1 ? `
+              <input type="number" class="form-input threshold-input" step="any" min="0"
+                data-threshold="${metric.key}" data-index="${index}" value="${thresholdToDisplay(metric, max)}"
+                aria-label="${escapeHtml(`${metric.label}: ${BAND_LABELS[cls]} / ${BAND_LABELS[bands[index + 1][1]]}`)}">
+            ` : ''}
+          `).join('')}
+        </div>
+        ${renderThresholdPreview(metric)}
+      </div>
+    `;
+  }
+
+  /**
+   * Render a strip showing how a metric's range is split into bands.
+   * @param {Object} metric - Entry from THRESHOLD_METRICS.
+   * @returns {string} HTML string.
+   */
+  function renderThresholdPreview(metric) {
+    let start = 0;
+    const segments = getThresholds(metric.key).map(([max, cls]) => {
+      const end = Math.min(max, metric.max);
+      const width = Math.max(0, ((end - start) / metric.max) * 100);
+      const segment = { cls, width, from: start, to: max };
+      start = Math.max(start, end);
+      return segment;
+    }).filter((segment) => segment.width > 0);
+
+    return `
+      <div class="threshold-preview" data-preview="${metric.key}" aria-hidden="true">
+        ${segments.map((segment) => `
+          <span class="threshold-segment ${segment.cls}" style="width: ${segment.width}%">
+            ${segment.to >= metric.max ? `&gt;${thresholdToDisplay(metric, segment.from)}` : `&le;${thresholdToDisplay(metric, segment.to)}`}
+          </span>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the good-conditions notification settings.
+   * @returns {string} HTML string.
+   */
+  function renderNotificationSettings() {
+    const { enabled, threshold } = state.notificationSettings;
+
+    return `
+      <div class="notification-settings">
+        <h2>${escapeHtml(strings.notifications || 'Notifications')}</h2>
+        <label class="notification-toggle">
+          <input type="checkbox" id="notifications-enabled" ${enabled ? 'checked' : ''}>
+          ${escapeHtml(strings.notifyGoodConditions || 'Notify me when a saved location has good conditions')}
+        </label>
+        <div class="form-group">
+          <label for="notification-threshold">${escapeHtml(strings.notificationThreshold || 'Minimum photo score')}</label>
+          <input type="number" class="form-input" id="notification-threshold" min="0" max="100" step="5" value="${threshold}" ${enabled ? '' : 'disabled'}>
+        </div>
+        <p class="notification-hint">${escapeHtml(strings.notificationsHint || 'Forecasts for saved locations are refreshed in the background when your browser allows it, or whenever you open the app.')}</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the detail drawer for one hour: every forecast field, the sunlight
+   * period, the moon and how the photo score was reached.
+   * @returns {string} HTML string.
+   */
+  function renderHourDetail() {
+    const forecast = getActiveForecast();
+    const hour = forecast?.hourly?.[state.hourDetail];
+    if (!hour) return '';
+
+    const timezone = forecast.location?.timezone;
+    const location = forecast.location || {};
+    const hourDate = new Date(hour.time);
+    const dateStr = timezone
+      ? hourDate.toLocaleDateString('en-CA', { timeZone: timezone })
+      : hourDate.toISOString().split('T')[0];
+    const dayData = (forecast.daily || []).find((day) => day.date === dateStr);
+    const moon = forecast.moon?.[dateStr];
+
+    const sunlightClass = getSunlightClass(hour, hourDate, dayData, timezone);
+    const photoScore = calculatePhotoScore(hour, sunlightClass);
+    const scoreLabel = BAND_LABELS[getScoreLabel(photoScore)];
+    const breakdown = getPhotoScoreBreakdown(hour, sunlightClass);
+    const unclamped = Math.round(breakdown.reduce((total, factor) => total + factor.points, 100));
+
+    const moonVisible = isMoonVisible(hourDate, moon, timezone);
+    const moonIllumination = moon ? moon.moon_illumination : 0;
+    const hasCoords = location.lat != null && location.lon != null;
+    const sunPosition = hasCoords ? getSunPosition(hourDate, location.lat, location.lon) : null;
+    const moonPosition = hasCoords ? getMoonPosition(hourDate, location.lat, location.lon) : null;
+    const darkSkyScore = calculateDarkSkyScore(hour, sunlightClass, moonVisible, moonIllumination);
+    const sunlightLabel = SUNLIGHT_LABELS[sunlightClass] || '-';
+
+    const withUnit = (kind, value) => formatUnit(kind, value, kind === 'temperature' ? getUnitLabel(kind) : ` ${getUnitLabel(kind)}`);
+    const yesNo = (value) => (value ? (strings.yes || 'yes') : (strings.no || 'no'));
+    const formatField = (key, value) => {
+      if (value == null) return '-';
+      switch (key) {
+        case 'time': return formatDateTime(value, 'datetime', timezone);
+        case 'temperature':
+        case 'feels_like':
+        case 'dew_point': return withUnit('temperature', value);
+        case 'precipitation':
+        case 'rain_amount': return withUnit('precipitation', value);
+        case 'visibility': return withUnit('distance', value / 1000);
+        case 'wind_speed': return withUnit('wind', value);
+        case 'wind_direction': return `${Math.round(value)}\u00B0 ${getWindDirection(value).label}`;
+        case 'humidity':
+        case 'rain_chance':
+        case 'cloud_total':
+        case 'cloud_low':
+        case 'cloud_mid':
+        case 'cloud_high': return formatValue(value, '%');
+        case 'is_day':
+        case 'frost': return yesNo(value);
+        default: return String(value);
+      }
+    };
+    const formatPoints = (points) => {
+      const rounded = Math.round(points);
+      return rounded < 0 ? `\u2212${Math.abs(rounded)}` : `+${rounded}`;
+    };
+
+    // Plain-language summary: sky, light and the score's verdict
+    const summary = [
+      `${getCloudDescription(hour.cloud_total || 0)}${SUNLIGHT_LABELS[sunlightClass] ? `, ${sunlightLabel.toLowerCase()}` : ''}.`,
+      `${strings.alertPhotoScore || 'Photo score'} ${photoScore} (${scoreLabel.toLowerCase()}).`,
+      hour.rain_chance >= 50 ? `${strings.rainLikely || 'Rain likely'} (${Math.round(hour.rain_chance)}%).` : '',
+      moonVisible && darkSkyScore != null ? `${strings.moon || 'Moon'} ${strings.moonUp || 'up'}, ${Math.round(moonIllumination || 0)}% ${strings.lit || 'lit'}.` : '',
+    ].filter(Boolean).join(' ');
+
+    return `
+      <div class="hour-detail-overlay" data-action="close-hour-detail">
+        <div class="hour-detail-drawer" role="dialog" aria-modal="true" aria-labelledby="hour-detail-title">
+          <button class="edit-modal-close hour-detail-close" data-action="close-hour-detail" aria-label="${escapeHtml(strings.close || 'Close')}">&times;</button>
+          <h2 id="hour-detail-title">${escapeHtml(formatDateTime(hour.time, 'datetime', timezone))}</h2>
+          <p class="hour-detail-summary">${escapeHtml(summary)}</p>
+
+          <h3>${escapeHtml(strings.scoreBreakdown || 'How the photo score was reached')}</h3>
+          <ul class="score-breakdown">
+            <li><span>${escapeHtml(strings.scoreStart || 'Starting score')}</span><span>100</span></li>
+            ${breakdown.map((factor) => `
+              <li class="${factor.points < 0 ? 'penalty' : 'bonus'}">
+                <span>${escapeHtml(SCORE_FACTOR_LABELS[factor.key] || factor.key)}</span>
+                <span>${formatPoints(factor.points)}</span>
+              </li>
+            `).join('')}
+            ${unclamped !== photoScore ? `
+              <li><span>${escapeHtml(strings.scoreClamped || 'Limited to 0\u2013100')}</span><span>${formatPoints(photoScore - unclamped)}</span></li>
+            ` : ''}
+            <li class="score-breakdown-total ${getScoreClass(photoScore)}">
+              <span>${escapeHtml(strings.alertPhotoScore || 'Photo score')}</span><span>${photoScore}</span>
+            </li>
+          </ul>
+
+          <h3>${escapeHtml(strings.skyAndLight || 'Sky and light')}</h3>
+          <dl class="hour-detail-fields">
+            <dt>${escapeHtml(strings.sunlight || 'Sunlight')}</dt>
+            <dd>${escapeHtml(sunlightLabel)} ${sunlightClass ? `<code>${escapeHtml(sunlightClass)}</code>` : ''}</dd>
+            <dt>${escapeHtml(strings.moon || 'Moon')}</dt>
+            <dd>
+              ${escapeHtml(moonVisible ? (strings.moonUp || 'up') : (strings.moonDown || 'down'))}${moon ? `, ${Math.round(moonIllumination || 0)}% ${escapeHtml(strings.lit || 'lit')}` : ''}
+              ${moon && moon.moon_phase_name ? ` &middot; ${escapeHtml(moon.moon_phase_name)}` : ''}
+            </dd>
+            ${sunPosition ? `
+              <dt>${escapeHtml(strings.sunPosition || 'Sun position')}</dt>
+              <dd>${escapeHtml(formatSkyPosition(sunPosition))}</dd>
+            ` : ''}
+            ${moonPosition ? `
+              <dt>${escapeHtml(strings.moonPosition || 'Moon position')}</dt>
+              <dd>${escapeHtml(formatSkyPosition(moonPosition))}</dd>
+            ` : ''}
+            ${darkSkyScore != null ? `
+              <dt>${escapeHtml(strings.darkSkyScore || 'Dark sky score')}</dt>
+              <dd>${darkSkyScore}</dd>
+            ` : ''}
+          </dl>
+
+          <h3>${escapeHtml(strings.forecastFields || 'Forecast')}</h3>
+          <dl class="hour-detail-fields">
+            ${Object.keys(hour).map((key) => `
+              <dt>${escapeHtml(HOUR_FIELD_LABELS[key] || key)}</dt>
+              <dd>${escapeHtml(formatField(key, hour[key]))}</dd>
+            `).join('')}
+          </dl>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Format an altitude and azimuth, e.g. "12° above the horizon, 245° WSW".
+   * @param {Object} position - Position with altitude and azimuth in degrees.
+   * @returns {string} Formatted position.
+   */
+  function formatSkyPosition(position) {
+    const above = position.altitude >= 0;
+    const altitude = `${Math.abs(Math.round(position.altitude))}\u00B0 ${above ? (strings.aboveHorizon || 'above the horizon') : (strings.belowHorizon || 'below the horizon')}`;
+    return `${altitude}, ${formatBearing(position.azimuth)}`;
+  }
+
+  /**
+   * Render the log observation form.
+   * @returns {string} HTML string.
+   */
+  function renderObservationForm() {
+    const observation = state.loggingObservation;
+    const forecast = observation.forecast || {};
+    const location = state.savedLocations.find((loc) => loc.id === observation.locationId);
+    const renderRatingOptions = (selected) => OBSERVATION_RATINGS.map((rating) => `
+      <option value="${rating.value}" ${rating.value === selected ? 'selected' : ''}>${rating.value} &ndash; ${escapeHtml(rating.label)}</option>
+    `).join('');
+
+    return `
+      <div class="edit-modal-overlay" data-action="cancel-observation">
+        <div class="edit-modal">
+          <button class="edit-modal-close" data-action="cancel-observation">&times;</button>
+          <h2>${escapeHtml(strings.logObservation || 'Log observation')}</h2>
+          <p class="observation-context">
+            ${escapeHtml(location ? location.name : '')} &middot; ${escapeHtml(formatDateTime(observation.time, 'datetime'))}
+            ${forecast.cloud_total != null ? `<br>${escapeHtml(strings.forecastCloud || 'Forecast cloud')}: ${Math.round(forecast.cloud_total)}%` : ''}
+          </p>
+          <form class="edit-form" id="observation-form">
+            <div class="form-group">
+              <label for="obs-cloud">${escapeHtml(strings.observedCloud || 'Observed cloud (%)')}</label>
+              <input type="number" id="obs-cloud" class="form-input" min="0" max="100" step="5" value="${observation.cloud != null ? observation.cloud : ''}" required>
+            </div>
+            <div class="form-group">
+              <label for="obs-seeing">${escapeHtml(strings.seeingTransparency || 'Seeing / transparency')}</label>
+              <select id="obs-seeing" class="form-input">${renderRatingOptions(observation.seeing)}</select>
+            </div>
+            <div class="form-group">
+              <label for="obs-photo">${escapeHtml(strings.photoRating || 'Photo rating')}</label>
+              <select id="obs-photo" class="form-input">${renderRatingOptions(observation.photoRating)}</select>
+            </div>
+            <div class="form-group">
+              <label for="obs-note">${escapeHtml(strings.notes || 'Notes')} <span class="optional">(${escapeHtml(strings.optional || 'optional')})</span></label>
+              <textarea id="obs-note" class="form-textarea" rows="3">${escapeHtml(observation.note || '')}</textarea>
+            </div>
+            <div class="form-actions">
+              ${observation.id ? `
+                <button type="button" class="btn btn-danger" data-action="delete-observation">${escapeHtml(strings.delete)}</button>
+              ` : ''}
+              <button type="button" class="btn" data-action="cancel-observation">${escapeHtml(strings.cancel || 'Cancel')}</button>
+              <button type="submit" class="btn btn-primary">${escapeHtml(strings.save || 'Save')}</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a location's observation log, compared with the cached forecast.
+   * @returns {string} HTML string.
+   */
+  function renderObservationLog() {
+    const locationId = state.observationLogLocationId;
+    const location = state.savedLocations.find((loc) => loc.id === locationId);
+    const observations = [...(state.observations[locationId] || [])].reverse();
+
+    const compared = observations.filter((obs) => obs.forecast && obs.forecast.cloud_total != null);
+    const meanError = compared.length > 0
+      ? Math.round(compared.reduce((sum, obs) => sum + Math.abs(obs.cloud - obs.forecast.cloud_total), 0) / compared.length)
+      : null;
+
+    return `
+      <div class="edit-modal-overlay" data-action="close-observation-log">
+        <div class="edit-modal review-modal">
+          <button class="edit-modal-close" data-action="close-observation-log">&times;</button>
+          <h2>${escapeHtml(strings.observationLog || 'Observation log')}: ${escapeHtml(location ? location.name : '')}</h2>
+          ${observations.length === 0 ? `
+            <p class="review-hint">${escapeHtml(strings.noObservations || 'No observations yet. Use + in the Observed row of the forecast grid to log one.')}</p>
+          ` : `
+            ${meanError != null ? `
+              <p class="review-summary">
+                ${escapeHtml(strings.observationSummary || 'Mean difference between observed and forecast cloud')}:
+                <strong>&plusmn;${meanError}%</strong> (${compared.length})
+              </p>
+            ` : ''}
+            <div class="review-table-container">
+              <table class="review-table observation-table">
+                <thead>
+                  <tr>
+                    <th>${escapeHtml(strings.when || 'When')}</th>
+                    <th>${escapeHtml(strings.observed || 'Observed')}</th>
+                    <th>${escapeHtml(strings.forecastCloud || 'Forecast cloud')}</th>
+                    <th>${escapeHtml(strings.seeingTransparency || 'Seeing / transparency')}</th>
+                    <th>${escapeHtml(strings.photoRating || 'Photo rating')}</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${observations.map((obs) => {
+                    const forecastCloud = obs.forecast?.cloud_total;
+                    const forecastScore = obs.forecast?.photo_score;
+                    return `
+                      <tr>
+                        <th>${escapeHtml(formatDateTime(obs.time, 'datetime'))}</th>
+                        <td class="${getColorClass(obs.cloud, getThresholds('cloud'))}">${obs.cloud}%</td>
+                        <td class="${forecastCloud != null ? getColorClass(forecastCloud, getThresholds('cloud')) : 'review-empty'}">${forecastCloud != null ? `${Math.round(forecastCloud)}%` : '-'}</td>
+                        <td>${getStarRating(obs.seeing * 20)}</td>
+                        <td>
+                          ${getStarRating(obs.photoRating * 20)}
+                          ${forecastScore != null ? `<span class="observation-forecast-score" title="${escapeHtml(strings.photoScore || 'Photo')}">(${forecastScore})</span>` : ''}
+                        </td>
+                        <td><button class="btn btn-icon btn-danger" data-action="delete-observation" data-id="${obs.id}" title="${escapeHtml(strings.delete)}">&#128465;</button></td>
+                      </tr>
+                      ${obs.note ? `<tr class="observation-note-row"><td colspan="6">${escapeHtml(obs.note)}</td></tr>` : ''}
+                    `;
+                  }).join('')}
+                </tbody>
+              </table>
+            </div>
+          `}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the forecast accuracy review modal.
+   * @returns {string} HTML string.
+   */
+  function renderForecastReview() {
+    const { location, history, date } = state.forecastReview;
+    const dates = getReviewDates(history);
+    const skill = getForecastSkill(history);
+    const times = date ? REVIEW_EVENING_HOURS.map((clock) => `${date}T${clock}`) : [];
+    const renderCell = (value) => (value != null
+      ? `<td class="${getColorClass(value, getThresholds('cloud'))}">${Math.round(value)}%</td>`
+      : '<td class="review-empty">-</td>');
+
+    return `
+      <div class="edit-modal-overlay" data-action="close-review">
+        <div class="edit-modal review-modal">
+          <button class="edit-modal-close" data-action="close-review">&times;</button>
+          <h2>${escapeHtml(strings.forecastAccuracy || 'Forecast accuracy')}: ${escapeHtml(location.name)}</h2>
+          ${dates.length === 0 ? `
+            <p class="review-hint">${escapeHtml(strings.noForecastHistory || 'No forecast history yet. Snapshots are saved each time this location\'s forecast is fetched.')}</p>
+          ` : `
+            <div class="form-group">
+              <label for="review-date">${escapeHtml(strings.reviewEvening || 'Evening')}</label>
+              <select id="review-date" class="form-input">
+                ${dates.map((d) => `<option value="${d}" ${d === date ? 'selected' : ''}>${escapeHtml(formatDateTime(`${d}T12:00`, 'date'))}</option>`).join('')}
+              </select>
+            </div>
+            <p class="review-hint">${escapeHtml(strings.reviewHint || 'Predicted total cloud for each hour, by how far ahead it was forecast.')}</p>
+            <div class="review-table-container">
+              <table class="review-table">
+                <thead>
+                  <tr>
+                    <th>${escapeHtml(strings.leadTime || 'Lead time')}</th>
+                    ${REVIEW_EVENING_HOURS.map((clock) => `<th>${escapeHtml(formatClockTime(clock))}</th>`).join('')}
+                  </tr>
+                </thead>
+                <tbody>
+                  ${HISTORY_LEAD_TIMES.map((leadHours) => `
+                    <tr>
+                      <th>${leadHours}h</th>
+                      ${times.map((time) => renderCell(getPredictionAtLead(history, time, leadHours))).join('')}
+                    </tr>
+                  `).join('')}
+                  <tr class="review-final">
+                    <th>${escapeHtml(strings.finalForecast || 'Final')}</th>
+                    ${times.map((time) => renderCell(getFinalPrediction(history, time))).join('')}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          `}
+          <h3>${escapeHtml(strings.forecastSkill || 'Skill at this location')}</h3>
+          <div class="review-table-container">
+            <table class="review-table">
+              <thead>
+                <tr>
+                  <th>${escapeHtml(strings.leadTime || 'Lead time')}</th>
+                  ${skill.errors.map(({ leadHours }) => `<th>${leadHours}h</th>`).join('')}
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <th>${escapeHtml(strings.meanError || 'Mean error')}</th>
+                  ${skill.errors.map(({ error }) => (error != null
+                    ? `<td class="${getColorClass(error, HISTORY_ERROR_THRESHOLDS)}">&plusmn;${error}%</td>`
+                    : '<td class="review-empty">-</td>')).join('')}
+                </tr>
+                <tr class="review-samples">
+                  <th>${escapeHtml(strings.samples || 'Hours')}</th>
+                  ${skill.errors.map(({ samples }) => `<td>${samples}</td>`).join('')}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          <p class="review-summary">
+            ${skill.trustedLead != null ? `
+              ${escapeHtml(strings.trustedFrom || 'Trust cloud forecasts here from about')}
+              <strong>${skill.trustedLead}h</strong>
+              ${escapeHtml(strings.ahead || 'ahead')} (&plusmn;${HISTORY_TRUST_ERROR}%)
+            ` : escapeHtml(strings.notEnoughHistory || 'Not enough history yet to judge how far ahead to trust the forecast.')}
+          </p>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the Compare tab.
+   * @returns {string} HTML string.
+   */
+  function renderCompareTab() {
+    if (state.savedLocations.length < COMPARE_MIN_LOCATIONS) {
+      return `
+        <div class="empty-state">
+          <div class="empty-icon">&#9878;</div>
+          <h2>${escapeHtml(strings.compareNeedsLocations || 'Save at least two locations to compare them')}</h2>
+          <button class="btn btn-primary" data-action="go-to-locations">
+            ${escapeHtml(strings.goToLocations)}
+          </button>
+        </div>
+      `;
+    }
+
+    const selectedIds = getCompareLocationIds();
+    const isFull = selectedIds.length >= COMPARE_MAX_LOCATIONS;
+
+    return `
+      <div class="compare-panel">
+        <div class="compare-picker">
+          ${state.savedLocations.map((location) => {
+            const checked = selectedIds.includes(location.id);
+            return `
+              <label class="compare-chip ${checked ? 'selected' : ''}">
+                <input type="checkbox" data-compare-id="${location.id}" ${checked ? 'checked' : ''} ${!checked && isFull ? 'disabled' : ''}>
+                ${escapeHtml(location.name)}
+              </label>
+            `;
+          }).join('')}
+        </div>
+        <div class="compare-metric">
+          <button class="btn btn-sm ${state.compareMetric === 'score' ? 'active' : ''}" data-action="compare-metric" data-metric="score">
+            ${escapeHtml(strings.photoScore || 'Photo')}
+          </button>
+          <button class="btn btn-sm ${state.compareMetric === 'cloud' ? 'active' : ''}" data-action="compare-metric" data-metric="cloud">
+            ${escapeHtml(strings.cloudTotal || 'Total cloud')}
+          </button>
+        </div>
+        ${state.isLoading ? renderLoading() : renderCompareMatrix(selectedIds)}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the location by hour comparison matrix.
+   * @param {Array<number>} selectedIds - Location IDs to compare.
+   * @returns {string} HTML string.
+   */
+  function renderCompareMatrix(selectedIds) {
+    if (selectedIds.length < COMPARE_MIN_LOCATIONS) {
+      return `<p class="compare-hint">${escapeHtml(strings.comparePick || 'Pick two to six locations to compare.')}</p>`;
+    }
+
+    const rows = selectedIds.map((id) => {
+      const location = state.savedLocations.find((loc) => loc.id === id);
+      const forecast = state.forecastData[id];
+      return { location, forecast, ...(forecast ? getCompareRowData(forecast) : {}) };
+    });
+
+    // Columns follow the first forecast that loaded; other rows line up by timestamp.
+    const reference = rows.find((row) => row.forecast);
+    if (!reference) {
+      return renderError(state.error || strings.error || 'Error');
+    }
+    const columns = reference.forecast.hourly
+      .slice(reference.firstIndex, reference.firstIndex + COMPARE_HOURS)
+      .map((hour, offset) => ({ time: hour.time, ts: reference.hourTimestamps[reference.firstIndex + offset] }));
+    const timezone = reference.forecast.location?.timezone;
+
+    const ranked = rows.filter((row) => row.tonight != null);
+    ranked.sort((a, b) => (state.compareMetric === 'cloud' ? a.tonight - b.tonight : b.tonight - a.tonight));
+    const best = ranked[0] || null;
+
+    let lastDate = '';
+
+    return `
+      ${best ? `
+        <div class="compare-recommendation">
+          &#9733; ${escapeHtml(strings.bestTonight || 'Best tonight')}:
+          <strong>${escapeHtml(best.location.name)}</strong>
+          (${best.tonight}${state.compareMetric === 'cloud' ? '% ' + escapeHtml(strings.cloudTotal || 'cloud') : ''})
+        </div>
+      ` : ''}
+      <div class="compare-matrix-container">
+        <table class="compare-matrix">
+          <thead>
+            <tr>
+              <th class="compare-location-col">${escapeHtml(strings.location || 'Location')}</th>
+              <th class="compare-tonight-col">${escapeHtml(strings.tonight || 'Tonight')}</th>
+              ${columns.map((hour) => {
+                const date = hour.time.split('T')[0];
+                const dayLabel = date !== lastDate ? formatDateTime(hour.time, 'day', timezone) : '';
+                lastDate = date;
+                return `
+                  <th class="${dayLabel ? 'compare-new-day' : ''}">
+                    ${dayLabel ? `<span class="day-label">${escapeHtml(dayLabel)}</span>` : ''}
+                    <span class="hour-label">${escapeHtml(formatDateTime(hour.time, 'hour', timezone))}</span>
+                  </th>
+                `;
+              }).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map((row) => renderCompareRow(row, columns, row === best)).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Render one location row of the comparison matrix.
+   * @param {Object} row - Row data from getCompareRowData plus location and forecast.
+   * @param {Array} columns - Columns as {time, ts}: the reference row's hour time and timestamp.
+   * @param {boolean} isBest - Whether this is tonight's best location.
+   * @returns {string} HTML string.
+   */
+  function renderCompareRow(row, columns, isBest) {
+    const { location, forecast } = row;
+    const header = `
+      <th class="compare-location-col">
+        <button class="compare-location-btn" data-action="view-location" data-id="${location.id}">
+          ${isBest ? '&#9733; ' : ''}${escapeHtml(location.name)}
+        </button>
+      </th>
+    `;
+
+    if (!forecast) {
+      return `
+        <tr class="compare-row-error">
+          ${header}
+          <td colspan="${columns.length + 1}">${escapeHtml(strings.error || 'Error')}</td>
+        </tr>
+      `;
+    }
+
+    const tonightClass = row.tonight == null ? '' : getCompareClass(row.tonight);
+
+    return `
+      <tr class="${isBest ? 'compare-best' : ''}">
+        ${header}
+        <td class="compare-tonight-col ${tonightClass}">${row.tonight != null ? row.tonight : '-'}</td>
+        ${columns.map((column) => {
+          const index = row.indexByTime[column.ts];
+          if (index == null) return '<td></td>';
+          const value = getCompareValue(forecast.hourly[index], row.sunlightClasses[index]);
+          return `<td class="${value != null ? getCompareClass(value) : ''}">${value != null ? value : '-'}</td>`;
+        }).join('')}
+      </tr>
+    `;
+  }
+
+  /**
+   * Render the Trips tab.
+   * @returns {string} HTML string.
+   */
+  function renderTripsTab() {
+    if (state.savedLocations.length === 0) {
+      return `
+        <div class="empty-state">
+          <div class="empty-icon">&#9978;</div>
+          <h2>${escapeHtml(strings.tripNeedsLocations || 'Save a location to plan a trip')}</h2>
+          <button class="btn btn-primary" data-action="go-to-locations">
+            ${escapeHtml(strings.goToLocations)}
+          </button>
+        </div>
+      `;
+    }
+
+    const trip = getActiveTrip();
+
+    return `
+      <div class="trip-panel">
+        <div class="trip-toolbar">
+          ${trip ? `
+            <select id="trip-select" class="form-input" aria-label="${escapeHtml(strings.trips || 'Trips')}">
+              ${state.trips.map((t) => `
+                <option value="${t.id}" ${t.id === trip.id ? 'selected' : ''}>${escapeHtml(t.name)}</option>
+              `).join('')}
+            </select>
+            <button class="btn btn-sm" data-action="edit-trip" data-id="${trip.id}">${escapeHtml(strings.edit || 'Edit')}</button>
+          ` : ''}
+          <button class="btn btn-sm btn-primary" data-action="new-trip">+ ${escapeHtml(strings.newTrip || 'New trip')}</button>
+        </div>
+        ${!trip ? `
+          <p class="compare-hint">${escapeHtml(strings.tripHint || 'Plan a trip night by night to see each location\'s evening, night and morning forecast.')}</p>
+        ` : state.isLoading ? renderLoading() : renderTripPlan(trip)}
+      </div>
+    `;
+  }
+
+  /**
+   * Render a trip's swap suggestions and nights.
+   * @param {Object} trip - Trip.
+   * @returns {string} HTML string.
+   */
+  function renderTripPlan(trip) {
+    const { nights, swaps } = getTripPlan(trip);
+    const today = new Date().toLocaleDateString('en-CA');
+    const names = (locations) => locations.map((loc) => escapeHtml(loc.name)).join(', ');
+    const formatNight = (date) => escapeHtml(formatDateTime(`${date}T12:00`, 'date'));
+
+    return `
+      ${swaps.map((swap) => `
+        <div class="compare-recommendation trip-swap">
+          <span>
+            &#8645; ${escapeHtml(strings.tripSwapSuggestion || 'Better the other way round')}:
+            <strong>${names(swap.second.locations)}</strong> ${formatNight(swap.first.date)} (${swap.secondFirst}),
+            <strong>${names(swap.first.locations)}</strong> ${formatNight(swap.second.date)} (${swap.firstSecond})
+            <span class="trip-swap-gain">+${swap.gain}</span>
+          </span>
+          <button class="btn btn-sm" data-action="swap-trip-nights" data-date="${swap.first.date}" data-other-date="${swap.second.date}">
+            ${escapeHtml(strings.swapNights || 'Swap nights')}
+          </button>
+        </div>
+      `).join('')}
+      <div class="trip-nights">
+        ${nights.map((night) => `
+          <section class="trip-night ${night.date < today ? 'trip-night-past' : ''}">
+            <h3 class="trip-night-date">${formatNight(night.date)}</h3>
+            ${night.stops.length === 0 ? `
+              <p class="compare-hint">${escapeHtml(strings.tripNoStops || 'No location planned for this night.')}</p>
+            ` : night.stops.map((stop) => renderTripStop(stop, night.date)).join('')}
+            <select class="form-input trip-add-stop" data-trip-date="${night.date}" aria-label="${escapeHtml(strings.addTripStop || 'Add a location')}">
+              <option value="">+ ${escapeHtml(strings.addTripStop || 'Add a location')}</option>
+              ${state.savedLocations
+                .filter((location) => !night.locations.includes(location))
+                .map((location) => `<option value="${location.id}">${escapeHtml(location.name)}</option>`)
+                .join('')}
+            </select>
+          </section>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render one location's windows for a night of a trip.
+   * @param {Object} stop - {location, windows} from getTripPlan.
+   * @param {string} date - Night (YYYY-MM-DD).
+   * @returns {string} HTML string.
+   */
+  function renderTripStop(stop, date) {
+    const { location, windows } = stop;
+    const timezone = state.forecastData[location.id]?.location?.timezone;
+
+    return `
+      <div class="trip-stop">
+        <div class="trip-stop-header">
+          <button class="compare-location-btn" data-action="view-location" data-id="${location.id}">${escapeHtml(location.name)}</button>
+          <button class="trip-stop-remove" data-action="remove-trip-stop" data-id="${location.id}" data-date="${date}" title="${escapeHtml(strings.remove || 'Remove')}">&times;</button>
+        </div>
+        ${windows ? `
+          <div class="trip-windows">
+            ${TRIP_WINDOWS.map(({ key, label }) => {
+              const shootingWindow = windows[key];
+              return `
+                <div class="trip-window ${shootingWindow ? getScoreClass(shootingWindow.score) : ''}">
+                  <span class="trip-window-label">${escapeHtml(label)}</span>
+                  <span class="trip-window-score">${shootingWindow ? shootingWindow.score : '-'}</span>
+                  ${shootingWindow ? `
+                    <span class="trip-window-time">${escapeHtml(formatDateTime(shootingWindow.startTs, 'time', timezone))}&ndash;${escapeHtml(formatDateTime(shootingWindow.endTs, 'time', timezone))}</span>
+                    ${shootingWindow.cloud != null ? `<span class="trip-window-cloud" title="${escapeHtml(strings.cloudTotal || 'Total cloud')}">&#9729; ${shootingWindow.cloud}%</span>` : ''}
+                  ` : ''}
+                </div>
+              `;
+            }).join('')}
+          </div>
+        ` : `
+          <p class="compare-hint">${escapeHtml(strings.tripNoForecast || 'No forecast for this night yet.')}</p>
+        `}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the trip editor modal.
+   * @returns {string} HTML string.
+   */
+  function renderTripEditor() {
+    const trip = state.editingTrip;
+
+    return `
+      <div class="edit-modal-overlay" data-action="cancel-trip">
+        <div class="edit-modal">
+          <button class="edit-modal-close" data-action="cancel-trip">&times;</button>
+          <h2>${escapeHtml(trip.id ? (strings.editTrip || 'Edit trip') : (strings.newTrip || 'New trip'))}</h2>
+          <form class="edit-form" id="trip-form">
+            <div class="form-group">
+              <label for="trip-name">${escapeHtml(strings.name || 'Name')}</label>
+              <input type="text" id="trip-name" class="form-input" value="${escapeHtml(trip.name)}" required>
+            </div>
+            <div class="trip-dates">
+              <div class="form-group">
+                <label for="trip-start">${escapeHtml(strings.firstNight || 'First night')}</label>
+                <input type="date" id="trip-start" class="form-input" value="${trip.startDate}" required>
+              </div>
+              <div class="form-group">
+                <label for="trip-end">${escapeHtml(strings.lastNight || 'Last night')}</label>
+                <input type="date" id="trip-end" class="form-input" value="${trip.endDate}" required>
+              </div>
+            </div>
+            <p class="form-hint">${escapeHtml(strings.tripDatesHint || 'Trips can be up to three weeks long. Add locations to each night from the trip view.')}</p>
+            <div class="form-actions">
+              ${trip.id ? `
+                <button type="button" class="btn btn-danger" data-action="delete-trip">${escapeHtml(strings.delete)}</button>
+              ` : ''}
+              <button type="button" class="btn" data-action="cancel-trip">${escapeHtml(strings.cancel || 'Cancel')}</button>
+              <button type="submit" class="btn btn-primary">${escapeHtml(strings.save || 'Save')}</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the import preview, where the user ticks the points to import.
+   * @returns {string} HTML string.
+   */
+  function renderImportPreview() {
+    const { filename, points, invalid } = state.importPreview;
+    const selectable = points.filter((point) => !point.duplicate);
+    const count = points.filter((point) => point.selected).length;
+
+    return `
+      <div class="edit-modal-overlay" data-action="cancel-import">
+        <div class="edit-modal import-preview-modal">
+          <button class="edit-modal-close" data-action="cancel-import">&times;</button>
+          <h2>${escapeHtml(strings.importLocations || 'Import locations')}</h2>
+          <p class="form-hint">
+            ${escapeHtml(filename)}
+            ${invalid > 0 ? ` &middot; ${invalid} ${escapeHtml(strings.pointsWithoutCoordinates || 'without coordinates')}` : ''}
+          </p>
+          ${selectable.length > 1 ? `
+            <label class="import-preview-all">
+              <input type="checkbox" id="import-select-all" ${selectable.every((point) => point.selected) ? 'checked' : ''}>
+              ${escapeHtml(strings.selectAll || 'Select all')}
+            </label>
+          ` : ''}
+          <ul class="import-preview-list">
+            ${points.map((point, index) => `
+              <li class="import-preview-item ${point.duplicate ? 'duplicate' : ''}">
+                <label>
+                  <input type="checkbox" data-import-index="${index}" ${point.selected ? 'checked' : ''} ${point.duplicate ? 'disabled' : ''}>
+                  <span class="import-preview-name">${escapeHtml(point.location.name)}</span>
+                  <span class="import-preview-coords">${point.location.lat.toFixed(4)}, ${point.location.lon.toFixed(4)}</span>
+                  ${point.duplicate === 'saved' ? `<span class="import-preview-badge">${escapeHtml(strings.alreadySaved || 'Already saved')}</span>` : ''}
+                  ${point.duplicate === 'file' ? `<span class="import-preview-badge">${escapeHtml(strings.repeatedInFile || 'Repeated in file')}</span>` : ''}
+                </label>
+                ${point.location.notes ? `<p class="import-preview-notes">${escapeHtml(point.location.notes)}</p>` : ''}
+              </li>
+            `).join('')}
+          </ul>
+          <div class="form-actions">
+            <button type="button" class="btn" data-action="cancel-import">${escapeHtml(strings.cancel || 'Cancel')}</button>
+            <button type="button" class="btn btn-primary" id="import-confirm" data-action="confirm-import" ${count === 0 ? 'disabled' : ''}>
+              ${escapeHtml(strings.import || 'Import')} (${count})
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the backup merge dialog: what the backup adds, and a choice for
+   * each saved location the backup has different details for.
+   * @returns {string} HTML string.
+   */
+  function renderBackupImport() {
+    const { filename, backup, added, unchanged, conflicts, invalid, restoreSettings } = state.backupImport;
+    const { OBSERVATIONS, TRIPS } = ForecastStorage.STORES;
+    const exported = backup.exported ? new Date(backup.exported) : null;
+    const choices = [
+      ['mine', strings.keepMine || 'Keep mine'],
+      ['theirs', strings.takeTheirs || 'Take theirs'],
+      ['both', strings.keepBoth || 'Keep both'],
+    ];
+
+    return `
+      <div class="edit-modal-overlay" data-action="cancel-backup-import">
+        <div class="edit-modal backup-import-modal">
+          <button class="edit-modal-close" data-action="cancel-backup-import">&times;</button>
+          <h2>${escapeHtml(strings.importBackup || 'Import backup')}</h2>
+          <p class="form-hint">
+            ${escapeHtml(filename)}
+            ${exported && !isNaN(exported) ? ` &middot; ${escapeHtml(exported.toLocaleString())}` : ''}
+          </p>
+          <ul class="backup-import-summary">
+            <li>${escapeHtml(strings.newLocations || 'New locations')}: <strong>${added.length}</strong></li>
+            <li>${escapeHtml(strings.unchangedLocations || 'Already saved')}: <strong>${unchanged.length}</strong></li>
+            ${conflicts.length > 0 ? `<li>${escapeHtml(strings.changedLocations || 'Saved with different details')}: <strong>${conflicts.length}</strong></li>` : ''}
+            ${invalid > 0 ? `<li>${escapeHtml(strings.invalidLocations || 'Without valid coordinates')}: <strong>${invalid}</strong></li>` : ''}
+            ${backup.stores[OBSERVATIONS]?.length ? `<li>${escapeHtml(strings.observations || 'Observations')}: <strong>${backup.stores[OBSERVATIONS].length}</strong></li>` : ''}
+            ${backup.stores[TRIPS]?.length ? `<li>${escapeHtml(strings.trips || 'Trips')}: <strong>${backup.stores[TRIPS].length}</strong></li>` : ''}
+          </ul>
+          ${conflicts.map((conflict, index) => `
+            <fieldset class="backup-conflict">
+              <legend>${escapeHtml(conflict.local.name)}</legend>
+              <table class="backup-conflict-table">
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>${escapeHtml(strings.mine || 'Mine')}</th>
+                    <th>${escapeHtml(strings.theirs || 'Backup')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${conflict.differences.map((difference) => `
+                    <tr>
+                      <th scope="row">${escapeHtml(difference.label)}</th>
+                      <td>${escapeHtml(difference.mine) || '-'}</td>
+                      <td>${escapeHtml(difference.theirs) || '-'}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+              <div class="backup-conflict-choices">
+                ${choices.map(([value, label]) => `
+                  <label>
+                    <input type="radio" name="backup-conflict-${index}" value="${value}" data-conflict-index="${index}" ${conflict.choice === value ? 'checked' : ''}>
+                    ${escapeHtml(label)}
+                  </label>
+                `).join('')}
+              </div>
+            </fieldset>
+          `).join('')}
+          <label class="backup-restore-settings">
+            <input type="checkbox" id="backup-restore-settings" ${restoreSettings ? 'checked' : ''}>
+            ${escapeHtml(strings.restoreSettings || 'Also restore settings, theme, font size and score profiles')}
+          </label>
+          <div class="form-actions">
+            <button type="button" class="btn" data-action="cancel-backup-import">${escapeHtml(strings.cancel || 'Cancel')}</button>
+            <button type="button" class="btn btn-primary" data-action="confirm-backup-import">${escapeHtml(strings.import || 'Import')}</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the moon calendar modal.
+   * @returns {string} HTML string.
+   */
+  function renderMoonCalendar() {
+    const { location, months, nights } = state.moonCalendar;
+
+    return `
+      <div class="edit-modal-overlay" data-action="close-moon-calendar">
+        <div class="edit-modal moon-calendar-modal">
+          <button class="edit-modal-close" data-action="close-moon-calendar">&times;</button>
+          <h2>${escapeHtml(strings.moonCalendar || 'Moon calendar')}: ${escapeHtml(location.name || `${location.lat.toFixed(2)}, ${location.lon.toFixed(2)}`)}</h2>
+          <div class="form-group">
+            <label for="moon-calendar-months">${escapeHtml(strings.monthsAhead || 'Months ahead')}</label>
+            <select id="moon-calendar-months" class="form-input">
+              ${MOON_CALENDAR_MONTHS.map((count) => `<option value="${count}" ${count === months ? 'selected' : ''}>${count}</option>`).join('')}
+            </select>
+          </div>
+          <p class="review-hint">${escapeHtml(strings.moonCalendarHint || 'Moonless dark is the time between astronomical dusk and dawn with the moon below the horizon. New-moon weekends are highlighted.')}</p>
+          ${!nights ? renderLoading() : `
+            ${renderNewMoonWeekends(nights)}
+            ${renderMoonCalendarMonths(nights)}
+          `}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the new-moon weekends in a moon calendar, with each weekend's
+   * longest moonless dark.
+   * @param {Array<Object>} nights - Nights from getMoonCalendarNights().
+   * @returns {string} HTML string.
+   */
+  function renderNewMoonWeekends(nights) {
+    const weekends = [];
+    nights.filter((night) => night.isWeekend && night.isNewMoon).forEach((night) => {
+      const last = weekends[weekends.length - 1];
+      if (last && addDays(last.date, 1) === night.date) {
+        last.moonlessMs = Math.max(last.moonlessMs, night.moonlessMs);
+      } else {
+        weekends.push({ date: night.date, moonlessMs: night.moonlessMs });
+      }
+    });
+    if (weekends.length === 0) return '';
+
+    return `
+      <div class="new-moon-weekends">
+        <strong>&#127761; ${escapeHtml(strings.newMoonWeekends || 'New-moon weekends')}:</strong>
+        ${weekends.map((weekend) => `
+          <span class="new-moon-weekend">
+            ${escapeHtml(formatDateTime(`${weekend.date}T12:00`, 'date'))}
+            (${escapeHtml(formatDuration(weekend.moonlessMs))})
+          </span>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render a moon calendar's nights as one table per month.
+   * @param {Array<Object>} nights - Nights from getMoonCalendarNights().
+   * @returns {string} HTML string.
+   */
+  function renderMoonCalendarMonths(nights) {
+    const byMonth = new Map();
+    nights.forEach((night) => {
+      const month = night.date.slice(0, 7);
+      if (!byMonth.has(month)) byMonth.set(month, []);
+      byMonth.get(month).push(night);
+    });
+
+    return [...byMonth].map(([month, monthNights]) => `
+      <h3 class="moon-calendar-month">${escapeHtml(new Date(`${month}-15T12:00`).toLocaleDateString([], { month: 'long', year: 'numeric' }))}</h3>
+      <div class="review-table-container">
+        <table class="review-table moon-calendar-table">
+          <thead>
+            <tr>
+              <th>${escapeHtml(strings.night || 'Night')}</th>
+              <th>${escapeHtml(strings.phase || 'Phase')}</th>
+              <th>${escapeHtml(strings.moonrise || 'Moonrise')}</th>
+              <th>${escapeHtml(strings.moonset || 'Moonset')}</th>
+              <th>${escapeHtml(strings.moonlessDark || 'Moonless dark')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${monthNights.map((night) => `
+              <tr class="${night.isNewMoon ? 'moon-night-new' : ''} ${night.isNewMoon && night.isWeekend ? 'moon-night-weekend' : ''}">
+                <th>${escapeHtml(formatDateTime(`${night.date}T12:00`, 'date'))}</th>
+                <td class="moon-calendar-phase" title="${escapeHtml(MOON_PHASE_NAMES[night.phaseKey])}">
+                  ${MOON_PHASE_EMOJI[night.phaseKey]} ${night.illumination}%
+                </td>
+                <td>${night.moonrise ? escapeHtml(formatClockTime(night.moonrise)) : '-'}</td>
+                <td>${night.moonset ? escapeHtml(formatClockTime(night.moonset)) : '-'}</td>
+                <td>
+                  ${night.darkMs > 0
+                    ? `${escapeHtml(formatDuration(night.moonlessMs))} <span class="moon-calendar-dark">/ ${escapeHtml(formatDuration(night.darkMs))}</span>`
+                    : `<span class="moon-calendar-dark" title="${escapeHtml(strings.noAstroDark || 'No astronomical darkness')}">-</span>`}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Render search results.
+   * @returns {string} HTML string.
+   */
+  function renderSearchResults() {
+    return `
+      <div class="search-results">
+        ${state.searchResults.map((result, index) => `
+          <button class="search-result" data-action="add-location" data-index="${index}">
+            <span class="result-name">${escapeHtml(result.name)}</span>
+            <span class="result-detail">${escapeHtml([result.admin1, result.country].filter(Boolean).join(', '))}</span>
+          </button>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the search box, sort order and tag chips above the saved locations.
+   * @returns {string} HTML string.
+   */
+  function renderLocationFilterBar() {
+    const sortLabels = {
+      name: strings.sortName || 'Name',
+      distance: strings.sortDistance || 'Distance',
+      tonight: strings.bestTonight || 'Best tonight',
+    };
+    const { query, tags } = state.locationFilter;
+
+    return `
+      <div class="location-filters">
+        <div class="location-filter-row">
+          <input
+            type="search"
+            class="form-input location-filter-input"
+            id="saved-location-filter"
+            value="${escapeHtml(query)}"
+            placeholder="${escapeHtml(strings.filterLocations || 'Filter saved locations')}"
+            aria-label="${escapeHtml(strings.filterLocations || 'Filter saved locations')}"
+            autocomplete="off"
+          >
+          <label class="location-sort">
+            <span>${escapeHtml(strings.sortBy || 'Sort by')}</span>
+            <select id="location-sort" class="form-input">
+              ${LOCATION_SORTS.map((sort) => `
+                <option value="${sort}" ${state.locationSort === sort ? 'selected' : ''}>${escapeHtml(sortLabels[sort])}</option>
+              `).join('')}
+            </select>
+          </label>
+        </div>
+        ${state.locationTags.length > 0 ? `
+          <div class="tag-filter" role="group" aria-label="${escapeHtml(strings.filterByTag || 'Filter by tag')}">
+            ${state.locationTags.map(({ tag, count }) => `
+              <button class="tag-chip ${tags.includes(tag) ? 'active' : ''}" data-action="toggle-tag-filter" data-tag="${escapeHtml(tag)}" aria-pressed="${tags.includes(tag)}">
+                ${escapeHtml(tag)} <span class="tag-count">${count}</span>
+              </button>
+            `).join('')}
+          </div>
+        ` : ''}
+        <button class="btn btn-sm location-filter-clear" data-action="clear-location-filter" ${isLocationFilterActive() ? '' : 'hidden'}>
+          ${escapeHtml(strings.clearFilters || 'Clear filters')}
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the saved locations matching the filters.
+   * @returns {string} HTML string.
+   */
+  function renderLocationResults() {
+    const locations = getFilteredLocations();
+    if (locations.length === 0) {
+      return `
+        <div class="empty-state small">
+          <p>${escapeHtml(strings.noMatchingLocations || 'No saved locations match the filter.')}</p>
+        </div>
+      `;
+    }
+
+    return `
+      ${isLocationFilterActive() ? `
+        <p class="location-count">${locations.length} / ${state.savedLocations.length}</p>
+      ` : ''}
+      <ul class="location-list">
+        ${locations.map(renderLocationItem).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Render the distance or tonight's score of a location, for the matching sort order.
+   * @param {Object} location - Location object.
+   * @returns {string} HTML string.
+   */
+  function renderLocationSortInfo(location) {
+    if (state.locationSort === 'distance' && state.sortOrigin) {
+      const distance = formatUnit('distance', getDistanceKm(state.sortOrigin, location), ` ${getUnitLabel('distance')}`);
+      return `<span class="location-distance">${escapeHtml(distance)}</span>`;
+    }
+    if (state.locationSort === 'tonight') {
+      const score = state.tonightScores[location.id];
+      if (score === undefined) return '';
+      return `
+        <span class="location-tonight ${getScoreClass(score)}" title="${escapeHtml(strings.bestTonight || 'Best tonight')}">
+          ${Math.round(score)}
+        </span>
+      `;
+    }
+    return '';
+  }
+
+  /**
+   * Render a location list item.
+   * @param {Object} location - Location object.
+   * @returns {string} HTML string.
+   */
+  function renderLocationItem(location) {
+    const displayName = location.admin1
+      ? `${location.name}, ${location.admin1}`
+      : location.name;
+    const mapsUrl = getGoogleMapsUrl(location.lat, location.lon);
+    const alertCount = (state.alertMatches[location.id] || []).length;
+
+    return `
+      <li class="location-item ${location.isHome ? 'is-home' : ''}" data-id="${location.id}">
+        <button class="location-info" data-action="view-location" data-id="${location.id}">
+          <span class="location-name">
+            ${location.isHome ? '<span class="home-badge">&#127968;</span>' : ''}
+            ${escapeHtml(displayName)}
+            ${alertCount > 0 ? `
+              <span class="alert-badge" title="${escapeHtml(strings.alertMatchesTitle || 'Upcoming windows matching your alert rules')}">&#128276; ${alertCount}</span>
+            ` : ''}
+          </span>
+          ${location.notes ? `<span class="location-notes">${escapeHtml(location.notes)}</span>` : ''}
+          ${location.tags && location.tags.length > 0 ? `
+            <span class="location-tags">
+              ${location.tags.map((tag) => `<span class="location-tag">${escapeHtml(tag)}</span>`).join('')}
+            </span>
+          ` : ''}
+          <span class="location-coords">
+            ${location.lat.toFixed(2)}, ${location.lon.toFixed(2)}
+            ${renderLocationSortInfo(location)}
+          </span>
+        </button>
+        <div class="location-actions">
+          <button class="btn btn-icon" data-action="edit-location" data-id="${location.id}" title="${escapeHtml(strings.edit || 'Edit')}">
+            &#9998;
+          </button>
+          <button class="btn btn-icon" data-action="review-forecast" data-id="${location.id}" title="${escapeHtml(strings.forecastAccuracy || 'Forecast accuracy')}">
+            &#128202;
+          </button>
+          <button class="btn btn-icon" data-action="view-observations" data-id="${location.id}" title="${escapeHtml(strings.observationLog || 'Observation log')}">
+            &#128211;
+          </button>
+          <button class="btn btn-icon" data-action="moon-calendar" data-id="${location.id}" title="${escapeHtml(strings.moonCalendar || 'Moon calendar')}">
+            &#127769;
+          </button>
+          <a href="${mapsUrl}" target="_blank" rel="noopener" class="btn btn-icon" title="View on Google Maps">
+            &#128205;
+          </a>
+          <button class="btn btn-icon" data-action="share-location" data-id="${location.id}" title="${escapeHtml(strings.share || 'Share')}">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/><line x1="8.59" y1="13.51" x2="15.42" y2="17.49"/><line x1="15.41" y1="6.51" x2="8.59" y2="10.49"/></svg>
+          </button>
+          ${!location.isHome ? `
+            <button class="btn btn-icon" data-action="set-home" data-id="${location.id}" title="${escapeHtml(strings.setAsHome)}">
+              &#127968;
+            </button>
+          ` : ''}
+          <button class="btn btn-icon btn-danger" data-action="delete-location" data-id="${location.id}" title="${escapeHtml(strings.delete)}">
+            &#128465;
+          </button>
+        </div>
+      </li>
+    `;
+  }
+
+  /**
+   * Render jump buttons for quick navigation.
+   * @returns {string} HTML string.
+   */
+  function renderJumpButtons() {
+    return `
+      <div class="jump-buttons">
+        <span class="current-day-display" id="current-day-display"></span>
+        <div class="forecast-view-toggle" role="group" aria-label="${escapeHtml(strings.forecastView || 'Forecast view')}">
+          <button class="jump-btn ${state.forecastView === 'grid' ? 'active' : ''}" data-action="set-forecast-view" data-view="grid" aria-pressed="${state.forecastView === 'grid'}">
+            ${escapeHtml(strings.gridView || 'Grid')}
+          </button>
+          <button class="jump-btn ${state.forecastView === 'chart' ? 'active' : ''}" data-action="set-forecast-view" data-view="chart" aria-pressed="${state.forecastView === 'chart'}">
+            ${escapeHtml(strings.chartView || 'Charts')}
+          </button>
+        </div>
+        <div class="jump-buttons-nav">
+          <button class="jump-btn" data-action="jump-to" data-target="prev-day" title="${escapeHtml(strings.previousDay || 'Previous day')} ([)" aria-keyshortcuts="[">
+            <span class="jump-btn-icon">&#9664;</span>
+          </button>
+          <button class="jump-btn" data-action="jump-to" data-target="now" title="${escapeHtml(strings.jumpToNow || 'Jump to now')} (N)" aria-keyshortcuts="N">
+            <span class="jump-btn-icon">&#9201;</span>
+            <span>${escapeHtml(strings.now || 'Now')}</span>
+          </button>
+          <button class="jump-btn" data-action="jump-to" data-target="next-day" title="${escapeHtml(strings.nextDay || 'Next day')} (])" aria-keyshortcuts="]">
+            <span class="jump-btn-icon">&#9654;</span>
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the score profile switcher.
+   * @returns {string} HTML string.
+   */
+  function renderProfileSwitcher() {
+    const activeId = getActiveScoreProfile().id;
+    return `
+      <div class="profile-switcher">
+        <select class="profile-select" id="score-profile-select" title="${escapeHtml(strings.scoreProfile || 'Score profile')}" ${state.editingProfile ? 'disabled' : ''}>
+          ${state.scoreProfiles.map((profile) => `
+            <option value="${escapeHtml(profile.id)}" ${profile.id === activeId ? 'selected' : ''}>${escapeHtml(profile.name)}</option>
+          `).join('')}
+        </select>
+        <button class="btn btn-icon" data-action="edit-score-profile" title="${escapeHtml(strings.editProfile || 'Edit score profile')}">
+          &#9881;
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the forecast export menu.
+   * @returns {string} HTML string.
+   */
+  function renderForecastExport() {
+    return `
+      <details class="export-menu" id="forecast-export" ${state.showForecastExport ? 'open' : ''}>
+        <summary class="btn btn-icon" title="${escapeHtml(strings.exportForecast || 'Export forecast')}">&#8599;</summary>
+        <div class="export-menu-items">
+          <button class="btn btn-sm" data-action="export-forecast" data-format="csv">${escapeHtml(strings.exportCsv || 'Hourly CSV')}</button>
+          <button class="btn btn-sm" data-action="export-forecast" data-format="json">${escapeHtml(strings.exportJson || 'JSON')}</button>
+          <button class="btn btn-sm" data-action="export-forecast" data-format="ics">${escapeHtml(strings.exportCalendar || 'Calendar events')}</button>
+          <label class="forecast-export-threshold" title="${escapeHtml(strings.calendarThresholdHint || 'Golden hour, blue hour and astro-dark windows scoring at least this become calendar events.')}">
+            ${escapeHtml(strings.minimumScore || 'Minimum score')}
+            <input type="number" id="calendar-threshold" class="form-input" min="0" max="100" step="5" value="${state.calendarThreshold}">
+          </label>
+        </div>
+      </details>
+    `;
+  }
+
+  /**
+   * Render the score profile editor.
+   * @returns {string} HTML string.
+   */
+  function renderProfileEditor() {
+    const profile = state.editingProfile;
+
+    return `
+      <div class="profile-editor">
+        <form class="edit-form" id="profile-editor-form">
+          <div class="form-group">
+            <label for="profile-name">${escapeHtml(strings.profileName || 'Profile name')}</label>
+            <input type="text" id="profile-name" class="form-input" value="${escapeHtml(profile.name)}" required>
+          </div>
+          <p class="profile-editor-hint">${escapeHtml(strings.profilePreviewHint || 'Changes are previewed in the grid below until you save or cancel.')}</p>
+          <div class="profile-weights">
+            ${SCORE_WEIGHT_FIELDS.map((field) => `
+              <div class="form-group">
+                <label for="weight-${field.key}">${escapeHtml(field.label)}</label>
+                <input type="number" id="weight-${field.key}" class="form-input" data-weight="${field.key}" step="${field.step}" value="${profile.weights[field.key]}">
+              </div>
+            `).join('')}
+          </div>
+          <div class="form-actions">
+            ${profile.builtIn ? `
+              <button type="button" class="btn" data-action="reset-score-profile">${escapeHtml(strings.resetDefaults || 'Reset to defaults')}</button>
+            ` : `
+              <button type="button" class="btn btn-danger" data-action="delete-score-profile">${escapeHtml(strings.delete || 'Delete')}</button>
+            `}
+            <button type="button" class="btn" data-action="cancel-score-profile">${escapeHtml(strings.cancel || 'Cancel')}</button>
+            <button type="button" class="btn" data-action="save-score-profile-copy">${escapeHtml(strings.saveAsNew || 'Save as new')}</button>
+            <button type="submit" class="btn btn-primary">${escapeHtml(strings.save || 'Save')}</button>
+          </div>
+        </form>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the "Forecast from 3h ago" banner for a stale forecast.
+   * @param {Object} forecast - Forecast data.
+   * @returns {string} HTML string.
+   */
+  function renderForecastAge(forecast) {
+    const meta = forecastMeta.get(forecast);
+    if (!meta) return '';
+
+    const age = Date.now() - meta.timestamp;
+    if (age < FORECAST_FRESH_AGE) return '';
+
+    return `
+      <div class="forecast-age-banner ${state.isOnline ? '' : 'is-offline'}">
+        &#8635; ${escapeHtml(strings.forecastFrom || 'Forecast from')} ${escapeHtml(formatAge(age))}
+        ${!state.isOnline ? `<span class="forecast-age-status">&middot; ${escapeHtml(strings.offline)}</span>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render one swipeable card per forecast day.
+   * @param {Object} forecast - Forecast data.
+   * @param {Object|null} location - Location shown, for sunrise and sunset azimuths.
+   * @returns {string} HTML string.
+   */
+  function renderDailyCards(forecast, location) {
+    const summaries = getDailySummaries(forecast).filter((summary) => summary.firstIndex != null);
+    if (summaries.length === 0) return '';
+
+    const timezone = forecast.location?.timezone;
+    const daily = forecast.daily || [];
+
+    const clock = (time) => (time ? formatClockTime(time) : '-');
+    const score = (value) => (value != null
+      ? `<span class="daily-card-score ${getScoreClass(value)}">${value}</span>`
+      : '<span class="daily-card-score">-</span>');
+
+    return `
+      <div class="daily-cards">
+        <h3>${escapeHtml(strings.dailySummary || 'Next 7 days')}</h3>
+        <ol class="daily-cards-list">
+          ${summaries.map((summary) => {
+            const { twilight, moon } = summary;
+            const alignment = getSunAlignment(location, daily.find((day) => day.date === summary.date), timezone);
+            return `
+              <li>
+                <button class="daily-card" data-action="jump-to-day" data-date="${summary.date}">
+                  <span class="daily-card-date">${escapeHtml(formatDateTime(`${summary.date}T12:00`, 'date'))}</span>
+                  ${summary.headline ? `<span class="daily-card-headline">${escapeHtml(summary.headline)}</span>` : ''}
+                  <span class="daily-card-row" title="${escapeHtml(strings.civilDawn || 'Civil dawn')} / ${escapeHtml(strings.sunrise || 'Sunrise')}">
+                    &#9728;&#xFE0E; ${escapeHtml(clock(twilight.civil_dawn))} / ${escapeHtml(clock(twilight.sunrise))} ${renderSunAzimuth(alignment?.sunrise, 'sunrise')} ${score(summary.sunriseScore)}
+                  </span>
+                  <span class="daily-card-row" title="${escapeHtml(strings.sunset || 'Sunset')} / ${escapeHtml(strings.civilDusk || 'Civil dusk')}">
+                    &#9790; ${escapeHtml(clock(twilight.sunset))} / ${escapeHtml(clock(twilight.civil_dusk))} ${renderSunAzimuth(alignment?.sunset, 'sunset')} ${score(summary.sunsetScore)}
+                  </span>
+                  <span class="daily-card-row" title="${escapeHtml(strings.astroDark || 'Astro dark')}">
+                    &#10022; ${escapeHtml(clock(twilight.astronomical_dusk))} ${score(summary.darkSky)}
+                  </span>
+                  <span class="daily-card-row daily-card-meta">
+                    ${moon && moon.moon_illumination != null ? `<span title="${escapeHtml(moon.moon_phase_name || '')}">${getMoonPhaseEmoji(moon.moon_illumination)} ${moon.moon_illumination}%</span>` : ''}
+                    ${summary.tempMin != null ? `<span>${escapeHtml(formatUnit('temperature', summary.tempMin))}&ndash;${escapeHtml(formatUnit('temperature', summary.tempMax, getUnitLabel('temperature')))}</span>` : ''}
+                    ${summary.rain ? `<span>&#128167; ${escapeHtml(formatUnit('precipitation', summary.rain, ` ${getUnitLabel('precipitation')}`))}</span>` : ''}
+                  </span>
+                </button>
+              </li>
+            `;
+          }).join('')}
+        </ol>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the best windows panel.
+   * @param {Object} forecast - Forecast data.
+   * @returns {string} HTML string.
+   */
+  function renderBestWindows(forecast) {
+    const windows = findBestWindows(forecast);
+    if (windows.length === 0) return '';
+
+    const hourly = forecast.hourly;
+    const timezone = forecast.location?.timezone;
+    const typeLabels = {
+      sunrise: strings.sunrise || 'Sunrise',
+      sunset: strings.sunset || 'Sunset',
+      astro: strings.astroDark || 'Astro dark',
+    };
+
+    return `
+      <div class="best-windows">
+        <h3>${escapeHtml(strings.bestWindows || 'Best windows')}</h3>
+        <ol class="best-windows-list">
+          ${windows.map((slot) => {
+            const start = formatDateTime(hourly[slot.startIndex].time, 'time', timezone);
+            const endIso = new Date(new Date(hourly[slot.endIndex - 1].time).getTime() + HOUR_MS).toISOString();
+            const end = formatDateTime(endIso, 'time', timezone);
+            return `
+              <li>
+                <button class="best-window ${getScoreClass(slot.score)}" data-action="jump-to-hour" data-index="${slot.startIndex}" data-end-index="${slot.endIndex}">
+                  <span class="best-window-date">${escapeHtml(formatDateTime(hourly[slot.startIndex].time, 'date', timezone))}</span>
+                  <span class="best-window-type">${escapeHtml(typeLabels[slot.type])}</span>
+                  <span class="best-window-time">${escapeHtml(start)}&ndash;${escapeHtml(end)}</span>
+                  <span class="best-window-stars" title="${slot.score}">${getStarRating(slot.score)}</span>
+                </button>
+              </li>
+            `;
+          }).join('')}
+        </ol>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the forecast view.
+   * @param {Object} location - Location object.
+   * @param {Object} forecast - Forecast data.
+   * @param {string} source - Source identifier ('home', 'current', 'shared').
+   * @returns {string} HTML string.
+   */
+  function renderForecastView(location, forecast, source) {
+    const displayName = location.admin1
+      ? `${location.name}, ${location.admin1}`
+      : location.name || `${location.lat.toFixed(2)}, ${location.lon.toFixed(2)}`;
+    const mapsUrl = getGoogleMapsUrl(location.lat, location.lon);
+    const canSave = !location.id && !isLocationSaved(location.lat, location.lon);
+    const alreadySaved = !location.id && isLocationSaved(location.lat, location.lon);
+
+    // Get today's sunrise/sunset times
+    const today = forecast.daily?.[0];
+    const twilight = today?.twilight || {};
+    const timezone = forecast.location?.timezone;
+    const sunrise = twilight.sunrise ? formatClockTime(twilight.sunrise) : (today?.sunrise ? formatDateTime(today.sunrise, 'time', timezone) : '');
+    const sunset = twilight.sunset ? formatClockTime(twilight.sunset) : (today?.sunset ? formatDateTime(today.sunset, 'time', timezone) : '');
+
+    return `
+      <div class="forecast-view">
+        <div class="forecast-header">
+          <div class="forecast-header-main">
+            <h2 class="forecast-location">
+              ${escapeHtml(displayName)}
+              <a href="${mapsUrl}" target="_blank" rel="noopener" class="maps-link" title="View on Google Maps">&#128205;</a>
+            </h2>
+            ${sunrise && sunset ? `
+              <div class="forecast-sun-times">
+                <span class="sun-time sunrise">&#9728;&#xFE0E; ${escapeHtml(sunrise)}</span>
+                <span class="sun-time sunset">&#9790; ${escapeHtml(sunset)}</span>
+              </div>
+            ` : ''}
+          </div>
+          <div class="forecast-header-actions">
+            ${forecast.location?.timezone_abbr ? `
+              <span class="forecast-timezone">${escapeHtml(forecast.location.timezone_abbr)}</span>
+            ` : ''}
+            ${renderProfileSwitcher()}
+            <button class="btn btn-icon" data-action="moon-calendar" title="${escapeHtml(strings.moonCalendar || 'Moon calendar')}">&#127769;</button>
+            ${renderForecastExport()}
+            <button class="btn btn-icon" data-action="share-location" data-source="${source}" title="${escapeHtml(strings.share || 'Share')}">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/><line x1="8.59" y1="13.51" x2="15.42" y2="17.49"/><line x1="15.41" y1="6.51" x2="8.59" y2="10.49"/></svg>
+            </button>
+            ${canSave ? `
+              <button class="btn btn-save-location" data-action="save-current-location" title="${escapeHtml(strings.saveLocation || 'Save Location')}">
+                &#128190; ${escapeHtml(strings.saveLocation || 'Save')}
+              </button>
+            ` : ''}
+            ${alreadySaved ? `
+              <span class="saved-badge" title="${escapeHtml(strings.locationSaved || 'Location saved')}">&#10003; ${escapeHtml(strings.saved || 'Saved')}</span>
+            ` : ''}
+          </div>
+        </div>
+        ${renderShootingDirection(location, forecast)}
+        ${renderForecastAge(forecast)}
+        ${state.editingProfile ? renderProfileEditor() : ''}
+        ${renderBestWindows(forecast)}
+        ${renderDailyCards(forecast, location)}
+        ${renderJumpButtons()}
+        ${renderForecastTimeline(forecast, getGridOverlays(location.id))}
+      </div>
+    `;
+  }
+
+  /**
+   * Render solar information panel.
+   * @param {Object} forecast - Forecast data.
+   * @returns {string} HTML string.
+   */
+  function renderSolarInfo(forecast) {
+    const today = forecast.daily?.[0];
+    if (!today) return '';
+
+    const twilight = today.twilight || {};
+    const sunrise = twilight.sunrise ? formatClockTime(twilight.sunrise) : formatDateTime(today.sunrise, 'time');
+    const sunset = twilight.sunset ? formatClockTime(twilight.sunset) : formatDateTime(today.sunset, 'time');
+
+    return `
+      <div class="info-panel-compact solar-panel-compact">
+        <span class="solar-times">${escapeHtml(sunrise)} - ${escapeHtml(sunset)}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Render lunar information panel.
+   * @param {Object} forecast - Forecast data.
+   * @returns {string} HTML string.
+   */
+  function renderLunarInfo(forecast) {
+    const todayDate = forecast.daily?.[0]?.date;
+    const moon = todayDate ? forecast.moon?.[todayDate] : null;
+    if (!moon || moon.moon_illumination == null) return '';
+
+    return `
+      <div class="info-panel lunar-panel">
+        <h3>${escapeHtml(strings.moon)}</h3>
+        <div class="info-grid">
+          <div class="info-item">
+            <span class="info-icon">${getMoonPhaseEmoji(moon.moon_illumination)}</span>
+            <span class="info-label">${escapeHtml(strings.phase)}</span>
+            <span class="info-value">${escapeHtml(moon.moon_phase_name)}</span>
+          </div>
+          <div class="info-item">
+            <span class="info-icon">&#128161;</span>
+            <span class="info-label">${escapeHtml(strings.illumination)}</span>
+            <span class="info-value">${moon.moon_illumination}%</span>
+          </div>
+          ${moon.moonrise ? `
+            <div class="info-item">
+              <span class="info-icon">&#8593;</span>
+              <span class="info-label">${escapeHtml(strings.moonrise)}</span>
+              <span class="info-value">${escapeHtml(formatClockTime(moon.moonrise))}</span>
+            </div>
+          ` : ''}
+          ${moon.moonset ? `
+            <div class="info-item">
+              <span class="info-icon">&#8595;</span>
+              <span class="info-label">${escapeHtml(strings.moonset)}</span>
+              <span class="info-value">${escapeHtml(formatClockTime(moon.moonset))}</span>
+            </div>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Get moon phase emoji based on illumination.
+   * @param {number} illumination - Moon illumination percentage.
+   * @returns {string} Emoji.
+   */
+  function getMoonPhaseEmoji(illumination) {
+    if (illumination < 5) return '&#127761;'; // New moon
+    if (illumination < 35) return '&#127762;'; // Waxing crescent
+    if (illumination < 65) return '&#127763;'; // First quarter
+    if (illumination < 95) return '&#127764;'; // Waxing gibbous
+    return '&#127765;'; // Full moon
+  }
+
+  /**
+   * Render the forecast grid.
+   * @param {Object} forecast - Forecast data.
+   * @returns {string} HTML string.
+   */
+  function renderForecastGrid(forecast, overlays = {}) {
+    const hourly = forecast.hourly || [];
+    if (hourly.length === 0) return '';
+
+    const timezone = forecast.location?.timezone;
+    const now = new Date();
+
+    // Get current hour in the location's timezone
+    const nowInTz = timezone
+      ? new Date(now.toLocaleString('en-US', { timeZone: timezone }))
+      : now;
+    const currentHour = nowInTz.getHours();
+    const todayStr = nowInTz.toISOString().split('T')[0];
+
+    // Find current hour index for auto-scroll.
+    let currentHourIndex = -1;
+    hourly.forEach((hour, index) => {
+      // Parse hour time in location timezone
+      const hourDate = new Date(hour.time);
+      const hourInTz = timezone
+        ? new Date(hourDate.toLocaleString('en-US', { timeZone: timezone }))
+        : hourDate;
+      const hourDateStr = hourInTz.toISOString().split('T')[0];
+      if (hourDateStr === todayStr && hourInTz.getHours() === currentHour) {
+        currentHourIndex = index;
+      }
+    });
+
+    return `
+      <div class="forecast-grid-container" id="forecast-grid">
+        <p class="sr-only" id="grid-help">${escapeHtml(strings.gridHelp || 'Each row is one hour. Use the arrow keys to move between hours and values, Home and End for the start and end of the day, and Page Up and Page Down to move by a day.')}</p>
+        <div class="forecast-grid" role="grid" aria-label="${escapeHtml(strings.hourlyForecast || 'Hourly forecast')}" aria-describedby="grid-help">
+          ${renderGridHeader()}
+          ${renderGridBody(hourly, forecast, currentHourIndex, timezone, overlays)}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the forecast as the numeric grid or as charts, per the selected view.
+   * @param {Object} forecast - Forecast data.
+   * @param {Object} overlays - Alert hours and observations for the grid.
+   * @returns {string} HTML string.
+   */
+  function renderForecastTimeline(forecast, overlays = {}) {
+    return state.forecastView === 'chart'
+      ? renderForecastChart(forecast)
+      : renderForecastGrid(forecast, overlays);
+  }
+
+  /** Vertical layout of the chart, in viewBox units (0-100, top to bottom). */
+  const CHART_LAYOUT = {
+    moon: { top: 0, height: 4 },
+    lanes: [
+      { key: 'cloud_high', top: 4, height: 32 },
+      { key: 'cloud_mid', top: 36, height: 32 },
+      { key: 'cloud_low', top: 68, height: 32 },
+    ],
+  };
+
+  /**
+   * Render the charts view: cloud layers as stacked areas (high, mid, low) and
+   * the photo score as a line, on the same hour columns as the grid. Sun
+   * periods are shaded and moon-up hours marked along the top.
+   * @param {Object} forecast - Forecast data.
+   * @returns {string} HTML string.
+   */
+  function renderForecastChart(forecast) {
+    const hourly = forecast.hourly || [];
+    if (hourly.length === 0) return '';
+
+    const timezone = forecast.location?.timezone;
+    const count = hourly.length;
+    const startTs = new Date(hourly[0].time).getTime();
+    const toX = (ts) => Math.max(0, Math.min(count, (ts - startTs) / HOUR_MS));
+    const round = (value) => Math.round(value * 100) / 100;
+    const dateOf = (hourDate) => (timezone
+      ? hourDate.toLocaleDateString('en-CA', { timeZone: timezone })
+      : hourDate.toISOString().split('T')[0]);
+
+    const dailyByDate = {};
+    (forecast.daily || []).forEach((day) => {
+      dailyByDate[day.date] = day;
+    });
+
+    const sunlightClasses = getSunlightClasses(forecast);
+    const nowTs = Date.now();
+    let lastDate = '';
+    const columns = hourly.map((hour, index) => {
+      const hourDate = new Date(hour.time);
+      const dateStr = dateOf(hourDate);
+      const isNewDay = dateStr !== lastDate;
+      lastDate = dateStr;
+      const moon = forecast.moon?.[dateStr];
+      return {
+        hour,
+        index,
+        dateStr,
+        isNewDay,
+        isCurrent: nowTs >= hourDate.getTime() && nowTs < hourDate.getTime() + HOUR_MS,
+        moonVisible: isMoonVisible(hourDate, moon, timezone),
+        moonIllumination: moon ? moon.moon_illumination : 0,
+        score: calculatePhotoScore(hour, sunlightClasses[index]),
+      };
+    });
+
+    // Night, blue and golden hour bands from each day's sun events
+    const bands = [];
+    const sunLines = [];
+    let nightFrom = -Infinity;
+    Object.values(dailyByDate).forEach((day) => {
+      const events = getSunEventTimes(day, timezone);
+      if (!events) return;
+      bands.push(
+        { cls: 'night', from: nightFrom, to: events.civilDawnTs },
+        { cls: 'blue', from: events.civilDawnTs, to: events.sunriseTs },
+        { cls: 'golden', from: events.sunriseTs, to: events.goldenMorningEnd },
+        { cls: 'golden', from: events.goldenEveningStart, to: events.sunsetTs },
+        { cls: 'blue', from: events.sunsetTs, to: events.civilDuskTs }
+      );
+      sunLines.push(events.sunriseTs, events.sunsetTs);
+      nightFrom = events.civilDuskTs;
+    });
+    if (bands.length > 0) {
+      bands.push({ cls: 'night', from: nightFrom, to: Infinity });
+    } else {
+      // No sun times: shade the hours the forecast marks as night
+      sunlightClasses.forEach((cls, index) => {
+        if (cls === 'sunlight-night') {
+          bands.push({ cls: 'night', from: startTs + index * HOUR_MS, to: startTs + (index + 1) * HOUR_MS });
+        }
+      });
+    }
+    // Moon-up hours, merged into runs
+    const moonRuns = [];
+    columns.forEach((col) => {
+      if (!col.moonVisible) return;
+      const last = moonRuns[moonRuns.length - 1];
+      if (last && last.to === col.index) {
+        last.to = col.index + 1;
+      } else {
+        moonRuns.push({ from: col.index, to: col.index + 1, illumination: col.moonIllumination });
+      }
+    });
+
+    const lanePath = (lane) => {
+      const bottom = lane.top + lane.height;
+      const points = columns.map((col) => `${col.index + 0.5},${round(bottom - (col.hour[lane.key] || 0) / 100 * lane.height)}`);
+      const first = points[0].split(',')[1];
+      const last = points[points.length - 1].split(',')[1];
+      return `M0,${bottom} L0,${first} L${points.join(' L')} L${count},${last} L${count},${bottom} Z`;
+    };
+    const scorePoints = columns.map((col) => `${col.index + 0.5},${round(100 - col.score * 0.96)}`).join(' ');
+
+    return `
+      <div class="forecast-chart-container" id="forecast-chart">
+        <div class="forecast-chart">
+          <div class="chart-row-labels" aria-hidden="true">
+            <div class="chart-label chart-label-moon" style="height: ${CHART_LAYOUT.moon.height}%">${escapeHtml(strings.moon || 'Moon')}</div>
+            ${CHART_LAYOUT.lanes.map((lane) => `
+              <div class="chart-label chart-label-${lane.key}" style="height: ${lane.height}%">${escapeHtml(HOUR_FIELD_LABELS[lane.key])}</div>
+            `).join('')}
+          </div>
+          <div class="chart-data" id="chart-data">
+            <div class="chart-plot" style="--chart-hours: ${count}">
+              <svg class="chart-svg" viewBox="0 0 ${count} 100" preserveAspectRatio="none" role="img" aria-label="${escapeHtml(strings.chartLabel || 'Low, mid and high cloud with the photo score, by hour')}">
+                ${bands.filter((band) => band.to > startTs && band.from < startTs + count * HOUR_MS).map((band) => `
+                  <rect class="chart-band chart-band-${band.cls}" x="${round(toX(band.from))}" y="0" width="${round(toX(band.to) - toX(band.from))}" height="100"/>
+                `).join('')}
+                ${CHART_LAYOUT.lanes.map((lane) => `
+                  <path class="chart-area chart-area-${lane.key}" d="${lanePath(lane)}"/>
+                  <line class="chart-lane-divider" x1="0" y1="${lane.top}" x2="${count}" y2="${lane.top}"/>
+                `).join('')}
+                ${moonRuns.map((run) => `
+                  <rect class="chart-moon" x="${run.from}" y="${CHART_LAYOUT.moon.top}" width="${run.to - run.from}" height="${CHART_LAYOUT.moon.height}" style="opacity: ${round(0.3 + (run.illumination || 0) / 100 * 0.7)}"/>
+                `).join('')}
+                ${columns.filter((col) => col.isNewDay && col.index > 0).map((col) => `
+                  <line class="chart-day-line" x1="${col.index}" y1="0" x2="${col.index}" y2="100"/>
+                `).join('')}
+                ${sunLines.filter((ts) => ts > startTs && ts < startTs + count * HOUR_MS).map((ts) => `
+                  <line class="chart-sun-line" x1="${round(toX(ts))}" y1="0" x2="${round(toX(ts))}" y2="100"/>
+                `).join('')}
+                <polyline class="chart-score-line" points="${scorePoints}"/>
+                ${nowTs > startTs && nowTs < startTs + count * HOUR_MS ? `
+                  <line class="chart-now-line" x1="${round(toX(nowTs))}" y1="0" x2="${round(toX(nowTs))}" y2="100"/>
+                ` : ''}
+              </svg>
+              <div class="chart-cursor" hidden></div>
+            </div>
+            <div class="chart-columns">
+              ${columns.map((col) => `
+                <div class="chart-column ${col.isCurrent ? 'current-hour' : ''} ${col.isNewDay ? 'day-boundary' : ''}" data-index="${col.index}" data-date="${col.dateStr}">
+                  ${col.isNewDay ? `<span class="day-label">${escapeHtml(formatDateTime(col.hour.time, 'day', timezone))}</span>` : ''}
+                  <span class="hour-label">${escapeHtml(formatDateTime(col.hour.time, 'hour', timezone))}</span>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        </div>
+        <div class="chart-legend">
+          <span class="chart-legend-item chart-legend-score">${escapeHtml(strings.alertPhotoScore || 'Photo score')}</span>
+          <span class="chart-legend-item chart-legend-golden">${escapeHtml(SUNLIGHT_LABELS['sunlight-golden'])}</span>
+          <span class="chart-legend-item chart-legend-blue">${escapeHtml(SUNLIGHT_LABELS['sunlight-blue'])}</span>
+          <span class="chart-legend-item chart-legend-night">${escapeHtml(SUNLIGHT_LABELS['sunlight-night'])}</span>
+          <span class="chart-legend-item chart-legend-moon">${escapeHtml(strings.moonUpLegend || 'Moon up')}</span>
+          <span class="chart-legend-item chart-legend-sun">${escapeHtml(strings.sunriseSunset || 'Sunrise / sunset')}</span>
+        </div>
+        <p class="chart-readout" id="chart-readout" aria-live="polite">${escapeHtml(strings.chartHint || 'Hover or drag across the chart to read an hour; tap for details.')}</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the grid header (row labels).
+   * @returns {string} HTML string.
+   */
+  function renderGridHeader() {
+    // Column headers for screen readers; section headers above spacer cells are hidden.
+    const label = (text, className = '', spoken = '') => `
+      <div class="grid-label ${className}" role="columnheader" ${spoken ? `aria-label="${escapeHtml(spoken)}"` : ''}>${escapeHtml(text)}</div>
+    `;
+    const sectionLabel = (text) => `<div class="grid-label section-header" aria-hidden="true">${escapeHtml(text)}</div>`;
+
+    return `
+      <div class="grid-row-labels" role="row">
+        ${label(strings.time || 'Time', 'header-label')}
+        ${label(strings.photoScore || 'Photo', 'photo-score-label', strings.alertPhotoScore || 'Photo score')}
+        ${label(strings.darkSky || 'Dark sky', 'photo-score-label')}
+        ${sectionLabel(strings.clouds)}
+        ${label(strings.total, '', strings.cloudTotal || 'Total cloud')}
+        ${label(strings.low, '', strings.cloudLow || 'Low cloud')}
+        ${label(strings.mid, '', strings.cloudMid || 'Mid cloud')}
+        ${label(strings.high, '', strings.cloudHigh || 'High cloud')}
+        ${label(strings.observed || 'Observed')}
+        ${label(strings.sun, 'section-header')}
+        ${label(strings.moon, 'section-header')}
+        ${label(strings.milkyWay || 'Milky Way')}
+        ${sectionLabel(strings.rain)}
+        ${label(strings.chance, '', strings.rainChance || 'Rain chance')}
+        ${label(`${strings.amount} (${getUnitLabel('precipitation')})`, '', `${strings.rainAmount || 'Rain amount'} (${getUnitLabel('precipitation')})`)}
+        ${label(`${strings.wind} (${getUnitLabel('wind')})`, 'section-header')}
+        ${label(`${strings.visibility} (${getUnitLabel('distance')})`)}
+        ${sectionLabel(`${strings.temp} (${getUnitLabel('temperature')})`)}
+        ${label(strings.actual, '', `${strings.temperature || 'Temperature'} (${getUnitLabel('temperature')})`)}
+        ${label(strings.feelsLike)}
+        ${label(strings.dewPoint)}
+        ${label(strings.humidity)}
+        ${label(strings.frost)}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the grid body (data columns).
+   * @param {Array} hourly - Hourly data array.
+   * @param {Object} forecast - Full forecast object.
+   * @param {string} todayStr - Today's date string.
+   * @param {number} currentHourIndex - Index of current hour.
+   * @returns {string} HTML string.
+   */
+  function renderGridBody(hourly, forecast, currentHourIndex, timezone, overlays) {
+    let lastDate = '';
+
+    // Build a map of daily data by date for quick lookup
+    const dailyByDate = {};
+    if (forecast.daily) {
+      forecast.daily.forEach(day => {
+        dailyByDate[day.date] = day;
+      });
+    }
+
+    return `
+      <div class="grid-data" id="grid-data" role="rowgroup">
+        ${hourly.map((hour, index) => {
+          const hourDate = new Date(hour.time);
+          // Get date string in location timezone
+          const dateStr = timezone
+            ? hourDate.toLocaleDateString('en-CA', { timeZone: timezone })
+            : hourDate.toISOString().split('T')[0];
+          const isNewDay = dateStr !== lastDate;
+          lastDate = dateStr;
+          const isCurrent = index === currentHourIndex;
+          const isPast = currentHourIndex >= 0 && index < currentHourIndex;
+          const dayMoon = forecast.moon?.[dateStr];
+          const dayData = dailyByDate[dateStr];
+
+          return renderHourColumn(hour, index, isNewDay, isCurrent, isPast, dayMoon, dayData, timezone, dateStr, forecast.location, overlays);
+        }).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render a single hour column.
+   * @param {Object} hour - Hour data.
+   * @param {number} index - Column index.
+   * @param {boolean} isNewDay - Whether this is the first hour of a new day.
+   * @param {boolean} isCurrent - Whether this is the current hour.
+   * @param {boolean} isPast - Whether this hour is in the past.
+   * @param {Object} moon - Moon data for this day.
+   * @param {Object} dayData - Daily data for this day (sunrise, sunset, twilight).
+   * @param {string} timezone - Timezone identifier.
+   * @param {string} dateStr - Date string (YYYY-MM-DD) for this hour.
+   * @param {Object} location - Forecast location with lat, lon.
+   * @returns {string} HTML string.
+   */
+  function renderHourColumn(hour, index, isNewDay, isCurrent, isPast, moon, dayData, timezone, dateStr, location, overlays = {}) {
+    const hourDate = new Date(hour.time);
+    const timeStr = formatDateTime(hour.time, 'hour', timezone);
+    const dayLabel = isNewDay ? formatDateTime(hour.time, 'day', timezone) : '';
+    const wind = getWindDirection(hour.wind_direction);
+    const visibility = formatUnit('distance', hour.visibility != null ? hour.visibility / 1000 : null);
+
+    const sunlightClass = getSunlightClass(hour, hourDate, dayData, timezone);
+    const moonVisible = isMoonVisible(hourDate, moon, timezone);
+    const moonIllumination = moon ? moon.moon_illumination : 0;
+
+    // Calculate photography score
+    const photoScore = calculatePhotoScore(hour, sunlightClass);
+    const scoreClass = getScoreClass(photoScore);
+    const darkSkyScore = calculateDarkSkyScore(hour, sunlightClass, moonVisible, moonIllumination);
+
+    // Moon and Milky Way core altitudes (the core only worth showing once the sun has set)
+    const hasCoords = location && location.lat != null && location.lon != null;
+    const moonAltitude = hasCoords ? getMoonPosition(hourDate, location.lat, location.lon).altitude : null;
+    const coreAltitude = hasCoords ? getGalacticCoreAltitude(hourDate, location.lat, location.lon) : null;
+    const coreUp = coreAltitude != null && coreAltitude > 0 && darkSkyScore != null;
+
+    // Alert rule matches and logged observations for saved locations
+    const isAlertMatch = !!overlays.alertHours && overlays.alertHours.has(index);
+    const observation = overlays.observations ? overlays.observations.get(hour.time) : null;
+    const canLog = !!overlays.canLog && (isPast || isCurrent);
+
+    return `
+      <div class="grid-column ${isCurrent ? 'current-hour' : ''} ${isPast ? 'past-hour' : ''} ${isNewDay ? 'day-boundary' : ''} ${isAlertMatch ? 'alert-match' : ''}" role="row" data-action="hour-detail" data-index="${index}" data-date="${dateStr}">
+        <div class="grid-cell time-cell ${isNewDay ? 'new-day' : ''}" role="rowheader">
+          ${dayLabel ? `<span class="day-label">${escapeHtml(dayLabel)}</span>` : ''}
+          <span class="hour-label">${escapeHtml(timeStr)}</span>
+          ${isCurrent ? `<span class="now-badge">${escapeHtml(strings.now)}</span>` : ''}
+        </div>
+        <div class="grid-cell photo-score-cell ${scoreClass}" role="gridcell">
+          ${photoScore}
+          <div class="score-bar"><div class="score-fill" style="width: ${photoScore}%"></div></div>
+        </div>
+        ${darkSkyScore != null ? `
+          <div class="grid-cell photo-score-cell dark-sky-cell ${getScoreClass(darkSkyScore)}" role="gridcell">
+            ${darkSkyScore}
+            <div class="score-bar"><div class="score-fill" style="width: ${darkSkyScore}%"></div></div>
+          </div>
+        ` : '<div class="grid-cell dark-sky-cell" role="gridcell"></div>'}
+        <div class="grid-cell section-spacer" aria-hidden="true"></div>
+        <div class="grid-cell cloud-cell ${getColorClass(hour.cloud_total, getThresholds('cloud'))}" role="gridcell">${formatValue(hour.cloud_total, '%')}</div>
+        <div class="grid-cell cloud-cell ${getColorClass(hour.cloud_low, getThresholds('cloud'))}" role="gridcell">${formatValue(hour.cloud_low, '%')}</div>
+        <div class="grid-cell cloud-cell ${getColorClass(hour.cloud_mid, getThresholds('cloud'))}" role="gridcell">${formatValue(hour.cloud_mid, '%')}</div>
+        <div class="grid-cell cloud-cell ${getColorClass(hour.cloud_high, getThresholds('cloud'))}" role="gridcell">${formatValue(hour.cloud_high, '%')}</div>
+        <div class="grid-cell observation-cell ${observation ? getColorClass(observation.cloud, getThresholds('cloud')) : ''}" role="gridcell">
+          ${observation ? `
+            <button class="observation-marker" data-action="log-observation" data-index="${index}" tabindex="-1" title="${escapeHtml(observation.note || strings.observation || 'Observation')}">&#128065;${observation.cloud}%</button>
+          ` : canLog ? `
+            <button class="observation-add" data-action="log-observation" data-index="${index}" tabindex="-1" title="${escapeHtml(strings.logObservation || 'Log observation')}">+</button>
+          ` : ''}
+        </div>
+        <div class="grid-cell sunlight-cell ${sunlightClass}" role="gridcell"></div>
+        <div class="grid-cell moon-cell ${moonVisible ? 'moon-visible' : 'moon-hidden'}" style="--moon-illumination: ${moonIllumination / 100}" role="gridcell">${moonAltitude > 0 ? `${Math.round(moonAltitude)}\u00B0` : ''}</div>
+        <div class="grid-cell core-cell ${coreUp ? (sunlightClass === 'sunlight-astro-dark' ? 'core-visible' : 'core-up') : ''}" role="gridcell">${coreUp ? `${Math.round(coreAltitude)}\u00B0` : ''}</div>
+        <div class="grid-cell section-spacer" aria-hidden="true"></div>
+        <div class="grid-cell rain-cell ${getColorClass(hour.rain_chance, getThresholds('rain'))}" role="gridcell">${formatValue(hour.rain_chance, '%')}</div>
+        <div class="grid-cell" role="gridcell">${formatUnit('precipitation', hour.rain_amount)}</div>
+        <div class="grid-cell wind-cell ${getColorClass(hour.wind_speed, getThresholds('wind'))}" role="gridcell">
+          <span class="wind-arrow">${wind.arrow}</span>
+          <span class="wind-speed">${formatUnit('wind', hour.wind_speed)}</span>
+        </div>
+        <div class="grid-cell vis-cell ${getColorClass(hour.visibility, getThresholds('visibility'))}" role="gridcell">${visibility}</div>
+        <div class="grid-cell section-spacer" aria-hidden="true"></div>
+        <div class="grid-cell temp-cell" role="gridcell">${formatUnit('temperature', hour.temperature, '\u00B0')}</div>
+        <div class="grid-cell" role="gridcell">${formatUnit('temperature', hour.feels_like, '\u00B0')}</div>
+        <div class="grid-cell" role="gridcell">${formatUnit('temperature', hour.dew_point, '\u00B0')}</div>
+        <div class="grid-cell humidity-cell ${getColorClass(hour.humidity, getThresholds('humidity'))}" role="gridcell">${formatValue(hour.humidity, '%')}</div>
+        <div class="grid-cell frost-cell" role="gridcell">${hour.frost ? '&#10052;' : ''}</div>
+      </div>
+    `;
+  }
+
+  /** Right ascension and declination of the galactic centre (Sgr A*), in degrees. */
+  const GALACTIC_CORE = { ra: 266.405, dec: -29.008 };
+
+  /**
+   * Calculate the altitude of the Milky Way core.
+   * @param {Date} date - Date and time.
+   * @param {number} lat - Latitude.
+   * @param {number} lon - Longitude.
+   * @returns {number} Altitude in degrees above the horizon.
+   */
+  function getGalacticCoreAltitude(date, lat, lon) {
+    return getHorizontalPosition(date, lat, lon, GALACTIC_CORE.ra, GALACTIC_CORE.dec).altitude;
+  }
+
+  /**
+   * Determine if the moon is visible during a given hour.
+   * @param {Date} hourDate - Date object for this hour.
+   * @param {Object} moon - Moon data for this day.
+   * @returns {boolean} True if moon is visible.
+   */
+  function isMoonVisible(hourDate, moon, timezone) {
+    if (!moon) return false;
+
+    const hourTs = hourDate.getTime();
+    const dateStr = timezone
+      ? hourDate.toLocaleDateString('en-CA', { timeZone: timezone })
+      : hourDate.toISOString().split('T')[0];
+    const moonriseTs = parseTimeToTimestamp(dateStr, moon.moonrise, timezone);
+    const moonsetTs = parseTimeToTimestamp(dateStr, moon.moonset, timezone);
+
+    // Both times available
+    if (moonriseTs && moonsetTs) {
+      // Normal case: moonrise before moonset
+      if (moonsetTs > moonriseTs) {
+        return hourTs >= moonriseTs && hourTs < moonsetTs;
+      }
+      // Inverted case: moon was up at start of day, sets, then rises again
+      return hourTs >= moonriseTs || hourTs < moonsetTs;
+    }
+
+    // Only one time available
+    if (moonriseTs) return hourTs >= moonriseTs;
+    if (moonsetTs) return hourTs < moonsetTs;
+
+    return false;
+  }
+
+  /**
+   * Format a value with optional suffix.
+   * @param {number} value - Value to format.
+   * @param {string} suffix - Suffix to append.
+   * @param {number} decimals - Decimal places.
+   * @returns {string} Formatted value.
+   */
+  function formatValue(value, suffix = '', decimals = 0) {
+    if (value == null) return '-';
+    const formatted = decimals > 0 ? value.toFixed(decimals) : Math.round(value);
+    return formatted + suffix;
+  }
+
+  /**
+   * Render loading state.
+   * @returns {string} HTML string.
+   */
+  function renderLoading() {
+    return `
+      <div class="loading-state">
+        <div class="loading-spinner"></div>
+        <p>${escapeHtml(strings.loading)}</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Render error state.
+   * @param {string} message - Error message.
+   * @returns {string} HTML string.
+   */
+  function renderError(message) {
+    return `
+      <div class="error-state">
+        <div class="error-icon">&#9888;</div>
+        <h2>${escapeHtml(strings.error)}</h2>
+        <p>${escapeHtml(message)}</p>
+        <button class="btn btn-primary" data-action="retry">
+          ${escapeHtml(strings.retry)}
+        </button>
+      </div>
+    `;
+  }
+
+  // ============================================================
+  // EVENT HANDLING
+  // ============================================================
+
+  /**
+   * Attach event listeners.
+   */
+  function attachEventListeners() {
+    // Tab navigation.
+    app.querySelectorAll('.tab-btn').forEach((btn) => {
+      btn.addEventListener('click', () => switchTab(btn.dataset.tab));
+    });
+
+    // Action buttons.
+    app.addEventListener('click', handleActionClick);
+
+    // Search input and button.
+    const searchInput = app.querySelector('#location-search');
+    const searchBtn = app.querySelector('#search-btn');
+    if (searchInput) {
+      searchInput.addEventListener('keydown', handleSearchKeydown);
+    }
+    if (searchBtn) {
+      searchBtn.addEventListener('click', handleSearchClick);
+    }
+
+    // Saved locations filter and sort order.
+    const locationFilter = app.querySelector('#saved-location-filter');
+    if (locationFilter) {
+      locationFilter.addEventListener('input', () => {
+        state.locationFilter.query = locationFilter.value;
+        refreshLocationList();
+      });
+    }
+    const locationSort = app.querySelector('#location-sort');
+    if (locationSort) {
+      locationSort.addEventListener('change', () => setLocationSort(locationSort.value));
+    }
+
+    // Import file input.
+    const importInput = app.querySelector('#import-file');
+    if (importInput) {
+      importInput.addEventListener('change', handleImportFile);
+    }
+
+    // Score profile switcher and editor.
+    const profileSelect = app.querySelector('#score-profile-select');
+    if (profileSelect) {
+      profileSelect.addEventListener('change', () => setActiveScoreProfile(profileSelect.value));
+    }
+    const profileForm = app.querySelector('#profile-editor-form');
+    if (profileForm) {
+      profileForm.addEventListener('input', (e) => {
+        if (e.target.dataset.weight) {
+          updateEditingWeight(e.target.dataset.weight, e.target.value);
+        }
+      });
+      profileForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveProfileEdit();
+      });
+    }
+
+    // Observation form submission.
+    const observationForm = app.querySelector('#observation-form');
+    if (observationForm) {
+      observationForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveObservationForm();
+      });
+    }
+
+    // Forecast review date picker.
+    const reviewDate = app.querySelector('#review-date');
+    if (reviewDate) {
+      reviewDate.addEventListener('change', () => {
+        state.forecastReview = { ...state.forecastReview, date: reviewDate.value };
+        renderApp();
+      });
+    }
+
+    // Moon calendar range.
+    const moonCalendarMonths = app.querySelector('#moon-calendar-months');
+    if (moonCalendarMonths) {
+      moonCalendarMonths.addEventListener('change', () => setMoonCalendarMonths(parseInt(moonCalendarMonths.value, 10)));
+    }
+
+    // Import preview checkboxes.
+    const importSelectAll = app.querySelector('#import-select-all');
+    const importPoints = app.querySelectorAll('[data-import-index]');
+    const updateImportCount = () => {
+      const count = state.importPreview.points.filter((point) => point.selected).length;
+      const confirmBtn = app.querySelector('#import-confirm');
+      confirmBtn.textContent = `${strings.import || 'Import'} (${count})`;
+      confirmBtn.disabled = count === 0;
+    };
+    importPoints.forEach((input) => {
+      input.addEventListener('change', () => {
+        setImportSelection([parseInt(input.dataset.importIndex, 10)], input.checked);
+        updateImportCount();
+      });
+    });
+    if (importSelectAll) {
+      importSelectAll.addEventListener('change', () => {
+        const enabled = Array.from(importPoints).filter((input) => !input.disabled);
+        setImportSelection(enabled.map((input) => parseInt(input.dataset.importIndex, 10)), importSelectAll.checked);
+        enabled.forEach((input) => {
+          input.checked = importSelectAll.checked;
+        });
+        updateImportCount();
+      });
+    }
+
+    // Backup merge dialog.
+    app.querySelectorAll('[data-conflict-index]').forEach((input) => {
+      input.addEventListener('change', () => setBackupConflictChoice(parseInt(input.dataset.conflictIndex, 10), input.value));
+    });
+    const restoreSettings = app.querySelector('#backup-restore-settings');
+    if (restoreSettings) {
+      restoreSettings.addEventListener('change', () => {
+        state.backupImport.restoreSettings = restoreSettings.checked;
+      });
+    }
+
+    // Forecast export menu.
+    const forecastExport = app.querySelector('#forecast-export');
+    if (forecastExport) {
+      forecastExport.addEventListener('toggle', () => {
+        state.showForecastExport = forecastExport.open;
+      });
+    }
+    const calendarThreshold = app.querySelector('#calendar-threshold');
+    if (calendarThreshold) {
+      calendarThreshold.addEventListener('change', () => {
+        setCalendarThreshold(calendarThreshold.value);
+        calendarThreshold.value = state.calendarThreshold;
+      });
+    }
+
+    // Compare tab location picker.
+    app.querySelectorAll('[data-compare-id]').forEach((input) => {
+      input.addEventListener('change', () => toggleCompareLocation(parseInt(input.dataset.compareId, 10), input.checked));
+    });
+
+    // Trip picker, per-night location pickers and trip editor.
+    const tripSelect = app.querySelector('#trip-select');
+    if (tripSelect) {
+      tripSelect.addEventListener('change', () => setActiveTrip(parseInt(tripSelect.value, 10)));
+    }
+    app.querySelectorAll('[data-trip-date]').forEach((select) => {
+      select.addEventListener('change', () => {
+        if (select.value) {
+          addTripStop(select.dataset.tripDate, parseInt(select.value, 10));
+        }
+      });
+    });
+    const tripForm = app.querySelector('#trip-form');
+    if (tripForm) {
+      tripForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveTripEdit();
+      });
+    }
+
+    // Unit settings.
+    app.querySelectorAll('[data-unit]').forEach((select) => {
+      select.addEventListener('change', () => setUnit(select.dataset.unit, select.value));
+    });
+
+    // Palette and colour band editor.
+    const paletteSelect = app.querySelector('#palette-select');
+    if (paletteSelect) {
+      paletteSelect.addEventListener('change', () => setPalette(paletteSelect.value));
+    }
+    const thresholdEditor = app.querySelector('#threshold-editor');
+    if (thresholdEditor) {
+      thresholdEditor.addEventListener('toggle', () => {
+        state.showThresholdEditor = thresholdEditor.open;
+      });
+      thresholdEditor.addEventListener('input', (e) => {
+        const key = e.target.dataset.threshold;
+        if (!key) return;
+        const accepted = updateThreshold(key, parseInt(e.target.dataset.index, 10), e.target.value);
+        e.target.classList.toggle('invalid', !accepted);
+        const preview = thresholdEditor.querySelector(`[data-preview="${key}"]`);
+        if (accepted && preview) {
+          preview.outerHTML = renderThresholdPreview(THRESHOLD_METRICS.find((m) => m.key === key));
+        }
+      });
+      thresholdEditor.addEventListener('change', (e) => {
+        if (e.target.dataset.threshold && !e.target.classList.contains('invalid')) {
+          saveColorThresholds();
+        }
+      });
+    }
+
+    // Notification settings.
+    const notificationsToggle = app.querySelector('#notifications-enabled');
+    if (notificationsToggle) {
+      notificationsToggle.addEventListener('change', () => setNotificationsEnabled(notificationsToggle.checked));
+    }
+    const notificationThreshold = app.querySelector('#notification-threshold');
+    if (notificationThreshold) {
+      notificationThreshold.addEventListener('change', () => setNotificationThreshold(notificationThreshold.value));
+    }
+
+    // Edit form submission.
+    const editForm = app.querySelector('#edit-location-form');
+    if (editForm) {
+      editForm.addEventListener('change', (e) => {
+        const row = e.target.closest('[data-rule-index]');
+        if (row && e.target.dataset.ruleField) {
+          updateAlertRuleField(parseInt(row.dataset.ruleIndex, 10), e.target.dataset.ruleField, e.target.value);
+        }
+      });
+      editForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveLocationEdit();
+      });
+    }
+
+    // Chart brushing.
+    setupChartBrush();
+
+    // Forecast grid keyboard navigation.
+    app.addEventListener('keydown', handleGridKeydown);
+    app.addEventListener('focusin', handleGridFocusChange);
+    app.addEventListener('focusout', handleGridFocusChange);
+    initGridFocus();
+
+    // Locations map.
+    mountLocationMap();
+  }
+
+  /**
+   * Handle action button clicks.
+   * @param {Event} event - Click event.
+   */
+  async function handleActionClick(event) {
+    const btn = event.target.closest('[data-action]');
+    if (!btn) return;
+
+    const action = btn.dataset.action;
+    const id = btn.dataset.id ? parseInt(btn.dataset.id, 10) : null;
+    const index = btn.dataset.index ? parseInt(btn.dataset.index, 10) : null;
+
+    switch (action) {
+      case 'toggle-theme':
+        toggleTheme();
+        break;
+
+      case 'toggle-font-size':
+        toggleFontSize();
+        break;
+
+      case 'install':
+        handleInstallClick();
+        break;
+
+      case 'close-install':
+        // Only close if clicking X button or directly on overlay (not modal content)
+        if (btn.classList.contains('install-modal-close') || event.target.classList.contains('install-modal-overlay')) {
+          closeInstallInstructions();
+        }
+        break;
+
+      case 'go-to-locations':
+        switchTab('locations');
+        break;
+
+      case 'retry':
+      case 'retry-location':
+        state.error = null;
+        if (state.activeTab === 'home') {
+          loadHomeTab();
+        } else if (state.activeTab === 'current') {
+          loadCurrentTab();
+        }
+        break;
+
+      case 'view-location':
+        await viewLocation(id);
+        break;
+
+      case 'add-location':
+        if (index != null && state.searchResults[index]) {
+          await addLocation(state.searchResults[index]);
+        }
+        break;
+
+      case 'save-current-location':
+        if (state.currentLocation && !isLocationSaved(state.currentLocation.lat, state.currentLocation.lon)) {
+          await addLocation(state.currentLocation);
+        }
+        break;
+
+      case 'set-home':
+        await setHomeLocation(id);
+        break;
+
+      case 'delete-location':
+        await deleteLocation(id);
+        break;
+
+      case 'edit-location':
+        openEditModal(id);
+        break;
+
+      case 'save-location-edit':
+        event.preventDefault();
+        await saveLocationEdit();
+        break;
+
+      case 'review-forecast':
+        await openForecastReview(id);
+        break;
+
+      case 'close-review':
+        // Only close from the close button or the overlay itself, not the modal content.
+        if (btn.classList.contains('edit-modal-close') || event.target.classList.contains('edit-modal-overlay')) {
+          closeForecastReview();
+        }
+        break;
+
+      case 'moon-calendar': {
+        const location = id ? state.savedLocations.find((loc) => loc.id === id) : getActiveLocation();
+        if (location) {
+          openMoonCalendar(location);
+        }
+        break;
+      }
+
+      case 'confirm-import':
+        confirmImport();
+        break;
+
+      case 'cancel-import':
+        // Only close from the buttons or the overlay itself, not the modal content.
+        if (btn.tagName === 'BUTTON' || event.target.classList.contains('edit-modal-overlay')) {
+          cancelImport();
+        }
+        break;
+
+      case 'confirm-backup-import':
+        confirmBackupImport();
+        break;
+
+      case 'cancel-backup-import':
+        // Only close from the buttons or the overlay itself, not the modal content.
+        if (btn.tagName === 'BUTTON' || event.target.classList.contains('edit-modal-overlay')) {
+          cancelBackupImport();
+        }
+        break;
+
+      case 'export-forecast':
+        exportForecast(btn.dataset.format);
+        break;
+
+      case 'close-moon-calendar':
+        // Only close from the close button or the overlay itself, not the modal content.
+        if (btn.classList.contains('edit-modal-close') || event.target.classList.contains('edit-modal-overlay')) {
+          closeMoonCalendar();
+        }
+        break;
+
+      case 'log-observation':
+        openObservationForm(index);
+        break;
+
+      case 'hour-detail':
+        openHourDetail(index);
+        break;
+
+      case 'close-hour-detail':
+        // Only close from the close button or the overlay itself, not the drawer content.
+        if (btn.classList.contains('edit-modal-close') || event.target.classList.contains('hour-detail-overlay')) {
+          closeHourDetail();
+        }
+        break;
+
+      case 'cancel-observation':
+        // Only close from a button or the overlay itself, not the modal content.
+        if (btn.classList.contains('edit-modal-close') ||
+            btn.classList.contains('btn') ||
+            event.target.classList.contains('edit-modal-overlay')) {
+          closeObservationForm();
+        }
+        break;
+
+      case 'delete-observation':
+        await removeObservation(id || state.loggingObservation?.id);
+        break;
+
+      case 'view-observations':
+        state.observationLogLocationId = id;
+        renderApp();
+        break;
+
+      case 'close-observation-log':
+        if (btn.classList.contains('edit-modal-close') || event.target.classList.contains('edit-modal-overlay')) {
+          state.observationLogLocationId = null;
+          renderApp();
+        }
+        break;
+
+      case 'compare-metric':
+        setCompareMetric(btn.dataset.metric);
+        break;
+
+      case 'new-trip':
+        openTripEditor(null);
+        break;
+
+      case 'edit-trip':
+        openTripEditor(id);
+        break;
+
+      case 'cancel-trip':
+        // Only close from a button or the overlay itself, not the modal content.
+        if (btn.classList.contains('edit-modal-close') ||
+            btn.classList.contains('btn') ||
+            event.target.classList.contains('edit-modal-overlay')) {
+          closeTripEditor();
+        }
+        break;
+
+      case 'delete-trip':
+        await removeTrip(state.editingTrip?.id);
+        break;
+
+      case 'remove-trip-stop':
+        removeTripStop(btn.dataset.date, id);
+        break;
+
+      case 'swap-trip-nights':
+        swapTripNights(btn.dataset.date, btn.dataset.otherDate);
+        break;
+
+      case 'add-alert-rule':
+        addAlertRule();
+        break;
+
+      case 'remove-alert-rule':
+        removeAlertRule(index);
+        break;
+
+      case 'cancel-edit':
+        // Only close if clicking X button, Cancel button, or directly on overlay (not modal content)
+        if (btn.classList.contains('edit-modal-close') ||
+            btn.classList.contains('btn') ||
+            event.target.classList.contains('edit-modal-overlay')) {
+          closeEditModal();
+        }
+        break;
+
+      case 'reset-thresholds':
+        resetColorThresholds();
+        break;
+
+      case 'toggle-locations-view':
+        setLocationsView(btn.dataset.view);
+        break;
+
+      case 'toggle-tag-filter':
+        toggleTagFilter(btn.dataset.tag);
+        break;
+
+      case 'clear-location-filter':
+        clearLocationFilter();
+        break;
+
+      case 'set-forecast-view':
+        setForecastView(btn.dataset.view);
+        break;
+
+      case 'export-locations':
+        exportLocations(btn.dataset.format);
+        break;
+
+      case 'import-locations':
+        triggerImport();
+        break;
+
+      case 'share-location':
+        // Share can come from location list (with id) or forecast view (with source)
+        if (id) {
+          const location = state.savedLocations.find((loc) => loc.id === id);
+          if (location) {
+            await shareLocation(location, btn);
           }
         } else if (btn.dataset.source) {
           const source = btn.dataset.source;
@@ -1776,721 +6523,1877 @@
             await shareLocation(location, btn);
           }
         }
-        break;
+        break;
+
+      case 'jump-to':
+        const target = btn.dataset.target;
+        if (target) {
+          jumpToTarget(target);
+        }
+        break;
+
+      case 'edit-score-profile':
+        openProfileEditor();
+        break;
+
+      case 'cancel-score-profile':
+        closeProfileEditor();
+        break;
+
+      case 'save-score-profile-copy':
+        await saveProfileEdit(true);
+        break;
+
+      case 'reset-score-profile':
+        resetProfileEdit();
+        break;
+
+      case 'delete-score-profile':
+        await deleteProfileEdit();
+        break;
+
+      case 'jump-to-hour':
+        if (index != null) {
+          jumpToHour(index, parseInt(btn.dataset.endIndex, 10) || index + 1);
+        }
+        break;
+
+      case 'jump-to-day':
+        jumpToDay(btn.dataset.date);
+        break;
+    }
+  }
+
+  /**
+   * Scroll the grid to an hour column and briefly highlight a range of columns.
+   * @param {number} startIndex - Index of the first hour column.
+   * @param {number} endIndex - Index after the last column to highlight.
+   */
+  function jumpToHour(startIndex, endIndex) {
+    const gridData = getTimeline();
+    const column = gridData ? getTimelineColumn(gridData, startIndex) : null;
+    if (!column) return;
+
+    const scrollLeft = column.offsetLeft - gridData.offsetWidth / 4;
+    gridData.scrollTo({ left: Math.max(0, scrollLeft), behavior: 'smooth' });
+    setTimeout(updateCurrentDayDisplay, 100);
+
+    const highlighted = [];
+    for (let i = startIndex; i < endIndex; i++) {
+      const col = getTimelineColumn(gridData, i);
+      if (col) {
+        col.classList.add('highlight-hour');
+        highlighted.push(col);
+      }
+    }
+    setTimeout(() => highlighted.forEach((col) => col.classList.remove('highlight-hour')), 2000);
+  }
+
+  /**
+   * Scroll the grid (or chart) so a day starts at the left edge.
+   * @param {string} date - Date string (YYYY-MM-DD).
+   */
+  function jumpToDay(date) {
+    const gridData = getTimeline();
+    const column = gridData?.querySelector(`.grid-column[data-date="${date}"], .chart-column[data-date="${date}"]`);
+    if (!column) return;
+
+    gridData.scrollTo({ left: column.offsetLeft, behavior: 'smooth' });
+    setTimeout(updateCurrentDayDisplay, 100);
+  }
+
+  /**
+   * Jump to a target position in the grid.
+   * @param {string} target - Target ('now', 'prev-day', 'next-day').
+   */
+  function jumpToTarget(target) {
+    const gridData = getTimeline();
+    if (!gridData) return;
+
+    if (target === 'now') {
+      // Scroll to current hour
+      const currentCol = gridData.querySelector('.current-hour');
+      if (currentCol) {
+        const scrollLeft = currentCol.offsetLeft - gridData.offsetWidth / 4;
+        gridData.scrollTo({ left: Math.max(0, scrollLeft), behavior: 'smooth' });
+        // Update day display after scroll settles
+        setTimeout(updateCurrentDayDisplay, 100);
+      }
+      return;
+    }
+
+    if (target === 'prev-day' || target === 'next-day') {
+      // Find current visible date based on scroll position
+      const currentScroll = gridData.scrollLeft;
+      let currentDateIndex = 0;
+      const dayBoundaries = gridData.querySelectorAll('.grid-column.day-boundary, .chart-column.day-boundary');
+
+      // Find which day boundary we're currently at or past
+      for (let i = 0; i < dayBoundaries.length; i++) {
+        if (dayBoundaries[i].offsetLeft <= currentScroll + 50) {
+          currentDateIndex = i;
+        } else {
+          break;
+        }
+      }
+
+      // Calculate target day index
+      let targetIndex = target === 'prev-day' ? currentDateIndex - 1 : currentDateIndex + 1;
+      targetIndex = Math.max(0, Math.min(targetIndex, dayBoundaries.length - 1));
+
+      if (dayBoundaries[targetIndex]) {
+        gridData.scrollTo({ left: dayBoundaries[targetIndex].offsetLeft, behavior: 'smooth' });
+      }
+    }
+  }
+
+  /**
+   * Update the current day display based on scroll position.
+   * @param {string} brushedDate - Date (YYYY-MM-DD) of the hour under the chart cursor, if any.
+   */
+  function updateCurrentDayDisplay(brushedDate = null) {
+    const gridData = getTimeline();
+    const display = document.getElementById('current-day-display');
+    if (!gridData || !display) return;
+
+    // Find the first visible column based on scroll position
+    const currentScroll = gridData.scrollLeft;
+    const columns = brushedDate ? [] : gridData.querySelectorAll('.grid-column, .chart-column');
+    let visibleDate = brushedDate;
+
+    for (const col of columns) {
+      // Find the first column that's at or past the scroll position
+      if (col.offsetLeft >= currentScroll - 20) {
+        visibleDate = col.dataset.date;
+        break;
+      }
+      // Keep track of the last column we passed
+      visibleDate = col.dataset.date;
+    }
+
+    if (visibleDate) {
+      // Parse the date string (YYYY-MM-DD format)
+      const [year, month, day] = visibleDate.split('-').map(Number);
+      const date = new Date(year, month - 1, day);
+
+      // Get day of week (first 3 letters) and date of month
+      const dayOfWeek = date.toLocaleDateString('en-US', { weekday: 'short' });
+      const dateOfMonth = date.getDate();
+
+      display.textContent = `${dayOfWeek} ${dateOfMonth}`;
+    }
+  }
+
+  /**
+   * Handle search button click.
+   */
+  async function handleSearchClick() {
+    const searchInput = app.querySelector('#location-search');
+    const query = searchInput ? searchInput.value.trim() : '';
+
+    if (query.length < 2) {
+      state.searchResults = [];
+      state.isSearching = false;
+      renderApp();
+      return;
+    }
+
+    state.isSearching = true;
+    renderApp();
+
+    try {
+      state.searchResults = await searchLocations(query);
+    } catch (e) {
+      state.searchResults = [];
+      console.error('Search error:', e);
+    }
+
+    state.isSearching = false;
+    renderApp();
+
+    // Restore focus to search input.
+    const newSearchInput = app.querySelector('#location-search');
+    if (newSearchInput) {
+      newSearchInput.value = query;
+      newSearchInput.focus();
+    }
+  }
+
+  /**
+   * Handle search input keydown.
+   * @param {Event} event - Keydown event.
+   */
+  function handleSearchKeydown(event) {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      handleSearchClick();
+    } else if (event.key === 'Escape') {
+      state.searchResults = [];
+      renderApp();
+    }
+  }
+
+  // ============================================================
+  // TAB ACTIONS
+  // ============================================================
+
+  /**
+   * Switch to a tab.
+   * @param {string} tab - Tab name.
+   */
+  function switchTab(tab) {
+    if (state.activeTab === tab) return;
+
+    state.activeTab = tab;
+    state.error = null;
+    state.searchResults = [];
+    state.editingProfile = null;
+
+    // Clear URL parameters and shared location when switching tabs
+    if (window.location.search) {
+      state.sharedLocation = null;
+      history.replaceState(null, '', window.location.pathname);
+    }
+
+    renderApp();
+
+    if (tab === 'home') {
+      loadHomeTab();
+    } else if (tab === 'current') {
+      loadCurrentTab();
+    } else if (tab === 'compare') {
+      loadCompareTab();
+    } else if (tab === 'trips') {
+      loadTripsTab();
+    }
+  }
+
+  /**
+   * Load the home tab data.
+   */
+  async function loadHomeTab() {
+    if (!state.homeLocation) {
+      renderApp();
+      return;
+    }
+
+    if (!state.forecastData[state.homeLocation.id]) {
+      state.isLoading = true;
+      renderApp();
+
+      try {
+        const forecast = await fetchForecast(state.homeLocation);
+        state.forecastData[state.homeLocation.id] = forecast;
+        state.error = null;
+      } catch (e) {
+        state.error = e.message;
+      }
+
+      state.isLoading = false;
+      renderApp();
+      scrollToCurrentHour();
+    }
+
+    revalidateIfStale(state.homeLocation.id);
+  }
+
+  /**
+   * Load the current location tab data.
+   */
+  async function loadCurrentTab() {
+    state.isLoading = true;
+    state.error = null;
+    renderApp();
+
+    try {
+      const position = await getCurrentPosition();
+      state.currentLocation = await reverseGeocode(position.lat, position.lon);
+
+      const forecast = await fetchForecast(state.currentLocation);
+      state.forecastData['current'] = forecast;
+    } catch (e) {
+      state.error = e.message;
+    }
+
+    state.isLoading = false;
+    renderApp();
+    scrollToCurrentHour();
+    revalidateIfStale('current');
+  }
+
+  /**
+   * View a saved location's forecast.
+   * @param {number} id - Location ID.
+   */
+  async function viewLocation(id) {
+    const location = state.savedLocations.find((loc) => loc.id === id);
+    if (!location) return;
+
+    state.homeLocation = location;
+    state.activeTab = 'home';
+    state.error = null;
+    state.isLoading = true;
+    renderApp();
+
+    try {
+      const forecast = await fetchForecast(location);
+      state.forecastData[location.id] = forecast;
+    } catch (e) {
+      state.error = e.message;
+    }
+
+    state.isLoading = false;
+    renderApp();
+    scrollToCurrentHour();
+    revalidateIfStale(location.id);
+  }
+
+  /**
+   * Add a new location.
+   * @param {Object} locationData - Location data from search.
+   */
+  async function addLocation(locationData) {
+    try {
+      const id = await ForecastStorage.saveLocation({
+        lat: locationData.lat,
+        lon: locationData.lon,
+        name: locationData.name,
+        country: locationData.country,
+        admin1: locationData.admin1,
+        timezone: locationData.timezone,
+      });
+
+      await loadSavedLocations();
+
+      // Clear search.
+      state.searchResults = [];
+      const searchInput = app.querySelector('#location-search');
+      if (searchInput) {
+        searchInput.value = '';
+      }
+
+      renderApp();
+    } catch (e) {
+      console.error('Error adding location:', e);
+    }
+  }
+
+  /**
+   * Set a location as home.
+   * @param {number} id - Location ID.
+   */
+  async function setHomeLocation(id) {
+    try {
+      await ForecastStorage.setHomeLocation(id);
+      await loadSavedLocations();
+      renderApp();
+    } catch (e) {
+      console.error('Error setting home location:', e);
+    }
+  }
+
+  /**
+   * Delete a location.
+   * @param {number} id - Location ID.
+   */
+  async function deleteLocation(id) {
+    try {
+      await ForecastStorage.deleteLocation(id);
+      await ForecastStorage.deleteForecastHistory(id);
+      for (const observation of state.observations[id] || []) {
+        await ForecastStorage.deleteObservation(observation.id);
+      }
+      delete state.observations[id];
+      delete state.forecastData[id];
+      await loadSavedLocations();
+      renderApp();
+    } catch (e) {
+      console.error('Error deleting location:', e);
+    }
+  }
+
+  /**
+   * Open the edit modal for a location.
+   * @param {number} id - Location ID.
+   */
+  function openEditModal(id) {
+    const location = state.savedLocations.find((loc) => loc.id === id);
+    if (!location) return;
+
+    state.editingLocation = { ...location, alertRules: copyAlertRules(location.alertRules) };
+    renderApp();
+  }
+
+  /**
+   * Close the edit modal without saving.
+   */
+  function closeEditModal() {
+    state.editingLocation = null;
+    renderApp();
+  }
+
+  /**
+   * Save the edited location.
+   */
+  async function saveLocationEdit() {
+    if (!state.editingLocation) return;
+
+    const nameInput = document.getElementById('edit-name');
+    const admin1Input = document.getElementById('edit-admin1');
+    const notesInput = document.getElementById('edit-notes');
+    const tagsInput = document.getElementById('edit-tags');
+
+    if (!nameInput) return;
+
+    const name = nameInput.value.trim();
+    const admin1 = admin1Input ? admin1Input.value.trim() : '';
+    const notes = notesInput ? notesInput.value.trim() : '';
+    const tags = ForecastStorage.normalizeTags(tagsInput ? tagsInput.value : state.editingLocation.tags);
+
+    if (!name) return;
+
+    syncEditForm();
+    const direction = normalizeShootingDirection(state.editingLocation);
+    const horizonInput = document.getElementById('edit-horizon');
+    if (horizonInput) {
+      horizonInput.classList.toggle('invalid', !direction);
+    }
+    if (!direction) {
+      horizonInput?.focus();
+      return;
+    }
+
+    try {
+      const alertRules = state.editingLocation.alertRules || [];
+      await ForecastStorage.updateLocation(state.editingLocation.id, { name, admin1, notes, tags, alertRules, ...direction });
+      await loadSavedLocations();
+      await loadAlertMatches();
+      state.editingLocation = null;
+      renderApp();
+    } catch (e) {
+      console.error('Error saving location:', e);
+    }
+  }
+
+  /**
+   * Export a full backup as JSON, or the locations as GPX, KML or GeoJSON.
+   * @param {string} format - Key of LOCATION_FILE_FORMATS.
+   */
+  async function exportLocations(format = 'json') {
+    addDebug(`Export: Starting, ${state.savedLocations.length} locations as ${format}`);
+
+    if (format === 'json') {
+      await deliverFile(
+        JSON.stringify(await buildBackup(), null, 2),
+        `cloud-cover-backup-${new Date().toISOString().split('T')[0]}.json`,
+        LOCATION_FILE_FORMATS.json.type,
+        strings.backupCopiedToClipboard || 'Backup copied to clipboard. Paste into a text file to save.'
+      );
+      return;
+    }
+
+    if (state.savedLocations.length === 0) {
+      addDebug('Export: No locations to export');
+      alert(strings.noLocationsToExport || 'No locations to export');
+      return;
+    }
+
+    const { extension, type } = LOCATION_FILE_FORMATS[format] || LOCATION_FILE_FORMATS.geojson;
+    await deliverFile(
+      buildLocationsFile(state.savedLocations, format),
+      `cloud-cover-locations-${new Date().toISOString().split('T')[0]}.${extension}`,
+      type,
+      strings.exportCopiedToClipboard || 'Locations copied to clipboard. Paste into a text file to save.'
+    );
+  }
+
+  /**
+   * Hand an exported file to the user: the share sheet where files can be
+   * shared, the clipboard on mobile, a download, and as a last resort the
+   * text in a box to copy by hand.
+   * @param {string} content - File contents.
+   * @param {string} filename - File name.
+   * @param {string} type - MIME type.
+   * @param {string} copiedMessage - Alert shown when the contents went to the clipboard.
+   */
+  async function deliverFile(content, filename, type, copiedMessage) {
+    const blob = new Blob([content], { type });
+
+    // Try Web Share API first (for mobile devices)
+    addDebug(`Export: Web Share API available: share=${!!navigator.share} canShare=${!!navigator.canShare}`);
+    if (navigator.share && navigator.canShare) {
+      const file = new File([blob], filename, { type });
+      const shareData = { files: [file] };
+      const canShareFiles = navigator.canShare(shareData);
+      addDebug(`Export: canShare(files)=${canShareFiles}`);
+
+      try {
+        if (canShareFiles) {
+          addDebug('Export: Calling navigator.share()...');
+          await navigator.share(shareData);
+          addDebug('Export: Share completed successfully');
+          return; // User completed or cancelled share - either way, we're done
+        }
+      } catch (e) {
+        addDebug(`Export: Share error: ${e.name} - ${e.message}`);
+        if (e.name === 'AbortError') {
+          addDebug('Export: User cancelled share');
+          return; // User cancelled, no need to fallback
+        }
+        // Fall through to other methods
+      }
+    }
+
+    // On mobile browsers, anchor-click downloads are unreliable - prefer clipboard
+    const isMobile = isIOS() || isAndroid();
+    const browser = getBrowserType();
+    addDebug(`Export: isMobile=${isMobile} browser=${browser}`);
+
+    // On mobile, try clipboard first (most reliable)
+    if (isMobile) {
+      addDebug('Export: Mobile detected, trying clipboard first...');
+      try {
+        await navigator.clipboard.writeText(content);
+        addDebug('Export: Clipboard write succeeded!');
+        alert(copiedMessage);
+        return;
+      } catch (e) {
+        addDebug(`Export: Clipboard failed: ${e.message}`);
+        // Continue to download fallback
+      }
+    }
+
+    // Try download approach (works reliably on desktop, less so on mobile)
+    addDebug('Export: Trying download approach...');
+    try {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+
+      // Give the download a moment to start before revoking
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      addDebug('Export: Download link clicked');
+
+      // On desktop, assume it worked
+      if (!isMobile) {
+        return;
+      }
+    } catch (e) {
+      addDebug(`Export: Download failed: ${e.message}`);
+    }
+
+    // All methods failed - show the data in a prompt so user can manually copy
+    addDebug('Export: All methods failed, showing manual copy option');
+    const copyManually = confirm(
+      (strings.exportFailed || 'Export failed. Would you like to see the data to copy manually?')
+    );
+    if (copyManually) {
+      // Use a textarea in a modal-like alert for better UX
+      const textArea = document.createElement('textarea');
+      textArea.value = content;
+      textArea.style.cssText = 'position:fixed;top:10%;left:5%;width:90%;height:80%;z-index:10000;font-family:monospace;font-size:12px;';
+      const closeBtn = document.createElement('button');
+      closeBtn.textContent = strings.close || 'Close';
+      closeBtn.style.cssText = 'position:fixed;top:5%;right:5%;z-index:10001;padding:10px 20px;';
+      closeBtn.onclick = () => {
+        document.body.removeChild(textArea);
+        document.body.removeChild(closeBtn);
+      };
+      document.body.appendChild(textArea);
+      document.body.appendChild(closeBtn);
+      textArea.select();
+    }
+  }
+
+  /**
+   * Generate a shareable URL for a location.
+   * @param {Object} location - Location object with lat, lon, name, admin1, country.
+   * @returns {string} Shareable URL.
+   */
+  function getShareableUrl(location) {
+    const baseUrl = window.location.origin + window.location.pathname;
+    const params = new URLSearchParams();
+    params.set('lat', location.lat.toFixed(4));
+    params.set('lon', location.lon.toFixed(4));
+    if (location.name) {
+      params.set('loc', location.name);
+    }
+    if (location.admin1) {
+      params.set('region', location.admin1);
+    }
+    if (location.country) {
+      params.set('country', location.country);
+    }
+    return `${baseUrl}?${params.toString()}`;
+  }
+
+  /**
+   * Show a toast message near an element.
+   * @param {string} message - Message to display.
+   * @param {HTMLElement} anchorElement - Element to position the toast near.
+   * @param {number} duration - Duration in ms before auto-hide (default 5000).
+   */
+  function showToast(message, anchorElement, duration = 1000) {
+    // Remove any existing toast
+    const existingToast = document.querySelector('.ccf-toast');
+    if (existingToast) {
+      existingToast.remove();
+    }
+
+    const toast = document.createElement('div');
+    toast.className = 'ccf-toast';
+    toast.textContent = message;
+
+    // Position near the anchor element
+    if (anchorElement) {
+      const rect = anchorElement.getBoundingClientRect();
+      toast.style.position = 'fixed';
+      toast.style.top = `${rect.bottom + 8}px`;
+      toast.style.left = `${rect.left + rect.width / 2}px`;
+      toast.style.transform = 'translateX(-50%)';
+    }
+
+    document.body.appendChild(toast);
+
+    // Trigger animation
+    requestAnimationFrame(() => {
+      toast.classList.add('ccf-toast-visible');
+    });
+
+    // Auto-hide after duration
+    setTimeout(() => {
+      toast.classList.remove('ccf-toast-visible');
+      setTimeout(() => toast.remove(), 300);
+    }, duration);
+  }
+
+  /**
+   * Share a location using the Web Share API or fallback to clipboard.
+   * @param {Object} location - Location object with lat, lon, name, admin1, country.
+   * @param {HTMLElement} buttonElement - The share button element for toast positioning.
+   */
+  async function shareLocation(location, buttonElement) {
+    if (!location) {
+      addDebug('Share: No location provided');
+      return;
+    }
+
+    const displayName = location.admin1
+      ? `${location.name}, ${location.admin1}`
+      : location.name || `${location.lat.toFixed(4)}, ${location.lon.toFixed(4)}`;
+
+    const shareUrl = getShareableUrl(location);
+    const shareTitle = strings.shareLocationTitle || 'Cloud Cover Forecast';
+    const shareText = displayName;
 
-      case 'jump-to':
-        const target = btn.dataset.target;
-        if (target) {
-          jumpToTarget(target);
+    addDebug(`Share: Starting share for "${displayName}"`);
+    addDebug(`Share: URL = ${shareUrl}`);
+
+    // Try Web Share API first
+    if (navigator.share) {
+      try {
+        addDebug('Share: Using Web Share API');
+        await navigator.share({
+          title: shareTitle,
+          text: shareText,
+          url: shareUrl,
+        });
+        addDebug('Share: Completed successfully');
+        return;
+      } catch (e) {
+        if (e.name === 'AbortError') {
+          addDebug('Share: User cancelled');
+          return;
         }
-        break;
+        addDebug(`Share: Web Share failed: ${e.message}`);
+        // Fall through to clipboard
+      }
+    }
+
+    // Fallback to clipboard
+    try {
+      addDebug('Share: Falling back to clipboard');
+      await navigator.clipboard.writeText(shareUrl);
+      showToast(strings.linkCopiedToClipboard || 'Link copied to clipboard', buttonElement);
+      addDebug('Share: Copied to clipboard');
+    } catch (e) {
+      addDebug(`Share: Clipboard failed: ${e.message}`);
+      // Last resort: show in prompt
+      prompt(strings.copyLink || 'Copy link:', shareUrl);
     }
   }
 
   /**
-   * Jump to a target position in the grid.
-   * @param {string} target - Target ('now', 'prev-day', 'next-day').
+   * Trigger the file input for importing locations.
    */
-  function jumpToTarget(target) {
-    const gridData = document.getElementById('grid-data');
-    if (!gridData) return;
-
-    if (target === 'now') {
-      // Scroll to current hour
-      const currentCol = gridData.querySelector('.current-hour');
-      if (currentCol) {
-        const scrollLeft = currentCol.offsetLeft - gridData.offsetWidth / 4;
-        gridData.scrollTo({ left: Math.max(0, scrollLeft), behavior: 'smooth' });
-        // Update day display after scroll settles
-        setTimeout(updateCurrentDayDisplay, 100);
-      }
-      return;
+  function triggerImport() {
+    const fileInput = document.getElementById('import-file');
+    if (fileInput) {
+      fileInput.click();
     }
+  }
 
-    if (target === 'prev-day' || target === 'next-day') {
-      // Find current visible date based on scroll position
-      const currentScroll = gridData.scrollLeft;
-      let currentDateIndex = 0;
-      const dayBoundaries = gridData.querySelectorAll('.grid-column.day-boundary');
+  /**
+   * Handle file selection for import: open the merge dialog for a backup,
+   * or show the points of a GPX, KML or GeoJSON file for the user to pick from.
+   * @param {Event} event - Change event.
+   */
+  async function handleImportFile(event) {
+    const file = event.target.files?.[0];
+    if (!file) return;
 
-      // Find which day boundary we're currently at or past
-      for (let i = 0; i < dayBoundaries.length; i++) {
-        if (dayBoundaries[i].offsetLeft <= currentScroll + 50) {
-          currentDateIndex = i;
-        } else {
-          break;
-        }
+    try {
+      const text = await file.text();
+      const backup = readBackup(text);
+      if (backup) {
+        openBackupImport(file.name, backup);
+        event.target.value = '';
+        return;
       }
 
-      // Calculate target day index
-      let targetIndex = target === 'prev-day' ? currentDateIndex - 1 : currentDateIndex + 1;
-      targetIndex = Math.max(0, Math.min(targetIndex, dayBoundaries.length - 1));
+      const points = parseLocationsFile(text);
+      const locations = points.map(toImportedLocation).filter(Boolean);
 
-      if (dayBoundaries[targetIndex]) {
-        gridData.scrollTo({ left: dayBoundaries[targetIndex].offsetLeft, behavior: 'smooth' });
+      if (locations.length === 0) {
+        alert(strings.noPointsInFile || 'No points with coordinates found in this file.');
+      } else {
+        state.importPreview = {
+          filename: file.name,
+          invalid: points.length - locations.length,
+          // Points already saved, or repeated earlier in the file, can't be picked.
+          points: locations.map((location, index) => {
+            let duplicate = null;
+            if (isLocationSaved(location.lat, location.lon)) {
+              duplicate = 'saved';
+            } else if (locations.slice(0, index).some((earlier) => isSameSpot(earlier, location))) {
+              duplicate = 'file';
+            }
+            return { location, duplicate, selected: !duplicate };
+          }),
+        };
+        renderApp();
       }
+    } catch (e) {
+      console.error('Import error:', e);
+      alert(strings.importError || 'Failed to import locations. Please check the file format.');
     }
+
+    // Reset file input
+    event.target.value = '';
   }
 
   /**
-   * Update the current day display based on scroll position.
+   * Tick or untick points in the import preview.
+   * @param {Array<number>} indexes - Point indexes.
+   * @param {boolean} selected - Whether to import them.
    */
-  function updateCurrentDayDisplay() {
-    const gridData = document.getElementById('grid-data');
-    const display = document.getElementById('current-day-display');
-    if (!gridData || !display) return;
+  function setImportSelection(indexes, selected) {
+    if (!state.importPreview) return;
+    indexes.forEach((index) => {
+      const point = state.importPreview.points[index];
+      if (point && !point.duplicate) {
+        point.selected = selected;
+      }
+    });
+  }
 
-    // Find the first visible column based on scroll position
-    const currentScroll = gridData.scrollLeft;
-    const columns = gridData.querySelectorAll('.grid-column');
-    let visibleDate = null;
+  /**
+   * Save the points ticked in the import preview.
+   */
+  async function confirmImport() {
+    const preview = state.importPreview;
+    if (!preview) return;
 
-    for (const col of columns) {
-      // Find the first column that's at or past the scroll position
-      if (col.offsetLeft >= currentScroll - 20) {
-        visibleDate = col.dataset.date;
-        break;
+    const selected = preview.points.filter((point) => point.selected);
+    let imported = 0;
+    try {
+      for (const point of selected) {
+        await ForecastStorage.saveLocation(point.location);
+        imported++;
       }
-      // Keep track of the last column we passed
-      visibleDate = col.dataset.date;
+    } catch (e) {
+      console.error('Import error:', e);
+      alert(strings.importError || 'Failed to import locations. Please check the file format.');
     }
 
-    if (visibleDate) {
-      // Parse the date string (YYYY-MM-DD format)
-      const [year, month, day] = visibleDate.split('-').map(Number);
-      const date = new Date(year, month - 1, day);
-
-      // Get day of week (first 3 letters) and date of month
-      const dayOfWeek = date.toLocaleDateString('en-US', { weekday: 'short' });
-      const dateOfMonth = date.getDate();
+    state.importPreview = null;
+    await loadSavedLocations();
+    await loadAlertMatches();
+    renderApp();
 
-      display.textContent = `${dayOfWeek} ${dateOfMonth}`;
-    }
+    // Show result message
+    const skipped = preview.points.length + preview.invalid - imported;
+    const message = imported > 0
+      ? `${strings.importedLocations || 'Imported'}: ${imported}${skipped > 0 ? ` (${skipped} ${strings.skipped || 'skipped'})` : ''}`
+      : strings.noNewLocations || 'No new locations to import';
+    alert(message);
   }
 
   /**
-   * Handle search button click.
+   * Close the import preview without importing.
    */
-  async function handleSearchClick() {
-    const searchInput = app.querySelector('#location-search');
-    const query = searchInput ? searchInput.value.trim() : '';
-
-    if (query.length < 2) {
-      state.searchResults = [];
-      state.isSearching = false;
-      renderApp();
-      return;
-    }
-
-    state.isSearching = true;
+  function cancelImport() {
+    state.importPreview = null;
     renderApp();
+  }
 
+  /**
+   * Load saved locations from storage.
+   */
+  async function loadSavedLocations() {
     try {
-      state.searchResults = await searchLocations(query);
+      state.savedLocations = await ForecastStorage.getLocations();
+      state.homeLocation = await ForecastStorage.getHomeLocation();
+      state.locationTags = await ForecastStorage.getLocationTags();
     } catch (e) {
-      state.searchResults = [];
-      console.error('Search error:', e);
-    }
-
-    state.isSearching = false;
-    renderApp();
-
-    // Restore focus to search input.
-    const newSearchInput = app.querySelector('#location-search');
-    if (newSearchInput) {
-      newSearchInput.value = query;
-      newSearchInput.focus();
+      console.error('Error loading locations:', e);
+      state.savedLocations = [];
+      state.homeLocation = null;
+      state.locationTags = [];
     }
+    // Drop filters on tags no location carries any more.
+    state.locationFilter.tags = state.locationFilter.tags.filter(
+      (tag) => state.locationTags.some((entry) => entry.tag === tag)
+    );
   }
 
   /**
-   * Handle search input keydown.
-   * @param {Event} event - Keydown event.
+   * Scroll the forecast grid to the current hour.
    */
-  function handleSearchKeydown(event) {
-    if (event.key === 'Enter') {
-      event.preventDefault();
-      handleSearchClick();
-    } else if (event.key === 'Escape') {
-      state.searchResults = [];
-      renderApp();
-    }
+  function scrollToCurrentHour() {
+    requestAnimationFrame(() => {
+      const grid = getTimeline();
+      const currentCol = grid?.querySelector('.current-hour');
+      if (currentCol && grid) {
+        const scrollLeft = currentCol.offsetLeft - grid.offsetWidth / 4;
+        grid.scrollTo({ left: Math.max(0, scrollLeft), behavior: 'smooth' });
+      }
+      // Set up scroll listener and update day display
+      setupGridScrollListener();
+      updateCurrentDayDisplay();
+    });
   }
 
-  // ============================================================
-  // TAB ACTIONS
-  // ============================================================
+  /** Debounce timer for scroll event. */
+  let scrollDebounceTimer = null;
 
   /**
-   * Switch to a tab.
-   * @param {string} tab - Tab name.
+   * Set up scroll listener on the grid to update day display.
    */
-  function switchTab(tab) {
-    if (state.activeTab === tab) return;
+  function setupGridScrollListener() {
+    const grid = getTimeline();
+    if (!grid || grid.dataset.scrollListenerAttached) return;
 
-    state.activeTab = tab;
-    state.error = null;
-    state.searchResults = [];
+    grid.addEventListener('scroll', () => {
+      // Debounce to avoid excessive updates
+      if (scrollDebounceTimer) clearTimeout(scrollDebounceTimer);
+      scrollDebounceTimer = setTimeout(updateCurrentDayDisplay, 50);
+    });
+    grid.dataset.scrollListenerAttached = 'true';
+  }
 
-    // Clear URL parameters and shared location when switching tabs
-    if (window.location.search) {
-      state.sharedLocation = null;
-      history.replaceState(null, '', window.location.pathname);
-    }
+  /**
+   * Get the horizontally scrolling hour axis: the grid, or the chart in the charts view.
+   * @returns {Element|null} Scroll container.
+   */
+  function getTimeline() {
+    return document.getElementById('grid-data') || document.getElementById('chart-data');
+  }
 
-    renderApp();
+  /**
+   * Find an hour column in the grid or chart.
+   * @param {Element} timeline - Scroll container from getTimeline().
+   * @param {number} index - Hour index.
+   * @returns {Element|null} Column element.
+   */
+  function getTimelineColumn(timeline, index) {
+    return timeline.querySelector(`.grid-column[data-index="${index}"], .chart-column[data-index="${index}"]`);
+  }
 
-    if (tab === 'home') {
-      loadHomeTab();
-    } else if (tab === 'current') {
-      loadCurrentTab();
-    }
+  /**
+   * Load whether forecasts show as the grid or as charts.
+   */
+  async function loadForecastView() {
+    const saved = await ForecastStorage.getSetting('forecastView', 'grid');
+    state.forecastView = saved === 'chart' ? 'chart' : 'grid';
   }
 
   /**
-   * Load the home tab data.
+   * Switch forecasts between the grid and charts, keeping the scroll position.
+   * @param {string} view - 'grid' or 'chart'.
    */
-  async function loadHomeTab() {
-    if (!state.homeLocation) {
-      renderApp();
-      return;
-    }
+  function setForecastView(view) {
+    state.forecastView = view === 'chart' ? 'chart' : 'grid';
+    ForecastStorage.setSetting('forecastView', state.forecastView).catch((e) => {
+      console.error('Error saving forecast view:', e);
+    });
+    // Both views use the same column width, so the scroll offset carries over.
+    renderAppKeepingScroll();
+  }
 
-    if (!state.forecastData[state.homeLocation.id]) {
-      state.isLoading = true;
-      renderApp();
+  /**
+   * Brush the chart: show the hour under the pointer, follow it in the day
+   * display, and open the hour's details on tap.
+   */
+  function setupChartBrush() {
+    const plot = app.querySelector('.chart-plot');
+    const forecast = getActiveForecast();
+    if (!plot || !forecast || plot.dataset.brushAttached) return;
 
-      try {
-        const forecast = await fetchForecast(state.homeLocation);
-        state.forecastData[state.homeLocation.id] = forecast;
-        state.error = null;
-      } catch (e) {
-        state.error = e.message;
+    // The plot is redrawn with each render, so these hold for its lifetime.
+    const hourly = forecast.hourly || [];
+    const sunlightClasses = getSunlightClasses(forecast);
+    const cursor = plot.querySelector('.chart-cursor');
+    const readout = document.getElementById('chart-readout');
+    const hintText = readout ? readout.textContent : '';
+
+    // Hour index under a pointer event
+    const indexAt = (event) => {
+      const rect = plot.getBoundingClientRect();
+      if (!hourly.length || rect.width === 0) return null;
+      const index = Math.floor((event.clientX - rect.left) / (rect.width / hourly.length));
+      return index >= 0 && index < hourly.length ? index : null;
+    };
+
+    const brush = (event) => {
+      const index = indexAt(event);
+      const hour = index != null ? hourly[index] : null;
+      if (!hour) return;
+
+      const column = getTimelineColumn(plot.parentElement, index);
+      cursor.hidden = false;
+      cursor.style.left = `${column.offsetLeft}px`;
+
+      const score = calculatePhotoScore(hour, sunlightClasses[index]);
+      readout.textContent = [
+        formatDateTime(hour.time, 'datetime', forecast.location?.timezone),
+        `${HOUR_FIELD_LABELS.cloud_low} ${formatValue(hour.cloud_low, '%')}`,
+        `${HOUR_FIELD_LABELS.cloud_mid} ${formatValue(hour.cloud_mid, '%')}`,
+        `${HOUR_FIELD_LABELS.cloud_high} ${formatValue(hour.cloud_high, '%')}`,
+        `${strings.alertPhotoScore || 'Photo score'} ${score}`,
+      ].join(' \u00B7 ');
+      updateCurrentDayDisplay(column.dataset.date);
+    };
+
+    plot.addEventListener('pointermove', brush);
+    plot.addEventListener('pointerdown', brush);
+    plot.addEventListener('pointerleave', () => {
+      cursor.hidden = true;
+      readout.textContent = hintText;
+      updateCurrentDayDisplay();
+    });
+    plot.addEventListener('click', (event) => {
+      const index = indexAt(event);
+      if (index != null) {
+        openHourDetail(index);
       }
+    });
+    plot.dataset.brushAttached = 'true';
+  }
+
+  // ============================================================
+  // LOCATION FILES
+  // ============================================================
 
-      state.isLoading = false;
-      renderApp();
-      scrollToCurrentHour();
-    }
+  /** Location export formats by key: file extension and MIME type. */
+  const LOCATION_FILE_FORMATS = {
+    json: { extension: 'json', type: 'application/json' },
+    gpx: { extension: 'gpx', type: 'application/gpx+xml' },
+    kml: { extension: 'kml', type: 'application/vnd.google-earth.kml+xml' },
+    geojson: { extension: 'geojson', type: 'application/geo+json' },
+  };
+
+  /**
+   * Escape text for an XML element or attribute.
+   * @param {string} str - Text.
+   * @returns {string} Escaped text.
+   */
+  function escapeXml(str) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+    return String(str ?? '').replace(/[&<>"']/g, (char) => entities[char]);
   }
 
   /**
-   * Load the current location tab data.
+   * Get the fields of a saved location that go into an export.
+   * @param {Object} loc - Saved location.
+   * @returns {Object} Exported fields.
    */
-  async function loadCurrentTab() {
-    state.isLoading = true;
-    state.error = null;
-    renderApp();
+  function getLocationExportFields(loc) {
+    return {
+      lat: loc.lat,
+      lon: loc.lon,
+      name: loc.name,
+      admin1: loc.admin1,
+      country: loc.country,
+      timezone: loc.timezone,
+      notes: loc.notes,
+      isHome: loc.isHome,
+      tags: loc.tags,
+      bearing: loc.bearing,
+      viewWidth: loc.viewWidth,
+      horizon: loc.horizon,
+      alertRules: loc.alertRules,
+    };
+  }
 
-    try {
-      const position = await getCurrentPosition();
-      state.currentLocation = await reverseGeocode(position.lat, position.lon);
+  /**
+   * Build a GPX, KML or GeoJSON file of locations.
+   * @param {Array<Object>} locations - Saved locations.
+   * @param {string} format - 'gpx', 'kml' or 'geojson'.
+   * @returns {string} File contents.
+   */
+  function buildLocationsFile(locations, format) {
+    if (format === 'gpx') {
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="Cloud Cover Forecast" xmlns="http://www.topografix.com/GPX/1/1">',
+        `  <metadata><time>${new Date().toISOString()}</time></metadata>`,
+        ...locations.map((loc) => [
+          `  <wpt lat="${loc.lat}" lon="${loc.lon}">`,
+          `    <name>${escapeXml(loc.name)}</name>`,
+          loc.notes ? `    <desc>${escapeXml(loc.notes)}</desc>` : null,
+          '  </wpt>',
+        ].filter(Boolean).join('\n')),
+        '</gpx>',
+        '',
+      ].join('\n');
+    }
 
-      const forecast = await fetchForecast(state.currentLocation);
-      state.forecastData['current'] = forecast;
-    } catch (e) {
-      state.error = e.message;
+    if (format === 'kml') {
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeXml(strings.locations || 'Locations')}</name>`,
+        ...locations.map((loc) => [
+          '    <Placemark>',
+          `      <name>${escapeXml(loc.name)}</name>`,
+          loc.notes ? `      <description>${escapeXml(loc.notes)}</description>` : null,
+          `      <Point><coordinates>${loc.lon},${loc.lat}</coordinates></Point>`,
+          '    </Placemark>',
+        ].filter(Boolean).join('\n')),
+        '  </Document>',
+        '</kml>',
+        '',
+      ].join('\n');
     }
 
-    state.isLoading = false;
-    renderApp();
-    scrollToCurrentHour();
+    return JSON.stringify({
+      type: 'FeatureCollection',
+      features: locations.map((loc) => {
+        const { lat, lon, ...properties } = getLocationExportFields(loc);
+        return {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [lon, lat] },
+          properties,
+        };
+      }),
+    }, null, 2);
   }
 
   /**
-   * View a saved location's forecast.
-   * @param {number} id - Location ID.
+   * Read the points out of a locations file: GeoJSON Point features, GPX
+   * waypoints or KML placemarks.
+   * @param {string} text - File contents.
+   * @returns {Array<Object>} Points with lat, lon and whatever else the file has.
+   * @throws {Error} If the file is none of these.
    */
-  async function viewLocation(id) {
-    const location = state.savedLocations.find((loc) => loc.id === id);
-    if (!location) return;
-
-    state.homeLocation = location;
-    state.activeTab = 'home';
-    state.error = null;
-    state.isLoading = true;
-    renderApp();
+  function parseLocationsFile(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('<')) {
+      return parseLocationsXml(trimmed);
+    }
 
-    try {
-      const forecast = await fetchForecast(location);
-      state.forecastData[location.id] = forecast;
-    } catch (e) {
-      state.error = e.message;
+    const data = JSON.parse(trimmed);
+    if (data.type === 'FeatureCollection' || data.type === 'Feature') {
+      const features = data.type === 'Feature' ? [data] : data.features || [];
+      return features
+        .filter((feature) => feature?.geometry?.type === 'Point')
+        .map((feature) => {
+          const properties = feature.properties || {};
+          const [lon, lat] = feature.geometry.coordinates;
+          return {
+            ...properties,
+            lat,
+            lon,
+            // Gaia GPS uses title and notes, others name and description.
+            name: properties.name || properties.title,
+            notes: properties.notes || properties.description || properties.desc,
+          };
+        });
     }
 
-    state.isLoading = false;
-    renderApp();
-    scrollToCurrentHour();
+    throw new Error('Invalid file format');
   }
 
   /**
-   * Add a new location.
-   * @param {Object} locationData - Location data from search.
+   * Read the waypoints of a GPX file or the placemarks of a KML file.
+   * @param {string} text - XML text.
+   * @returns {Array<Object>} Points with lat, lon, name and notes.
+   * @throws {Error} If the file isn't GPX or KML.
    */
-  async function addLocation(locationData) {
-    try {
-      const id = await ForecastStorage.saveLocation({
-        lat: locationData.lat,
-        lon: locationData.lon,
-        name: locationData.name,
-        country: locationData.country,
-        admin1: locationData.admin1,
-        timezone: locationData.timezone,
-      });
+  function parseLocationsXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Invalid file format');
+    }
 
-      await loadSavedLocations();
+    // Text of a direct child element, ignoring namespace prefixes.
+    const childText = (element, name) => {
+      const child = Array.from(element.children).find((node) => node.localName === name);
+      return child ? child.textContent.trim() : '';
+    };
 
-      // Clear search.
-      state.searchResults = [];
-      const searchInput = app.querySelector('#location-search');
-      if (searchInput) {
-        searchInput.value = '';
-      }
+    const root = doc.documentElement.localName;
+    if (root === 'gpx') {
+      return Array.from(doc.getElementsByTagNameNS('*', 'wpt')).map((wpt) => ({
+        lat: parseFloat(wpt.getAttribute('lat')),
+        lon: parseFloat(wpt.getAttribute('lon')),
+        name: childText(wpt, 'name'),
+        notes: childText(wpt, 'desc') || childText(wpt, 'cmt'),
+      }));
+    }
 
-      renderApp();
-    } catch (e) {
-      console.error('Error adding location:', e);
+    if (root === 'kml') {
+      return Array.from(doc.getElementsByTagNameNS('*', 'Placemark'))
+        .map((placemark) => {
+          const coordinates = placemark.getElementsByTagNameNS('*', 'Point')[0]
+            ?.getElementsByTagNameNS('*', 'coordinates')[0];
+          if (!coordinates) return null;
+          const [lon, lat] = coordinates.textContent.trim().split(',').map(parseFloat);
+
+          // Google My Maps descriptions are HTML.
+          const description = childText(placemark, 'description').replace(/<br\s*\/?>/gi, '\n');
+          return {
+            lat,
+            lon,
+            name: childText(placemark, 'name'),
+            notes: new DOMParser().parseFromString(description, 'text/html').body.textContent.trim(),
+          };
+        })
+        .filter(Boolean);
     }
+
+    throw new Error('Invalid file format');
   }
 
   /**
-   * Set a location as home.
-   * @param {number} id - Location ID.
+   * Turn a point read from a file into a location to save.
+   * @param {Object} point - Point from parseLocationsFile().
+   * @returns {Object|null} Location fields, or null without valid coordinates.
    */
-  async function setHomeLocation(id) {
-    try {
-      await ForecastStorage.setHomeLocation(id);
-      await loadSavedLocations();
-      renderApp();
-    } catch (e) {
-      console.error('Error setting home location:', e);
+  function toImportedLocation(point) {
+    const lat = parseFloat(point?.lat);
+    const lon = parseFloat(point?.lon);
+    if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return null;
     }
+
+    // Don't preserve isHome from an import to avoid conflicts.
+    return {
+      lat,
+      lon,
+      name: String(point.name || '').trim() || `${lat.toFixed(4)}, ${lon.toFixed(4)}`,
+      admin1: point.admin1,
+      country: point.country,
+      timezone: point.timezone,
+      notes: point.notes ? String(point.notes) : undefined,
+      tags: point.tags,
+      ...normalizeShootingDirection(point),
+      alertRules: Array.isArray(point.alertRules) ? point.alertRules : undefined,
+    };
   }
 
+  // ============================================================
+  // BACKUP
+  // ============================================================
+
+  /** Location fields compared when a backup holds a location that is already saved. */
+  const BACKUP_COMPARED_FIELDS = [
+    { key: 'name', label: strings.name || 'Name', format: (value) => value || '' },
+    { key: 'admin1', label: strings.region || 'Region', format: (value) => value || '' },
+    { key: 'notes', label: strings.notes || 'Notes', format: (value) => value || '' },
+    { key: 'tags', label: strings.tags || 'Tags', format: (value) => ForecastStorage.normalizeTags(value).sort().join(', ') },
+    { key: 'bearing', label: strings.bearing || 'Bearing (°)', format: (value) => (value == null ? '' : String(value)) },
+    { key: 'viewWidth', label: strings.viewWidth || 'View width (°)', format: (value) => (value == null ? '' : String(value)) },
+    { key: 'horizon', label: strings.horizonProfile || 'Horizon profile', format: formatHorizonProfile },
+    {
+      key: 'alertRules',
+      label: strings.alertRules || 'Alert rules',
+      format: (value) => String((value || []).length),
+      compare: (value) => JSON.stringify(value || []),
+    },
+  ];
+
   /**
-   * Delete a location.
-   * @param {number} id - Location ID.
+   * Build a backup of everything the user has saved on this device.
+   * @returns {Promise<Object>} Backup document.
    */
-  async function deleteLocation(id) {
-    try {
-      await ForecastStorage.deleteLocation(id);
-      delete state.forecastData[id];
-      await loadSavedLocations();
-      renderApp();
-    } catch (e) {
-      console.error('Error deleting location:', e);
-    }
+  function buildBackup() {
+    const preferences = {};
+    Object.entries(BACKUP_PREFERENCES).forEach(([name, storageKey]) => {
+      const value = localStorage.getItem(storageKey);
+      if (value != null) {
+        preferences[name] = value;
+      }
+    });
+    return ForecastBackup.buildBackup(preferences);
   }
 
   /**
-   * Open the edit modal for a location.
-   * @param {number} id - Location ID.
+   * Show the merge dialog for a backup.
+   * @param {string} filename - Backup file name.
+   * @param {Object} backup - Backup from readBackup().
    */
-  function openEditModal(id) {
-    const location = state.savedLocations.find((loc) => loc.id === id);
-    if (!location) return;
-
-    state.editingLocation = { ...location };
+  function openBackupImport(filename, backup) {
+    state.backupImport = {
+      filename,
+      backup,
+      ...ForecastBackup.planBackupImport(backup, {
+        toLocation: toImportedLocation,
+        findSaved: findSavedLocation,
+        fields: BACKUP_COMPARED_FIELDS,
+      }),
+      restoreSettings: true,
+    };
     renderApp();
   }
 
   /**
-   * Close the edit modal without saving.
+   * Choose how to resolve a conflicting location.
+   * @param {number} index - Conflict index.
+   * @param {string} choice - 'mine', 'theirs' or 'both'.
    */
-  function closeEditModal() {
-    state.editingLocation = null;
-    renderApp();
+  function setBackupConflictChoice(index, choice) {
+    const conflict = state.backupImport?.conflicts[index];
+    if (conflict && ['mine', 'theirs', 'both'].includes(choice)) {
+      conflict.choice = choice;
+    }
   }
 
   /**
-   * Save the edited location.
+   * Close the merge dialog without importing.
    */
-  async function saveLocationEdit() {
-    if (!state.editingLocation) return;
-
-    const nameInput = document.getElementById('edit-name');
-    const admin1Input = document.getElementById('edit-admin1');
-    const notesInput = document.getElementById('edit-notes');
-
-    if (!nameInput) return;
-
-    const name = nameInput.value.trim();
-    const admin1 = admin1Input ? admin1Input.value.trim() : '';
-    const notes = notesInput ? notesInput.value.trim() : '';
+  function cancelBackupImport() {
+    state.backupImport = null;
+    renderApp();
+  }
 
-    if (!name) return;
+  /**
+   * Import a backup as planned in the merge dialog: add new locations,
+   * resolve conflicts as chosen, add the other stores' records that aren't
+   * saved yet pointing at the right locations, and restore settings if asked.
+   */
+  async function confirmBackupImport() {
+    if (!state.backupImport) return;
+    const plan = state.backupImport;
+    state.backupImport = null;
 
+    let message;
     try {
-      await ForecastStorage.updateLocation(state.editingLocation.id, { name, admin1, notes });
-      await loadSavedLocations();
-      state.editingLocation = null;
-      renderApp();
+      const { locationCount, recordCount } = await ForecastBackup.importBackup(plan, state.scoreProfiles);
+      if (plan.restoreSettings) {
+        restoreBackupPreferences(plan.backup);
+      }
+      message = `${strings.backupImported || 'Backup imported'}: ${locationCount} ${strings.locations || 'Locations'}, ${recordCount} ${strings.otherRecords || 'other records'}`;
     } catch (e) {
-      console.error('Error saving location:', e);
+      console.error('Backup import error:', e);
+      message = strings.importError || 'Failed to import locations. Please check the file format.';
     }
+
+    await loadUserData();
+    renderApp();
+    alert(message);
   }
 
   /**
-   * Export locations to JSON file.
+   * Restore the theme, font size and palette from a backup.
+   * @param {Object} backup - Backup from readBackup().
    */
-  async function exportLocations() {
-    addDebug(`Export: Starting, ${state.savedLocations.length} locations`);
-
-    if (state.savedLocations.length === 0) {
-      addDebug('Export: No locations to export');
-      alert(strings.noLocationsToExport || 'No locations to export');
-      return;
-    }
-
-    const exportData = {
-      version: 1,
-      exported: new Date().toISOString(),
-      locations: state.savedLocations.map((loc) => ({
-        lat: loc.lat,
-        lon: loc.lon,
-        name: loc.name,
-        admin1: loc.admin1,
-        country: loc.country,
-        timezone: loc.timezone,
-        notes: loc.notes,
-        isHome: loc.isHome,
-      })),
-    };
-
-    const json = JSON.stringify(exportData, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const filename = `cloud-cover-locations-${new Date().toISOString().split('T')[0]}.json`;
-
-    // Try Web Share API first (for mobile devices)
-    addDebug(`Export: Web Share API available: share=${!!navigator.share} canShare=${!!navigator.canShare}`);
-    if (navigator.share && navigator.canShare) {
-      const file = new File([blob], filename, { type: 'application/json' });
-      const shareData = { files: [file] };
-      const canShareFiles = navigator.canShare(shareData);
-      addDebug(`Export: canShare(files)=${canShareFiles}`);
-
-      try {
-        if (canShareFiles) {
-          addDebug('Export: Calling navigator.share()...');
-          await navigator.share(shareData);
-          addDebug('Export: Share completed successfully');
-          return; // User completed or cancelled share - either way, we're done
-        }
-      } catch (e) {
-        addDebug(`Export: Share error: ${e.name} - ${e.message}`);
-        if (e.name === 'AbortError') {
-          addDebug('Export: User cancelled share');
-          return; // User cancelled, no need to fallback
-        }
-        // Fall through to other methods
+  function restoreBackupPreferences(backup) {
+    Object.entries(BACKUP_PREFERENCES).forEach(([name, storageKey]) => {
+      const value = backup.preferences?.[name];
+      if (typeof value === 'string') {
+        localStorage.setItem(storageKey, value);
+        state[name] = value;
       }
-    }
+    });
+    applyTheme();
+    applyFontSize();
+    applyPalette();
+  }
 
-    // On mobile browsers, anchor-click downloads are unreliable - prefer clipboard
-    const isMobile = isIOS() || isAndroid();
-    const browser = getBrowserType();
-    addDebug(`Export: isMobile=${isMobile} browser=${browser}`);
+  // ============================================================
+  // FORECAST EXPORT
+  // ============================================================
 
-    // On mobile, try clipboard first (most reliable)
-    if (isMobile) {
-      addDebug('Export: Mobile detected, trying clipboard first...');
-      try {
-        await navigator.clipboard.writeText(json);
-        addDebug('Export: Clipboard write succeeded!');
-        alert(strings.exportCopiedToClipboard || 'Locations copied to clipboard. Paste into a text file to save.');
-        return;
-      } catch (e) {
-        addDebug(`Export: Clipboard failed: ${e.message}`);
-        // Continue to download fallback
-      }
-    }
+  /** Default minimum photo score of windows exported as calendar events. */
+  const DEFAULT_CALENDAR_THRESHOLD = 60;
+
+  /** Units of the raw forecast values, as written to the JSON export. */
+  const FORECAST_UNITS = {
+    temperature: '°C',
+    feels_like: '°C',
+    dew_point: '°C',
+    humidity: '%',
+    precipitation: 'mm',
+    rain_amount: 'mm',
+    rain_chance: '%',
+    cloud_total: '%',
+    cloud_low: '%',
+    cloud_mid: '%',
+    cloud_high: '%',
+    visibility: 'm',
+    wind_speed: 'km/h',
+    wind_direction: '°',
+  };
 
-    // Try download approach (works reliably on desktop, less so on mobile)
-    addDebug('Export: Trying download approach...');
-    try {
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
+  /** Names of the windows exported as calendar events. */
+  const CALENDAR_WINDOW_LABELS = {
+    golden: strings.goldenHour || 'Golden hour',
+    blue: strings.blueHour || 'Blue hour',
+    astro: strings.astroDark || 'Astro dark',
+  };
 
-      // Give the download a moment to start before revoking
-      setTimeout(() => URL.revokeObjectURL(url), 1000);
-      addDebug('Export: Download link clicked');
+  /**
+   * Load the minimum score for calendar export.
+   */
+  async function loadCalendarThreshold() {
+    const saved = await ForecastStorage.getSetting('calendarThreshold', DEFAULT_CALENDAR_THRESHOLD);
+    state.calendarThreshold = Number.isFinite(saved) ? saved : DEFAULT_CALENDAR_THRESHOLD;
+  }
 
-      // On desktop, assume it worked
-      if (!isMobile) {
-        return;
-      }
-    } catch (e) {
-      addDebug(`Export: Download failed: ${e.message}`);
-    }
+  /**
+   * Set the minimum score for calendar export.
+   * @param {string|number} value - Score (0-100).
+   */
+  function setCalendarThreshold(value) {
+    const threshold = parseInt(value, 10);
+    if (isNaN(threshold)) return;
+    state.calendarThreshold = Math.min(100, Math.max(0, threshold));
+    ForecastStorage.setSetting('calendarThreshold', state.calendarThreshold).catch((e) => {
+      console.error('Error saving calendar threshold:', e);
+    });
+  }
 
-    // All methods failed - show the data in a prompt so user can manually copy
-    addDebug('Export: All methods failed, showing manual copy option');
-    const copyManually = confirm(
-      (strings.exportFailed || 'Export failed. Would you like to see the data to copy manually?')
-    );
-    if (copyManually) {
-      // Use a textarea in a modal-like alert for better UX
-      const textArea = document.createElement('textarea');
-      textArea.value = json;
-      textArea.style.cssText = 'position:fixed;top:10%;left:5%;width:90%;height:80%;z-index:10000;font-family:monospace;font-size:12px;';
-      const closeBtn = document.createElement('button');
-      closeBtn.textContent = strings.close || 'Close';
-      closeBtn.style.cssText = 'position:fixed;top:5%;right:5%;z-index:10001;padding:10px 20px;';
-      closeBtn.onclick = () => {
-        document.body.removeChild(textArea);
-        document.body.removeChild(closeBtn);
-      };
-      document.body.appendChild(textArea);
-      document.body.appendChild(closeBtn);
-      textArea.select();
-    }
+  /**
+   * Get a file name stem for a location's exports, e.g. "cloud-cover-inch-beach-2026-10-19".
+   * @param {Object} location - Location.
+   * @returns {string} File name without extension.
+   */
+  function getExportFilename(location) {
+    const slug = (location.name || `${location.lat.toFixed(2)}_${location.lon.toFixed(2)}`)
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[^a-z0-9_.]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    return `cloud-cover-${slug || 'forecast'}-${new Date().toISOString().split('T')[0]}`;
+  }
+
+  /**
+   * Get every hour of a forecast with its sunlight class and photo score.
+   * @param {Object} forecast - Forecast data.
+   * @returns {Array<Object>} Hourly data plus sunlight and photo_score.
+   */
+  function getScoredHours(forecast) {
+    const sunlightClasses = getSunlightClasses(forecast);
+    return (forecast.hourly || []).map((hour, index) => ({
+      ...hour,
+      sunlight: sunlightClasses[index].replace('sunlight-', ''),
+      photo_score: calculatePhotoScore(hour, sunlightClasses[index]),
+    }));
   }
 
   /**
-   * Generate a shareable URL for a location.
-   * @param {Object} location - Location object with lat, lon, name, admin1, country.
-   * @returns {string} Shareable URL.
+   * Build the hourly forecast as CSV: every field the forecast has, then
+   * the sunlight period and photo score.
+   * @param {Object} forecast - Forecast data.
+   * @returns {string} CSV text.
    */
-  function getShareableUrl(location) {
-    const baseUrl = window.location.origin + window.location.pathname;
-    const params = new URLSearchParams();
-    params.set('lat', location.lat.toFixed(4));
-    params.set('lon', location.lon.toFixed(4));
-    if (location.name) {
-      params.set('loc', location.name);
-    }
-    if (location.admin1) {
-      params.set('region', location.admin1);
-    }
-    if (location.country) {
-      params.set('country', location.country);
-    }
-    return `${baseUrl}?${params.toString()}`;
+  function buildForecastCsv(forecast) {
+    const hours = getScoredHours(forecast);
+    const columns = [];
+    hours.forEach((hour) => {
+      Object.keys(hour).forEach((key) => {
+        if (!columns.includes(key)) columns.push(key);
+      });
+    });
+
+    // Quote fields with commas, quotes or line breaks.
+    const cell = (value) => {
+      const text = value == null ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns, ...hours.map((hour) => columns.map((key) => hour[key]))]
+      .map((row) => row.map(cell).join(','))
+      .join('\r\n') + '\r\n';
   }
 
   /**
-   * Show a toast message near an element.
-   * @param {string} message - Message to display.
-   * @param {HTMLElement} anchorElement - Element to position the toast near.
-   * @param {number} duration - Duration in ms before auto-hide (default 5000).
+   * Build a self-describing JSON document of a forecast: the location, the
+   * units, each day's sun and moon times, and every hour with its photo score.
+   * @param {Object} location - Location.
+   * @param {Object} forecast - Forecast data.
+   * @returns {Object} Export document.
    */
-  function showToast(message, anchorElement, duration = 1000) {
-    // Remove any existing toast
-    const existingToast = document.querySelector('.ccf-toast');
-    if (existingToast) {
-      existingToast.remove();
-    }
+  function buildForecastDocument(location, forecast) {
+    const fetchedAt = forecastMeta.get(forecast)?.timestamp;
 
-    const toast = document.createElement('div');
-    toast.className = 'ccf-toast';
-    toast.textContent = message;
+    return {
+      version: 1,
+      exported: new Date().toISOString(),
+      fetched: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+      location: {
+        name: location.name || null,
+        admin1: location.admin1 || null,
+        country: location.country || null,
+        lat: location.lat,
+        lon: location.lon,
+        timezone: forecast.location?.timezone || location.timezone || null,
+      },
+      units: FORECAST_UNITS,
+      scoreProfile: getActiveScoreProfile().name,
+      days: (forecast.daily || []).map((day) => {
+        const moon = forecast.moon?.[day.date] || {};
+        return {
+          date: day.date,
+          sunrise: day.twilight?.sunrise || day.sunrise || null,
+          sunset: day.twilight?.sunset || day.sunset || null,
+          twilight: day.twilight || null,
+          moon: {
+            illumination: moon.moon_illumination ?? null,
+            phase: moon.moon_phase_name || null,
+            moonrise: moon.moonrise || null,
+            moonset: moon.moonset || null,
+          },
+        };
+      }),
+      hours: getScoredHours(forecast),
+    };
+  }
 
-    // Position near the anchor element
-    if (anchorElement) {
-      const rect = anchorElement.getBoundingClientRect();
-      toast.style.position = 'fixed';
-      toast.style.top = `${rect.bottom + 8}px`;
-      toast.style.left = `${rect.left + rect.width / 2}px`;
-      toast.style.transform = 'translateX(-50%)';
-    }
+  /**
+   * Find a forecast's golden hour, blue hour and astro-dark windows that
+   * haven't ended yet, each scored by the average photo score of the hours
+   * it overlaps.
+   * @param {Object} forecast - Forecast data.
+   * @returns {Array<Object>} Windows with type, startTs, endTs, score and cloud, in time order.
+   */
+  function getLightWindows(forecast) {
+    const hourly = forecast.hourly || [];
+    const daily = forecast.daily || [];
+    const timezone = forecast.location?.timezone;
+    const sunlightClasses = getSunlightClasses(forecast);
+    const now = Date.now();
+    const windows = [];
+
+    daily.forEach((day, dayIndex) => {
+      const spans = [];
+      const sun = getSunEventTimes(day, timezone);
+      if (sun) {
+        spans.push({ type: 'blue', startTs: sun.civilDawnTs, endTs: sun.sunriseTs });
+        spans.push({ type: 'golden', startTs: sun.sunriseTs, endTs: sun.goldenMorningEnd });
+        spans.push({ type: 'golden', startTs: sun.goldenEveningStart, endTs: sun.sunsetTs });
+        spans.push({ type: 'blue', startTs: sun.sunsetTs, endTs: sun.civilDuskTs });
+      }
+      const astroDark = getAstroDarkTimes(day, daily[dayIndex + 1], timezone);
+      if (astroDark) {
+        spans.push({ type: 'astro', ...astroDark });
+      }
 
-    document.body.appendChild(toast);
+      spans.forEach((span) => {
+        if (span.endTs <= now) return;
 
-    // Trigger animation
-    requestAnimationFrame(() => {
-      toast.classList.add('ccf-toast-visible');
+        // Hours overlapping the window, not only those starting in it.
+        const range = findHourRange(hourly, span.startTs - HOUR_MS + 1, span.endTs);
+        if (!range) return;
+        windows.push({ ...span, ...getRangeAverages(hourly, sunlightClasses, range) });
+      });
     });
 
-    // Auto-hide after duration
-    setTimeout(() => {
-      toast.classList.remove('ccf-toast-visible');
-      setTimeout(() => toast.remove(), 300);
-    }, duration);
+    return windows.sort((a, b) => a.startTs - b.startTs);
   }
 
   /**
-   * Share a location using the Web Share API or fallback to clipboard.
-   * @param {Object} location - Location object with lat, lon, name, admin1, country.
-   * @param {HTMLElement} buttonElement - The share button element for toast positioning.
+   * Format a timestamp as an iCalendar UTC date-time.
+   * @param {number} ts - Timestamp.
+   * @returns {string} e.g. "20261019T174500Z".
    */
-  async function shareLocation(location, buttonElement) {
-    if (!location) {
-      addDebug('Share: No location provided');
-      return;
-    }
+  function formatIcsTime(ts) {
+    return new Date(ts).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
 
-    const displayName = location.admin1
-      ? `${location.name}, ${location.admin1}`
-      : location.name || `${location.lat.toFixed(4)}, ${location.lon.toFixed(4)}`;
+  /**
+   * Escape text for an iCalendar property value.
+   * @param {string} text - Text.
+   * @returns {string} Escaped text.
+   */
+  function escapeIcsText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
 
-    const shareUrl = getShareableUrl(location);
-    const shareTitle = strings.shareLocationTitle || 'Cloud Cover Forecast';
-    const shareText = displayName;
+  /**
+   * Fold an iCalendar content line to at most 75 octets per line.
+   * @param {string} line - Content line.
+   * @returns {string} Folded line.
+   */
+  function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    let folded = '';
+    let octets = 0;
+    for (const char of line) {
+      const size = encoder.encode(char).length;
+      if (octets + size > 75) {
+        folded += '\r\n ';
+        octets = 1;
+      }
+      folded += char;
+      octets += size;
+    }
+    return folded;
+  }
 
-    addDebug(`Share: Starting share for "${displayName}"`);
-    addDebug(`Share: URL = ${shareUrl}`);
+  /**
+   * Build an iCalendar file with an event for each upcoming light window
+   * scoring at least the threshold.
+   * @param {Object} location - Location.
+   * @param {Object} forecast - Forecast data.
+   * @param {number} threshold - Minimum photo score.
+   * @returns {Object} {ics, count}.
+   */
+  function buildForecastIcs(location, forecast, threshold) {
+    const name = location.name || `${location.lat.toFixed(4)}, ${location.lon.toFixed(4)}`;
+    const stamp = formatIcsTime(Date.now());
+    const windows = getLightWindows(forecast).filter((w) => w.score >= threshold);
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Cloud Cover Forecast//Forecast export//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeIcsText(`${strings.appTitle} - ${name}`)}`,
+    ];
+    windows.forEach((w) => {
+      const label = CALENDAR_WINDOW_LABELS[w.type];
+      const details = [`${strings.photoScore || 'Photo'}: ${w.score}`];
+      if (w.cloud != null) {
+        details.push(`${strings.cloudTotal || 'Total cloud'}: ${w.cloud}%`);
+      }
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${w.type}-${w.startTs}-${location.lat.toFixed(4)}-${location.lon.toFixed(4)}@cloud-cover-forecast`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsTime(w.startTs)}`,
+        `DTEND:${formatIcsTime(w.endTs)}`,
+        `SUMMARY:${escapeIcsText(`${label} (${w.score}) - ${name}`)}`,
+        `DESCRIPTION:${escapeIcsText(details.join('\n'))}`,
+        `LOCATION:${escapeIcsText(name)}`,
+        `GEO:${location.lat.toFixed(6)};${location.lon.toFixed(6)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    });
+    lines.push('END:VCALENDAR');
 
-    // Try Web Share API first
-    if (navigator.share) {
-      try {
-        addDebug('Share: Using Web Share API');
-        await navigator.share({
-          title: shareTitle,
-          text: shareText,
-          url: shareUrl,
-        });
-        addDebug('Share: Completed successfully');
+    return { ics: lines.map(foldIcsLine).join('\r\n') + '\r\n', count: windows.length };
+  }
+
+  /**
+   * Export the shown forecast as hourly CSV, a JSON document or calendar events.
+   * @param {string} format - 'csv', 'json' or 'ics'.
+   */
+  async function exportForecast(format) {
+    const location = getActiveLocation();
+    const forecast = getActiveForecast();
+    if (!location || !forecast) return;
+
+    const filename = getExportFilename(location);
+    const copiedMessage = strings.forecastCopiedToClipboard || 'Forecast copied to clipboard. Paste into a text file to save.';
+    addDebug(`Export: Forecast as ${format}`);
+
+    if (format === 'csv') {
+      await deliverFile(buildForecastCsv(forecast), `${filename}.csv`, 'text/csv', copiedMessage);
+    } else if (format === 'json') {
+      const json = JSON.stringify(buildForecastDocument(location, forecast), null, 2);
+      await deliverFile(json, `${filename}.json`, 'application/json', copiedMessage);
+    } else if (format === 'ics') {
+      const { ics, count } = buildForecastIcs(location, forecast, state.calendarThreshold);
+      if (count === 0) {
+        alert(strings.noWindowsToExport || 'No golden hour, blue hour or astro-dark windows reach the minimum score.');
         return;
-      } catch (e) {
-        if (e.name === 'AbortError') {
-          addDebug('Share: User cancelled');
-          return;
-        }
-        addDebug(`Share: Web Share failed: ${e.message}`);
-        // Fall through to clipboard
       }
+      await deliverFile(ics, `${filename}.ics`, 'text/calendar', copiedMessage);
     }
+  }
 
-    // Fallback to clipboard
-    try {
-      addDebug('Share: Falling back to clipboard');
-      await navigator.clipboard.writeText(shareUrl);
-      showToast(strings.linkCopiedToClipboard || 'Link copied to clipboard', buttonElement);
-      addDebug('Share: Copied to clipboard');
-    } catch (e) {
-      addDebug(`Share: Clipboard failed: ${e.message}`);
-      // Last resort: show in prompt
-      prompt(strings.copyLink || 'Copy link:', shareUrl);
-    }
+  // ============================================================
+  // GRID NAVIGATION
+  // ============================================================
+
+  /** Tabs in the order of their number-key shortcuts. */
+  const TAB_SHORTCUTS = ['home', 'current', 'compare', 'locations', 'trips'];
+
+  /**
+   * Get the focusable cells of an hour column, top to bottom.
+   * @param {Element} column - Grid column element.
+   * @returns {Array<Element>} Cells.
+   */
+  function getGridCells(column) {
+    return Array.from(column.querySelectorAll('[role="rowheader"], [role="gridcell"]'));
   }
 
   /**
-   * Trigger the file input for importing locations.
+   * Find a grid cell by hour index and row.
+   * @param {number} index - Hour index.
+   * @param {number} row - Row position within the column.
+   * @returns {Element|null} Cell element.
    */
-  function triggerImport() {
-    const fileInput = document.getElementById('import-file');
-    if (fileInput) {
-      fileInput.click();
-    }
+  function getGridCell(index, row) {
+    const column = app.querySelector(`#grid-data .grid-column[data-index="${index}"]`);
+    if (!column) return null;
+    const cells = getGridCells(column);
+    return cells[Math.max(0, Math.min(row, cells.length - 1))] || null;
   }
 
   /**
-   * Handle file selection for import.
-   * @param {Event} event - Change event.
+   * Describe a cell for screen readers, e.g. "Tuesday 21:00, cloud 12 percent, photo score 84, good".
+   * @param {Element} cell - Grid cell.
+   * @returns {string} Spoken summary.
    */
-  async function handleImportFile(event) {
-    const file = event.target.files?.[0];
-    if (!file) return;
+  function describeGridCell(cell) {
+    const column = cell.closest('.grid-column');
+    const forecast = getActiveForecast();
+    const hour = forecast?.hourly?.[parseInt(column.dataset.index, 10)];
+    if (!hour) return '';
 
-    try {
-      const text = await file.text();
-      const data = JSON.parse(text);
+    const timezone = forecast.location?.timezone;
+    const weekday = new Date(hour.time).toLocaleDateString([], { weekday: 'long', ...(timezone ? { timeZone: timezone } : {}) });
+    const when = `${weekday} ${formatDateTime(hour.time, 'time', timezone)}`;
+    const spoken = (text) => text.replace(/\s+/g, ' ').replace(/%/g, ` ${strings.percent || 'percent'}`).trim();
+    const bandOf = (element) => {
+      const band = ['excellent', 'good', 'fair', 'poor'].find((cls) =>
+        element.classList.contains(cls) || element.classList.contains(`score-${cls}`));
+      return band ? BAND_LABELS[band].toLowerCase() : '';
+    };
 
-      // Validate structure
-      if (!data.locations || !Array.isArray(data.locations)) {
-        throw new Error('Invalid file format');
+    if (cell.getAttribute('role') === 'rowheader') {
+      const scoreCell = column.querySelector('.photo-score-cell');
+      const parts = [
+        when,
+        `${(strings.cloud || 'Cloud').toLowerCase()} ${spoken(formatValue(hour.cloud_total, '%'))}`,
+        `${(strings.alertPhotoScore || 'Photo score').toLowerCase()} ${scoreCell ? scoreCell.textContent.trim() : '-'}`,
+        scoreCell ? bandOf(scoreCell) : '',
+      ];
+      return parts.filter(Boolean).join(', ');
+    }
+
+    const row = getGridCells(column).indexOf(cell);
+    const header = app.querySelectorAll('.grid-row-labels [role="columnheader"]')[row];
+    const name = header ? (header.getAttribute('aria-label') || header.textContent.trim()) : '';
+
+    let value = spoken(cell.textContent);
+    if (cell.classList.contains('sunlight-cell')) {
+      const sunlight = Object.keys(SUNLIGHT_LABELS).find((cls) => cell.classList.contains(cls));
+      value = sunlight ? SUNLIGHT_LABELS[sunlight] : '';
+    } else if (cell.classList.contains('moon-cell')) {
+      value = cell.classList.contains('moon-visible') ? (strings.moonUp || 'up') : (strings.moonDown || 'down');
+      if (cell.textContent.trim()) {
+        value += ` ${spoken(cell.textContent)}`;
       }
+    } else if (cell.classList.contains('wind-cell')) {
+      value = `${getWindDirection(hour.wind_direction).label} ${formatUnit('wind', hour.wind_speed)}`;
+    } else if (cell.classList.contains('frost-cell')) {
+      value = hour.frost ? (strings.yes || 'yes') : (strings.no || 'no');
+    }
 
-      let imported = 0;
-      let skipped = 0;
+    return [when, `${name} ${value || '-'}`, bandOf(cell)].filter(Boolean).join(', ');
+  }
 
-      for (const loc of data.locations) {
-        // Validate required fields
-        if (typeof loc.lat !== 'number' || typeof loc.lon !== 'number' || !loc.name) {
-          skipped++;
-          continue;
-        }
+  /**
+   * Make one grid cell the tab stop and focus it.
+   * @param {Element} cell - Grid cell.
+   */
+  function focusGridCell(cell) {
+    const grid = document.getElementById('grid-data');
+    if (!grid || !cell) return;
 
-        // Check for duplicate by proximity
-        if (isLocationSaved(loc.lat, loc.lon)) {
-          skipped++;
-          continue;
-        }
+    const previous = grid.querySelector('[tabindex="0"]');
+    if (previous && previous !== cell) {
+      previous.removeAttribute('tabindex');
+    }
 
-        // Save the location (don't preserve isHome from import to avoid conflicts)
-        await ForecastStorage.saveLocation({
-          lat: loc.lat,
-          lon: loc.lon,
-          name: loc.name,
-          admin1: loc.admin1,
-          country: loc.country,
-          timezone: loc.timezone,
-          notes: loc.notes,
-        });
-        imported++;
-      }
+    const column = cell.closest('.grid-column');
+    state.gridFocus = {
+      index: parseInt(column.dataset.index, 10),
+      row: getGridCells(column).indexOf(cell),
+      active: true,
+    };
 
-      await loadSavedLocations();
-      renderApp();
+    cell.tabIndex = 0;
+    cell.setAttribute('aria-label', describeGridCell(cell));
+    cell.focus({ preventScroll: true });
+    column.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    setTimeout(updateCurrentDayDisplay, 100);
+  }
 
-      // Show result message
-      const message = imported > 0
-        ? `${strings.importedLocations || 'Imported'}: ${imported}${skipped > 0 ? ` (${skipped} ${strings.skipped || 'skipped'})` : ''}`
-        : strings.noNewLocations || 'No new locations to import';
-      alert(message);
-    } catch (e) {
-      console.error('Import error:', e);
-      alert(strings.importError || 'Failed to import locations. Please check the file format.');
+  /**
+   * Set the grid's tab stop after a render, restoring keyboard focus if the
+   * re-render took it away.
+   */
+  function initGridFocus() {
+    const grid = document.getElementById('grid-data');
+    if (!grid) return;
+
+    let { index, row } = state.gridFocus;
+    if (index == null || !grid.querySelector(`.grid-column[data-index="${index}"]`)) {
+      const column = grid.querySelector('.current-hour') || grid.querySelector('.grid-column');
+      if (!column) return;
+      index = parseInt(column.dataset.index, 10);
+      row = 0;
     }
 
-    // Reset file input
-    event.target.value = '';
+    const cell = getGridCell(index, row);
+    if (!cell) return;
+
+    const focusLost = !document.activeElement || document.activeElement === document.body;
+    if (state.gridFocus.active && focusLost) {
+      focusGridCell(cell);
+    } else {
+      cell.tabIndex = 0;
+    }
   }
 
   /**
-   * Load saved locations from storage.
+   * Track whether keyboard focus is inside the grid, and label cells reached with Tab.
+   * @param {FocusEvent} event - focusin or focusout event.
    */
-  async function loadSavedLocations() {
-    try {
-      state.savedLocations = await ForecastStorage.getLocations();
-      state.homeLocation = await ForecastStorage.getHomeLocation();
-    } catch (e) {
-      console.error('Error loading locations:', e);
-      state.savedLocations = [];
-      state.homeLocation = null;
+  function handleGridFocusChange(event) {
+    const cell = event.target.closest && event.target.closest('#grid-data [tabindex="0"]');
+    if (event.type === 'focusin') {
+      if (cell) {
+        state.gridFocus.active = true;
+        if (!cell.hasAttribute('aria-label')) {
+          cell.setAttribute('aria-label', describeGridCell(cell));
+        }
+      }
+      return;
+    }
+
+    // Focus moving elsewhere (not lost to a re-render) leaves the grid.
+    if (cell && event.relatedTarget && !event.relatedTarget.closest('#grid-data')) {
+      state.gridFocus.active = false;
     }
   }
 
   /**
-   * Scroll the forecast grid to the current hour.
+   * Move focus around the grid: arrows by hour and row, Home/End to the
+   * start/end of the day (Ctrl for the whole forecast), PageUp/PageDown by a day.
+   * @param {KeyboardEvent} event - Keydown event.
    */
-  function scrollToCurrentHour() {
-    requestAnimationFrame(() => {
-      const grid = document.getElementById('grid-data');
-      const currentCol = grid?.querySelector('.current-hour');
-      if (currentCol && grid) {
-        const scrollLeft = currentCol.offsetLeft - grid.offsetWidth / 4;
-        grid.scrollTo({ left: Math.max(0, scrollLeft), behavior: 'smooth' });
-      }
-      // Set up scroll listener and update day display
-      setupGridScrollListener();
-      updateCurrentDayDisplay();
-    });
-  }
+  function handleGridKeydown(event) {
+    const cell = event.target.closest && event.target.closest('#grid-data [role="gridcell"], #grid-data [role="rowheader"]');
+    if (!cell) return;
+
+    const column = cell.closest('.grid-column');
+    const columns = Array.from(app.querySelectorAll('#grid-data .grid-column'));
+    const sameDay = columns.filter((col) => col.dataset.date === column.dataset.date);
+    const index = parseInt(column.dataset.index, 10);
+    const row = getGridCells(column).indexOf(cell);
+    const lastIndex = columns.length - 1;
+    let target = null;
+
+    switch (event.key) {
+      case 'ArrowLeft':
+        target = [index - 1, row];
+        break;
+      case 'ArrowRight':
+        target = [index + 1, row];
+        break;
+      case 'ArrowUp':
+        target = [index, row - 1];
+        break;
+      case 'ArrowDown':
+        target = [index, row + 1];
+        break;
+      case 'Home':
+        target = [event.ctrlKey ? 0 : parseInt(sameDay[0].dataset.index, 10), row];
+        break;
+      case 'End':
+        target = [event.ctrlKey ? lastIndex : parseInt(sameDay[sameDay.length - 1].dataset.index, 10), row];
+        break;
+      case 'PageUp':
+        target = [index - 24, row];
+        break;
+      case 'PageDown':
+        target = [index + 24, row];
+        break;
+      case 'Enter':
+      case ' ':
+        // Press the cell's button, or open the hour's details.
+        event.preventDefault();
+        (cell.querySelector('button') || column).click();
+        return;
+      default:
+        return;
+    }
 
-  /** Debounce timer for scroll event. */
-  let scrollDebounceTimer = null;
+    event.preventDefault();
+    const next = getGridCell(Math.max(0, Math.min(target[0], lastIndex)), Math.max(0, target[1]));
+    if (next) {
+      focusGridCell(next);
+    }
+  }
 
   /**
-   * Set up scroll listener on the grid to update day display.
+   * Global shortcuts: 1-5 switch tabs, N/[/] jump to now or the previous/next
+   * day, G focuses the grid. Ignored while typing or with a modal open.
+   * @param {KeyboardEvent} event - Keydown event.
    */
-  function setupGridScrollListener() {
-    const grid = document.getElementById('grid-data');
-    if (!grid || grid.dataset.scrollListenerAttached) return;
-
-    grid.addEventListener('scroll', () => {
-      // Debounce to avoid excessive updates
-      if (scrollDebounceTimer) clearTimeout(scrollDebounceTimer);
-      scrollDebounceTimer = setTimeout(updateCurrentDayDisplay, 50);
-    });
-    grid.dataset.scrollListenerAttached = 'true';
+  function handleShortcutKeydown(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.key === 'Escape' && state.hourDetail != null) {
+      closeHourDetail();
+      return;
+    }
+    if (event.target.closest && event.target.closest('input, select, textarea, [contenteditable="true"], .ccf-map')) return;
+    if (state.editingLocation || state.editingTrip || state.forecastReview || state.moonCalendar || state.importPreview ||
+        state.backupImport || state.loggingObservation || state.observationLogLocationId || state.showInstallInstructions ||
+        state.hourDetail != null) return;
+
+    const key = event.key.toLowerCase();
+    const tabNumber = parseInt(key, 10);
+
+    if (tabNumber >= 1 && tabNumber <= TAB_SHORTCUTS.length) {
+      switchTab(TAB_SHORTCUTS[tabNumber - 1]);
+    } else if (key === 'n') {
+      jumpToTarget('now');
+    } else if (key === '[') {
+      jumpToTarget('prev-day');
+    } else if (key === ']') {
+      jumpToTarget('next-day');
+    } else if (key === 'g') {
+      const { index, row } = state.gridFocus;
+      const cell = index != null ? getGridCell(index, row) : app.querySelector('#grid-data [tabindex="0"]');
+      if (!cell) return;
+      focusGridCell(cell);
+    } else {
+      return;
+    }
+    event.preventDefault();
   }
 
+  document.addEventListener('keydown', handleShortcutKeydown);
+
   // ============================================================
   // ONLINE/OFFLINE HANDLING
   // ============================================================
@@ -2498,6 +8401,16 @@
   window.addEventListener('online', () => {
     state.isOnline = true;
     renderApp();
+
+    // Catch up on whatever went stale while offline.
+    const key = getActiveForecastKey();
+    if (key != null) {
+      revalidateIfStale(key);
+    } else if (state.activeTab === 'compare') {
+      getCompareLocationIds().forEach(revalidateIfStale);
+    } else if (state.activeTab === 'trips') {
+      getTripLocationIds(getActiveTrip()).forEach(revalidateIfStale);
+    }
   });
 
   window.addEventListener('offline', () => {
@@ -2505,6 +8418,23 @@
     renderApp();
   });
 
+  // ============================================================
+  // CLOCK
+  // ============================================================
+
+  /** How often the grid is redrawn so passing hours grey out. */
+  const CLOCK_INTERVAL = 30 * 60 * 1000;
+
+  let clockSlot = Math.floor(Date.now() / CLOCK_INTERVAL);
+
+  setInterval(() => {
+    const slot = Math.floor(Date.now() / CLOCK_INTERVAL);
+    if (slot !== clockSlot) {
+      clockSlot = slot;
+      refreshForecastGrid();
+    }
+  }, 60 * 1000);
+
   // ============================================================
   // APP INITIALIZATION
   // ============================================================
@@ -2567,6 +8497,26 @@
     state.isLoading = false;
     renderApp();
     scrollToCurrentHour();
+    revalidateIfStale('shared');
+  }
+
+  /**
+   * Load everything the user has saved into the app state.
+   */
+  async function loadUserData() {
+    await loadSavedLocations();
+    await loadScoreProfiles();
+    await loadNotificationSettings();
+    await loadAlertMatches();
+    await loadCompareSelection();
+    await loadTrips();
+    await loadCalendarThreshold();
+    await loadObservations();
+    await loadLocationsView();
+    await loadLocationSort();
+    await loadForecastView();
+    await loadUnits();
+    await loadColorThresholds();
   }
 
   async function init() {
@@ -2579,20 +8529,22 @@
     }
 
     try {
-      // Apply saved theme and font size.
+      // Apply saved theme, font size and colour palette.
       applyTheme();
       applyFontSize();
+      applyPalette();
 
       // Open database and load saved data.
       await ForecastStorage.openDatabase();
-      await loadSavedLocations();
+      await loadUserData();
 
       if (DEBUG_MODE) {
         addDebug(`Loaded ${state.savedLocations.length} locations`);
       }
 
       // Clean expired cache.
-      await ForecastStorage.cleanExpiredCache();
+      await ForecastStorage.cleanExpiredCache(FORECAST_RETENTION);
+      await ForecastStorage.cleanForecastHistory(HISTORY_RETENTION);
 
       // Check for shared location in URL parameters.
       const hasSharedLocation = parseSharedLocationFromUrl() !== null;
@@ -2605,6 +8557,9 @@
         await loadSharedLocation();
       }
 
+      // Catch up on background refresh (also the fallback without periodic sync).
+      registerBackgroundRefresh();
+
       if (DEBUG_MODE) {
         addDebug('App rendered successfully');
       }
@@ -0,0 +1,565 @@
+/**
+ * Cloud Cover Forecast - Sun and Moon Positions
+ *
+ * Pure functions shared by the PWA and its service worker: altitude and
+ * azimuth of the sun and moon for any time and place, rise, set and twilight
+ * times, moon illumination and moonless darkness. Used offline, to fill in
+ * forecasts that arrive without twilight or moon data, and for the moon
+ * calendar months beyond the forecast.
+ *
+ * Low-precision series after Meeus, "Astronomical Algorithms" (chapters 25,
+ * 47 and 48): good to about 0.01° for the sun and 0.05° for the moon, and
+ * to a minute or so for rise and set times.
+ *
+ * @package CloudCoverForecast
+ * @since 1.0.1
+ */
+
+(function (global) {
+  'use strict';
+
+  const { HOUR_MS, parseTimeToTimestamp } = global.ForecastScore;
+
+  const RAD = Math.PI / 180;
+
+  /** Equatorial radius of the Earth in km, for the moon's parallax. */
+  const EARTH_RADIUS_KM = 6378.14;
+
+  /**
+   * Altitude of the centre of the sun or moon at rise and set: refraction at
+   * the horizon plus half the disc.
+   */
+  const HORIZON_ALTITUDE = -0.833;
+
+  /** Sun altitudes at the start and end of each twilight. */
+  const TWILIGHT_ALTITUDES = {
+    civil: -6,
+    nautical: -12,
+    astronomical: -18,
+  };
+
+  /** Moon phase keys, in order from new moon. */
+  const MOON_PHASES = [
+    'new',
+    'waxingCrescent',
+    'firstQuarter',
+    'waxingGibbous',
+    'full',
+    'waningGibbous',
+    'lastQuarter',
+    'waningCrescent',
+  ];
+
+  /** English moon phase names, by MOON_PHASES key. */
+  const MOON_PHASE_NAMES = {
+    new: 'New Moon',
+    waxingCrescent: 'Waxing Crescent',
+    firstQuarter: 'First Quarter',
+    waxingGibbous: 'Waxing Gibbous',
+    full: 'Full Moon',
+    waningGibbous: 'Waning Gibbous',
+    lastQuarter: 'Last Quarter',
+    waningCrescent: 'Waning Crescent',
+  };
+
+  /** Step used when searching a day for rise and set crossings. */
+  const CROSSING_STEP_MS = HOUR_MS;
+
+  /** Bisection steps when refining a crossing (an hour down to under a second). */
+  const CROSSING_ITERATIONS = 12;
+
+  /** Step used when measuring how long the moon is down during darkness. */
+  const DARKNESS_STEP_MS = 10 * 60 * 1000;
+
+  // ============================================================
+  // COORDINATES
+  // ============================================================
+
+  /**
+   * Get days since the J2000.0 epoch.
+   * @param {Date|number} date - Date or timestamp.
+   * @returns {number} Days (fractional).
+   */
+  function getDaysSinceJ2000(date) {
+    return new Date(date).getTime() / 86400000 + 2440587.5 - 2451545.0;
+  }
+
+  /**
+   * Normalise an angle to 0-360 degrees.
+   * @param {number} degrees - Angle.
+   * @returns {number} Angle in [0, 360).
+   */
+  function normalizeDegrees(degrees) {
+    return ((degrees % 360) + 360) % 360;
+  }
+
+  /**
+   * Convert ecliptic coordinates to right ascension and declination.
+   * @param {number} longitude - Ecliptic longitude in degrees.
+   * @param {number} latitude - Ecliptic latitude in degrees.
+   * @param {number} obliquity - Obliquity of the ecliptic in degrees.
+   * @returns {Object} {ra, dec} in degrees.
+   */
+  function eclipticToEquatorial(longitude, latitude, obliquity) {
+    const l = longitude * RAD;
+    const b = latitude * RAD;
+    const e = obliquity * RAD;
+    const ra = Math.atan2(Math.sin(l) * Math.cos(e) - Math.tan(b) * Math.sin(e), Math.cos(l));
+    const dec = Math.asin(Math.sin(b) * Math.cos(e) + Math.cos(b) * Math.sin(e) * Math.sin(l));
+    return { ra: normalizeDegrees(ra / RAD), dec: dec / RAD };
+  }
+
+  /**
+   * Calculate where a point on the celestial sphere appears in the sky.
+   * @param {Date|number} date - Date or timestamp.
+   * @param {number} lat - Latitude.
+   * @param {number} lon - Longitude.
+   * @param {number} ra - Right ascension in degrees.
+   * @param {number} dec - Declination in degrees.
+   * @returns {Object} Altitude in degrees above the horizon, and azimuth
+   *   in degrees clockwise from north.
+   */
+  function getHorizontalPosition(date, lat, lon, ra, dec) {
+    const siderealDeg = 280.46061837 + 360.98564736629 * getDaysSinceJ2000(date) + lon;
+    const hourAngle = (siderealDeg - ra) * RAD;
+    const phi = lat * RAD;
+    const delta = dec * RAD;
+
+    const sinAlt = Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.cos(hourAngle);
+    const azimuth = Math.atan2(
+      Math.sin(hourAngle),
+      Math.cos(hourAngle) * Math.sin(phi) - Math.tan(delta) * Math.cos(phi)
+    ) / RAD + 180;
+    return { altitude: Math.asin(sinAlt) / RAD, azimuth: normalizeDegrees(azimuth) };
+  }
+
+  // ============================================================
+  // SUN
+  // ============================================================
+
+  /**
+   * Calculate the sun's apparent ecliptic longitude and equatorial position.
+   * @param {Date|number} date - Date or timestamp.
+   * @returns {Object} {longitude, ra, dec} in degrees.
+   */
+  function getSunCoordinates(date) {
+    const t = getDaysSinceJ2000(date) / 36525;
+    const meanLongitude = 280.46646 + 36000.76983 * t;
+    const meanAnomaly = (357.52911 + 35999.05029 * t) * RAD;
+    const center = (1.914602 - 0.004817 * t) * Math.sin(meanAnomaly)
+      + 0.019993 * Math.sin(2 * meanAnomaly)
+      + 0.000289 * Math.sin(3 * meanAnomaly);
+
+    // Nutation and aberration
+    const omega = (125.04 - 1934.136 * t) * RAD;
+    const longitude = normalizeDegrees(meanLongitude + center - 0.00569 - 0.00478 * Math.sin(omega));
+    const obliquity = 23.439291 - 0.0130042 * t + 0.00256 * Math.cos(omega);
+
+    return { longitude, ...eclipticToEquatorial(longitude, 0, obliquity) };
+  }
+
+  /**
+   * Calculate the position of the sun in the sky.
+   * @param {Date|number} date - Date or timestamp.
+   * @param {number} lat - Latitude.
+   * @param {number} lon - Longitude.
+   * @returns {Object} {altitude, azimuth, ra, dec} in degrees (see getHorizontalPosition).
+   */
+  function getSunPosition(date, lat, lon) {
+    const { ra, dec } = getSunCoordinates(date);
+    return { ...getHorizontalPosition(date, lat, lon, ra, dec), ra, dec };
+  }
+
+  // ============================================================
+  // MOON
+  // ============================================================
+
+  /**
+   * Largest periodic terms of the moon's longitude and distance (Meeus
+   * table 47.A): multiples of D, M, M', F, then longitude (degrees) and
+   * distance (km) coefficients.
+   */
+  const MOON_LONGITUDE_TERMS = [
+    [0, 0, 1, 0, 6.288774, -20905.355],
+    [2, 0, -1, 0, 1.274027, -3699.111],
+    [2, 0, 0, 0, 0.658314, -2955.968],
+    [0, 0, 2, 0, 0.213618, -569.925],
+    [0, 1, 0, 0, -0.185116, 48.888],
+    [0, 0, 0, 2, -0.114332, -3.149],
+    [2, 0, -2, 0, 0.058793, 246.158],
+    [2, -1, -1, 0, 0.057066, -152.138],
+    [2, 0, 1, 0, 0.053322, -170.733],
+    [2, -1, 0, 0, 0.045758, -204.586],
+    [0, 1, -1, 0, -0.040923, -129.620],
+    [1, 0, 0, 0, -0.034720, 108.743],
+    [0, 1, 1, 0, -0.030383, 104.755],
+    [2, 0, 0, -2, 0.015327, 10.321],
+    [0, 0, 1, 2, -0.012528, 0],
+    [0, 0, 1, -2, 0.010980, 79.661],
+    [4, 0, -1, 0, 0.010675, -34.782],
+    [0, 0, 3, 0, 0.010034, -23.210],
+    [4, 0, -2, 0, 0.008548, -21.636],
+    [2, 1, -1, 0, -0.007888, 24.208],
+    [2, 1, 0, 0, -0.006766, 30.824],
+    [1, 0, -1, 0, -0.005163, -8.379],
+    [1, 1, 0, 0, 0.004987, -16.675],
+    [2, -1, 1, 0, 0.004036, -12.831],
+    [2, 0, 2, 0, 0.003994, -10.445],
+  ];
+
+  /** Largest periodic terms of the moon's latitude (Meeus table 47.B). */
+  const MOON_LATITUDE_TERMS = [
+    [0, 0, 0, 1, 5.128122],
+    [0, 0, 1, 1, 0.280602],
+    [0, 0, 1, -1, 0.277693],
+    [2, 0, 0, -1, 0.173237],
+    [2, 0, -1, 1, 0.055413],
+    [2, 0, -1, -1, 0.046271],
+    [2, 0, 0, 1, 0.032573],
+    [0, 0, 2, 1, 0.017198],
+    [2, 0, 1, -1, 0.009266],
+    [0, 0, 2, -1, 0.008822],
+    [2, -1, 0, -1, 0.008216],
+    [2, 0, -2, -1, 0.004324],
+    [2, 0, 1, 1, 0.004200],
+  ];
+
+  /**
+   * Calculate the moon's geocentric ecliptic and equatorial position.
+   * @param {Date|number} date - Date or timestamp.
+   * @returns {Object} {longitude, latitude, ra, dec} in degrees and distance in km.
+   */
+  function getMoonCoordinates(date) {
+    const t = getDaysSinceJ2000(date) / 36525;
+    const meanLongitude = 218.3164477 + 481267.88123421 * t;
+    const elongation = (297.8501921 + 445267.1114034 * t) * RAD;
+    const sunAnomaly = (357.5291092 + 35999.0502909 * t) * RAD;
+    const moonAnomaly = (134.9633964 + 477198.8675055 * t) * RAD;
+    const latitudeArgument = (93.2720950 + 483202.0175233 * t) * RAD;
+
+    // Terms with the sun's anomaly shrink as the Earth's orbit becomes rounder
+    const eccentricity = 1 - 0.002516 * t;
+    const argument = ([d, m, mp, f]) => {
+      const scale = Math.abs(m) === 1 ? eccentricity : 1;
+      return { angle: d * elongation + m * sunAnomaly + mp * moonAnomaly + f * latitudeArgument, scale };
+    };
+
+    let longitude = meanLongitude;
+    let distance = 385000.56;
+    MOON_LONGITUDE_TERMS.forEach((term) => {
+      const { angle, scale } = argument(term);
+      longitude += term[4] * scale * Math.sin(angle);
+      distance += term[5] * scale * Math.cos(angle);
+    });
+
+    let latitude = 0;
+    MOON_LATITUDE_TERMS.forEach((term) => {
+      const { angle, scale } = argument(term);
+      latitude += term[4] * scale * Math.sin(angle);
+    });
+
+    const omega = (125.04452 - 1934.136261 * t) * RAD;
+    longitude = normalizeDegrees(longitude - 0.00478 * Math.sin(omega));
+    const obliquity = 23.439291 - 0.0130042 * t + 0.00256 * Math.cos(omega);
+
+    return { longitude, latitude, distance, ...eclipticToEquatorial(longitude, latitude, obliquity) };
+  }
+
+  /**
+   * Calculate the position of the moon in the sky, as seen from the
+   * Earth's surface (corrected for parallax, up to a degree near the horizon).
+   * @param {Date|number} date - Date or timestamp.
+   * @param {number} lat - Latitude.
+   * @param {number} lon - Longitude.
+   * @returns {Object} {altitude, azimuth, ra, dec} in degrees and distance in km.
+   */
+  function getMoonPosition(date, lat, lon) {
+    const { ra, dec, distance } = getMoonCoordinates(date);
+    const position = getHorizontalPosition(date, lat, lon, ra, dec);
+    const parallax = Math.asin((EARTH_RADIUS_KM / distance) * Math.cos(position.altitude * RAD)) / RAD;
+    return { altitude: position.altitude - parallax, azimuth: position.azimuth, ra, dec, distance };
+  }
+
+  /**
+   * Calculate how much of the moon is lit and where it is in its cycle.
+   * @param {Date|number} date - Date or timestamp.
+   * @returns {Object} fraction lit (0-1), phase (0 new, 0.5 full, towards 1
+   *   waning) and phase key from MOON_PHASES.
+   */
+  function getMoonIllumination(date) {
+    const sun = getSunCoordinates(date);
+    const moon = getMoonCoordinates(date);
+
+    // Geocentric elongation, then the phase angle seen from the moon
+    const elongation = Math.acos(
+      Math.cos(moon.latitude * RAD) * Math.cos((moon.longitude - sun.longitude) * RAD)
+    );
+    const sunDistanceKm = 149598000;
+    const phaseAngle = Math.atan2(
+      sunDistanceKm * Math.sin(elongation),
+      moon.distance - sunDistanceKm * Math.cos(elongation)
+    );
+    const fraction = (1 + Math.cos(phaseAngle)) / 2;
+
+    const waxing = normalizeDegrees(moon.longitude - sun.longitude) < 180;
+    const phase = waxing ? (1 - phaseAngle / Math.PI) / 2 : 0.5 + phaseAngle / Math.PI / 2;
+    const phaseIndex = Math.round(phase * MOON_PHASES.length) % MOON_PHASES.length;
+
+    return { fraction, phase, phaseKey: MOON_PHASES[phaseIndex] };
+  }
+
+  // ============================================================
+  // RISE, SET AND TWILIGHT
+  // ============================================================
+
+  /**
+   * Find when an altitude crosses a threshold during a time span.
+   * @param {Function} getAltitude - Altitude in degrees for a timestamp.
+   * @param {number} startTs - Start timestamp.
+   * @param {number} endTs - End timestamp.
+   * @param {number} threshold - Altitude in degrees.
+   * @returns {Object} First upward (rise) and downward (set) crossing
+   *   timestamps, null where there is none.
+   */
+  function findCrossings(getAltitude, startTs, endTs, threshold) {
+    const crossings = { rise: null, set: null };
+    let prevTs = startTs;
+    let prevAlt = getAltitude(startTs) - threshold;
+
+    for (let ts = startTs + CROSSING_STEP_MS; ts <= endTs && (crossings.rise === null || crossings.set === null); ts += CROSSING_STEP_MS) {
+      const alt = getAltitude(ts) - threshold;
+      const type = prevAlt < 0 && alt >= 0 ? 'rise' : prevAlt >= 0 && alt < 0 ? 'set' : null;
+
+      if (type && crossings[type] === null) {
+        let low = prevTs;
+        let high = ts;
+        for (let i = 0; i < CROSSING_ITERATIONS; i++) {
+          const mid = (low + high) / 2;
+          const above = getAltitude(mid) >= threshold;
+          if (above === (type === 'rise')) {
+            high = mid;
+          } else {
+            low = mid;
+          }
+        }
+        crossings[type] = Math.round((low + high) / 2);
+      }
+
+      prevTs = ts;
+      prevAlt = alt;
+    }
+
+    return crossings;
+  }
+
+  /**
+   * Get the calendar date after a date.
+   * @param {string} dateStr - Date (YYYY-MM-DD).
+   * @returns {string} Next date (YYYY-MM-DD).
+   */
+  function getNextDate(dateStr) {
+    const next = new Date(`${dateStr}T12:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next.toISOString().split('T')[0];
+  }
+
+  /**
+   * Get the start and end timestamps of a local calendar day.
+   * @param {string} dateStr - Date (YYYY-MM-DD).
+   * @param {string} timezone - Timezone identifier.
+   * @returns {Object|null} {startTs, endTs}, or null for an invalid date.
+   */
+  function getDayBounds(dateStr, timezone) {
+    const startTs = parseTimeToTimestamp(dateStr, '00:00', timezone);
+    if (startTs === null) return null;
+
+    const endTs = parseTimeToTimestamp(getNextDate(dateStr), '00:00', timezone);
+    return { startTs, endTs };
+  }
+
+  /**
+   * Format a timestamp as a 24-hour clock time (HH:MM) in a timezone.
+   * @param {number|null} ts - Timestamp.
+   * @param {string} timezone - Timezone identifier.
+   * @returns {string|null} Time, or null.
+   */
+  function formatClock(ts, timezone) {
+    if (ts === null) return null;
+    return new Date(ts).toLocaleTimeString('en-GB', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      ...(timezone ? { timeZone: timezone } : {}),
+    });
+  }
+
+  /**
+   * Calculate a day's sunrise, sunset and twilight times, in the same form
+   * as the server's forecast.daily[].twilight.
+   * @param {string} dateStr - Date (YYYY-MM-DD).
+   * @param {number} lat - Latitude.
+   * @param {number} lon - Longitude.
+   * @param {string} timezone - Timezone identifier.
+   * @returns {Object} Local HH:MM times; null where the sun doesn't cross that altitude.
+   */
+  function getSunTimes(dateStr, lat, lon, timezone) {
+    const bounds = getDayBounds(dateStr, timezone);
+    const times = {};
+    const altitudeAt = (ts) => getSunPosition(ts, lat, lon).altitude;
+    const crossing = (threshold) => (bounds
+      ? findCrossings(altitudeAt, bounds.startTs, bounds.endTs, threshold)
+      : { rise: null, set: null });
+
+    const horizon = crossing(HORIZON_ALTITUDE);
+    const twilights = {};
+    Object.keys(TWILIGHT_ALTITUDES).forEach((name) => {
+      twilights[name] = crossing(TWILIGHT_ALTITUDES[name]);
+    });
+
+    times.astronomical_dawn = formatClock(twilights.astronomical.rise, timezone);
+    times.nautical_dawn = formatClock(twilights.nautical.rise, timezone);
+    times.civil_dawn = formatClock(twilights.civil.rise, timezone);
+    times.sunrise = formatClock(horizon.rise, timezone);
+    times.sunset = formatClock(horizon.set, timezone);
+    times.civil_dusk = formatClock(twilights.civil.set, timezone);
+    times.nautical_dusk = formatClock(twilights.nautical.set, timezone);
+    times.astronomical_dusk = formatClock(twilights.astronomical.set, timezone);
+    return times;
+  }
+
+  /**
+   * Calculate a day's moonrise and moonset, in the same form as the
+   * server's forecast.moon entries.
+   * @param {string} dateStr - Date (YYYY-MM-DD).
+   * @param {number} lat - Latitude.
+   * @param {number} lon - Longitude.
+   * @param {string} timezone - Timezone identifier.
+   * @returns {Object} {moonrise, moonset} as local HH:MM, null on days without one.
+   */
+  function getMoonTimes(dateStr, lat, lon, timezone) {
+    const bounds = getDayBounds(dateStr, timezone);
+    if (!bounds) return { moonrise: null, moonset: null };
+
+    const crossings = findCrossings(
+      (ts) => getMoonPosition(ts, lat, lon).altitude,
+      bounds.startTs,
+      bounds.endTs,
+      HORIZON_ALTITUDE
+    );
+    return {
+      moonrise: formatClock(crossings.rise, timezone),
+      moonset: formatClock(crossings.set, timezone),
+    };
+  }
+
+  /**
+   * Measure the astronomical darkness that starts on the evening of a day
+   * (sun more than 18° down, searched from noon to noon), and how much of it
+   * the moon spends below the horizon.
+   * @param {string} dateStr - Date of the evening (YYYY-MM-DD).
+   * @param {number} lat - Latitude.
+   * @param {number} lon - Longitude.
+   * @param {string} timezone - Timezone identifier.
+   * @returns {Object} {startTs, endTs, darkMs, moonlessMs}; timestamps are null
+   *   and durations 0 on nights that never get astronomically dark.
+   */
+  function getDarkNight(dateStr, lat, lon, timezone) {
+    const none = { startTs: null, endTs: null, darkMs: 0, moonlessMs: 0 };
+    const noonTs = parseTimeToTimestamp(dateStr, '12:00', timezone);
+    const nextNoonTs = parseTimeToTimestamp(getNextDate(dateStr), '12:00', timezone);
+    if (noonTs === null || nextNoonTs === null) return none;
+
+    const threshold = TWILIGHT_ALTITUDES.astronomical;
+    const altitudeAt = (ts) => getSunPosition(ts, lat, lon).altitude;
+    const crossings = findCrossings(altitudeAt, noonTs, nextNoonTs, threshold);
+
+    // In polar night the sun can still be down at noon.
+    const startTs = altitudeAt(noonTs) < threshold ? noonTs : crossings.set;
+    const endTs = altitudeAt(nextNoonTs) < threshold ? nextNoonTs : crossings.rise;
+    if (startTs === null || endTs === null || endTs <= startTs) return none;
+
+    let moonlessMs = 0;
+    for (let ts = startTs; ts < endTs; ts += DARKNESS_STEP_MS) {
+      const stepMs = Math.min(DARKNESS_STEP_MS, endTs - ts);
+      if (getMoonPosition(ts + stepMs / 2, lat, lon).altitude < HORIZON_ALTITUDE) {
+        moonlessMs += stepMs;
+      }
+    }
+
+    return { startTs, endTs, darkMs: endTs - startTs, moonlessMs };
+  }
+
+  // ============================================================
+  // FORECAST FALLBACKS
+  // ============================================================
+
+  /**
+   * Fill in twilight and moon data a forecast arrived without (no moon API
+   * key, or an older server), computed for the forecast's location. Values
+   * from the server are kept. Changes the forecast in place.
+   * @param {Object} forecast - Forecast data with location.lat and location.lon.
+   * @param {Object} phaseNames - Display names by MOON_PHASES key.
+   * @returns {Object} The forecast.
+   */
+  function fillMissingAstronomy(forecast, phaseNames = MOON_PHASE_NAMES) {
+    const { lat, lon, timezone } = forecast.location || {};
+    if (lat == null || lon == null || !Array.isArray(forecast.daily)) return forecast;
+
+    const fill = (target, values) => {
+      Object.keys(values).forEach((key) => {
+        if (target[key] == null) target[key] = values[key];
+      });
+      return target;
+    };
+
+    forecast.moon = forecast.moon || {};
+    forecast.daily.forEach((day) => {
+      if (!day.date) return;
+
+      const twilight = day.twilight || {};
+      if (!twilight.sunrise || !twilight.sunset || !twilight.civil_dawn || !twilight.astronomical_dusk) {
+        day.twilight = fill(twilight, getSunTimes(day.date, lat, lon, timezone));
+      }
+
+      const moon = forecast.moon[day.date] || {};
+      if (moon.moon_illumination == null) {
+        const bounds = getDayBounds(day.date, timezone);
+        const illumination = getMoonIllumination(bounds ? (bounds.startTs + bounds.endTs) / 2 : Date.now());
+        moon.moon_illumination = Math.round(illumination.fraction * 100);
+        moon.moon_phase_name = phaseNames[illumination.phaseKey] || MOON_PHASE_NAMES[illumination.phaseKey];
+      }
+      if (moon.moonrise == null && moon.moonset == null) {
+        fill(moon, getMoonTimes(day.date, lat, lon, timezone));
+      }
+      forecast.moon[day.date] = moon;
+    });
+
+    return forecast;
+  }
+
+  // ============================================================
+  // EXPORT
+  // ============================================================
+
+  const ForecastAstro = {
+    // Positions.
+    HORIZON_ALTITUDE,
+    getHorizontalPosition,
+    getSunCoordinates,
+    getSunPosition,
+    getMoonCoordinates,
+    getMoonPosition,
+    MOON_PHASES,
+    MOON_PHASE_NAMES,
+    getMoonIllumination,
+
+    // Rise, set and twilight.
+    getSunTimes,
+    getMoonTimes,
+    getDarkNight,
+    fillMissingAstronomy,
+  };
+
+  // Export to global scope (window in the app, self in the service worker).
+  global.ForecastAstro = ForecastAstro;
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,314 @@
+/**
+ * Cloud Cover Forecast - Backups
+ *
+ * Writing, reading and merging backups of everything saved on a device:
+ * file versions and their upgrades, the plan shown in the merge dialog,
+ * and the import itself with location IDs rewritten to this device's.
+ * The app supplies its own location parsing and wording; nothing here
+ * touches the page.
+ *
+ * @package CloudCoverForecast
+ * @since 1.0.1
+ */
+
+(function (global) {
+  'use strict';
+
+  const { ForecastStorage } = global;
+  const { STORES } = ForecastStorage;
+
+  // ============================================================
+  // FILE VERSIONS
+  // ============================================================
+
+  /** Version of the backup files written by buildBackup(). */
+  const BACKUP_VERSION = 2;
+
+  /**
+   * Upgrades for backup files from older versions, oldest first. Each one
+   * turns a file of the previous version into one of its own `version`.
+   * Never change an upgrade that has shipped; add a new one.
+   */
+  const BACKUP_UPGRADES = [
+    {
+      version: 2,
+      description: 'Wrap the location list in a backup of every store',
+      upgrade(data) {
+        return {
+          version: 2,
+          exported: data.exported,
+          preferences: {},
+          stores: { locations: data.locations },
+        };
+      },
+    },
+  ];
+
+  /** Preferences kept in localStorage rather than the database, by backup key. */
+  const BACKUP_PREFERENCES = {
+    theme: 'ccf-theme',
+    fontSize: 'ccf-font-size',
+    palette: 'ccf-palette',
+  };
+
+  /**
+   * How to merge the records of stores that point at locations: a key to
+   * spot records that are already saved, and a rewrite of the location IDs
+   * (returning null to drop the record). Records of other stores are added
+   * as they are, so a new store that refers to locations needs an entry here.
+   */
+  const BACKUP_STORE_MERGES = {
+    [STORES.OBSERVATIONS]: {
+      identify: (observation) => `${observation.locationId}|${observation.time}`,
+      remap: (observation, mapId) => {
+        const locationId = mapId(observation.locationId);
+        return locationId == null ? null : { ...observation, locationId };
+      },
+    },
+    [STORES.TRIPS]: {
+      identify: (trip) => `${trip.name}|${trip.startDate}|${trip.endDate}`,
+      remap: (trip, mapId) => ({
+        ...trip,
+        nights: (trip.nights || []).map((night) => ({
+          ...night,
+          locationIds: (night.locationIds || []).map(mapId).filter((id) => id != null),
+        })),
+      }),
+    },
+  };
+
+  // ============================================================
+  // READING AND WRITING
+  // ============================================================
+
+  /**
+   * Build a backup of everything the user has saved on this device.
+   * @param {Object} [preferences] - Values of BACKUP_PREFERENCES by backup key.
+   * @returns {Promise<Object>} Backup document.
+   */
+  async function buildBackup(preferences = {}) {
+    return {
+      app: 'cloud-cover-forecast',
+      version: BACKUP_VERSION,
+      schemaVersion: ForecastStorage.DB_VERSION,
+      exported: new Date().toISOString(),
+      preferences,
+      stores: await ForecastStorage.exportStores(),
+    };
+  }
+
+  /**
+   * Read a backup file, upgrading it from older versions.
+   * @param {string} text - File contents.
+   * @returns {Object|null} Backup at BACKUP_VERSION, or null if the file isn't a backup.
+   * @throws {Error} If the backup is from a newer version or has no location list.
+   */
+  function readBackup(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+    if (!data || typeof data.version !== 'number' || !(Array.isArray(data.locations) || data.stores)) {
+      return null;
+    }
+    if (data.version > BACKUP_VERSION) {
+      throw new Error('Backup is from a newer version');
+    }
+
+    const backup = BACKUP_UPGRADES.reduce(
+      (upgraded, step) => (step.version > upgraded.version ? step.upgrade(upgraded) : upgraded),
+      data
+    );
+    if (!Array.isArray(backup.stores?.locations)) {
+      throw new Error('Invalid file format');
+    }
+    return backup;
+  }
+
+  // ============================================================
+  // MERGE PLAN
+  // ============================================================
+
+  /**
+   * List the fields where a saved location and its copy in a backup differ.
+   * @param {Object} local - Saved location.
+   * @param {Object} incoming - Location fields from the backup.
+   * @param {Array<Object>} fields - Compared fields {key, label, format, compare}.
+   * @returns {Array<Object>} Differences {label, mine, theirs}.
+   */
+  function getLocationDifferences(local, incoming, fields) {
+    return fields
+      .filter(({ key, format, compare = format }) => compare(local[key]) !== compare(incoming[key]))
+      .map(({ key, label, format }) => ({ label, mine: format(local[key]), theirs: format(incoming[key]) }));
+  }
+
+  /**
+   * Work out what importing a backup would do: which locations are new,
+   * which are saved already, and which are saved with different details.
+   * @param {Object} backup - Backup from readBackup().
+   * @param {Object} options - {toLocation, findSaved, fields}: turns a record
+   *   into location fields (null if invalid), finds the saved location at a
+   *   latitude and longitude, and the fields compared by getLocationDifferences().
+   * @returns {Object} {added, unchanged, conflicts, invalid}.
+   */
+  function planBackupImport(backup, { toLocation, findSaved, fields }) {
+    const plan = { added: [], unchanged: [], conflicts: [], invalid: 0 };
+
+    backup.stores.locations.forEach((record) => {
+      const location = toLocation(record);
+      if (!location) {
+        plan.invalid++;
+        return;
+      }
+
+      const incoming = { id: record.id, fields: location };
+      const local = findSaved(location.lat, location.lon);
+      if (!local) {
+        plan.added.push(incoming);
+        return;
+      }
+
+      const differences = getLocationDifferences(toLocation(local), location, fields);
+      if (differences.length === 0) {
+        plan.unchanged.push({ incoming, local });
+      } else {
+        plan.conflicts.push({ incoming, local, differences, choice: 'mine' });
+      }
+    });
+
+    return plan;
+  }
+
+  // ============================================================
+  // IMPORT
+  // ============================================================
+
+  /**
+   * Pick the records of a store in a backup that aren't saved yet, pointing
+   * at the locations on this device.
+   * @param {string} storeName - Store name.
+   * @param {Array} records - Records in the backup.
+   * @param {Array} saved - Records saved on this device.
+   * @param {Function} mapId - Maps a location ID in the backup to one on this device.
+   * @returns {Array} Records to add.
+   */
+  function getNewRecords(storeName, records, saved, mapId) {
+    const merge = BACKUP_STORE_MERGES[storeName];
+    if (!merge) return records;
+
+    const existing = new Set(saved.map(merge.identify));
+    return records
+      .map((record) => merge.remap(record, mapId))
+      .filter((record) => record && !existing.has(merge.identify(record)));
+  }
+
+  /**
+   * Get the settings to restore from a backup. Score profiles are merged by
+   * ID and saved compare selections point at the imported locations.
+   * @param {Array} settings - Settings records {key, value} in the backup.
+   * @param {Array} scoreProfiles - Score profiles on this device.
+   * @param {Function} mapId - Maps a location ID in the backup to one on this device.
+   * @returns {Array<Object>} Settings {key, value} to save.
+   */
+  function getRestoredSettings(settings, scoreProfiles, mapId) {
+    return (settings || []).map(({ key, value }) => {
+      if (key === 'scoreProfiles') {
+        const incoming = Array.isArray(value) ? value : [];
+        const kept = scoreProfiles.filter((profile) => !incoming.some((p) => p.id === profile.id));
+        return { key, value: [...kept, ...incoming] };
+      }
+      if (key === 'compareLocationIds') {
+        return { key, value: (Array.isArray(value) ? value : []).map(mapId).filter((id) => id != null) };
+      }
+      return { key, value };
+    });
+  }
+
+  /**
+   * Import a backup as planned: add new locations, resolve conflicts as
+   * chosen, add the other stores' records that aren't saved yet and restore
+   * settings if asked. Preferences are left to the caller.
+   * @param {Object} plan - Plan from planBackupImport() with its backup, each
+   *   conflict's choice ('mine', 'theirs' or 'both') and restoreSettings.
+   * @param {Array} [scoreProfiles] - Score profiles on this device.
+   * @returns {Promise<Object>} {locationCount, recordCount}.
+   */
+  async function importBackup({ backup, added, unchanged, conflicts, restoreSettings }, scoreProfiles = []) {
+    // Location IDs in the backup mapped to IDs on this device.
+    const idMap = new Map();
+    const mapId = (id) => (idMap.has(id) ? idMap.get(id) : null);
+    const remember = (incoming, id) => {
+      if (incoming.id != null) {
+        idMap.set(incoming.id, id);
+      }
+    };
+
+    let locationCount = 0;
+    let recordCount = 0;
+    unchanged.forEach(({ incoming, local }) => remember(incoming, local.id));
+    for (const { incoming, local, choice } of conflicts) {
+      if (choice === 'theirs') {
+        await ForecastStorage.updateLocation(local.id, incoming.fields);
+        remember(incoming, local.id);
+        locationCount++;
+      } else if (choice === 'both') {
+        remember(incoming, await ForecastStorage.saveLocation(incoming.fields));
+        locationCount++;
+      } else {
+        remember(incoming, local.id);
+      }
+    }
+    for (const incoming of added) {
+      remember(incoming, await ForecastStorage.saveLocation(incoming.fields));
+      locationCount++;
+    }
+
+    const saved = await ForecastStorage.exportStores();
+    for (const [name, records] of Object.entries(backup.stores)) {
+      // Skip stores this version of the app doesn't have.
+      if (name === STORES.LOCATIONS || name === STORES.SETTINGS || !saved[name] || !Array.isArray(records)) continue;
+
+      const fresh = getNewRecords(name, records, saved[name], mapId);
+      if (fresh.length > 0) {
+        await ForecastStorage.addRecords(name, fresh);
+        recordCount += fresh.length;
+      }
+    }
+
+    if (restoreSettings) {
+      for (const { key, value } of getRestoredSettings(backup.stores.settings, scoreProfiles, mapId)) {
+        await ForecastStorage.setSetting(key, value);
+      }
+    }
+
+    return { locationCount, recordCount };
+  }
+
+  // ============================================================
+  // EXPORT
+  // ============================================================
+
+  const ForecastBackup = {
+    // File versions.
+    BACKUP_VERSION,
+    BACKUP_UPGRADES,
+    BACKUP_PREFERENCES,
+    BACKUP_STORE_MERGES,
+
+    // Reading and writing.
+    buildBackup,
+    readBackup,
+
+    // Merging.
+    getLocationDifferences,
+    planBackupImport,
+    getNewRecords,
+    getRestoredSettings,
+    importBackup,
+  };
+
+  // Export to global scope.
+  global.ForecastBackup = ForecastBackup;
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,509 @@
+/**
+ * Cloud Cover Forecast - Location Map
+ *
+ * Minimal slippy map for the Locations tab: raster tiles from a configurable
+ * URL template, draggable pins, long-press to drop a pin, drag/wheel/pinch
+ * to pan and zoom. No third-party map library.
+ *
+ * @package CloudCoverForecast
+ * @since 1.0.1
+ */
+
+(function (global) {
+  'use strict';
+
+  // ============================================================
+  // CONSTANTS
+  // ============================================================
+
+  const TILE_SIZE = 256;
+  const MIN_ZOOM = 2;
+  const MAX_ZOOM = 18;
+  const DEFAULT_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+  // Web Mercator is undefined at the poles.
+  const MAX_LATITUDE = 85.0511;
+
+  // Hold time and movement tolerance that make a press a long-press.
+  const LONG_PRESS_MS = 600;
+  const MOVE_TOLERANCE = 8;
+
+  // ============================================================
+  // PROJECTION
+  // ============================================================
+
+  /**
+   * Project coordinates to world pixel coordinates at a zoom level.
+   * @param {number} lat - Latitude.
+   * @param {number} lon - Longitude.
+   * @param {number} zoom - Zoom level.
+   * @returns {Object} Pixel position {x, y}.
+   */
+  function project(lat, lon, zoom) {
+    const size = TILE_SIZE * Math.pow(2, zoom);
+    const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+    const sin = Math.sin((clamped * Math.PI) / 180);
+    return {
+      x: ((lon + 180) / 360) * size,
+      y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size,
+    };
+  }
+
+  /**
+   * Convert world pixel coordinates back to latitude and longitude.
+   * @param {number} x - World pixel X.
+   * @param {number} y - World pixel Y.
+   * @param {number} zoom - Zoom level.
+   * @returns {Object} Coordinates {lat, lon}, longitude wrapped to -180..180.
+   */
+  function unproject(x, y, zoom) {
+    const size = TILE_SIZE * Math.pow(2, zoom);
+    const lon = (x / size) * 360 - 180;
+    const n = Math.PI - (2 * Math.PI * y) / size;
+    return {
+      lat: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+      lon: ((((lon + 180) % 360) + 360) % 360) - 180,
+    };
+  }
+
+  /**
+   * Fill in a tile URL template.
+   * @param {string} template - URL with {z}, {x}, {y} and optional {s}.
+   * @param {number} x - Tile X.
+   * @param {number} y - Tile Y.
+   * @param {number} z - Zoom level.
+   * @returns {string} Tile URL.
+   */
+  function getTileUrl(template, x, y, z) {
+    return template
+      .replace('{s}', 'abc'[Math.abs(x + y) % 3])
+      .replace('{z}', z)
+      .replace('{x}', x)
+      .replace('{y}', y);
+  }
+
+  /**
+   * Find the highest zoom level at which all points fit the viewport.
+   * @param {Array} points - Objects with lat and lon.
+   * @param {number} width - Viewport width in pixels.
+   * @param {number} height - Viewport height in pixels.
+   * @param {number} maxZoom - Zoom to use for a single point.
+   * @returns {Object} View {lat, lon, zoom}.
+   */
+  function fitPoints(points, width, height, maxZoom) {
+    const padding = 48;
+    for (let zoom = maxZoom; zoom > MIN_ZOOM; zoom--) {
+      const projected = points.map((p) => project(p.lat, p.lon, zoom));
+      const xs = projected.map((p) => p.x);
+      const ys = projected.map((p) => p.y);
+      if (Math.max(...xs) - Math.min(...xs) <= width - padding * 2 &&
+          Math.max(...ys) - Math.min(...ys) <= height - padding * 2) {
+        const center = unproject((Math.max(...xs) + Math.min(...xs)) / 2, (Math.max(...ys) + Math.min(...ys)) / 2, zoom);
+        return { ...center, zoom };
+      }
+    }
+    return { lat: points[0].lat, lon: points[0].lon, zoom: MIN_ZOOM };
+  }
+
+  // ============================================================
+  // MAP
+  // ============================================================
+
+  /**
+   * Create a map inside a container element.
+   * @param {HTMLElement} container - Element to render the map into.
+   * @param {Object} options - Map options.
+   * @param {string} options.tileUrl - Tile URL template.
+   * @param {string} options.attribution - Attribution text.
+   * @param {Object} options.view - Initial view {lat, lon, zoom}.
+   * @param {Function} options.onLongPress - Called with (lat, lon) on a long-press.
+   * @param {Function} options.onMarkerClick - Called with (id) when a pin is tapped.
+   * @param {Function} options.onMarkerDrag - Called with (id, lat, lon) when a pin is dropped.
+   * @param {Function} options.onViewChange - Called with the view after panning or zooming.
+   * @param {Object} options.labels - Button labels {zoomIn, zoomOut}.
+   * @returns {Object} Map controller.
+   */
+  function create(container, options = {}) {
+    const tileUrl = options.tileUrl || DEFAULT_TILE_URL;
+    const labels = options.labels || {};
+    const view = {
+      lat: options.view ? options.view.lat : 30,
+      lon: options.view ? options.view.lon : 0,
+      zoom: options.view ? options.view.zoom : MIN_ZOOM,
+    };
+    const tiles = new Map();
+    let markers = [];
+    let pointers = new Map();
+    let gesture = null;
+    let wheelTimer = null;
+
+    container.classList.add('ccf-map');
+    container.innerHTML = `
+      <div class="ccf-map-tiles"></div>
+      <div class="ccf-map-markers"></div>
+      <div class="ccf-map-zoom">
+        <button type="button" class="ccf-map-zoom-btn" data-zoom="1">+</button>
+        <button type="button" class="ccf-map-zoom-btn" data-zoom="-1">&minus;</button>
+      </div>
+      <div class="ccf-map-attribution"></div>
+    `;
+    const tileLayer = container.querySelector('.ccf-map-tiles');
+    const markerLayer = container.querySelector('.ccf-map-markers');
+    container.querySelector('.ccf-map-attribution').textContent = options.attribution || '';
+    container.querySelector('[data-zoom="1"]').setAttribute('aria-label', labels.zoomIn || 'Zoom in');
+    container.querySelector('[data-zoom="-1"]').setAttribute('aria-label', labels.zoomOut || 'Zoom out');
+
+    /**
+     * Get the world pixel position of the viewport's top-left corner.
+     * @returns {Object} Pixel position {x, y}.
+     */
+    function getOrigin() {
+      const center = project(view.lat, view.lon, view.zoom);
+      return {
+        x: center.x - container.clientWidth / 2,
+        y: center.y - container.clientHeight / 2,
+      };
+    }
+
+    /**
+     * Convert a client (screen) position to coordinates.
+     * @param {number} clientX - Client X.
+     * @param {number} clientY - Client Y.
+     * @returns {Object} Coordinates {lat, lon}.
+     */
+    function clientToLatLon(clientX, clientY) {
+      const rect = container.getBoundingClientRect();
+      const origin = getOrigin();
+      return unproject(origin.x + clientX - rect.left, origin.y + clientY - rect.top, view.zoom);
+    }
+
+    /**
+     * Position tiles and pins for the current view.
+     */
+    function render() {
+      const origin = getOrigin();
+      const count = Math.pow(2, view.zoom);
+      const minX = Math.floor(origin.x / TILE_SIZE);
+      const maxX = Math.floor((origin.x + container.clientWidth) / TILE_SIZE);
+      const minY = Math.max(0, Math.floor(origin.y / TILE_SIZE));
+      const maxY = Math.min(count - 1, Math.floor((origin.y + container.clientHeight) / TILE_SIZE));
+      const visible = new Set();
+
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          const key = `${view.zoom}/${x}/${y}`;
+          visible.add(key);
+          let img = tiles.get(key);
+          if (!img) {
+            img = document.createElement('img');
+            img.className = 'ccf-map-tile';
+            img.alt = '';
+            img.draggable = false;
+            img.src = getTileUrl(tileUrl, ((x % count) + count) % count, y, view.zoom);
+            tileLayer.appendChild(img);
+            tiles.set(key, img);
+          }
+          img.style.transform = `translate(${x * TILE_SIZE - origin.x}px, ${y * TILE_SIZE - origin.y}px)`;
+        }
+      }
+
+      tiles.forEach((img, key) => {
+        if (!visible.has(key)) {
+          img.remove();
+          tiles.delete(key);
+        }
+      });
+
+      markers.forEach((marker) => {
+        const point = project(marker.lat, marker.lon, view.zoom);
+        marker.element.style.transform = `translate(${point.x - origin.x}px, ${point.y - origin.y}px)`;
+      });
+    }
+
+    /**
+     * Notify the owner that the view changed.
+     */
+    function emitViewChange() {
+      if (options.onViewChange) {
+        options.onViewChange({ ...view });
+      }
+    }
+
+    /**
+     * Move the view centre by a pixel offset.
+     * @param {number} dx - Horizontal offset in pixels.
+     * @param {number} dy - Vertical offset in pixels.
+     */
+    function panBy(dx, dy) {
+      const center = project(view.lat, view.lon, view.zoom);
+      const next = unproject(center.x + dx, center.y + dy, view.zoom);
+      view.lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, next.lat));
+      view.lon = next.lon;
+      render();
+    }
+
+    /**
+     * Zoom in or out by whole levels.
+     * @param {number} delta - Zoom levels to add.
+     */
+    function zoomBy(delta) {
+      const zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, view.zoom + delta));
+      if (zoom === view.zoom) return;
+      view.zoom = zoom;
+      render();
+      emitViewChange();
+    }
+
+    /**
+     * Stop a pending long-press.
+     */
+    function cancelLongPress() {
+      if (gesture && gesture.longPressTimer) {
+        clearTimeout(gesture.longPressTimer);
+        gesture.longPressTimer = null;
+      }
+    }
+
+    /**
+     * Get the distance between the first two active pointers.
+     * @returns {number} Distance in pixels.
+     */
+    function getPinchDistance() {
+      const [a, b] = Array.from(pointers.values());
+      return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    /**
+     * Start a pan, pin drag or pinch.
+     * @param {PointerEvent} event - Pointer event.
+     */
+    function handlePointerDown(event) {
+      if (event.target.closest('.ccf-map-zoom')) return;
+      if (event.pointerType === 'mouse' && event.button !== 0) return;
+
+      pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      container.setPointerCapture(event.pointerId);
+
+      if (pointers.size === 2) {
+        cancelLongPress();
+        gesture = { type: 'pinch', startDistance: getPinchDistance() };
+        return;
+      }
+      if (pointers.size > 2) return;
+
+      const markerElement = event.target.closest('.ccf-map-marker');
+      const marker = markerElement ? markers.find((m) => m.element === markerElement) : null;
+      gesture = {
+        type: marker ? 'marker' : 'pan',
+        marker,
+        startX: event.clientX,
+        startY: event.clientY,
+        lastX: event.clientX,
+        lastY: event.clientY,
+        moved: false,
+        longPressTimer: null,
+      };
+
+      if (!marker && options.onLongPress) {
+        gesture.longPressTimer = setTimeout(() => {
+          const coords = clientToLatLon(event.clientX, event.clientY);
+          gesture = { type: 'done' };
+          options.onLongPress(coords.lat, coords.lon);
+        }, LONG_PRESS_MS);
+      }
+    }
+
+    /**
+     * Update a pan, pin drag or pinch.
+     * @param {PointerEvent} event - Pointer event.
+     */
+    function handlePointerMove(event) {
+      if (!pointers.has(event.pointerId) || !gesture) return;
+      pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+      if (gesture.type === 'pinch' || gesture.type === 'done') return;
+
+      if (!gesture.moved &&
+          Math.hypot(event.clientX - gesture.startX, event.clientY - gesture.startY) < MOVE_TOLERANCE) {
+        return;
+      }
+      gesture.moved = true;
+      cancelLongPress();
+
+      if (gesture.type === 'marker') {
+        if (!gesture.marker.draggable) return;
+        const coords = clientToLatLon(event.clientX, event.clientY);
+        gesture.marker.lat = coords.lat;
+        gesture.marker.lon = coords.lon;
+        gesture.marker.element.classList.add('dragging');
+        render();
+      } else {
+        panBy(gesture.lastX - event.clientX, gesture.lastY - event.clientY);
+      }
+      gesture.lastX = event.clientX;
+      gesture.lastY = event.clientY;
+    }
+
+    /**
+     * Finish a pan, pin drag, tap or pinch.
+     * @param {PointerEvent} event - Pointer event.
+     */
+    function handlePointerUp(event) {
+      if (!pointers.has(event.pointerId)) return;
+
+      const current = gesture;
+      if (current && current.type === 'pinch' && pointers.size === 2) {
+        const levels = Math.round(Math.log2(getPinchDistance() / current.startDistance));
+        zoomBy(levels);
+      }
+
+      pointers.delete(event.pointerId);
+      if (pointers.size > 0) {
+        // Wait for the remaining fingers before starting anything new.
+        gesture = { type: 'done' };
+        return;
+      }
+
+      cancelLongPress();
+      gesture = null;
+      if (!current || event.type === 'pointercancel') return;
+
+      if (current.type === 'marker') {
+        const marker = current.marker;
+        marker.element.classList.remove('dragging');
+        if (current.moved && marker.draggable && options.onMarkerDrag) {
+          options.onMarkerDrag(marker.id, marker.lat, marker.lon);
+        } else if (!current.moved && options.onMarkerClick) {
+          options.onMarkerClick(marker.id);
+        }
+      } else if (current.type === 'pan' && current.moved) {
+        emitViewChange();
+      }
+    }
+
+    /**
+     * Zoom with the mouse wheel, one level per burst of wheel events.
+     * @param {WheelEvent} event - Wheel event.
+     */
+    function handleWheel(event) {
+      event.preventDefault();
+      if (wheelTimer) return;
+      zoomBy(event.deltaY < 0 ? 1 : -1);
+      wheelTimer = setTimeout(() => {
+        wheelTimer = null;
+      }, 250);
+    }
+
+    /**
+     * Handle the zoom buttons.
+     * @param {MouseEvent} event - Click event.
+     */
+    function handleClick(event) {
+      const btn = event.target.closest('[data-zoom]');
+      if (btn) {
+        zoomBy(parseInt(btn.dataset.zoom, 10));
+      }
+    }
+
+    /**
+     * Suppress the long-press context menu on touch devices.
+     * @param {Event} event - Context menu event.
+     */
+    function handleContextMenu(event) {
+      event.preventDefault();
+    }
+
+    container.addEventListener('pointerdown', handlePointerDown);
+    container.addEventListener('pointermove', handlePointerMove);
+    container.addEventListener('pointerup', handlePointerUp);
+    container.addEventListener('pointercancel', handlePointerUp);
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    container.addEventListener('click', handleClick);
+    container.addEventListener('contextmenu', handleContextMenu);
+    global.addEventListener('resize', render);
+
+    /**
+     * Replace all pins on the map.
+     * @param {Array} list - Pins {id, lat, lon, label, className, draggable}.
+     */
+    function setMarkers(list) {
+      markerLayer.innerHTML = '';
+      markers = list.map((item) => {
+        const element = document.createElement('div');
+        element.className = `ccf-map-marker ${item.className || ''}`.trim();
+        element.title = item.label || '';
+        element.setAttribute('role', 'button');
+        element.setAttribute('aria-label', item.label || '');
+        markerLayer.appendChild(element);
+        return { ...item, element };
+      });
+      render();
+    }
+
+    /**
+     * Move the map to a new view.
+     * @param {Object} next - View {lat, lon, zoom}.
+     */
+    function setView(next) {
+      view.lat = next.lat;
+      view.lon = next.lon;
+      view.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, Math.round(next.zoom)));
+      render();
+    }
+
+    /**
+     * Fit the view around a set of points.
+     * @param {Array} points - Objects with lat and lon.
+     * @param {number} maxZoom - Zoom to use for a single point.
+     */
+    function fitBounds(points, maxZoom = 12) {
+      if (!points.length) return;
+      setView(fitPoints(points, container.clientWidth, container.clientHeight, maxZoom));
+    }
+
+    /**
+     * Remove listeners and clear the container.
+     */
+    function destroy() {
+      cancelLongPress();
+      clearTimeout(wheelTimer);
+      global.removeEventListener('resize', render);
+      container.removeEventListener('pointerdown', handlePointerDown);
+      container.removeEventListener('pointermove', handlePointerMove);
+      container.removeEventListener('pointerup', handlePointerUp);
+      container.removeEventListener('pointercancel', handlePointerUp);
+      container.removeEventListener('wheel', handleWheel);
+      container.removeEventListener('click', handleClick);
+      container.removeEventListener('contextmenu', handleContextMenu);
+      container.innerHTML = '';
+      tiles.clear();
+      markers = [];
+      pointers = new Map();
+    }
+
+    render();
+
+    return {
+      setMarkers,
+      setView,
+      fitBounds,
+      getView: () => ({ ...view }),
+      destroy,
+    };
+  }
+
+  // ============================================================
+  // EXPORT
+  // ============================================================
+
+  const ForecastMap = {
+    DEFAULT_TILE_URL,
+    MIN_ZOOM,
+    MAX_ZOOM,
+    project,
+    unproject,
+    create,
+  };
+
+  global.ForecastMap = ForecastMap;
+})(window);
@@ -0,0 +1,680 @@
+/**
+ * Cloud Cover Forecast - Sun Times and Photo Scoring
+ *
+ * Pure functions shared by the PWA and its service worker: sun event times,
+ * sunlight classes, photo scores, best shooting windows and alert rules.
+ *
+ * @package CloudCoverForecast
+ * @since 1.0.1
+ */
+
+(function (global) {
+  'use strict';
+
+  // ============================================================
+  // SUN TIMES
+  // ============================================================
+
+  /**
+   * Parse a time string to timestamp for a given date.
+   * @param {string} dateStr - Date string (YYYY-MM-DD).
+   * @param {string} timeStr - Time string (HH:MM).
+   * @param {string} timezone - Optional timezone identifier.
+   * @returns {number|null} Timestamp or null if invalid.
+   */
+  function parseTimeToTimestamp(dateStr, timeStr, timezone) {
+    if (!timeStr) return null;
+    // If timezone provided, create date in that timezone
+    if (timezone) {
+      // Parse the time components
+      const [hours, minutes] = timeStr.split(':').map(Number);
+      // Create a date string and use the timezone to get correct UTC time
+      const localDateStr = `${dateStr}T${timeStr}:00`;
+      // Create date object and get its representation in the target timezone
+      // We need to find what UTC time corresponds to this local time in the given timezone
+      const tempDate = new Date(localDateStr);
+      const utcDate = new Date(tempDate.toLocaleString('en-US', { timeZone: 'UTC' }));
+      const tzDate = new Date(tempDate.toLocaleString('en-US', { timeZone: timezone }));
+      const offset = utcDate.getTime() - tzDate.getTime();
+      const ts = tempDate.getTime() + offset;
+      return isNaN(ts) ? null : ts;
+    }
+    const ts = new Date(`${dateStr}T${timeStr}`).getTime();
+    return isNaN(ts) ? null : ts;
+  }
+
+  /**
+   * Get sunlight class based on is_day fallback.
+   * @param {Object} hour - Hour data.
+   * @returns {string} CSS class.
+   */
+  function getSunlightFallback(hour) {
+    if (hour.is_day === 1) return 'sunlight-day';
+    if (hour.is_day === 0) return 'sunlight-night';
+    return '';
+  }
+
+  /** One hour in milliseconds. */
+  const HOUR_MS = 60 * 60 * 1000;
+
+  /**
+   * Get the sun event timestamps for a day (blue hour, golden hour, sunrise, sunset).
+   * @param {Object} dayData - Daily data with sunrise/sunset/twilight info.
+   * @param {string} timezone - Timezone identifier.
+   * @returns {Object|null} Event timestamps, or null if sunrise/sunset are unavailable.
+   */
+  function getSunEventTimes(dayData, timezone) {
+    if (!dayData) return null;
+
+    const twilight = dayData.twilight || {};
+    const sunriseStr = twilight.sunrise || dayData.sunrise;
+    const sunsetStr = twilight.sunset || dayData.sunset;
+
+    if (!sunriseStr || !sunsetStr) return null;
+
+    const dateStr = dayData.date;
+    const sunriseTs = parseTimeToTimestamp(dateStr, sunriseStr, timezone);
+    const sunsetTs = parseTimeToTimestamp(dateStr, sunsetStr, timezone);
+
+    if (!sunriseTs || !sunsetTs) return null;
+
+    const BLUE_HOUR_MS = 60 * 60 * 1000; // 1 hour fallback for blue hour
+
+    // Blue hour boundaries - ensure at least 1 hour window so it's visible in hourly grid
+    const parsedCivilDawn = parseTimeToTimestamp(dateStr, twilight.civil_dawn, timezone);
+    const parsedCivilDusk = parseTimeToTimestamp(dateStr, twilight.civil_dusk, timezone);
+
+    return {
+      sunriseTs,
+      sunsetTs,
+      // Use earlier of parsed civil dawn or 1 hour before sunrise
+      civilDawnTs: parsedCivilDawn ? Math.min(parsedCivilDawn, sunriseTs - BLUE_HOUR_MS) : (sunriseTs - BLUE_HOUR_MS),
+      // Use later of parsed civil dusk or 1 hour after sunset (ensures blue hour shows in at least one column)
+      civilDuskTs: Math.max(parsedCivilDusk || 0, sunsetTs + BLUE_HOUR_MS),
+      // Golden hour boundaries
+      goldenMorningEnd: sunriseTs + HOUR_MS,
+      goldenEveningStart: sunsetTs - HOUR_MS,
+    };
+  }
+
+  /**
+   * Get sunlight class for an hour (including blue hour and golden hour).
+   * @param {Object} hour - Hour data.
+   * @param {Date} hourDate - Date object for this hour.
+   * @param {Object} dayData - Daily data with sunrise/sunset/twilight info.
+   * @returns {string} CSS class.
+   */
+  function getSunlightClass(hour, hourDate, dayData, timezone) {
+    const sun = getSunEventTimes(dayData, timezone);
+    if (!sun) {
+      return getSunlightFallback(hour);
+    }
+
+    const hourTs = hourDate.getTime();
+    const { civilDawnTs, sunriseTs, goldenMorningEnd, goldenEveningStart, sunsetTs, civilDuskTs } = sun;
+
+    // Determine sunlight class based on time of day
+    // Morning blue hour (before sunrise)
+    if (civilDawnTs && hourTs >= civilDawnTs && hourTs < sunriseTs) return 'sunlight-blue';
+    // Morning golden hour
+    if (hourTs >= sunriseTs && hourTs < goldenMorningEnd) return 'sunlight-golden';
+    // Daytime
+    if (hourTs >= goldenMorningEnd && hourTs < goldenEveningStart) return 'sunlight-day';
+    // Evening golden hour
+    if (hourTs >= goldenEveningStart && hourTs < sunsetTs) return 'sunlight-golden';
+    // Evening blue hour (after sunset)
+    if (civilDuskTs && hourTs >= sunsetTs && hourTs < civilDuskTs) return 'sunlight-blue';
+    // Astronomical darkness (no twilight left)
+    if (isAstroDark(hourDate, dayData, timezone)) return 'sunlight-astro-dark';
+
+    return 'sunlight-night';
+  }
+
+  /**
+   * Get astronomical dawn and dusk timestamps for a day.
+   * @param {Object} dayData - Daily data with twilight info.
+   * @param {string} timezone - Timezone identifier.
+   * @returns {Object|null} Object with astroDawnTs and astroDuskTs, or null if the sky never gets astro dark.
+   */
+  function getAstroTwilightTimes(dayData, timezone) {
+    const twilight = dayData?.twilight || {};
+    let astroDawnTs = parseTimeToTimestamp(dayData?.date, twilight.astronomical_dawn, timezone);
+    let astroDuskTs = parseTimeToTimestamp(dayData?.date, twilight.astronomical_dusk, timezone);
+    if (!astroDawnTs || !astroDuskTs) return null;
+
+    // Near midsummer at high latitudes dusk can fall after midnight, or dawn before it.
+    const sun = getSunEventTimes(dayData, timezone);
+    if (sun && astroDuskTs < sun.sunsetTs) astroDuskTs += 24 * HOUR_MS;
+    if (sun && astroDawnTs > sun.sunriseTs) astroDawnTs -= 24 * HOUR_MS;
+
+    return { astroDawnTs, astroDuskTs };
+  }
+
+  /**
+   * Check whether an hour falls in astronomical darkness.
+   * @param {Date} hourDate - Date object for this hour.
+   * @param {Object} dayData - Daily data for the hour's date.
+   * @param {string} timezone - Timezone identifier.
+   * @returns {boolean} True if the sun is more than 18 degrees below the horizon.
+   */
+  function isAstroDark(hourDate, dayData, timezone) {
+    const times = getAstroTwilightTimes(dayData, timezone);
+    if (!times) return false;
+
+    const hourTs = hourDate.getTime();
+    return hourTs < times.astroDawnTs || hourTs >= times.astroDuskTs;
+  }
+
+  /**
+   * Get the astronomical darkness period that starts on the evening of a day.
+   * @param {Object} dayData - Daily data for the evening (astronomical dusk).
+   * @param {Object} nextDayData - Daily data for the following morning (astronomical dawn).
+   * @param {string} timezone - Timezone identifier.
+   * @returns {Object|null} Object with startTs and endTs, or null if there is no astro dark.
+   */
+  function getAstroDarkTimes(dayData, nextDayData, timezone) {
+    const evening = getAstroTwilightTimes(dayData, timezone);
+    const morning = getAstroTwilightTimes(nextDayData, timezone);
+    if (!evening || !morning) return null;
+
+    const startTs = evening.astroDuskTs;
+    const endTs = morning.astroDawnTs;
+    return endTs > startTs ? { startTs, endTs } : null;
+  }
+
+  /**
+   * Get the sunlight class of every hour in a forecast, looking up each
+   * hour's day the same way the grid does.
+   * @param {Object} forecast - Forecast data.
+   * @returns {Array<string>} Sunlight CSS classes, one per hourly entry.
+   */
+  function getSunlightClasses(forecast) {
+    const timezone = forecast.location?.timezone;
+    const dailyByDate = {};
+    (forecast.daily || []).forEach((day) => {
+      dailyByDate[day.date] = day;
+    });
+
+    return (forecast.hourly || []).map((hour) => {
+      const hourDate = new Date(hour.time);
+      const dateStr = timezone
+        ? hourDate.toLocaleDateString('en-CA', { timeZone: timezone })
+        : hourDate.toISOString().split('T')[0];
+      return getSunlightClass(hour, hourDate, dailyByDate[dateStr], timezone);
+    });
+  }
+
+  // ============================================================
+  // SCORE WEIGHTS
+  // ============================================================
+
+  /** Default photo score weights (the original landscape formula). */
+  const DEFAULT_SCORE_WEIGHTS = {
+    cloudLow: 0.8,
+    cloudMid: 0.4,
+    cloudHigh: 0.3,
+    cloudHighGolden: 0.2,
+    cloudHighGoldenThreshold: 40,
+    rain: 0.5,
+    visibility: 1,
+    wind: 0.3,
+    windThreshold: 30,
+    goldenBonus: 15,
+    blueBonus: 10,
+    nightBonus: 0,
+  };
+
+  /** Weights for the built-in score profiles, keyed by profile ID. */
+  const SCORE_PROFILE_WEIGHTS = {
+    landscape: { ...DEFAULT_SCORE_WEIGHTS },
+    astro: {
+      ...DEFAULT_SCORE_WEIGHTS,
+      cloudMid: 0.6,
+      cloudHigh: 0.6,
+      cloudHighGolden: 0.6,
+      cloudHighGoldenThreshold: 0,
+      wind: 0.5,
+      windThreshold: 20,
+      goldenBonus: 0,
+      blueBonus: 0,
+      nightBonus: 10,
+    },
+    'milky-way': {
+      ...DEFAULT_SCORE_WEIGHTS,
+      cloudMid: 0.7,
+      cloudHigh: 0.8,
+      cloudHighGolden: 0.8,
+      cloudHighGoldenThreshold: 0,
+      visibility: 1.5,
+      wind: 0.5,
+      windThreshold: 15,
+      goldenBonus: 0,
+      blueBonus: 0,
+      nightBonus: 15,
+    },
+    storm: {
+      ...DEFAULT_SCORE_WEIGHTS,
+      cloudLow: 0.3,
+      cloudMid: -0.3,
+      cloudHigh: 0,
+      cloudHighGolden: 0,
+      rain: -0.2,
+      wind: -0.2,
+      blueBonus: 5,
+    },
+  };
+
+  /**
+   * Get the weights for a score profile from the stored profile list.
+   * Falls back to the built-in weights when the profile has never been edited.
+   * @param {Array} profiles - Stored score profiles.
+   * @param {string} profileId - Profile ID.
+   * @returns {Object} Score weights.
+   */
+  function getProfileWeights(profiles, profileId) {
+    const stored = Array.isArray(profiles) ? profiles.find((profile) => profile.id === profileId) : null;
+    if (stored) {
+      return { ...DEFAULT_SCORE_WEIGHTS, ...stored.weights };
+    }
+    return { ...(SCORE_PROFILE_WEIGHTS[profileId] || DEFAULT_SCORE_WEIGHTS) };
+  }
+
+  // ============================================================
+  // PHOTOGRAPHY SCORE CALCULATION
+  // ============================================================
+
+  /**
+   * Break the photography score for an hour down into the points each factor
+   * added or removed, starting from 100.
+   * @param {Object} hour - Hourly weather data.
+   * @param {string} sunlightClass - Current sunlight class (day, golden, blue, night).
+   * @param {Object} weights - Score weights (defaults to the landscape weights).
+   * @returns {Array<Object>} Factors with key and points, non-zero only.
+   */
+  function getPhotoScoreBreakdown(hour, sunlightClass, weights = DEFAULT_SCORE_WEIGHTS) {
+    const factors = [];
+
+    // Cloud penalty - low clouds are worst, high thin clouds can be good
+    const cloudLow = hour.cloud_low || 0;
+    const cloudMid = hour.cloud_mid || 0;
+    const cloudHigh = hour.cloud_high || 0;
+
+    // Low clouds heavily penalized (block light, featureless)
+    factors.push({ key: 'cloudLow', points: -cloudLow * weights.cloudLow });
+    // Mid clouds moderately penalized
+    factors.push({ key: 'cloudMid', points: -cloudMid * weights.cloudMid });
+    // High clouds less penalized (can create drama during golden hour)
+    if (sunlightClass === 'sunlight-golden' || sunlightClass === 'sunlight-blue') {
+      // High clouds during golden/blue hour can be beneficial
+      factors.push({ key: 'cloudHigh', points: -Math.max(0, cloudHigh - weights.cloudHighGoldenThreshold) * weights.cloudHighGolden });
+    } else {
+      factors.push({ key: 'cloudHigh', points: -cloudHigh * weights.cloudHigh });
+    }
+
+    // Rain penalty
+    const rainChance = hour.rain_chance || 0;
+    factors.push({ key: 'rain', points: -rainChance * weights.rain });
+
+    // Visibility penalty (poor visibility is bad), per 100m below 5km
+    const visibility = hour.visibility || 10000;
+    if (visibility < 5000) {
+      factors.push({ key: 'visibility', points: -((5000 - visibility) / 100) * weights.visibility });
+    }
+
+    // Wind penalty (affects long exposures and stability)
+    const windSpeed = hour.wind_speed || 0;
+    if (windSpeed > weights.windThreshold) {
+      factors.push({ key: 'wind', points: -(windSpeed - weights.windThreshold) * weights.wind });
+    }
+
+    // Bonus for golden/blue hour and night
+    if (sunlightClass === 'sunlight-golden') {
+      factors.push({ key: 'golden', points: weights.goldenBonus });
+    } else if (sunlightClass === 'sunlight-blue') {
+      factors.push({ key: 'blue', points: weights.blueBonus });
+    } else if (sunlightClass === 'sunlight-night' || sunlightClass === 'sunlight-astro-dark') {
+      factors.push({ key: 'night', points: weights.nightBonus });
+    }
+
+    return factors.filter((factor) => factor.points !== 0);
+  }
+
+  /**
+   * Calculate photography score for an hour (0-100).
+   * Higher scores indicate better conditions for photography.
+   * @param {Object} hour - Hourly weather data.
+   * @param {string} sunlightClass - Current sunlight class (day, golden, blue, night).
+   * @param {Object} weights - Score weights (defaults to the landscape weights).
+   * @returns {number} Score from 0-100.
+   */
+  function calculatePhotoScore(hour, sunlightClass, weights = DEFAULT_SCORE_WEIGHTS) {
+    const score = getPhotoScoreBreakdown(hour, sunlightClass, weights)
+      .reduce((total, factor) => total + factor.points, 100);
+
+    // Ensure score stays in range
+    return Math.max(0, Math.min(100, Math.round(score)));
+  }
+
+  /**
+   * Calculate dark sky score for an hour (0-100), for night sky photography.
+   * Combines cloud cover with moonlight and any remaining twilight.
+   * @param {Object} hour - Hourly weather data.
+   * @param {string} sunlightClass - Current sunlight class.
+   * @param {boolean} moonVisible - Whether the moon is above the horizon.
+   * @param {number} moonIllumination - Moon illumination percentage.
+   * @returns {number|null} Score from 0-100, or null during daylight and twilight before night.
+   */
+  function calculateDarkSkyScore(hour, sunlightClass, moonVisible, moonIllumination) {
+    if (sunlightClass !== 'sunlight-night' && sunlightClass !== 'sunlight-astro-dark') {
+      return null;
+    }
+
+    // Any cloud layer hides the stars
+    let score = 100 - (hour.cloud_total || 0);
+
+    // A full moon above the horizon washes out most of the sky
+    if (moonVisible) {
+      score *= 1 - ((moonIllumination || 0) / 100) * 0.8;
+    }
+
+    // Nautical/astronomical twilight still brightens the sky
+    if (sunlightClass === 'sunlight-night') {
+      score *= 0.5;
+    }
+
+    return Math.max(0, Math.min(100, Math.round(score)));
+  }
+
+  /**
+   * Calculate average photo score for a time window.
+   * @param {Array} hourly - Array of hourly data.
+   * @param {number} startIndex - Start index.
+   * @param {number} endIndex - End index.
+   * @param {Object} dayData - Daily data for sunlight calculation.
+   * @param {string} timezone - Timezone identifier.
+   * @param {Object} weights - Score weights.
+   * @returns {number} Average score.
+   */
+  function calculateWindowScore(hourly, startIndex, endIndex, dayData, timezone, weights = DEFAULT_SCORE_WEIGHTS) {
+    if (startIndex < 0 || endIndex > hourly.length || startIndex >= endIndex) {
+      return 0;
+    }
+
+    let totalScore = 0;
+    let count = 0;
+
+    for (let i = startIndex; i < endIndex; i++) {
+      const hour = hourly[i];
+      const hourDate = new Date(hour.time);
+      const sunlightClass = getSunlightClass(hour, hourDate, dayData, timezone);
+      totalScore += calculatePhotoScore(hour, sunlightClass, weights);
+      count++;
+    }
+
+    return count > 0 ? Math.round(totalScore / count) : 0;
+  }
+
+  /** Default number of windows returned by findBestWindows. */
+  const BEST_WINDOWS_LIMIT = 5;
+
+  /**
+   * Find the hourly index range covered by a time window.
+   * @param {Array} hourly - Array of hourly data.
+   * @param {number} startTs - Window start timestamp.
+   * @param {number} endTs - Window end timestamp (exclusive).
+   * @returns {Object|null} Object with startIndex and endIndex (exclusive), or null if no hours match.
+   */
+  function findHourRange(hourly, startTs, endTs) {
+    let startIndex = -1;
+    let endIndex = -1;
+
+    hourly.forEach((hour, index) => {
+      const hourTs = new Date(hour.time).getTime();
+      if (hourTs >= startTs && hourTs < endTs) {
+        if (startIndex === -1) startIndex = index;
+        endIndex = index + 1;
+      }
+    });
+
+    return startIndex === -1 ? null : { startIndex, endIndex };
+  }
+
+  /**
+   * Find the best shooting windows in a forecast.
+   * Scans every sunrise and sunset golden + blue hour and every night's
+   * astronomical darkness, and ranks them by average photo score.
+   * @param {Object} forecast - Forecast data.
+   * @param {number} limit - Maximum number of windows to return.
+   * @param {Object} weights - Score weights.
+   * @returns {Array} Windows sorted by score (best first).
+   */
+  function findBestWindows(forecast, limit = BEST_WINDOWS_LIMIT, weights = DEFAULT_SCORE_WEIGHTS) {
+    const hourly = forecast.hourly || [];
+    const daily = forecast.daily || [];
+    const timezone = forecast.location?.timezone;
+    const now = Date.now();
+    const windows = [];
+
+    daily.forEach((dayData, dayIndex) => {
+      const candidates = [];
+      const sun = getSunEventTimes(dayData, timezone);
+      if (sun) {
+        candidates.push({ type: 'sunrise', startTs: sun.civilDawnTs, endTs: sun.goldenMorningEnd });
+        candidates.push({ type: 'sunset', startTs: sun.goldenEveningStart, endTs: sun.civilDuskTs });
+      }
+      const astroDark = getAstroDarkTimes(dayData, daily[dayIndex + 1], timezone);
+      if (astroDark) {
+        candidates.push({ type: 'astro', ...astroDark });
+      }
+
+      candidates.forEach((candidate) => {
+        // Skip windows that are already over.
+        if (candidate.endTs <= now) return;
+
+        const range = findHourRange(hourly, candidate.startTs, candidate.endTs);
+        if (!range) return;
+
+        windows.push({
+          ...candidate,
+          ...range,
+          date: dayData.date,
+          score: calculateWindowScore(hourly, range.startIndex, range.endIndex, dayData, timezone, weights),
+        });
+      });
+    });
+
+    return windows
+      .sort((a, b) => b.score - a.score || a.startTs - b.startTs)
+      .slice(0, limit);
+  }
+
+  // ============================================================
+  // ALERT RULES
+  // ============================================================
+
+  /** Hour values an alert rule can test. */
+  const ALERT_METRICS = [
+    'cloud_total',
+    'cloud_low',
+    'cloud_mid',
+    'cloud_high',
+    'rain_chance',
+    'wind_speed',
+    'visibility',
+    'temperature',
+    'humidity',
+    'photo_score',
+    'frost',
+  ];
+
+  /** Times of day an alert rule can be limited to. */
+  const ALERT_PERIODS = ['any', 'day', 'sunrise', 'sunset', 'night', 'astro-dark'];
+
+  /**
+   * Check whether an hour falls in an alert rule's period.
+   * @param {Object} hour - Hourly weather data.
+   * @param {string} sunlightClass - Sunlight CSS class for the hour.
+   * @param {string} period - One of ALERT_PERIODS.
+   * @returns {boolean}
+   */
+  function isHourInPeriod(hour, sunlightClass, period) {
+    switch (period) {
+      case 'day':
+        return sunlightClass === 'sunlight-day' || sunlightClass === 'sunlight-golden';
+      case 'sunrise':
+      case 'sunset': {
+        if (sunlightClass !== 'sunlight-golden' && sunlightClass !== 'sunlight-blue') return false;
+        const isMorning = new Date(hour.time).getHours() < 12;
+        return period === 'sunrise' ? isMorning : !isMorning;
+      }
+      case 'night':
+        return sunlightClass === 'sunlight-night' || sunlightClass === 'sunlight-astro-dark';
+      case 'astro-dark':
+        return sunlightClass === 'sunlight-astro-dark';
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Get the value an alert rule compares for an hour.
+   * Visibility is compared in km, like the grid shows it.
+   * @param {Object} hour - Hourly weather data.
+   * @param {string} metric - One of ALERT_METRICS.
+   * @param {string} sunlightClass - Sunlight CSS class for the hour.
+   * @param {Object} weights - Score weights (for photo_score).
+   * @returns {number|null}
+   */
+  function getAlertMetricValue(hour, metric, sunlightClass, weights) {
+    if (metric === 'photo_score') return calculatePhotoScore(hour, sunlightClass, weights);
+    if (metric === 'visibility') return hour.visibility != null ? hour.visibility / 1000 : null;
+    return hour[metric] != null ? hour[metric] : null;
+  }
+
+  /**
+   * Check whether a single hour satisfies an alert rule.
+   * @param {Object} hour - Hourly weather data.
+   * @param {string} sunlightClass - Sunlight CSS class for the hour.
+   * @param {Object} rule - Alert rule {metric, op, value, period, minHours}.
+   * @param {Object} weights - Score weights.
+   * @returns {boolean}
+   */
+  function hourMatchesRule(hour, sunlightClass, rule, weights) {
+    if (!isHourInPeriod(hour, sunlightClass, rule.period)) return false;
+    if (rule.metric === 'frost') return !hour.frost;
+
+    const value = getAlertMetricValue(hour, rule.metric, sunlightClass, weights);
+    if (value == null) return false;
+    return rule.op === 'above' ? value > rule.value : value < rule.value;
+  }
+
+  /**
+   * Find upcoming runs of hours that satisfy a location's alert rules.
+   * Each rule is evaluated on its own; a run must last at least the rule's
+   * minimum number of consecutive hours.
+   * @param {Object} forecast - Forecast data.
+   * @param {Array} rules - Alert rules.
+   * @param {Object} weights - Score weights.
+   * @returns {Array} Matches {ruleIndex, startIndex, endIndex, startTs}, earliest first.
+   */
+  function findRuleMatches(forecast, rules, weights = DEFAULT_SCORE_WEIGHTS) {
+    const hourly = forecast.hourly || [];
+    if (!rules || rules.length === 0 || hourly.length === 0) return [];
+
+    // Sunlight classes are shared by every rule, so work them out once.
+    const sunlightClasses = getSunlightClasses(forecast);
+
+    const now = Date.now();
+    const matches = [];
+
+    rules.forEach((rule, ruleIndex) => {
+      const minHours = Math.max(1, rule.minHours || 1);
+      let runStart = -1;
+
+      for (let i = 0; i <= hourly.length; i++) {
+        const isMatch = i < hourly.length && hourMatchesRule(hourly[i], sunlightClasses[i], rule, weights);
+        if (isMatch) {
+          if (runStart === -1) runStart = i;
+          continue;
+        }
+        if (runStart === -1) continue;
+
+        // Skip runs that are already over.
+        const endTs = new Date(hourly[i - 1].time).getTime() + HOUR_MS;
+        if (i - runStart >= minHours && endTs > now) {
+          matches.push({
+            ruleIndex,
+            startIndex: runStart,
+            endIndex: i,
+            startTs: new Date(hourly[runStart].time).getTime(),
+          });
+        }
+        runStart = -1;
+      }
+    });
+
+    return matches.sort((a, b) => a.startTs - b.startTs || a.ruleIndex - b.ruleIndex);
+  }
+
+  /**
+   * Copy a location's alert rules for editing, so edits that are cancelled
+   * never reach the saved location.
+   * @param {Array} rules - Alert rules.
+   * @returns {Array} Copies of the rules.
+   */
+  function copyAlertRules(rules) {
+    return (rules || []).map((rule) => ({ ...rule }));
+  }
+
+  /**
+   * Change fields of one alert rule without touching the list it came from.
+   * @param {Array} rules - Alert rules.
+   * @param {number} index - Rule index.
+   * @param {Object} changes - Fields to set.
+   * @returns {Array} New list of rules.
+   */
+  function updateAlertRule(rules, index, changes) {
+    return rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule));
+  }
+
+  // ============================================================
+  // EXPORT
+  // ============================================================
+
+  const ForecastScore = {
+    // Sun times.
+    HOUR_MS,
+    parseTimeToTimestamp,
+    getSunEventTimes,
+    getSunlightClass,
+    getAstroTwilightTimes,
+    isAstroDark,
+    getAstroDarkTimes,
+    getSunlightClasses,
+
+    // Score weights.
+    DEFAULT_SCORE_WEIGHTS,
+    SCORE_PROFILE_WEIGHTS,
+    getProfileWeights,
+
+    // Scores.
+    getPhotoScoreBreakdown,
+    calculatePhotoScore,
+    calculateDarkSkyScore,
+    calculateWindowScore,
+    BEST_WINDOWS_LIMIT,
+    findHourRange,
+    findBestWindows,
+
+    // Alert rules.
+    ALERT_METRICS,
+    ALERT_PERIODS,
+    hourMatchesRule,
+    findRuleMatches,
+    copyAlertRules,
+    updateAlertRule,
+  };
+
+  // Export to global scope (window in the app, self in the service worker).
+  global.ForecastScore = ForecastScore;
+})(typeof window !== 'undefined' ? window : self);
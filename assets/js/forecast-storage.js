@@ -1,7 +1,8 @@
 /**
  * Cloud Cover Forecast - IndexedDB Storage Layer
  *
- * Provides persistent storage for saved locations, settings, and cached forecasts.
+ * Provides persistent storage for saved locations, settings, cached forecasts,
+ * forecast history, sky observations and trips, and backups of them.
  *
  * @package CloudCoverForecast
  * @since 1.0.0
@@ -11,18 +12,199 @@
   'use strict';
 
   const DB_NAME = 'CloudCoverForecastDB';
-  const DB_VERSION = 1;
 
   // Store names.
   const STORES = {
     LOCATIONS: 'locations',
     SETTINGS: 'settings',
     FORECAST_CACHE: 'forecastCache',
+    FORECAST_HISTORY: 'forecastHistory',
+    OBSERVATIONS: 'observations',
+    TRIPS: 'trips',
   };
 
+  // Settings key holding the copy of user data taken before the last migration.
+  const MIGRATION_BACKUP_KEY = 'migrationBackup';
+
   let db = null;
   let dbReady = null;
 
+  // ============================================================
+  // MIGRATIONS
+  // ============================================================
+
+  /**
+   * Schema migrations, oldest first. Each one upgrades the database from the
+   * previous version to its own `version` and may return a promise while it
+   * rewrites records. Never change a migration that has shipped; add a new one.
+   */
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Create locations, settings and forecast cache stores',
+      upgrade(database) {
+        const locationStore = database.createObjectStore(STORES.LOCATIONS, {
+          keyPath: 'id',
+          autoIncrement: true,
+        });
+        locationStore.createIndex('name', 'name', { unique: false });
+        locationStore.createIndex('isHome', 'isHome', { unique: false });
+
+        database.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+
+        const cacheStore = database.createObjectStore(STORES.FORECAST_CACHE, {
+          keyPath: 'locationId',
+        });
+        cacheStore.createIndex('timestamp', 'timestamp', { unique: false });
+      },
+    },
+    {
+      version: 2,
+      description: 'Give every location an alert rules list',
+      upgrade(database, tx) {
+        return updateRecords(tx.objectStore(STORES.LOCATIONS), (location) => (
+          Array.isArray(location.alertRules) ? null : { ...location, alertRules: [] }
+        ));
+      },
+    },
+    {
+      version: 3,
+      description: 'Add forecast history snapshots',
+      upgrade(database) {
+        const historyStore = database.createObjectStore(STORES.FORECAST_HISTORY, {
+          keyPath: 'id',
+          autoIncrement: true,
+        });
+        historyStore.createIndex('locationFetchedAt', ['locationId', 'fetchedAt'], { unique: false });
+        historyStore.createIndex('fetchedAt', 'fetchedAt', { unique: false });
+      },
+    },
+    {
+      version: 4,
+      description: 'Add sky observations',
+      upgrade(database) {
+        const observationStore = database.createObjectStore(STORES.OBSERVATIONS, {
+          keyPath: 'id',
+          autoIncrement: true,
+        });
+        observationStore.createIndex('locationId', 'locationId', { unique: false });
+      },
+    },
+    {
+      version: 5,
+      description: 'Tag locations',
+      upgrade(database, tx) {
+        const locationStore = tx.objectStore(STORES.LOCATIONS);
+        locationStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+        return updateRecords(locationStore, (location) => (
+          Array.isArray(location.tags) ? null : { ...location, tags: [] }
+        ));
+      },
+    },
+    {
+      version: 6,
+      description: 'Add trips',
+      upgrade(database) {
+        const tripStore = database.createObjectStore(STORES.TRIPS, {
+          keyPath: 'id',
+          autoIncrement: true,
+        });
+        tripStore.createIndex('startDate', 'startDate', { unique: false });
+      },
+    },
+  ];
+
+  const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  /**
+   * Wrap an IDBRequest in a promise.
+   * @param {IDBRequest} request - Request.
+   * @returns {Promise<*>} Request result.
+   */
+  function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Rewrite every record in a store. Migration helper.
+   * @param {IDBObjectStore} store - Object store (in the upgrade transaction).
+   * @param {Function} transform - Receives a record; returns the updated record, or null to leave it.
+   * @returns {Promise}
+   */
+  function updateRecords(store, transform) {
+    return new Promise((resolve, reject) => {
+      const request = store.openCursor();
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        const updated = transform(cursor.value);
+        if (updated) {
+          cursor.update(updated);
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Copy saved locations and settings into the settings store before an
+   * existing database is migrated, so they can be recovered if a migration
+   * mangles them. Only the most recent copy is kept.
+   * @param {IDBTransaction} tx - Upgrade transaction.
+   * @param {number} fromVersion - Version being migrated from.
+   * @returns {Promise}
+   */
+  async function saveMigrationBackup(tx, fromVersion) {
+    const storeNames = tx.objectStoreNames;
+    if (!storeNames.contains(STORES.LOCATIONS) || !storeNames.contains(STORES.SETTINGS)) {
+      return;
+    }
+
+    const settingsStore = tx.objectStore(STORES.SETTINGS);
+    const locations = await promisifyRequest(tx.objectStore(STORES.LOCATIONS).getAll());
+    const settings = await promisifyRequest(settingsStore.getAll());
+
+    await promisifyRequest(settingsStore.put({
+      key: MIGRATION_BACKUP_KEY,
+      value: {
+        fromVersion,
+        toVersion: DB_VERSION,
+        createdAt: Date.now(),
+        locations,
+        settings: settings
+          .filter((setting) => setting.key !== MIGRATION_BACKUP_KEY)
+          .map(({ key, value }) => ({ key, value })),
+      },
+      updatedAt: Date.now(),
+    }));
+  }
+
+  /**
+   * Run every migration newer than the database's current version.
+   * @param {IDBDatabase} database - Database being upgraded.
+   * @param {IDBTransaction} tx - Upgrade transaction.
+   * @param {number} oldVersion - Version before the upgrade (0 for a new database).
+   * @returns {Promise}
+   */
+  async function runMigrations(database, tx, oldVersion) {
+    if (oldVersion > 0) {
+      await saveMigrationBackup(tx, oldVersion);
+    }
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version > oldVersion) {
+        await migration.upgrade(database, tx);
+      }
+    }
+  }
+
   /**
    * Open the IndexedDB database.
    * @returns {Promise<IDBDatabase>}
@@ -37,40 +219,37 @@
 
       request.onupgradeneeded = (event) => {
         const database = event.target.result;
+        const tx = event.target.transaction;
 
-        // Locations store.
-        if (!database.objectStoreNames.contains(STORES.LOCATIONS)) {
-          const locationStore = database.createObjectStore(STORES.LOCATIONS, {
-            keyPath: 'id',
-            autoIncrement: true,
-          });
-          locationStore.createIndex('name', 'name', { unique: false });
-          locationStore.createIndex('isHome', 'isHome', { unique: false });
-        }
-
-        // Settings store.
-        if (!database.objectStoreNames.contains(STORES.SETTINGS)) {
-          database.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
-        }
-
-        // Forecast cache store.
-        if (!database.objectStoreNames.contains(STORES.FORECAST_CACHE)) {
-          const cacheStore = database.createObjectStore(STORES.FORECAST_CACHE, {
-            keyPath: 'locationId',
-          });
-          cacheStore.createIndex('timestamp', 'timestamp', { unique: false });
-        }
+        // A failed migration aborts the whole upgrade, leaving the old data intact.
+        runMigrations(database, tx, event.oldVersion).catch((err) => {
+          console.error('IndexedDB migration failed:', err);
+          tx.abort();
+        });
       };
 
       request.onsuccess = (event) => {
         db = event.target.result;
+
+        // Let a newer version in another tab (or the service worker) upgrade.
+        db.onversionchange = () => {
+          db.close();
+          db = null;
+          dbReady = null;
+        };
+
         resolve(db);
       };
 
       request.onerror = (event) => {
         console.error('IndexedDB error:', event.target.error);
+        dbReady = null;
         reject(event.target.error);
       };
+
+      request.onblocked = () => {
+        console.warn('IndexedDB upgrade is waiting for other open tabs to close.');
+      };
     });
 
     return dbReady;
@@ -100,6 +279,23 @@
   // LOCATIONS
   // ============================================================
 
+  /** Longest tag kept, in characters. */
+  const MAX_TAG_LENGTH = 30;
+
+  /**
+   * Clean up a list of location tags: trimmed, lower case, no duplicates.
+   * @param {Array<string>|string} tags - Tags, or a comma-separated string.
+   * @returns {Array<string>} Tags.
+   */
+  function normalizeTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+    const cleaned = list
+      .filter((tag) => typeof tag === 'string')
+      .map((tag) => tag.trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_TAG_LENGTH))
+      .filter(Boolean);
+    return [...new Set(cleaned)];
+  }
+
   /**
    * Save a location.
    * @param {Object} location - Location object with lat, lon, name.
@@ -117,6 +313,7 @@
         const isFirst = countRequest.result === 0;
         const locationData = {
           ...location,
+          tags: normalizeTags(location.tags),
           isHome: isFirst || location.isHome || false,
           createdAt: location.createdAt || Date.now(),
           updatedAt: Date.now(),
@@ -184,6 +381,31 @@
     });
   }
 
+  /**
+   * Get every tag in use with the number of locations carrying it.
+   * @returns {Promise<Array>} Objects with tag and count, sorted by tag.
+   */
+  async function getLocationTags() {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(STORES.LOCATIONS, 'readonly');
+      const index = tx.objectStore(STORES.LOCATIONS).index('tags');
+      const counts = new Map();
+      const request = index.openKeyCursor();
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve([...counts].map(([tag, count]) => ({ tag, count })));
+          return;
+        }
+        counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * Get the home location.
    * @returns {Promise<Object|null>} Home location or null.
@@ -295,13 +517,32 @@
     });
   }
 
+  /**
+   * Get the copy of user data taken before the last schema migration.
+   * @returns {Promise<Object|null>} Backup with fromVersion, toVersion, createdAt, locations and settings.
+   */
+  function getMigrationBackup() {
+    return getSetting(MIGRATION_BACKUP_KEY, null);
+  }
+
   // ============================================================
   // FORECAST CACHE
   // ============================================================
 
+  /**
+   * Get the cache key for an unsaved location. Coordinates are rounded to
+   * two decimals (about 1 km) so repeat lookups of the same spot share an entry.
+   * @param {number} lat - Latitude.
+   * @param {number} lon - Longitude.
+   * @returns {string} Cache key.
+   */
+  function getCoordsCacheKey(lat, lon) {
+    return `${lat.toFixed(2)},${lon.toFixed(2)}`;
+  }
+
   /**
    * Cache forecast data for a location.
-   * @param {number} locationId - Location ID.
+   * @param {number|string} locationId - Location ID, or a key from getCoordsCacheKey().
    * @param {Object} data - Forecast data.
    * @returns {Promise}
    */
@@ -323,7 +564,7 @@
 
   /**
    * Get cached forecast for a location.
-   * @param {number} locationId - Location ID.
+   * @param {number|string} locationId - Location ID, or a key from getCoordsCacheKey().
    * @param {number} maxAge - Maximum cache age in milliseconds (default 15 min).
    * @returns {Promise<Object|null>} Cached forecast or null.
    */
@@ -353,6 +594,43 @@
     });
   }
 
+  /**
+   * Get the cached forecast entry for a location, however old it is.
+   * @param {number|string} locationId - Location ID, or a key from getCoordsCacheKey().
+   * @returns {Promise<Object|null>} Entry with data and timestamp, or null.
+   */
+  async function getCachedForecastEntry(locationId) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(STORES.FORECAST_CACHE, 'readonly');
+      const store = tx.objectStore(STORES.FORECAST_CACHE);
+      const request = store.get(locationId);
+
+      request.onsuccess = () => {
+        const cached = request.result;
+        resolve(cached ? { data: cached.data, timestamp: cached.timestamp } : null);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete the cached forecast for a location.
+   * @param {number|string} locationId - Location ID, or a key from getCoordsCacheKey().
+   * @returns {Promise}
+   */
+  async function deleteCachedForecast(locationId) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(STORES.FORECAST_CACHE, 'readwrite');
+      const store = tx.objectStore(STORES.FORECAST_CACHE);
+      const request = store.delete(locationId);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * Clear all cached forecasts.
    * @returns {Promise}
@@ -397,13 +675,330 @@
     });
   }
 
+  // ============================================================
+  // FORECAST HISTORY
+  // ============================================================
+
+  // Minimum time between two snapshots of the same location.
+  const SNAPSHOT_INTERVAL = 60 * 60 * 1000;
+
+  /**
+   * Get the key range covering one location in the locationFetchedAt index.
+   * @param {number} locationId - Location ID.
+   * @returns {IDBKeyRange}
+   */
+  function locationHistoryRange(locationId) {
+    return IDBKeyRange.bound([locationId, 0], [locationId, Infinity]);
+  }
+
+  /**
+   * Keep a snapshot of a location's predicted cloud cover, so the forecast
+   * for an hour can later be compared across lead times. Snapshots closer
+   * together than SNAPSHOT_INTERVAL are skipped.
+   * @param {number} locationId - Saved location ID.
+   * @param {Object} forecast - Forecast data.
+   * @returns {Promise<boolean>} Whether a snapshot was stored.
+   */
+  async function addForecastSnapshot(locationId, forecast) {
+    const database = await openDatabase();
+    const fetchedAt = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(STORES.FORECAST_HISTORY, 'readwrite');
+      const store = tx.objectStore(STORES.FORECAST_HISTORY);
+      const latestRequest = store.index('locationFetchedAt').openCursor(locationHistoryRange(locationId), 'prev');
+      let stored = false;
+
+      latestRequest.onsuccess = (event) => {
+        const latest = event.target.result;
+        if (latest && fetchedAt - latest.value.fetchedAt < SNAPSHOT_INTERVAL) {
+          return;
+        }
+
+        store.add({
+          locationId,
+          fetchedAt,
+          timezone: forecast.location?.timezone || null,
+          hours: (forecast.hourly || []).map((hour) => [hour.time, hour.cloud_total]),
+        });
+        stored = true;
+      };
+
+      tx.oncomplete = () => resolve(stored);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Get all forecast snapshots for a location, oldest first.
+   * @param {number} locationId - Location ID.
+   * @returns {Promise<Array>} Snapshots {locationId, fetchedAt, timezone, hours: [[time, cloudTotal]]}.
+   */
+  async function getForecastHistory(locationId) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(STORES.FORECAST_HISTORY, 'readonly');
+      const store = tx.objectStore(STORES.FORECAST_HISTORY);
+      const request = store.index('locationFetchedAt').getAll(locationHistoryRange(locationId));
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete all forecast snapshots for a location.
+   * @param {number} locationId - Location ID.
+   * @returns {Promise}
+   */
+  async function deleteForecastHistory(locationId) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(STORES.FORECAST_HISTORY, 'readwrite');
+      const store = tx.objectStore(STORES.FORECAST_HISTORY);
+      const request = store.index('locationFetchedAt').openCursor(locationHistoryRange(locationId));
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Delete forecast snapshots older than maxAge.
+   * @param {number} maxAge - Maximum snapshot age in milliseconds.
+   * @returns {Promise}
+   */
+  async function cleanForecastHistory(maxAge = 14 * 24 * 60 * 60 * 1000) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(STORES.FORECAST_HISTORY, 'readwrite');
+      const store = tx.objectStore(STORES.FORECAST_HISTORY);
+      const range = IDBKeyRange.upperBound(Date.now() - maxAge);
+
+      const request = store.index('fetchedAt').openCursor(range);
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // ============================================================
+  // OBSERVATIONS
+  // ============================================================
+
+  /**
+   * Save a sky observation.
+   * @param {Object} observation - Observation with locationId, time and ratings.
+   * @returns {Promise<number>} Observation ID.
+   */
+  async function saveObservation(observation) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(STORES.OBSERVATIONS, 'readwrite');
+      const store = tx.objectStore(STORES.OBSERVATIONS);
+      const data = {
+        ...observation,
+        createdAt: observation.createdAt || Date.now(),
+        updatedAt: Date.now(),
+      };
+      const request = observation.id ? store.put(data) : store.add(data);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get sky observations, oldest hour first.
+   * @param {number} [locationId] - Only this location's observations.
+   * @returns {Promise<Array>} Observations.
+   */
+  async function getObservations(locationId) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(STORES.OBSERVATIONS, 'readonly');
+      const store = tx.objectStore(STORES.OBSERVATIONS);
+      const request = locationId != null
+        ? store.index('locationId').getAll(locationId)
+        : store.getAll();
+
+      request.onsuccess = () => {
+        resolve(request.result.sort((a, b) => a.time.localeCompare(b.time)));
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete a sky observation.
+   * @param {number} id - Observation ID.
+   * @returns {Promise}
+   */
+  async function deleteObservation(id) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(STORES.OBSERVATIONS, 'readwrite');
+      const store = tx.objectStore(STORES.OBSERVATIONS);
+      const request = store.delete(id);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // ============================================================
+  // TRIPS
+  // ============================================================
+
+  /**
+   * Save a trip.
+   * @param {Object} trip - Trip with name, startDate, endDate and nights.
+   * @returns {Promise<number>} Trip ID.
+   */
+  async function saveTrip(trip) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(STORES.TRIPS, 'readwrite');
+      const store = tx.objectStore(STORES.TRIPS);
+      const data = {
+        ...trip,
+        createdAt: trip.createdAt || Date.now(),
+        updatedAt: Date.now(),
+      };
+      const request = trip.id ? store.put(data) : store.add(data);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get all trips, earliest first.
+   * @returns {Promise<Array>} Trips.
+   */
+  async function getTrips() {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(STORES.TRIPS, 'readonly');
+      const request = tx.objectStore(STORES.TRIPS).index('startDate').getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete a trip.
+   * @param {number} id - Trip ID.
+   * @returns {Promise}
+   */
+  async function deleteTrip(id) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(STORES.TRIPS, 'readwrite');
+      const store = tx.objectStore(STORES.TRIPS);
+      const request = store.delete(id);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // ============================================================
+  // BACKUP
+  // ============================================================
+
+  /** Stores left out of backups: both are rebuilt from fresh forecasts. */
+  const BACKUP_EXCLUDED_STORES = [STORES.FORECAST_CACHE, STORES.FORECAST_HISTORY];
+
+  /** Settings that only mean something on the device that wrote them. */
+  const DEVICE_SETTINGS = [MIGRATION_BACKUP_KEY, 'notifiedWindows', 'lastBackgroundRefresh', 'activeTripId', 'sortOrigin'];
+
+  /**
+   * Read every record worth backing up, by store. New stores are included
+   * automatically unless listed in BACKUP_EXCLUDED_STORES.
+   * @returns {Promise<Object>} Records by store name; settings as {key, value}.
+   */
+  async function exportStores() {
+    const database = await openDatabase();
+    const storeNames = Array.from(database.objectStoreNames)
+      .filter((name) => !BACKUP_EXCLUDED_STORES.includes(name));
+
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(storeNames, 'readonly');
+      const stores = {};
+
+      storeNames.forEach((name) => {
+        const request = tx.objectStore(name).getAll();
+        request.onsuccess = () => {
+          stores[name] = name === STORES.SETTINGS
+            ? request.result
+              .filter((setting) => !DEVICE_SETTINGS.includes(setting.key))
+              .map(({ key, value }) => ({ key, value }))
+            : request.result;
+        };
+      });
+
+      tx.oncomplete = () => resolve(stores);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Add records to a store in one transaction. Keys of auto-increment stores
+   * are dropped so each record gets a new one.
+   * @param {string} storeName - Store name.
+   * @param {Array<Object>} records - Records.
+   * @returns {Promise<Array>} Keys of the added records, in order.
+   */
+  async function addRecords(storeName, records) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(storeName, 'readwrite');
+      const store = tx.objectStore(storeName);
+      const keys = [];
+
+      records.forEach((record, index) => {
+        const data = { ...record };
+        if (store.autoIncrement && typeof store.keyPath === 'string') {
+          delete data[store.keyPath];
+        }
+        const request = store.add(data);
+        request.onsuccess = () => {
+          keys[index] = request.result;
+        };
+      });
+
+      tx.oncomplete = () => resolve(keys);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
   // ============================================================
   // EXPORT
   // ============================================================
 
   const ForecastStorage = {
     // Database.
+    DB_VERSION,
+    MIGRATIONS,
     openDatabase,
+    getMigrationBackup,
 
     // Locations.
     saveLocation,
@@ -413,18 +1008,44 @@
     setHomeLocation,
     deleteLocation,
     updateLocation,
+    normalizeTags,
+    getLocationTags,
 
     // Settings.
     getSetting,
     setSetting,
 
     // Forecast cache.
+    getCoordsCacheKey,
     cacheForecast,
     getCachedForecast,
+    getCachedForecastEntry,
+    deleteCachedForecast,
     clearForecastCache,
     cleanExpiredCache,
+
+    // Forecast history.
+    addForecastSnapshot,
+    getForecastHistory,
+    deleteForecastHistory,
+    cleanForecastHistory,
+
+    // Observations.
+    saveObservation,
+    getObservations,
+    deleteObservation,
+
+    // Trips.
+    saveTrip,
+    getTrips,
+    deleteTrip,
+
+    // Backup.
+    STORES,
+    exportStores,
+    addRecords,
   };
 
-  // Export to global scope.
+  // Export to global scope (window in the app, self in the service worker).
   global.ForecastStorage = ForecastStorage;
-})(window);
+})(typeof window !== 'undefined' ? window : self);
@@ -254,15 +254,17 @@ class Cloud_Cover_Forecast_Plugin {
 	 */
 	public static function get_defaults(): array {
 		return array(
-			'lat'             => '51.8986', // Cork default
-			'lon'             => '-8.4756',
-			'hours'           => 48,
-			'cache_ttl'       => 15, // minutes
-			'show_chart'      => 1,
-			'provider'        => 'open-meteo',
-			'astro_api_key'   => '', // IPGeolocation API key for moon data
-			'pwa_path'        => 'forecast-app', // PWA URL path (without slashes)
-			'pwa_noindex'     => 1, // Discourage search engine indexing
+			'lat'                 => '51.8986', // Cork default
+			'lon'                 => '-8.4756',
+			'hours'               => 48,
+			'cache_ttl'           => 15, // minutes
+			'show_chart'          => 1,
+			'provider'            => 'open-meteo',
+			'astro_api_key'       => '', // IPGeolocation API key for moon data
+			'pwa_path'            => 'forecast-app', // PWA URL path (without slashes)
+			'pwa_noindex'         => 1, // Discourage search engine indexing
+			'pwa_map_tile_url'    => 'https://tile.openstreetmap.org/{z}/{x}/{y}.png', // Map tile URL template
+			'pwa_map_attribution' => '© OpenStreetMap contributors',
 		);
 	}
 
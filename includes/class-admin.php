@@ -166,6 +166,22 @@ class Cloud_Cover_Forecast_Admin {
 			'cloud-cover-forecast-settings',
 			'cloud_cover_forecast_pwa'
 		);
+
+		add_settings_field(
+			'cloud_cover_forecast_pwa_map_tile_url',
+			__( 'Map Tile URL', 'cloud-cover-forecast' ),
+			array( $this, 'render_pwa_map_tile_url_field' ),
+			'cloud-cover-forecast-settings',
+			'cloud_cover_forecast_pwa'
+		);
+
+		add_settings_field(
+			'cloud_cover_forecast_pwa_map_attribution',
+			__( 'Map Attribution', 'cloud-cover-forecast' ),
+			array( $this, 'render_pwa_map_attribution_field' ),
+			'cloud-cover-forecast-settings',
+			'cloud_cover_forecast_pwa'
+		);
 	}
 
 	/**
@@ -570,6 +586,40 @@ class Cloud_Cover_Forecast_Admin {
 		'</p>';
 	}
 
+	/**
+	 * Render PWA map tile URL field
+	 *
+	 * @since 1.0.0
+	 */
+	public function render_pwa_map_tile_url_field() {
+		$opts = $this->plugin->get_settings();
+		printf(
+			'<input type="text" name="%1$s[pwa_map_tile_url]" value="%2$s" class="large-text code" />',
+			esc_attr( $this->plugin::OPTION_KEY ),
+			esc_attr( $opts['pwa_map_tile_url'] )
+		);
+		echo '<p class="description">' .
+			esc_html__( 'Tile URL template for the map in the Locations tab. Must contain {z}, {x} and {y}; {s} is replaced with a subdomain. Point this at a local tile server to keep map requests off third-party servers.', 'cloud-cover-forecast' ) .
+		'</p>';
+	}
+
+	/**
+	 * Render PWA map attribution field
+	 *
+	 * @since 1.0.0
+	 */
+	public function render_pwa_map_attribution_field() {
+		$opts = $this->plugin->get_settings();
+		printf(
+			'<input type="text" name="%1$s[pwa_map_attribution]" value="%2$s" class="regular-text" />',
+			esc_attr( $this->plugin::OPTION_KEY ),
+			esc_attr( $opts['pwa_map_attribution'] )
+		);
+		echo '<p class="description">' .
+			esc_html__( 'Credit line shown in the corner of the map, as required by most tile providers.', 'cloud-cover-forecast' ) .
+		'</p>';
+	}
+
 	/**
 	 * Render clear cache field
 	 *
@@ -731,6 +781,19 @@ class Cloud_Cover_Forecast_Admin {
 
 		$out['pwa_noindex'] = ! empty( $input['pwa_noindex'] ) ? 1 : 0;
 
+		// Map tile URL: esc_url_raw() would strip the {z}/{x}/{y} placeholders, so validate the shape instead
+		if ( isset( $input['pwa_map_tile_url'] ) ) {
+			$tile_url = trim( sanitize_text_field( $input['pwa_map_tile_url'] ) );
+			$has_placeholders = false !== strpos( $tile_url, '{z}' ) && false !== strpos( $tile_url, '{x}' ) && false !== strpos( $tile_url, '{y}' );
+			if ( preg_match( '#^(https?://|/)#i', $tile_url ) && $has_placeholders ) {
+				$out['pwa_map_tile_url'] = $tile_url;
+			}
+		}
+
+		if ( isset( $input['pwa_map_attribution'] ) ) {
+			$out['pwa_map_attribution'] = sanitize_text_field( $input['pwa_map_attribution'] );
+		}
+
 		return $out;
 	}
 
@@ -71,6 +71,28 @@ class Cloud_Cover_Forecast_PWA {
 		return ! empty( $settings['pwa_noindex'] );
 	}
 
+	/**
+	 * Get the map tile URL template from settings
+	 *
+	 * @since 1.0.0
+	 * @return string Tile URL template with {z}, {x} and {y} placeholders.
+	 */
+	public function get_map_tile_url() {
+		$settings = $this->plugin->get_settings();
+		return $settings['pwa_map_tile_url'];
+	}
+
+	/**
+	 * Get the map attribution text from settings
+	 *
+	 * @since 1.0.0
+	 * @return string Attribution text.
+	 */
+	public function get_map_attribution() {
+		$settings = $this->plugin->get_settings();
+		return $settings['pwa_map_attribution'];
+	}
+
 	/**
 	 * Initialize PWA functionality
 	 *
@@ -220,6 +242,11 @@ class Cloud_Cover_Forecast_PWA {
 		$sw_content = str_replace( '/forecast-app/', '/' . $endpoint . '/', $sw_content );
 		$sw_content = str_replace( '/forecast-app', '/' . $endpoint, $sw_content );
 
+		// Point asset paths and the background refresh at this install.
+		$plugin_path = wp_parse_url( CLOUD_COVER_FORECAST_PLUGIN_URL, PHP_URL_PATH );
+		$sw_content  = str_replace( '/wp-content/plugins/cloud-cover-forecast/', trailingslashit( $plugin_path ), $sw_content );
+		$sw_content  = str_replace( "'/wp-admin/admin-ajax.php'", wp_json_encode( $this->get_ajax_url() ), $sw_content );
+
 		header( 'Content-Type: application/javascript' );
 		header( 'Cache-Control: no-cache' );
 		header( 'Service-Worker-Allowed: /' );
@@ -3,7 +3,7 @@
  * Provides offline support and caching for the forecast app.
  */
 
-const CACHE_VERSION = 'v20';
+const CACHE_VERSION = 'v37';
 const STATIC_CACHE = `ccf-static-${CACHE_VERSION}`;
 const DYNAMIC_CACHE = `ccf-dynamic-${CACHE_VERSION}`;
 const API_CACHE = `ccf-api-${CACHE_VERSION}`;
@@ -14,8 +14,23 @@ const STATIC_ASSETS = [
   '/wp-content/plugins/cloud-cover-forecast/assets/css/forecast-app.css',
   '/wp-content/plugins/cloud-cover-forecast/assets/js/forecast-app.js',
   '/wp-content/plugins/cloud-cover-forecast/assets/js/forecast-storage.js',
+  '/wp-content/plugins/cloud-cover-forecast/assets/js/forecast-score.js',
+  '/wp-content/plugins/cloud-cover-forecast/assets/js/forecast-astro.js',
+  '/wp-content/plugins/cloud-cover-forecast/assets/js/forecast-backup.js',
+  '/wp-content/plugins/cloud-cover-forecast/assets/js/forecast-map.js',
 ];
 
+// Storage, scoring and sun/moon modules used by the background refresh.
+try {
+  importScripts(
+    '/wp-content/plugins/cloud-cover-forecast/assets/js/forecast-storage.js',
+    '/wp-content/plugins/cloud-cover-forecast/assets/js/forecast-score.js',
+    '/wp-content/plugins/cloud-cover-forecast/assets/js/forecast-astro.js'
+  );
+} catch (err) {
+  console.warn('Background refresh unavailable:', err);
+}
+
 // Install event - cache static assets.
 self.addEventListener('install', (event) => {
   event.waitUntil(
@@ -153,6 +168,10 @@ self.addEventListener('message', (event) => {
     self.skipWaiting();
   }
 
+  if (event.data && event.data.type === 'REFRESH_FORECASTS') {
+    event.waitUntil(refreshIfDue());
+  }
+
   if (event.data && event.data.type === 'CLEAR_CACHE') {
     event.waitUntil(
       caches.keys().then((keys) => {
@@ -161,3 +180,167 @@ self.addEventListener('message', (event) => {
     );
   }
 });
+
+// ============================================================
+// BACKGROUND REFRESH & NOTIFICATIONS
+// ============================================================
+
+// AJAX endpoint (rewritten to the site's admin-ajax.php URL when served).
+const AJAX_URL = '/wp-admin/admin-ajax.php';
+const APP_URL = '/forecast-app/';
+const REFRESH_TAG = 'ccf-forecast-refresh';
+
+// Minimum time between refreshes triggered by opening the app.
+const APP_OPEN_REFRESH_INTERVAL = 60 * 60 * 1000;
+
+const WINDOW_LABELS = {
+  sunrise: 'sunrise',
+  sunset: 'sunset',
+  astro: 'astro dark',
+};
+
+// Periodic background sync (Chromium, installed app only).
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REFRESH_TAG) {
+    event.waitUntil(refreshForecasts());
+  }
+});
+
+// Open or focus the app when a notification is tapped.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || APP_URL;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const client = clients.find((c) => new URL(c.url).pathname.startsWith(APP_URL));
+      return client ? client.focus() : self.clients.openWindow(url);
+    })
+  );
+});
+
+/**
+ * Fetch a fresh forecast for a saved location.
+ */
+async function fetchLocationForecast(location, fetchFn = fetch) {
+  const response = await fetchFn(AJAX_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      action: 'ccf_pwa_forecast',
+      lat: location.lat,
+      lon: location.lon,
+      name: location.name || '',
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const json = await response.json();
+  if (!json.success) {
+    throw new Error((json.data && json.data.message) || 'Request failed');
+  }
+
+  return json.data;
+}
+
+/**
+ * Describe a forecast date relative to now ("today", "tomorrow", "on Friday").
+ */
+function describeDay(dateStr, timezone, now = new Date()) {
+  const tzOption = timezone ? { timeZone: timezone } : {};
+  const today = now.toLocaleDateString('en-CA', tzOption);
+  const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000).toLocaleDateString('en-CA', tzOption);
+
+  if (dateStr === today) return 'today';
+  if (dateStr === tomorrow) return 'tomorrow';
+  return `on ${new Date(`${dateStr}T12:00:00`).toLocaleDateString('en-US', { weekday: 'long' })}`;
+}
+
+/**
+ * Find the windows in a forecast that reach the notification threshold.
+ */
+function findAlertWindows(forecast, threshold, weights) {
+  return self.ForecastScore.findBestWindows(forecast, Infinity, weights)
+    .filter((slot) => slot.score >= threshold);
+}
+
+/**
+ * Re-fetch the forecast for every saved location, update the cache, and
+ * notify about windows that cross the user's score threshold.
+ */
+async function refreshForecasts(registration = self.registration, fetchFn = fetch) {
+  const { ForecastStorage, ForecastScore } = self;
+  if (!ForecastStorage || !ForecastScore) {
+    return;
+  }
+
+  const settings = await ForecastStorage.getSetting('notificationSettings', null);
+  const canNotify = !!(settings && settings.enabled)
+    && (typeof Notification === 'undefined' || Notification.permission === 'granted');
+  const weights = ForecastScore.getProfileWeights(
+    await ForecastStorage.getSetting('scoreProfiles', []),
+    await ForecastStorage.getSetting('activeScoreProfile', 'landscape')
+  );
+  const notified = new Set(await ForecastStorage.getSetting('notifiedWindows', []));
+  const stillRelevant = new Set();
+  const locations = await ForecastStorage.getLocations();
+
+  for (const location of locations) {
+    let forecast;
+    try {
+      forecast = await fetchLocationForecast(location, fetchFn);
+      if (self.ForecastAstro) {
+        self.ForecastAstro.fillMissingAstronomy(forecast);
+      }
+      await ForecastStorage.cacheForecast(location.id, forecast);
+      await ForecastStorage.addForecastSnapshot(location.id, forecast);
+    } catch (err) {
+      console.warn(`Background refresh failed for ${location.name}:`, err);
+      // Keep this location's notification history until the next successful fetch.
+      notified.forEach((key) => {
+        if (key.startsWith(`${location.id}:`)) stillRelevant.add(key);
+      });
+      continue;
+    }
+
+    if (!canNotify) {
+      continue;
+    }
+
+    const timezone = forecast.location && forecast.location.timezone;
+    for (const slot of findAlertWindows(forecast, settings.threshold, weights)) {
+      const key = `${location.id}:${slot.date}:${slot.type}`;
+      stillRelevant.add(key);
+      if (notified.has(key)) {
+        continue;
+      }
+
+      await registration.showNotification('Good conditions ahead', {
+        body: `Score ${slot.score} at ${WINDOW_LABELS[slot.type]} ${describeDay(slot.date, timezone)} at ${location.name}`,
+        tag: key,
+        data: { url: APP_URL },
+      });
+      notified.add(key);
+    }
+  }
+
+  await ForecastStorage.setSetting('notifiedWindows', [...notified].filter((key) => stillRelevant.has(key)));
+  await ForecastStorage.setSetting('lastBackgroundRefresh', Date.now());
+}
+
+/**
+ * Refresh on app open, unless a refresh ran recently.
+ */
+async function refreshIfDue() {
+  if (!self.ForecastStorage) {
+    return;
+  }
+
+  const lastRefresh = await self.ForecastStorage.getSetting('lastBackgroundRefresh', 0);
+  if (Date.now() - lastRefresh >= APP_OPEN_REFRESH_INTERVAL) {
+    await refreshForecasts();
+  }
+}
@@ -93,6 +93,8 @@ if ( ! defined( 'ABSPATH' ) ) {
 			ajaxUrl: <?php echo wp_json_encode( $pwa->get_ajax_url() ); ?>,
 			nonce: <?php echo wp_json_encode( $pwa->get_nonce() ); ?>,
 			pluginUrl: <?php echo wp_json_encode( CLOUD_COVER_FORECAST_PLUGIN_URL ); ?>,
+			mapTileUrl: <?php echo wp_json_encode( $pwa->get_map_tile_url() ); ?>,
+			mapAttribution: <?php echo wp_json_encode( $pwa->get_map_attribution() ); ?>,
 			strings: {
 				appTitle: <?php echo wp_json_encode( __( 'Cloud Cover Forecast', 'cloud-cover-forecast' ) ); ?>,
 				home: <?php echo wp_json_encode( __( 'Home', 'cloud-cover-forecast' ) ); ?>,
@@ -139,6 +141,8 @@ if ( ! defined( 'ABSPATH' ) ) {
 				moonset: <?php echo wp_json_encode( __( 'Moonset', 'cloud-cover-forecast' ) ); ?>,
 				phase: <?php echo wp_json_encode( __( 'Phase', 'cloud-cover-forecast' ) ); ?>,
 				illumination: <?php echo wp_json_encode( __( 'Illumination', 'cloud-cover-forecast' ) ); ?>,
+				milkyWay: <?php echo wp_json_encode( __( 'Milky Way', 'cloud-cover-forecast' ) ); ?>,
+				darkSky: <?php echo wp_json_encode( __( 'Dark sky', 'cloud-cover-forecast' ) ); ?>,
 				// Time labels
 				now: <?php echo wp_json_encode( __( 'Now', 'cloud-cover-forecast' ) ); ?>,
 				today: <?php echo wp_json_encode( __( 'Today', 'cloud-cover-forecast' ) ); ?>,
@@ -174,12 +178,274 @@ if ( ! defined( 'ABSPATH' ) ) {
 				jumpToNow: <?php echo wp_json_encode( __( 'Jump to now', 'cloud-cover-forecast' ) ); ?>,
 				previousDay: <?php echo wp_json_encode( __( 'Previous day', 'cloud-cover-forecast' ) ); ?>,
 				nextDay: <?php echo wp_json_encode( __( 'Next day', 'cloud-cover-forecast' ) ); ?>,
+				// Best windows labels
+				bestWindows: <?php echo wp_json_encode( __( 'Best windows', 'cloud-cover-forecast' ) ); ?>,
+				astroDark: <?php echo wp_json_encode( __( 'Astro dark', 'cloud-cover-forecast' ) ); ?>,
+				// Score profile labels
+				scoreProfile: <?php echo wp_json_encode( __( 'Score profile', 'cloud-cover-forecast' ) ); ?>,
+				editProfile: <?php echo wp_json_encode( __( 'Edit score profile', 'cloud-cover-forecast' ) ); ?>,
+				profileName: <?php echo wp_json_encode( __( 'Profile name', 'cloud-cover-forecast' ) ); ?>,
+				profilePreviewHint: <?php echo wp_json_encode( __( 'Changes are previewed in the grid below until you save or cancel.', 'cloud-cover-forecast' ) ); ?>,
+				saveAsNew: <?php echo wp_json_encode( __( 'Save as new', 'cloud-cover-forecast' ) ); ?>,
+				resetDefaults: <?php echo wp_json_encode( __( 'Reset to defaults', 'cloud-cover-forecast' ) ); ?>,
+				copySuffix: <?php echo wp_json_encode( __( '(copy)', 'cloud-cover-forecast' ) ); ?>,
+				cancel: <?php echo wp_json_encode( __( 'Cancel', 'cloud-cover-forecast' ) ); ?>,
+				save: <?php echo wp_json_encode( __( 'Save', 'cloud-cover-forecast' ) ); ?>,
+				profileLandscape: <?php echo wp_json_encode( __( 'Landscape', 'cloud-cover-forecast' ) ); ?>,
+				profileAstro: <?php echo wp_json_encode( __( 'Astro', 'cloud-cover-forecast' ) ); ?>,
+				profileMilkyWay: <?php echo wp_json_encode( __( 'Milky Way', 'cloud-cover-forecast' ) ); ?>,
+				profileStorm: <?php echo wp_json_encode( __( 'Storm chasing', 'cloud-cover-forecast' ) ); ?>,
+				weightCloudLow: <?php echo wp_json_encode( __( 'Low cloud penalty (per %)', 'cloud-cover-forecast' ) ); ?>,
+				weightCloudMid: <?php echo wp_json_encode( __( 'Mid cloud penalty (per %)', 'cloud-cover-forecast' ) ); ?>,
+				weightCloudHigh: <?php echo wp_json_encode( __( 'High cloud penalty (per %)', 'cloud-cover-forecast' ) ); ?>,
+				weightCloudHighGolden: <?php echo wp_json_encode( __( 'High cloud penalty at golden/blue hour (per %)', 'cloud-cover-forecast' ) ); ?>,
+				weightCloudHighGoldenThreshold: <?php echo wp_json_encode( __( 'High cloud allowed at golden/blue hour (%)', 'cloud-cover-forecast' ) ); ?>,
+				weightRain: <?php echo wp_json_encode( __( 'Rain chance penalty (per %)', 'cloud-cover-forecast' ) ); ?>,
+				weightVisibility: <?php echo wp_json_encode( __( 'Visibility penalty (per 100 m below 5 km)', 'cloud-cover-forecast' ) ); ?>,
+				weightWind: <?php echo wp_json_encode( __( 'Wind penalty (per km/h)', 'cloud-cover-forecast' ) ); ?>,
+				weightWindThreshold: <?php echo wp_json_encode( __( 'Wind allowed before penalty (km/h)', 'cloud-cover-forecast' ) ); ?>,
+				weightGoldenBonus: <?php echo wp_json_encode( __( 'Golden hour bonus', 'cloud-cover-forecast' ) ); ?>,
+				weightBlueBonus: <?php echo wp_json_encode( __( 'Blue hour bonus', 'cloud-cover-forecast' ) ); ?>,
+				weightNightBonus: <?php echo wp_json_encode( __( 'Night bonus', 'cloud-cover-forecast' ) ); ?>,
+				notifications: <?php echo wp_json_encode( __( 'Notifications', 'cloud-cover-forecast' ) ); ?>,
+				notifyGoodConditions: <?php echo wp_json_encode( __( 'Notify me when a saved location has good conditions', 'cloud-cover-forecast' ) ); ?>,
+				notificationThreshold: <?php echo wp_json_encode( __( 'Minimum photo score', 'cloud-cover-forecast' ) ); ?>,
+				notificationsHint: <?php echo wp_json_encode( __( 'Forecasts for saved locations are refreshed in the background when your browser allows it, or whenever you open the app.', 'cloud-cover-forecast' ) ); ?>,
+				notificationsUnsupported: <?php echo wp_json_encode( __( 'Notifications are not supported in this browser.', 'cloud-cover-forecast' ) ); ?>,
+				notificationsDenied: <?php echo wp_json_encode( __( 'Notification permission was denied.', 'cloud-cover-forecast' ) ); ?>,
+				alertRules: <?php echo wp_json_encode( __( 'Alert rules', 'cloud-cover-forecast' ) ); ?>,
+				noAlertRules: <?php echo wp_json_encode( __( 'No alert rules. Add one to highlight matching hours.', 'cloud-cover-forecast' ) ); ?>,
+				addAlertRule: <?php echo wp_json_encode( __( 'Add rule', 'cloud-cover-forecast' ) ); ?>,
+				removeAlertRule: <?php echo wp_json_encode( __( 'Remove rule', 'cloud-cover-forecast' ) ); ?>,
+				alertMetric: <?php echo wp_json_encode( __( 'Condition', 'cloud-cover-forecast' ) ); ?>,
+				alertComparison: <?php echo wp_json_encode( __( 'Comparison', 'cloud-cover-forecast' ) ); ?>,
+				alertValue: <?php echo wp_json_encode( __( 'Value', 'cloud-cover-forecast' ) ); ?>,
+				alertPeriod: <?php echo wp_json_encode( __( 'When', 'cloud-cover-forecast' ) ); ?>,
+				alertFor: <?php echo wp_json_encode( __( 'for', 'cloud-cover-forecast' ) ); ?>,
+				alertHoursPlus: <?php echo wp_json_encode( __( 'h+', 'cloud-cover-forecast' ) ); ?>,
+				alertMatchesTitle: <?php echo wp_json_encode( __( 'Upcoming windows matching your alert rules', 'cloud-cover-forecast' ) ); ?>,
+				cloudTotal: <?php echo wp_json_encode( __( 'Total cloud', 'cloud-cover-forecast' ) ); ?>,
+				cloudLow: <?php echo wp_json_encode( __( 'Low cloud', 'cloud-cover-forecast' ) ); ?>,
+				cloudMid: <?php echo wp_json_encode( __( 'Mid cloud', 'cloud-cover-forecast' ) ); ?>,
+				cloudHigh: <?php echo wp_json_encode( __( 'High cloud', 'cloud-cover-forecast' ) ); ?>,
+				rainChance: <?php echo wp_json_encode( __( 'Rain chance', 'cloud-cover-forecast' ) ); ?>,
+				temperature: <?php echo wp_json_encode( __( 'Temperature', 'cloud-cover-forecast' ) ); ?>,
+				alertPhotoScore: <?php echo wp_json_encode( __( 'Photo score', 'cloud-cover-forecast' ) ); ?>,
+				noFrost: <?php echo wp_json_encode( __( 'No frost', 'cloud-cover-forecast' ) ); ?>,
+				periodAny: <?php echo wp_json_encode( __( 'Any time', 'cloud-cover-forecast' ) ); ?>,
+				periodDay: <?php echo wp_json_encode( __( 'Daylight', 'cloud-cover-forecast' ) ); ?>,
+				periodSunrise: <?php echo wp_json_encode( __( 'Sunrise', 'cloud-cover-forecast' ) ); ?>,
+				periodSunset: <?php echo wp_json_encode( __( 'Sunset', 'cloud-cover-forecast' ) ); ?>,
+				periodNight: <?php echo wp_json_encode( __( 'After dark', 'cloud-cover-forecast' ) ); ?>,
+				periodAstroDark: <?php echo wp_json_encode( __( 'Astro dusk to dawn', 'cloud-cover-forecast' ) ); ?>,
+				compare: <?php echo wp_json_encode( __( 'Compare', 'cloud-cover-forecast' ) ); ?>,
+				compareNeedsLocations: <?php echo wp_json_encode( __( 'Save at least two locations to compare them', 'cloud-cover-forecast' ) ); ?>,
+				comparePick: <?php echo wp_json_encode( __( 'Pick two to six locations to compare.', 'cloud-cover-forecast' ) ); ?>,
+				bestTonight: <?php echo wp_json_encode( __( 'Best tonight', 'cloud-cover-forecast' ) ); ?>,
+				tonight: <?php echo wp_json_encode( __( 'Tonight', 'cloud-cover-forecast' ) ); ?>,
+				location: <?php echo wp_json_encode( __( 'Location', 'cloud-cover-forecast' ) ); ?>,
+				forecastFrom: <?php echo wp_json_encode( __( 'Forecast from', 'cloud-cover-forecast' ) ); ?>,
+				ago: <?php echo wp_json_encode( __( 'ago', 'cloud-cover-forecast' ) ); ?>,
+				forecastAccuracy: <?php echo wp_json_encode( __( 'Forecast accuracy', 'cloud-cover-forecast' ) ); ?>,
+				noForecastHistory: <?php echo wp_json_encode( __( 'No forecast history yet. Snapshots are saved each time this location\'s forecast is fetched.', 'cloud-cover-forecast' ) ); ?>,
+				reviewEvening: <?php echo wp_json_encode( __( 'Evening', 'cloud-cover-forecast' ) ); ?>,
+				reviewHint: <?php echo wp_json_encode( __( 'Predicted total cloud for each hour, by how far ahead it was forecast.', 'cloud-cover-forecast' ) ); ?>,
+				leadTime: <?php echo wp_json_encode( __( 'Lead time', 'cloud-cover-forecast' ) ); ?>,
+				finalForecast: <?php echo wp_json_encode( __( 'Final', 'cloud-cover-forecast' ) ); ?>,
+				forecastSkill: <?php echo wp_json_encode( __( 'Skill at this location', 'cloud-cover-forecast' ) ); ?>,
+				meanError: <?php echo wp_json_encode( __( 'Mean error', 'cloud-cover-forecast' ) ); ?>,
+				samples: <?php echo wp_json_encode( __( 'Hours', 'cloud-cover-forecast' ) ); ?>,
+				trustedFrom: <?php echo wp_json_encode( __( 'Trust cloud forecasts here from about', 'cloud-cover-forecast' ) ); ?>,
+				ahead: <?php echo wp_json_encode( __( 'ahead', 'cloud-cover-forecast' ) ); ?>,
+				notEnoughHistory: <?php echo wp_json_encode( __( 'Not enough history yet to judge how far ahead to trust the forecast.', 'cloud-cover-forecast' ) ); ?>,
+				observed: <?php echo wp_json_encode( __( 'Observed', 'cloud-cover-forecast' ) ); ?>,
+				observation: <?php echo wp_json_encode( __( 'Observation', 'cloud-cover-forecast' ) ); ?>,
+				logObservation: <?php echo wp_json_encode( __( 'Log observation', 'cloud-cover-forecast' ) ); ?>,
+				observationLog: <?php echo wp_json_encode( __( 'Observation log', 'cloud-cover-forecast' ) ); ?>,
+				observedCloud: <?php echo wp_json_encode( __( 'Observed cloud (%)', 'cloud-cover-forecast' ) ); ?>,
+				forecastCloud: <?php echo wp_json_encode( __( 'Forecast cloud', 'cloud-cover-forecast' ) ); ?>,
+				seeingTransparency: <?php echo wp_json_encode( __( 'Seeing / transparency', 'cloud-cover-forecast' ) ); ?>,
+				photoRating: <?php echo wp_json_encode( __( 'Photo rating', 'cloud-cover-forecast' ) ); ?>,
+				ratingVeryPoor: <?php echo wp_json_encode( __( 'Very poor', 'cloud-cover-forecast' ) ); ?>,
+				ratingPoor: <?php echo wp_json_encode( __( 'Poor', 'cloud-cover-forecast' ) ); ?>,
+				ratingAverage: <?php echo wp_json_encode( __( 'Average', 'cloud-cover-forecast' ) ); ?>,
+				ratingGood: <?php echo wp_json_encode( __( 'Good', 'cloud-cover-forecast' ) ); ?>,
+				ratingExcellent: <?php echo wp_json_encode( __( 'Excellent', 'cloud-cover-forecast' ) ); ?>,
+				confirmDeleteObservation: <?php echo wp_json_encode( __( 'Delete this observation?', 'cloud-cover-forecast' ) ); ?>,
+				noObservations: <?php echo wp_json_encode( __( 'No observations yet. Use + in the Observed row of the forecast grid to log one.', 'cloud-cover-forecast' ) ); ?>,
+				observationSummary: <?php echo wp_json_encode( __( 'Mean difference between observed and forecast cloud', 'cloud-cover-forecast' ) ); ?>,
+				when: <?php echo wp_json_encode( __( 'When', 'cloud-cover-forecast' ) ); ?>,
+				mapView: <?php echo wp_json_encode( __( 'Map', 'cloud-cover-forecast' ) ); ?>,
+				listView: <?php echo wp_json_encode( __( 'List', 'cloud-cover-forecast' ) ); ?>,
+				mapHint: <?php echo wp_json_encode( __( 'Long-press the map to add a location. Drag a pin to fine-tune it, tap it to view the forecast.', 'cloud-cover-forecast' ) ); ?>,
+				addingLocation: <?php echo wp_json_encode( __( 'Adding location...', 'cloud-cover-forecast' ) ); ?>,
+				zoomIn: <?php echo wp_json_encode( __( 'Zoom in', 'cloud-cover-forecast' ) ); ?>,
+				zoomOut: <?php echo wp_json_encode( __( 'Zoom out', 'cloud-cover-forecast' ) ); ?>,
+				settings: <?php echo wp_json_encode( __( 'Settings', 'cloud-cover-forecast' ) ); ?>,
+				distance: <?php echo wp_json_encode( __( 'Distance', 'cloud-cover-forecast' ) ); ?>,
+				precipitation: <?php echo wp_json_encode( __( 'Precipitation', 'cloud-cover-forecast' ) ); ?>,
+				clock: <?php echo wp_json_encode( __( 'Clock', 'cloud-cover-forecast' ) ); ?>,
+				clock24: <?php echo wp_json_encode( __( '24-hour', 'cloud-cover-forecast' ) ); ?>,
+				clock12: <?php echo wp_json_encode( __( '12-hour', 'cloud-cover-forecast' ) ); ?>,
+				colours: <?php echo wp_json_encode( __( 'Colours', 'cloud-cover-forecast' ) ); ?>,
+				palette: <?php echo wp_json_encode( __( 'Palette', 'cloud-cover-forecast' ) ); ?>,
+				paletteDefault: <?php echo wp_json_encode( __( 'Red-green (default)', 'cloud-cover-forecast' ) ); ?>,
+				paletteViridis: <?php echo wp_json_encode( __( 'Viridis', 'cloud-cover-forecast' ) ); ?>,
+				paletteOkabeIto: <?php echo wp_json_encode( __( 'Blue-orange (deuteranopia/protanopia safe)', 'cloud-cover-forecast' ) ); ?>,
+				paletteCividis: <?php echo wp_json_encode( __( 'Cividis (colour-blind safe)', 'cloud-cover-forecast' ) ); ?>,
+				colourBands: <?php echo wp_json_encode( __( 'Colour bands', 'cloud-cover-forecast' ) ); ?>,
+				resetToDefaults: <?php echo wp_json_encode( __( 'Reset to defaults', 'cloud-cover-forecast' ) ); ?>,
+				bandExcellent: <?php echo wp_json_encode( __( 'Excellent', 'cloud-cover-forecast' ) ); ?>,
+				bandGood: <?php echo wp_json_encode( __( 'Good', 'cloud-cover-forecast' ) ); ?>,
+				bandFair: <?php echo wp_json_encode( __( 'Fair', 'cloud-cover-forecast' ) ); ?>,
+				bandPoor: <?php echo wp_json_encode( __( 'Poor', 'cloud-cover-forecast' ) ); ?>,
+				hourlyForecast: <?php echo wp_json_encode( __( 'Hourly forecast', 'cloud-cover-forecast' ) ); ?>,
+				gridHelp: <?php echo wp_json_encode( __( 'Each row is one hour. Use the arrow keys to move between hours and values, Home and End for the start and end of the day, and Page Up and Page Down to move by a day.', 'cloud-cover-forecast' ) ); ?>,
+				time: <?php echo wp_json_encode( __( 'Time', 'cloud-cover-forecast' ) ); ?>,
+				cloud: <?php echo wp_json_encode( __( 'Cloud', 'cloud-cover-forecast' ) ); ?>,
+				rainAmount: <?php echo wp_json_encode( __( 'Rain amount', 'cloud-cover-forecast' ) ); ?>,
+				percent: <?php echo wp_json_encode( __( 'percent', 'cloud-cover-forecast' ) ); ?>,
+				goldenHour: <?php echo wp_json_encode( __( 'Golden hour', 'cloud-cover-forecast' ) ); ?>,
+				blueHour: <?php echo wp_json_encode( __( 'Blue hour', 'cloud-cover-forecast' ) ); ?>,
+				night: <?php echo wp_json_encode( __( 'Night', 'cloud-cover-forecast' ) ); ?>,
+				moonUp: <?php echo wp_json_encode( __( 'up', 'cloud-cover-forecast' ) ); ?>,
+				moonDown: <?php echo wp_json_encode( __( 'down', 'cloud-cover-forecast' ) ); ?>,
+				yes: <?php echo wp_json_encode( __( 'yes', 'cloud-cover-forecast' ) ); ?>,
+				no: <?php echo wp_json_encode( __( 'no', 'cloud-cover-forecast' ) ); ?>,
+				weatherCode: <?php echo wp_json_encode( __( 'Weather code', 'cloud-cover-forecast' ) ); ?>,
+				windSpeed: <?php echo wp_json_encode( __( 'Wind speed', 'cloud-cover-forecast' ) ); ?>,
+				windDirection: <?php echo wp_json_encode( __( 'Wind direction', 'cloud-cover-forecast' ) ); ?>,
+				isDay: <?php echo wp_json_encode( __( 'Daytime', 'cloud-cover-forecast' ) ); ?>,
+				close: <?php echo wp_json_encode( __( 'Close', 'cloud-cover-forecast' ) ); ?>,
+				sunlight: <?php echo wp_json_encode( __( 'Sunlight', 'cloud-cover-forecast' ) ); ?>,
+				sunPosition: <?php echo wp_json_encode( __( 'Sun position', 'cloud-cover-forecast' ) ); ?>,
+				moonPosition: <?php echo wp_json_encode( __( 'Moon position', 'cloud-cover-forecast' ) ); ?>,
+				aboveHorizon: <?php echo wp_json_encode( __( 'above the horizon', 'cloud-cover-forecast' ) ); ?>,
+				belowHorizon: <?php echo wp_json_encode( __( 'below the horizon', 'cloud-cover-forecast' ) ); ?>,
+				darkSkyScore: <?php echo wp_json_encode( __( 'Dark sky score', 'cloud-cover-forecast' ) ); ?>,
+				lit: <?php echo wp_json_encode( __( 'lit', 'cloud-cover-forecast' ) ); ?>,
+				rainLikely: <?php echo wp_json_encode( __( 'Rain likely', 'cloud-cover-forecast' ) ); ?>,
+				scoreBreakdown: <?php echo wp_json_encode( __( 'How the photo score was reached', 'cloud-cover-forecast' ) ); ?>,
+				scoreStart: <?php echo wp_json_encode( __( 'Starting score', 'cloud-cover-forecast' ) ); ?>,
+				scoreClamped: <?php echo wp_json_encode( __( 'Limited to 0–100', 'cloud-cover-forecast' ) ); ?>,
+				skyAndLight: <?php echo wp_json_encode( __( 'Sky and light', 'cloud-cover-forecast' ) ); ?>,
+				forecastFields: <?php echo wp_json_encode( __( 'Forecast', 'cloud-cover-forecast' ) ); ?>,
+				factorCloudLow: <?php echo wp_json_encode( __( 'low cloud', 'cloud-cover-forecast' ) ); ?>,
+				factorCloudMid: <?php echo wp_json_encode( __( 'mid cloud', 'cloud-cover-forecast' ) ); ?>,
+				factorCloudHigh: <?php echo wp_json_encode( __( 'high cloud', 'cloud-cover-forecast' ) ); ?>,
+				factorRain: <?php echo wp_json_encode( __( 'rain chance', 'cloud-cover-forecast' ) ); ?>,
+				factorVisibility: <?php echo wp_json_encode( __( 'visibility', 'cloud-cover-forecast' ) ); ?>,
+				factorWind: <?php echo wp_json_encode( __( 'wind', 'cloud-cover-forecast' ) ); ?>,
+				factorGolden: <?php echo wp_json_encode( __( 'golden hour', 'cloud-cover-forecast' ) ); ?>,
+				factorBlue: <?php echo wp_json_encode( __( 'blue hour', 'cloud-cover-forecast' ) ); ?>,
+				factorNight: <?php echo wp_json_encode( __( 'night', 'cloud-cover-forecast' ) ); ?>,
+				forecastView: <?php echo wp_json_encode( __( 'Forecast view', 'cloud-cover-forecast' ) ); ?>,
+				gridView: <?php echo wp_json_encode( __( 'Grid', 'cloud-cover-forecast' ) ); ?>,
+				chartView: <?php echo wp_json_encode( __( 'Charts', 'cloud-cover-forecast' ) ); ?>,
+				chartLabel: <?php echo wp_json_encode( __( 'Low, mid and high cloud with the photo score, by hour', 'cloud-cover-forecast' ) ); ?>,
+				moonUpLegend: <?php echo wp_json_encode( __( 'Moon up', 'cloud-cover-forecast' ) ); ?>,
+				sunriseSunset: <?php echo wp_json_encode( __( 'Sunrise / sunset', 'cloud-cover-forecast' ) ); ?>,
+				chartHint: <?php echo wp_json_encode( __( 'Hover or drag across the chart to read an hour; tap for details.', 'cloud-cover-forecast' ) ); ?>,
+				dailySummary: <?php echo wp_json_encode( __( 'Next 7 days', 'cloud-cover-forecast' ) ); ?>,
+				civilDawn: <?php echo wp_json_encode( __( 'Civil dawn', 'cloud-cover-forecast' ) ); ?>,
+				civilDusk: <?php echo wp_json_encode( __( 'Civil dusk', 'cloud-cover-forecast' ) ); ?>,
+				skyClear: <?php echo wp_json_encode( __( 'clear', 'cloud-cover-forecast' ) ); ?>,
+				skyPartlyCloudy: <?php echo wp_json_encode( __( 'partly cloudy', 'cloud-cover-forecast' ) ); ?>,
+				skyCloudy: <?php echo wp_json_encode( __( 'cloudy', 'cloud-cover-forecast' ) ); ?>,
+				evening: <?php echo wp_json_encode( __( 'evening', 'cloud-cover-forecast' ) ); ?>,
+				eveningAndNight: <?php echo wp_json_encode( __( 'evening and night', 'cloud-cover-forecast' ) ); ?>,
+				afterMidnight: <?php echo wp_json_encode( __( 'after midnight', 'cloud-cover-forecast' ) ); ?>,
+				tags: <?php echo wp_json_encode( __( 'Tags', 'cloud-cover-forecast' ) ); ?>,
+				tagsPlaceholder: <?php echo wp_json_encode( __( 'Comma-separated, e.g. coast, dark site', 'cloud-cover-forecast' ) ); ?>,
+				filterLocations: <?php echo wp_json_encode( __( 'Filter saved locations', 'cloud-cover-forecast' ) ); ?>,
+				filterByTag: <?php echo wp_json_encode( __( 'Filter by tag', 'cloud-cover-forecast' ) ); ?>,
+				sortBy: <?php echo wp_json_encode( __( 'Sort by', 'cloud-cover-forecast' ) ); ?>,
+				sortName: <?php echo wp_json_encode( __( 'Name', 'cloud-cover-forecast' ) ); ?>,
+				sortDistance: <?php echo wp_json_encode( __( 'Distance', 'cloud-cover-forecast' ) ); ?>,
+				noMatchingLocations: <?php echo wp_json_encode( __( 'No saved locations match the filter.', 'cloud-cover-forecast' ) ); ?>,
+				clearFilters: <?php echo wp_json_encode( __( 'Clear filters', 'cloud-cover-forecast' ) ); ?>,
+				shootingDirection: <?php echo wp_json_encode( __( 'Shooting direction', 'cloud-cover-forecast' ) ); ?>,
+				bearing: <?php echo wp_json_encode( __( 'Bearing (°)', 'cloud-cover-forecast' ) ); ?>,
+				bearingPlaceholder: <?php echo wp_json_encode( __( '270 = west', 'cloud-cover-forecast' ) ); ?>,
+				viewWidth: <?php echo wp_json_encode( __( 'View width (°)', 'cloud-cover-forecast' ) ); ?>,
+				horizonProfile: <?php echo wp_json_encode( __( 'Horizon profile', 'cloud-cover-forecast' ) ); ?>,
+				horizonPlaceholder: <?php echo wp_json_encode( __( 'azimuth:altitude, e.g. 240:2, 270:8, 300:3', 'cloud-cover-forecast' ) ); ?>,
+				horizonHint: <?php echo wp_json_encode( __( 'Height of hills or buildings in degrees at each compass bearing. Heights in between are interpolated.', 'cloud-cover-forecast' ) ); ?>,
+				faces: <?php echo wp_json_encode( __( 'Faces', 'cloud-cover-forecast' ) ); ?>,
+				sunAzimuth: <?php echo wp_json_encode( __( 'Sun azimuth', 'cloud-cover-forecast' ) ); ?>,
+				risesBehindHorizon: <?php echo wp_json_encode( __( 'Rises behind the horizon profile', 'cloud-cover-forecast' ) ); ?>,
+				setsBehindHorizon: <?php echo wp_json_encode( __( 'Sets behind the horizon profile', 'cloud-cover-forecast' ) ); ?>,
+				outsideView: <?php echo wp_json_encode( __( 'Outside the view', 'cloud-cover-forecast' ) ); ?>,
+				newMoon: <?php echo wp_json_encode( __( 'New Moon', 'cloud-cover-forecast' ) ); ?>,
+				waxingCrescent: <?php echo wp_json_encode( __( 'Waxing Crescent', 'cloud-cover-forecast' ) ); ?>,
+				firstQuarter: <?php echo wp_json_encode( __( 'First Quarter', 'cloud-cover-forecast' ) ); ?>,
+				waxingGibbous: <?php echo wp_json_encode( __( 'Waxing Gibbous', 'cloud-cover-forecast' ) ); ?>,
+				fullMoon: <?php echo wp_json_encode( __( 'Full Moon', 'cloud-cover-forecast' ) ); ?>,
+				waningGibbous: <?php echo wp_json_encode( __( 'Waning Gibbous', 'cloud-cover-forecast' ) ); ?>,
+				lastQuarter: <?php echo wp_json_encode( __( 'Last Quarter', 'cloud-cover-forecast' ) ); ?>,
+				waningCrescent: <?php echo wp_json_encode( __( 'Waning Crescent', 'cloud-cover-forecast' ) ); ?>,
+				trips: <?php echo wp_json_encode( __( 'Trips', 'cloud-cover-forecast' ) ); ?>,
+				newTrip: <?php echo wp_json_encode( __( 'New trip', 'cloud-cover-forecast' ) ); ?>,
+				editTrip: <?php echo wp_json_encode( __( 'Edit trip', 'cloud-cover-forecast' ) ); ?>,
+				tripNeedsLocations: <?php echo wp_json_encode( __( 'Save a location to plan a trip', 'cloud-cover-forecast' ) ); ?>,
+				tripHint: <?php echo wp_json_encode( __( 'Plan a trip night by night to see each location\'s evening, night and morning forecast.', 'cloud-cover-forecast' ) ); ?>,
+				firstNight: <?php echo wp_json_encode( __( 'First night', 'cloud-cover-forecast' ) ); ?>,
+				lastNight: <?php echo wp_json_encode( __( 'Last night', 'cloud-cover-forecast' ) ); ?>,
+				tripDatesHint: <?php echo wp_json_encode( __( 'Trips can be up to three weeks long. Add locations to each night from the trip view.', 'cloud-cover-forecast' ) ); ?>,
+				confirmDeleteTrip: <?php echo wp_json_encode( __( 'Delete this trip?', 'cloud-cover-forecast' ) ); ?>,
+				tripEvening: <?php echo wp_json_encode( __( 'Evening', 'cloud-cover-forecast' ) ); ?>,
+				tripMorning: <?php echo wp_json_encode( __( 'Morning', 'cloud-cover-forecast' ) ); ?>,
+				tripNoStops: <?php echo wp_json_encode( __( 'No location planned for this night.', 'cloud-cover-forecast' ) ); ?>,
+				tripNoForecast: <?php echo wp_json_encode( __( 'No forecast for this night yet.', 'cloud-cover-forecast' ) ); ?>,
+				addTripStop: <?php echo wp_json_encode( __( 'Add a location', 'cloud-cover-forecast' ) ); ?>,
+				remove: <?php echo wp_json_encode( __( 'Remove', 'cloud-cover-forecast' ) ); ?>,
+				tripSwapSuggestion: <?php echo wp_json_encode( __( 'Better the other way round', 'cloud-cover-forecast' ) ); ?>,
+				swapNights: <?php echo wp_json_encode( __( 'Swap nights', 'cloud-cover-forecast' ) ); ?>,
+				moonCalendar: <?php echo wp_json_encode( __( 'Moon calendar', 'cloud-cover-forecast' ) ); ?>,
+				monthsAhead: <?php echo wp_json_encode( __( 'Months ahead', 'cloud-cover-forecast' ) ); ?>,
+				moonCalendarHint: <?php echo wp_json_encode( __( 'Moonless dark is the time between astronomical dusk and dawn with the moon below the horizon. New-moon weekends are highlighted.', 'cloud-cover-forecast' ) ); ?>,
+				newMoonWeekends: <?php echo wp_json_encode( __( 'New-moon weekends', 'cloud-cover-forecast' ) ); ?>,
+				moonlessDark: <?php echo wp_json_encode( __( 'Moonless dark', 'cloud-cover-forecast' ) ); ?>,
+				noAstroDark: <?php echo wp_json_encode( __( 'No astronomical darkness', 'cloud-cover-forecast' ) ); ?>,
+				exportForecast: <?php echo wp_json_encode( __( 'Export forecast', 'cloud-cover-forecast' ) ); ?>,
+				exportCsv: <?php echo wp_json_encode( __( 'Hourly CSV', 'cloud-cover-forecast' ) ); ?>,
+				exportJson: <?php echo wp_json_encode( __( 'JSON', 'cloud-cover-forecast' ) ); ?>,
+				exportCalendar: <?php echo wp_json_encode( __( 'Calendar events', 'cloud-cover-forecast' ) ); ?>,
+				minimumScore: <?php echo wp_json_encode( __( 'Minimum score', 'cloud-cover-forecast' ) ); ?>,
+				calendarThresholdHint: <?php echo wp_json_encode( __( 'Golden hour, blue hour and astro-dark windows scoring at least this become calendar events.', 'cloud-cover-forecast' ) ); ?>,
+				noWindowsToExport: <?php echo wp_json_encode( __( 'No golden hour, blue hour or astro-dark windows reach the minimum score.', 'cloud-cover-forecast' ) ); ?>,
+				forecastCopiedToClipboard: <?php echo wp_json_encode( __( 'Forecast copied to clipboard. Paste into a text file to save.', 'cloud-cover-forecast' ) ); ?>,
+				exportBackup: <?php echo wp_json_encode( __( 'Full backup (JSON)', 'cloud-cover-forecast' ) ); ?>,
+				noPointsInFile: <?php echo wp_json_encode( __( 'No points with coordinates found in this file.', 'cloud-cover-forecast' ) ); ?>,
+				pointsWithoutCoordinates: <?php echo wp_json_encode( __( 'without coordinates', 'cloud-cover-forecast' ) ); ?>,
+				selectAll: <?php echo wp_json_encode( __( 'Select all', 'cloud-cover-forecast' ) ); ?>,
+				alreadySaved: <?php echo wp_json_encode( __( 'Already saved', 'cloud-cover-forecast' ) ); ?>,
+				repeatedInFile: <?php echo wp_json_encode( __( 'Repeated in file', 'cloud-cover-forecast' ) ); ?>,
+				backupCopiedToClipboard: <?php echo wp_json_encode( __( 'Backup copied to clipboard. Paste into a text file to save.', 'cloud-cover-forecast' ) ); ?>,
+				importBackup: <?php echo wp_json_encode( __( 'Import backup', 'cloud-cover-forecast' ) ); ?>,
+				newLocations: <?php echo wp_json_encode( __( 'New locations', 'cloud-cover-forecast' ) ); ?>,
+				unchangedLocations: <?php echo wp_json_encode( __( 'Already saved', 'cloud-cover-forecast' ) ); ?>,
+				changedLocations: <?php echo wp_json_encode( __( 'Saved with different details', 'cloud-cover-forecast' ) ); ?>,
+				invalidLocations: <?php echo wp_json_encode( __( 'Without valid coordinates', 'cloud-cover-forecast' ) ); ?>,
+				observations: <?php echo wp_json_encode( __( 'Observations', 'cloud-cover-forecast' ) ); ?>,
+				mine: <?php echo wp_json_encode( __( 'Mine', 'cloud-cover-forecast' ) ); ?>,
+				theirs: <?php echo wp_json_encode( __( 'Backup', 'cloud-cover-forecast' ) ); ?>,
+				keepMine: <?php echo wp_json_encode( __( 'Keep mine', 'cloud-cover-forecast' ) ); ?>,
+				takeTheirs: <?php echo wp_json_encode( __( 'Take theirs', 'cloud-cover-forecast' ) ); ?>,
+				keepBoth: <?php echo wp_json_encode( __( 'Keep both', 'cloud-cover-forecast' ) ); ?>,
+				restoreSettings: <?php echo wp_json_encode( __( 'Also restore settings, theme, font size and score profiles', 'cloud-cover-forecast' ) ); ?>,
+				backupImported: <?php echo wp_json_encode( __( 'Backup imported', 'cloud-cover-forecast' ) ); ?>,
+				otherRecords: <?php echo wp_json_encode( __( 'other records', 'cloud-cover-forecast' ) ); ?>,
 			}
 		};
 	</script>
 
 	<!-- Storage Layer -->
 	<script src="<?php echo esc_url( CLOUD_COVER_FORECAST_PLUGIN_URL . 'assets/js/forecast-storage.js?v=' . CLOUD_COVER_FORECAST_VERSION ); ?>"></script>
+	<script src="<?php echo esc_url( CLOUD_COVER_FORECAST_PLUGIN_URL . 'assets/js/forecast-score.js?v=' . CLOUD_COVER_FORECAST_VERSION ); ?>"></script>
+	<script src="<?php echo esc_url( CLOUD_COVER_FORECAST_PLUGIN_URL . 'assets/js/forecast-astro.js?v=' . CLOUD_COVER_FORECAST_VERSION ); ?>"></script>
+	<script src="<?php echo esc_url( CLOUD_COVER_FORECAST_PLUGIN_URL . 'assets/js/forecast-backup.js?v=' . CLOUD_COVER_FORECAST_VERSION ); ?>"></script>
+	<script src="<?php echo esc_url( CLOUD_COVER_FORECAST_PLUGIN_URL . 'assets/js/forecast-map.js?v=' . CLOUD_COVER_FORECAST_VERSION ); ?>"></script>
 
 	<!-- Main Application -->
 	<script src="<?php echo esc_url( CLOUD_COVER_FORECAST_PLUGIN_URL . 'assets/js/forecast-app.js?v=' . CLOUD_COVER_FORECAST_VERSION ); ?>"></script>
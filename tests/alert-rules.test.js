@@ -0,0 +1,52 @@
+/**
+ * Editing a location's alert rules.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWorkerScope } = require('./helpers');
+
+const { copyAlertRules, updateAlertRule } = createWorkerScope().ForecastScore;
+
+/**
+ * Build a saved location with two alert rules.
+ * @returns {Object} Location.
+ */
+function makeLocation() {
+  return {
+    id: 1,
+    name: 'Cliffs',
+    alertRules: [
+      { metric: 'cloud_total', op: 'below', value: 20, period: 'night', minHours: 2 },
+      { metric: 'frost', period: 'sunrise', minHours: 1 },
+    ],
+  };
+}
+
+test('cancelling an edit leaves the saved rules unchanged', () => {
+  const saved = makeLocation();
+
+  // Open the edit modal, change both rules, then close it without saving.
+  let editing = { ...saved, alertRules: copyAlertRules(saved.alertRules) };
+  editing.alertRules = updateAlertRule(editing.alertRules, 0, { value: 50 });
+  editing.alertRules[1].period = 'sunset';
+  editing = null;
+
+  assert.deepEqual(saved, makeLocation());
+});
+
+test('an edit changes only the chosen rule', () => {
+  const rules = makeLocation().alertRules;
+
+  const updated = updateAlertRule(rules, 0, { op: 'above', value: 70 });
+  assert.notEqual(updated, rules);
+  assert.deepEqual(updated[0], { metric: 'cloud_total', op: 'above', value: 70, period: 'night', minHours: 2 });
+  assert.equal(updated[1], rules[1]);
+  assert.deepEqual(rules, makeLocation().alertRules);
+});
+
+test('a location without rules gets an empty list to edit', () => {
+  assert.deepEqual(copyAlertRules(undefined), []);
+});
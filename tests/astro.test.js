@@ -0,0 +1,67 @@
+/**
+ * Sun and moon positions against the worked examples in Meeus,
+ * "Astronomical Algorithms" (2nd edition), and published almanac times.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWorkerScope } = require('./helpers');
+
+const astro = createWorkerScope().ForecastAstro;
+
+/**
+ * Assert that a number is within a tolerance of the expected value.
+ * @param {number} actual - Calculated value.
+ * @param {number} expected - Published value.
+ * @param {number} tolerance - Largest allowed difference.
+ * @param {string} label - What is compared.
+ */
+function assertClose(actual, expected, tolerance, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+}
+
+test('sun position matches Meeus example 25.a', () => {
+  // 1992 October 13, 0h TD: RA 13h13m31.4s, declination -7°47'06".
+  const sun = astro.getSunPosition(Date.UTC(1992, 9, 13), 0, 0);
+  assertClose(sun.ra, 198.38083, 0.01, 'right ascension');
+  assertClose(sun.dec, -7.78507, 0.01, 'declination');
+});
+
+test('moon position matches Meeus example 47.a', () => {
+  // 1992 April 12, 0h TD: RA 134.688470°, declination 13.768368°, 368409.7 km.
+  const moon = astro.getMoonPosition(Date.UTC(1992, 3, 12), 0, 0);
+  assertClose(moon.ra, 134.68847, 0.05, 'right ascension');
+  assertClose(moon.dec, 13.768368, 0.05, 'declination');
+  assertClose(moon.distance, 368409.7, 100, 'distance');
+});
+
+test('moon illumination matches Meeus example 48.a', () => {
+  // 1992 April 12, 0h TD: 0.6786 lit, waxing.
+  const illumination = astro.getMoonIllumination(Date.UTC(1992, 3, 12));
+  assertClose(illumination.fraction, 0.6786, 0.001, 'fraction lit');
+  assert.ok(illumination.phase > 0 && illumination.phase < 0.5, 'the moon should be waxing');
+});
+
+test('sunrise and sunset in London at the June solstice', () => {
+  // HM Nautical Almanac Office: 04:43 and 21:21 BST on 2024-06-21.
+  const times = astro.getSunTimes('2024-06-21', 51.5074, -0.1278, 'Europe/London');
+  assert.equal(times.sunrise, '04:43');
+  assert.equal(times.sunset, '21:21');
+
+  // The sun never goes 18° below the horizon in a London midsummer.
+  assert.equal(times.astronomical_dawn, null);
+  assert.equal(times.astronomical_dusk, null);
+});
+
+test('the midnight sun in Tromsø has no rise, set or twilight', () => {
+  const times = astro.getSunTimes('2024-06-21', 69.6492, 18.9553, 'Europe/Oslo');
+  Object.entries(times).forEach(([name, time]) => {
+    assert.equal(time, null, `${name} should be null`);
+  });
+  assert.equal(Object.keys(times).length, 8);
+});
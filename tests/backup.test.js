@@ -0,0 +1,209 @@
+/**
+ * Writing a backup on one device and importing it on another.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createScope, loadScript } = require('./helpers');
+
+/** Location fields compared by the merge plan, as the app compares them. */
+const COMPARED_FIELDS = [
+  { key: 'name', label: 'Name', format: (value) => value || '' },
+  { key: 'notes', label: 'Notes', format: (value) => value || '' },
+];
+
+/**
+ * Load the storage and backup modules into a device with its own database.
+ * @returns {Object} {storage, backups}.
+ */
+function createDevice() {
+  const scope = createScope();
+  loadScript('assets/js/forecast-storage.js', scope);
+  loadScript('assets/js/forecast-backup.js', scope);
+  return { storage: scope.ForecastStorage, backups: scope.ForecastBackup };
+}
+
+/**
+ * Turn a backup record into location fields, as the app's import does.
+ * @param {Object} record - Location record.
+ * @returns {Object|null} Location fields, or null without valid coordinates.
+ */
+function toLocation(record) {
+  const lat = parseFloat(record?.lat);
+  const lon = parseFloat(record?.lon);
+  if (!isFinite(lat) || !isFinite(lon)) return null;
+  return { lat, lon, name: record.name, notes: record.notes, tags: record.tags };
+}
+
+/**
+ * Plan and run the import of a backup file, taking the backup's copy of
+ * every conflicting location.
+ * @param {Object} device - Device from createDevice().
+ * @param {string} text - Backup file contents.
+ * @returns {Promise<Object>} {plan, result}.
+ */
+async function importFile({ storage, backups }, text) {
+  const saved = await storage.getLocations();
+  const findSaved = (lat, lon) => saved.find(
+    (location) => Math.abs(location.lat - lat) < 0.01 && Math.abs(location.lon - lon) < 0.01
+  );
+
+  const backup = backups.readBackup(text);
+  const plan = backups.planBackupImport(backup, { toLocation, findSaved, fields: COMPARED_FIELDS });
+  plan.conflicts.forEach((conflict) => {
+    conflict.choice = 'theirs';
+  });
+  const result = await backups.importBackup({ ...plan, backup, restoreSettings: true }, []);
+  return { plan, result };
+}
+
+/**
+ * Save two locations with an observation, a trip and settings on a device,
+ * and write a backup of it.
+ * @returns {Promise<Object>} {text, ids}: backup file contents and location IDs by name.
+ */
+async function writeBackup() {
+  const { storage, backups } = createDevice();
+  const ids = {
+    cliffs: await storage.saveLocation({ name: 'Cliffs', lat: 52.97, lon: -9.43, notes: 'West facing', tags: ['coast'] }),
+    bog: await storage.saveLocation({ name: 'Bog', lat: 53.5, lon: -8.0, tags: ['dark site'] }),
+  };
+  await storage.saveObservation({ locationId: ids.cliffs, time: '2026-10-18T19:00', rating: 4 });
+  await storage.saveObservation({ locationId: ids.bog, time: '2026-10-18T23:00', rating: 2 });
+  await storage.saveTrip({
+    name: 'West',
+    startDate: '2026-10-20',
+    endDate: '2026-10-21',
+    nights: [{ date: '2026-10-20', locationIds: [ids.bog, ids.cliffs] }],
+  });
+  await storage.setSetting('units', { temperature: 'fahrenheit' });
+  await storage.setSetting('compareLocationIds', [ids.cliffs, ids.bog]);
+  await storage.setSetting('notifiedWindows', ['1-2026-10-18T19:00']);
+  await storage.setSetting('sortOrigin', { lat: 53.3, lon: -6.3 });
+
+  const text = JSON.stringify(await backups.buildBackup({ theme: 'dark' }));
+  return { text, ids };
+}
+
+/**
+ * Get the records of a store without their IDs.
+ * @param {Array} records - Records.
+ * @returns {Array} Records without `id`.
+ */
+function withoutIds(records) {
+  return records.map(({ id, ...record }) => record);
+}
+
+test('a backup imported into an empty database restores every store', async () => {
+  const { text } = await writeBackup();
+  const backup = JSON.parse(text);
+  const device = createDevice();
+
+  const { plan, result } = await importFile(device, text);
+  assert.equal(plan.added.length, 2);
+  assert.deepEqual(result, { locationCount: 2, recordCount: 3 });
+
+  const { storage } = device;
+  const locations = await storage.getLocations();
+  assert.deepEqual(
+    locations.map(({ name, lat, lon, notes, tags }) => ({ name, lat, lon, notes, tags })),
+    backup.stores.locations.map(({ name, lat, lon, notes, tags }) => ({ name, lat, lon, notes, tags }))
+  );
+  assert.deepEqual(withoutIds(await storage.getObservations()), withoutIds(backup.stores.observations));
+  assert.deepEqual(withoutIds(await storage.getTrips()), withoutIds(backup.stores.trips));
+  assert.deepEqual(await storage.getSetting('units'), { temperature: 'fahrenheit' });
+
+  // Per-device settings are neither backed up nor restored.
+  assert.equal(await storage.getSetting('notifiedWindows', null), null);
+  assert.equal(await storage.getSetting('sortOrigin', null), null);
+  assert.deepEqual(backup.preferences, { theme: 'dark' });
+});
+
+test('importing the same backup again adds nothing', async () => {
+  const { text } = await writeBackup();
+  const device = createDevice();
+  await importFile(device, text);
+
+  const { plan, result } = await importFile(device, text);
+  assert.equal(plan.added.length, 0);
+  assert.equal(plan.unchanged.length, 2);
+  assert.equal(plan.conflicts.length, 0);
+  assert.deepEqual(result, { locationCount: 0, recordCount: 0 });
+
+  const { storage } = device;
+  assert.equal((await storage.getLocations()).length, 2);
+  assert.equal((await storage.getObservations()).length, 2);
+  assert.equal((await storage.getTrips()).length, 1);
+});
+
+test('location IDs in the backup point at the locations on this device', async () => {
+  const { text, ids } = await writeBackup();
+  const device = createDevice();
+  const { storage } = device;
+  await storage.saveLocation({ name: 'Elsewhere', lat: 10, lon: 10 });
+  const cliffs = await storage.saveLocation({ name: 'Cliffs', lat: 52.971, lon: -9.431, notes: 'Old notes' });
+
+  const { plan } = await importFile(device, text);
+  assert.equal(plan.conflicts.length, 1);
+  assert.deepEqual(plan.conflicts[0].differences, [{ label: 'Notes', mine: 'Old notes', theirs: 'West facing' }]);
+
+  const bog = (await storage.getLocations()).find((location) => location.name === 'Bog').id;
+  assert.notEqual(bog, ids.bog);
+  assert.equal((await storage.getLocation(cliffs)).notes, 'West facing');
+
+  const observations = await storage.getObservations();
+  assert.deepEqual(observations.map((observation) => observation.locationId), [cliffs, bog]);
+  const [trip] = await storage.getTrips();
+  assert.deepEqual(trip.nights[0].locationIds, [bog, cliffs]);
+  assert.deepEqual(await storage.getSetting('compareLocationIds'), [cliffs, bog]);
+});
+
+test('records pointing at locations that were not imported are dropped', async () => {
+  const { backups } = createDevice();
+  const mapId = (id) => (id === 1 ? 7 : null);
+
+  assert.deepEqual(
+    backups.getNewRecords('observations', [{ locationId: 1, time: 'a' }, { locationId: 2, time: 'b' }], [], mapId),
+    [{ locationId: 7, time: 'a' }]
+  );
+  assert.deepEqual(
+    backups.getRestoredSettings([{ key: 'compareLocationIds', value: [2, 1] }], [], mapId),
+    [{ key: 'compareLocationIds', value: [7] }]
+  );
+});
+
+test('a version 1 file is upgraded to the current version', async () => {
+  const device = createDevice();
+  const { backups } = device;
+  const text = JSON.stringify({
+    version: 1,
+    exported: '2024-01-01T00:00:00.000Z',
+    locations: [{ name: 'Old', lat: 51, lon: -1 }, { name: 'Broken', lat: 'north', lon: -1 }],
+  });
+
+  const backup = backups.readBackup(text);
+  assert.equal(backup.version, backups.BACKUP_VERSION);
+  assert.deepEqual(backup.preferences, {});
+  assert.equal(backup.stores.locations.length, 2);
+
+  const { plan, result } = await importFile(device, text);
+  assert.equal(plan.invalid, 1);
+  assert.deepEqual(result, { locationCount: 1, recordCount: 0 });
+  assert.deepEqual((await device.storage.getLocations()).map((location) => location.name), ['Old']);
+});
+
+test('a file from a newer version is rejected', () => {
+  const { backups } = createDevice();
+  const text = JSON.stringify({ version: backups.BACKUP_VERSION + 1, stores: { locations: [] } });
+
+  assert.throws(() => backups.readBackup(text), /newer version/);
+});
+
+test('files that are not backups are left to the location importers', () => {
+  const { backups } = createDevice();
+
+  assert.equal(backups.readBackup('{"type":"FeatureCollection","features":[]}'), null);
+  assert.equal(backups.readBackup('<gpx></gpx>'), null);
+});
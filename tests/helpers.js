@@ -0,0 +1,142 @@
+/**
+ * Cloud Cover Forecast - Test Helpers
+ *
+ * Loads the PWA scripts into Node the way the browser and the service worker
+ * do: each script runs with `self` as its global scope, backed by a fresh
+ * in-memory IndexedDB.
+ *
+ * @package CloudCoverForecast
+ */
+
+'use strict';
+
+// Forecast times without an offset are read as local time, as in the app.
+process.env.TZ = 'UTC';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..');
+
+/** Scripts the service worker imports, in load order. */
+const WORKER_MODULES = [
+  'assets/js/forecast-storage.js',
+  'assets/js/forecast-score.js',
+  'assets/js/forecast-astro.js',
+];
+
+/**
+ * Create an empty global scope with its own IndexedDB.
+ * @returns {Object} Scope to pass to loadScript().
+ */
+function createScope() {
+  return {
+    indexedDB: new IDBFactory(),
+    addEventListener: () => {},
+  };
+}
+
+/**
+ * Run a script in a scope.
+ * @param {string} file - Path from the plugin root.
+ * @param {Object} scope - Global scope, seen by the script as `self`.
+ * @param {Array<string>} names - Top-level declarations of the script to return.
+ * @returns {Object} The requested declarations by name.
+ */
+function loadScript(file, scope, names = []) {
+  const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  const run = new Function(
+    'self',
+    'indexedDB',
+    'IDBKeyRange',
+    'importScripts',
+    `${code}\nreturn { ${names.join(', ')} };`
+  );
+  return run(scope, scope.indexedDB, IDBKeyRange, () => {});
+}
+
+/**
+ * Load the storage, scoring and astronomy modules into a new scope.
+ * @returns {Object} Scope with ForecastStorage, ForecastScore and ForecastAstro.
+ */
+function createWorkerScope() {
+  const scope = createScope();
+  WORKER_MODULES.forEach((file) => loadScript(file, scope));
+  return scope;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in UTC.
+ * @param {Date} date - Date.
+ * @returns {string} Date string.
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Build a forecast in the shape the server returns, starting tomorrow (UTC)
+ * so its windows are always in the future.
+ * @param {Object} [options] - {days, cloud}: number of days and total cloud for every hour.
+ * @returns {Object} Forecast data.
+ */
+function makeForecast({ days = 3, cloud = 0 } = {}) {
+  const start = new Date();
+  start.setUTCHours(0, 0, 0, 0);
+  start.setUTCDate(start.getUTCDate() + 1);
+
+  const daily = [];
+  const hourly = [];
+  for (let d = 0; d < days; d++) {
+    const date = toDateString(new Date(start.getTime() + d * 24 * 60 * 60 * 1000));
+    daily.push({
+      date,
+      sunrise: '06:00',
+      sunset: '18:00',
+      twilight: {
+        astronomical_dawn: '04:30',
+        nautical_dawn: '05:00',
+        civil_dawn: '05:30',
+        sunrise: '06:00',
+        sunset: '18:00',
+        civil_dusk: '18:30',
+        nautical_dusk: '19:00',
+        astronomical_dusk: '19:30',
+      },
+    });
+    for (let h = 0; h < 24; h++) {
+      hourly.push({
+        time: `${date}T${String(h).padStart(2, '0')}:00`,
+        temperature: 12,
+        humidity: 60,
+        precipitation: 0,
+        rain_chance: 0,
+        cloud_total: cloud,
+        cloud_low: cloud,
+        cloud_mid: 0,
+        cloud_high: 0,
+        visibility: 30000,
+        wind_speed: 5,
+        is_day: h >= 6 && h < 18 ? 1 : 0,
+      });
+    }
+  }
+
+  return {
+    location: { lat: 0, lon: 0, timezone: 'UTC', timezone_abbr: 'UTC' },
+    daily,
+    hourly,
+    moon: {},
+  };
+}
+
+module.exports = {
+  ROOT,
+  IDBKeyRange,
+  createScope,
+  createWorkerScope,
+  loadScript,
+  makeForecast,
+  toDateString,
+};
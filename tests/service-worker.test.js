@@ -0,0 +1,101 @@
+/**
+ * Background refresh and notifications in the service worker.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWorkerScope, loadScript, makeForecast } = require('./helpers');
+
+/**
+ * Set up a service worker with one saved location.
+ * @param {Object} notificationSettings - Saved notification settings.
+ * @returns {Promise<Object>} {storage, refreshForecasts, registration, notifications}.
+ */
+async function setUpWorker(notificationSettings) {
+  const scope = createWorkerScope();
+  const { refreshForecasts } = loadScript('pwa/service-worker.js', scope, ['refreshForecasts']);
+  const storage = scope.ForecastStorage;
+
+  await storage.saveLocation({ name: 'Clear Hill', lat: 0, lon: 0 });
+  await storage.setSetting('notificationSettings', notificationSettings);
+
+  const notifications = [];
+  const registration = {
+    showNotification: async (title, options) => {
+      notifications.push({ title, ...options });
+    },
+  };
+
+  return { storage, refreshForecasts, registration, notifications };
+}
+
+/**
+ * Stub fetch answering every request with a copy of a forecast.
+ * @param {Object} forecast - Forecast data.
+ * @returns {Function} Fetch stub.
+ */
+function fetchForecast(forecast) {
+  return async () => ({
+    ok: true,
+    json: async () => ({ success: true, data: structuredClone(forecast) }),
+  });
+}
+
+/** Stub fetch failing every request. */
+async function fetchFailing() {
+  return { ok: false, status: 503 };
+}
+
+test('notifies once about each window at or above the threshold', async () => {
+  const { storage, refreshForecasts, registration, notifications } = await setUpWorker({ enabled: true, threshold: 50 });
+  const fetchFn = fetchForecast(makeForecast({ cloud: 0 }));
+
+  await refreshForecasts(registration, fetchFn);
+  const firstRun = notifications.length;
+  assert.ok(firstRun > 0, 'a clear forecast should notify');
+
+  await refreshForecasts(registration, fetchFn);
+  assert.equal(notifications.length, firstRun, 'the second run should not notify again');
+
+  const tags = notifications.map((notification) => notification.tag);
+  assert.equal(new Set(tags).size, tags.length);
+  assert.deepEqual([...(await storage.getSetting('notifiedWindows', []))].sort(), [...tags].sort());
+});
+
+test('does not notify about windows below the threshold', async () => {
+  const { refreshForecasts, registration, notifications } = await setUpWorker({ enabled: true, threshold: 50 });
+
+  await refreshForecasts(registration, fetchForecast(makeForecast({ cloud: 100 })));
+  assert.equal(notifications.length, 0);
+});
+
+test('keeps notified windows of locations whose fetch failed', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { storage, refreshForecasts, registration, notifications } = await setUpWorker({ enabled: true, threshold: 50 });
+
+  await refreshForecasts(registration, fetchForecast(makeForecast({ cloud: 0 })));
+  const notified = await storage.getSetting('notifiedWindows', []);
+  assert.ok(notified.length > 0);
+
+  await refreshForecasts(registration, fetchFailing);
+  assert.deepEqual(await storage.getSetting('notifiedWindows', []), notified);
+
+  // Once the fetch works again the same windows are still not repeated.
+  const notifiedCount = notifications.length;
+  await refreshForecasts(registration, fetchForecast(makeForecast({ cloud: 0 })));
+  assert.equal(notifications.length, notifiedCount);
+});
+
+test('sends nothing while notifications are disabled', async () => {
+  const { storage, refreshForecasts, registration, notifications } = await setUpWorker({ enabled: false, threshold: 50 });
+
+  await refreshForecasts(registration, fetchForecast(makeForecast({ cloud: 0 })));
+  assert.equal(notifications.length, 0);
+  assert.deepEqual(await storage.getSetting('notifiedWindows', []), []);
+
+  // The forecast is still refreshed and cached.
+  const [location] = await storage.getLocations();
+  assert.ok(await storage.getCachedForecast(location.id));
+});
@@ -0,0 +1,168 @@
+/**
+ * IndexedDB schema migrations in the storage layer.
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createScope, loadScript } = require('./helpers');
+
+const DB_NAME = 'CloudCoverForecastDB';
+
+/**
+ * Wrap an IDBRequest in a promise.
+ * @param {IDBRequest} request - Request.
+ * @returns {Promise<*>} Request result.
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create a database with the version 1 schema the first release shipped,
+ * holding two locations and a setting.
+ * @param {IDBFactory} indexedDB - IndexedDB to create it in.
+ * @returns {Promise}
+ */
+function createVersion1Database(indexedDB) {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    const database = request.result;
+    const locations = database.createObjectStore('locations', { keyPath: 'id', autoIncrement: true });
+    locations.createIndex('name', 'name', { unique: false });
+    locations.createIndex('isHome', 'isHome', { unique: false });
+    database.createObjectStore('settings', { keyPath: 'key' });
+    database.createObjectStore('forecastCache', { keyPath: 'locationId' })
+      .createIndex('timestamp', 'timestamp', { unique: false });
+
+    locations.add({ name: 'Cork', lat: 51.9, lon: -8.47, isHome: true });
+    locations.add({ name: 'Mizen Head', lat: 51.45, lon: -9.82, isHome: false, notes: 'Sunset cliffs' });
+    request.transaction.objectStore('settings').add({ key: 'units', value: { temperature: 'fahrenheit' } });
+  };
+  return promisify(request).then((database) => database.close());
+}
+
+/**
+ * Read every record of a store without going through the storage layer.
+ * @param {IDBFactory} indexedDB - IndexedDB.
+ * @param {string} storeName - Store name.
+ * @returns {Promise<Object>} {version, records}.
+ */
+async function readStore(indexedDB, storeName) {
+  const database = await promisify(indexedDB.open(DB_NAME));
+  const records = await promisify(database.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+  const { version } = database;
+  database.close();
+  return { version, records };
+}
+
+/**
+ * Describe the stores and indexes of a database.
+ * @param {IDBDatabase} database - Open database.
+ * @returns {Object} Index names and key paths by store name.
+ */
+function describeSchema(database) {
+  const names = [...database.objectStoreNames];
+  const tx = database.transaction(names, 'readonly');
+  return Object.fromEntries(names.map((name) => {
+    const store = tx.objectStore(name);
+    const indexes = [...store.indexNames].map((indexName) => {
+      const index = store.index(indexName);
+      return { name: indexName, keyPath: index.keyPath, multiEntry: index.multiEntry };
+    });
+    return [name, { keyPath: store.keyPath, autoIncrement: store.autoIncrement, indexes }];
+  }));
+}
+
+test('a fresh install gets the same schema as an upgraded database', async () => {
+  const fresh = createScope();
+  loadScript('assets/js/forecast-storage.js', fresh);
+  const storage = fresh.ForecastStorage;
+
+  const upgraded = createScope();
+  await createVersion1Database(upgraded.indexedDB);
+  loadScript('assets/js/forecast-storage.js', upgraded);
+
+  const database = await storage.openDatabase();
+  assert.equal(database.version, storage.DB_VERSION);
+  assert.deepEqual(describeSchema(database), describeSchema(await upgraded.ForecastStorage.openDatabase()));
+  assert.equal(await storage.getMigrationBackup(), null);
+  assert.deepEqual(await storage.getLocations(), []);
+});
+
+test('upgrades a version 1 database to the latest version', async () => {
+  const scope = createScope();
+  await createVersion1Database(scope.indexedDB);
+  loadScript('assets/js/forecast-storage.js', scope);
+  const storage = scope.ForecastStorage;
+
+  const database = await storage.openDatabase();
+  assert.equal(database.version, storage.DB_VERSION);
+
+  const locations = await storage.getLocations();
+  assert.equal(locations.length, 2);
+  locations.forEach((location) => {
+    assert.deepEqual(location.alertRules, []);
+    assert.deepEqual(location.tags, []);
+  });
+  assert.equal(locations.find((location) => location.name === 'Mizen Head').notes, 'Sunset cliffs');
+  assert.deepEqual(await storage.getSetting('units'), { temperature: 'fahrenheit' });
+});
+
+test('the upgraded tags index finds each tag of a location', async () => {
+  const scope = createScope();
+  await createVersion1Database(scope.indexedDB);
+  loadScript('assets/js/forecast-storage.js', scope);
+  const storage = scope.ForecastStorage;
+
+  const [cork] = (await storage.getLocations()).filter((location) => location.name === 'Cork');
+  await storage.updateLocation(cork.id, { tags: ['Coast', 'dark site'] });
+  await storage.saveLocation({ name: 'Hook Head', lat: 52.12, lon: -6.93, tags: ['coast'] });
+
+  assert.deepEqual(await storage.getLocationTags(), [
+    { tag: 'coast', count: 2 },
+    { tag: 'dark site', count: 1 },
+  ]);
+});
+
+test('keeps a copy of locations and settings from before the upgrade', async () => {
+  const scope = createScope();
+  await createVersion1Database(scope.indexedDB);
+  const before = await readStore(scope.indexedDB, 'locations');
+  loadScript('assets/js/forecast-storage.js', scope);
+  const storage = scope.ForecastStorage;
+
+  const backup = await storage.getMigrationBackup();
+  assert.equal(backup.fromVersion, 1);
+  assert.equal(backup.toVersion, storage.DB_VERSION);
+  assert.deepEqual(backup.locations, before.records);
+  assert.deepEqual(backup.settings, [{ key: 'units', value: { temperature: 'fahrenheit' } }]);
+});
+
+test('a failing migration aborts the upgrade and leaves version 1 data intact', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const scope = createScope();
+  await createVersion1Database(scope.indexedDB);
+  const before = await readStore(scope.indexedDB, 'locations');
+  loadScript('assets/js/forecast-storage.js', scope);
+  const storage = scope.ForecastStorage;
+
+  // The last migration fails after the earlier ones have run.
+  const migration = storage.MIGRATIONS[storage.MIGRATIONS.length - 1];
+  migration.upgrade = () => {
+    throw new Error('Migration failed');
+  };
+
+  await assert.rejects(storage.openDatabase());
+
+  const after = await readStore(scope.indexedDB, 'locations');
+  assert.equal(after.version, 1);
+  assert.deepEqual(after.records, before.records);
+  assert.deepEqual((await readStore(scope.indexedDB, 'settings')).records, [
+    { key: 'units', value: { temperature: 'fahrenheit' } },
+  ]);
+});